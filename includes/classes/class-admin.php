@@ -0,0 +1,457 @@
+<?php
+/**
+ * Statistics dashboard in wp-admin.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Admin.
+ *
+ * Adds the "Statistics" page below the GatherPress events menu. The page is a
+ * React app, see `src/admin/`, which lists all pre-generated configurations
+ * and all statistic blocks used on the site together with their cache state.
+ */
+class Admin {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Slug of the admin page.
+	 *
+	 * @var string
+	 */
+	const PAGE = 'gatherpress-statistics';
+
+	/**
+	 * Capability required to see the page and to manage the cache.
+	 *
+	 * @var string
+	 */
+	const CAPABILITY = 'manage_options';
+
+	/**
+	 * Maximum number of posts scanned for statistic blocks.
+	 *
+	 * @var int
+	 */
+	const MAX_POSTS = 500;
+
+	/**
+	 * Hook suffix of the admin page, set once the page is registered.
+	 *
+	 * @var string
+	 */
+	protected $hook_suffix = '';
+
+	/**
+	 * Constructor for the Admin class.
+	 */
+	protected function __construct() {
+		$this->setup_hooks();
+	}
+
+	/**
+	 * Set up hooks for various purposes.
+	 *
+	 * @return void
+	 */
+	protected function setup_hooks(): void {
+		add_action( 'admin_menu', array( $this, 'add_page' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+	}
+
+	/**
+	 * Add the Statistics page below the events menu.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return void
+	 */
+	public function add_page(): void {
+		$hook_suffix = add_submenu_page(
+			'edit.php?post_type=gatherpress_event',
+			__( 'Statistics', 'gatherpress-statistics' ),
+			__( 'Statistics', 'gatherpress-statistics' ),
+			self::CAPABILITY,
+			self::PAGE,
+			array( $this, 'render_page' )
+		);
+
+		$this->hook_suffix = is_string( $hook_suffix ) ? $hook_suffix : '';
+	}
+
+	/**
+	 * Render the container of the React app.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return void
+	 */
+	public function render_page(): void {
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'Statistics', 'gatherpress-statistics' ); ?></h1>
+			<div id="gatherpress-statistics-admin"></div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Enqueue the script and styles of the admin page.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $hook_suffix Hook suffix of the current admin page.
+	 * @return void
+	 */
+	public function enqueue_assets( string $hook_suffix ): void {
+		if ( empty( $this->hook_suffix ) || $hook_suffix !== $this->hook_suffix ) {
+			return;
+		}
+
+		$asset_file = GATHERPRESS_STATISTICS_CORE_PATH . '/build/admin.asset.php';
+		if ( ! file_exists( $asset_file ) ) {
+			return;
+		}
+
+		$asset = require $asset_file;
+
+		wp_enqueue_script(
+			'gatherpress-statistics-admin',
+			plugins_url( 'build/admin.js', GATHERPRESS_STATISTICS_CORE_PATH . '/plugin.php' ),
+			$asset['dependencies'],
+			$asset['version'],
+			true
+		);
+		wp_set_script_translations( 'gatherpress-statistics-admin', 'gatherpress-statistics' );
+
+		wp_enqueue_style(
+			'gatherpress-statistics-admin',
+			plugins_url( 'build/admin.css', GATHERPRESS_STATISTICS_CORE_PATH . '/plugin.php' ),
+			array( 'wp-components' ),
+			$asset['version']
+		);
+	}
+
+	/**
+	 * Register the REST API routes of the admin page.
+	 *
+	 * - GET    /cache            Lists all cache entries.
+	 * - DELETE /cache            Clears the whole cache, see Setup::clear_cache().
+	 * - POST   /cache/regenerate Regenerates a single entry, or all pre-generated ones.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/cache',
+			array(
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_cache_endpoint' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+				),
+				array(
+					'methods'             => 'DELETE',
+					'callback'            => array( $this, 'clear_cache_endpoint' ),
+					'permission_callback' => array( $this, 'can_manage' ),
+				),
+			)
+		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/cache/regenerate',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'regenerate_cache_endpoint' ),
+				'permission_callback' => array( $this, 'can_manage' ),
+				'args'                => array(
+					'key' => array(
+						'description' => __( 'Cache key of the entry to regenerate. Regenerates all pre-generated entries, if empty.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'default'     => '',
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Whether the current user may see the page and manage the cache.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return bool True for administrators.
+	 */
+	public function can_manage(): bool {
+		return current_user_can( self::CAPABILITY );
+	}
+
+	/**
+	 * REST API endpoint callback to list all cache entries.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return \WP_REST_Response List of cache entries.
+	 */
+	public function get_cache_endpoint(): \WP_REST_Response {
+		return new \WP_REST_Response( $this->get_entries(), 200 );
+	}
+
+	/**
+	 * REST API endpoint callback to clear the whole cache.
+	 *
+	 * The cache is regenerated by cron a minute later.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return \WP_REST_Response List of cache entries, now without values.
+	 */
+	public function clear_cache_endpoint(): \WP_REST_Response {
+		Setup::get_instance()->clear_cache();
+
+		return new \WP_REST_Response( $this->get_entries(), 200 );
+	}
+
+	/**
+	 * REST API endpoint callback to regenerate one or all cache entries.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request REST API request.
+	 * @return \WP_REST_Response|\WP_Error List of cache entries, or an error for unknown keys.
+	 */
+	public function regenerate_cache_endpoint( \WP_REST_Request $request ) {
+		$setup = Setup::get_instance();
+		$key   = (string) $request->get_param( 'key' );
+
+		if ( '' === $key ) {
+			$setup->pregenerate_cache();
+
+			return new \WP_REST_Response( $this->get_entries(), 200 );
+		}
+
+		foreach ( $this->get_configs() as $config ) {
+			if ( $config['key'] === $key ) {
+				$setup->pregenerate_config( $config );
+
+				return new \WP_REST_Response( $this->get_entries(), 200 );
+			}
+		}
+
+		return new \WP_Error(
+			'gatherpress_statistics_unknown_cache_key',
+			__( 'No statistic uses this cache key.', 'gatherpress-statistics' ),
+			array( 'status' => 404 )
+		);
+	}
+
+	/**
+	 * Get all cache entries with their current state.
+	 *
+	 * Values are read from the cache only, entries that aren't cached have a
+	 * value of null. Expiry times are unknown with a persistent object cache.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return array<int, array<string, mixed>> Cache entries.
+	 */
+	protected function get_entries(): array {
+		$setup   = Setup::get_instance();
+		$log     = $setup->get_calculation_log();
+		$entries = array();
+
+		foreach ( $this->get_configs() as $config ) {
+			$value = $setup->get_transient_value( $config['key'], $config['filters'] );
+
+			// Statistics across the network are site transients
+			if ( wp_using_ext_object_cache() ) {
+				$expires = 0;
+			} elseif ( $setup->is_network_filters( $config['filters'] ) ) {
+				$expires = (int) get_site_option( '_site_transient_timeout_' . $config['key'], 0 );
+			} else {
+				$expires = (int) get_option( '_transient_timeout_' . $config['key'], 0 );
+			}
+
+			$entries[] = array(
+				'key'         => $config['key'],
+				'type'        => $config['type'],
+				'filters'     => $config['filters'],
+				'series'      => isset( $config['series'] ) ? $config['series'] : null,
+				'leaderboard' => isset( $config['leaderboard'] ) ? $config['leaderboard'] : null,
+				'source'      => $config['source'],
+				'posts'       => $config['posts'],
+				'value'       => false === $value ? null : $value,
+				'expires'     => $expires > 0 ? $expires : null,
+				'calculated'  => isset( $log[ $config['key'] ] ) ? (int) $log[ $config['key'] ] : null,
+			);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Get all pre-generated configurations and those of statistic blocks.
+	 *
+	 * Blocks sharing a configuration with each other or with a pre-generated
+	 * configuration are merged into a single entry.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return array<string, array<string, mixed>> Configurations with their cache key, keyed by cache key.
+	 */
+	protected function get_configs(): array {
+		$setup   = Setup::get_instance();
+		$configs = array();
+
+		foreach ( $setup->get_common_configs() as $config ) {
+			$key             = $setup->get_config_cache_key( $config );
+			$configs[ $key ] = array_merge(
+				$config,
+				array(
+					'key'    => $key,
+					'source' => 'common',
+					'posts'  => array(),
+				)
+			);
+		}
+
+		foreach ( $this->get_block_configs() as $config ) {
+			$key = $setup->get_cache_key( $config['type'], $config['filters'] );
+
+			if ( ! isset( $configs[ $key ] ) ) {
+				$configs[ $key ] = array(
+					'key'     => $key,
+					'type'    => $config['type'],
+					'filters' => $config['filters'],
+					'source'  => 'block',
+					'posts'   => array(),
+				);
+			}
+
+			$configs[ $key ]['posts'][ $config['post']['id'] ] = $config['post'];
+		}
+
+		foreach ( $configs as $key => $config ) {
+			$configs[ $key ]['posts'] = array_values( $config['posts'] );
+		}
+
+		return $configs;
+	}
+
+	/**
+	 * Get the configurations of all statistic blocks used on the site.
+	 *
+	 * Scans posts, pages, templates, template parts and synced patterns.
+	 * Blocks using the current term are skipped, their configuration is only
+	 * known while rendering.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @global \wpdb $wpdb WordPress database abstraction object.
+	 * @return array<int, array{type: string, filters: array<string, mixed>, post: array<string, mixed>}> Block configurations.
+	 */
+	protected function get_block_configs(): array {
+		global $wpdb;
+
+		$post_ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT ID FROM {$wpdb->posts}
+				WHERE post_type <> 'revision'
+				AND post_status IN ( 'publish', 'future', 'private' )
+				AND post_content LIKE %s
+				ORDER BY post_modified DESC
+				LIMIT %d",
+				'%' . $wpdb->esc_like( '<!-- wp:gatherpress/statistics' ) . '%',
+				self::MAX_POSTS
+			)
+		);
+
+		$configs = array();
+
+		foreach ( $post_ids as $post_id ) {
+			$post = get_post( (int) $post_id );
+			if ( ! $post ) {
+				continue;
+			}
+
+			$post_data = array(
+				'id'       => $post->ID,
+				'title'    => get_the_title( $post ),
+				'editLink' => (string) get_edit_post_link( $post, 'raw' ),
+			);
+
+			foreach ( $this->find_statistic_blocks( parse_blocks( $post->post_content ), array() ) as $attributes ) {
+				$configs[] = array(
+					'type'    => isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events',
+					'filters' => Setup::get_instance()->get_filters_from_attributes( $attributes ),
+					'post'    => $post_data,
+				);
+			}
+		}
+
+		return $configs;
+	}
+
+	/**
+	 * Find statistic blocks in a block tree.
+	 *
+	 * Attributes are completed with their defaults and the filters of a
+	 * surrounding statistics group, just like while rendering.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array<string, mixed>> $blocks  Parsed blocks.
+	 * @param array<string, mixed>             $context Context provided by the parent blocks.
+	 * @return array<int, array<string, mixed>> Attributes of the statistic blocks.
+	 */
+	protected function find_statistic_blocks( array $blocks, array $context ): array {
+		$setup    = Setup::get_instance();
+		$registry = \WP_Block_Type_Registry::get_instance();
+		$found    = array();
+
+		foreach ( $blocks as $block ) {
+			$block_type = ! empty( $block['blockName'] ) ? $registry->get_registered( $block['blockName'] ) : null;
+			$attributes = $block_type ? $block_type->prepare_attributes_for_render( (array) $block['attrs'] ) : (array) $block['attrs'];
+
+			if ( 'gatherpress/statistics' === $block['blockName'] ) {
+				$attributes = $setup->apply_group_context( $attributes, $context );
+
+				if ( ! $setup->uses_current_term( $attributes ) ) {
+					$found[] = $attributes;
+				}
+			}
+
+			// Pass the shared filters of a statistics group on to its children
+			$child_context = $context;
+			if ( $block_type && ! empty( $block_type->provides_context ) ) {
+				foreach ( $block_type->provides_context as $context_name => $attribute_name ) {
+					if ( array_key_exists( $attribute_name, $attributes ) ) {
+						$child_context[ $context_name ] = $attributes[ $attribute_name ];
+					}
+				}
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$found = array_merge( $found, $this->find_statistic_blocks( $block['innerBlocks'], $child_context ) );
+			}
+		}
+
+		return $found;
+	}
+}
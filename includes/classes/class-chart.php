@@ -0,0 +1,176 @@
+<?php
+/**
+ * Renders time-series statistics as inline SVG charts.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Chart.
+ *
+ * Draws a series of values as a sparkline or bar chart. Every chart comes
+ * with a visually hidden table, so screen reader users get the same data.
+ */
+class Chart {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Width of a single data point in SVG user units.
+	 *
+	 * @var int
+	 */
+	const POINT_WIDTH = 10;
+
+	/**
+	 * Height of the chart in SVG user units.
+	 *
+	 * @var int
+	 */
+	const HEIGHT = 40;
+
+	/**
+	 * Constructor for the Chart class.
+	 */
+	protected function __construct() {}
+
+	/**
+	 * Render a series as chart with a table fallback.
+	 *
+	 * Example series:
+	 *
+	 * array(
+	 *     array( 'label' => 'Jan 2025', 'from' => '2025-01-01', 'to' => '2025-01-31', 'value' => 4 ),
+	 *     array( 'label' => 'Feb 2025', 'from' => '2025-02-01', 'to' => '2025-02-28', 'value' => 7 ),
+	 * )
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{label: string, value: int|float}> $series   Data points, oldest first.
+	 * @param string                                             $mode     Display mode: 'sparkline' or 'bar'.
+	 * @param string                                             $caption  Description of the data, e.g. the block label.
+	 * @param int                                                $decimals Number of decimals of the values in the table.
+	 * @return string Chart markup, or an empty string if there is no data.
+	 */
+	public function render( array $series, string $mode, string $caption, int $decimals = 0 ): string {
+		if ( empty( $series ) ) {
+			return '';
+		}
+
+		$first = reset( $series );
+		$last  = end( $series );
+
+		$summary = sprintf(
+			/* translators: 1: Description of the data, 2: Label of the first period, 3: Label of the last period. */
+			__( '%1$s from %2$s to %3$s', 'gatherpress-statistics' ),
+			$caption,
+			$first['label'],
+			$last['label']
+		);
+
+		ob_start();
+		?>
+		<div class="gatherpress-stats-chart is-<?php echo esc_attr( $mode ); ?>">
+			<svg
+				viewBox="0 0 <?php echo esc_attr( (string) ( count( $series ) * self::POINT_WIDTH ) ); ?> <?php echo esc_attr( (string) self::HEIGHT ); ?>"
+				preserveAspectRatio="none"
+				role="img"
+				aria-label="<?php echo esc_attr( $summary ); ?>"
+				focusable="false"
+			>
+				<?php echo 'bar' === $mode ? $this->get_bars( $series ) : $this->get_sparkline( $series ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Markup is escaped while building it. ?>
+			</svg>
+			<table class="gatherpress-stats-chart-table">
+				<caption><?php echo esc_html( $summary ); ?></caption>
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Period', 'gatherpress-statistics' ); ?></th>
+						<th scope="col"><?php echo esc_html( $caption ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $series as $point ) : ?>
+						<tr>
+							<th scope="row"><?php echo esc_html( $point['label'] ); ?></th>
+							<td><?php echo esc_html( number_format_i18n( $point['value'], $decimals ) ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		</div>
+		<?php
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Get the highest value of a series, at least 1 to avoid dividing by zero.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{label: string, value: int|float}> $series Data points.
+	 * @return float Maximum value.
+	 */
+	protected function get_max( array $series ): float {
+		return (float) max( 1, max( wp_list_pluck( $series, 'value' ) ) );
+	}
+
+	/**
+	 * Build the SVG elements of a sparkline.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{label: string, value: int|float}> $series Data points.
+	 * @return string SVG polyline.
+	 */
+	protected function get_sparkline( array $series ): string {
+		$max    = $this->get_max( $series );
+		$points = array();
+
+		foreach ( array_values( $series ) as $index => $point ) {
+			$x = ( $index + 0.5 ) * self::POINT_WIDTH;
+			// Keep a 2 unit margin, so the stroke is never clipped
+			$y        = self::HEIGHT - 2 - ( ( self::HEIGHT - 4 ) * $point['value'] / $max );
+			$points[] = round( $x, 2 ) . ',' . round( $y, 2 );
+		}
+
+		return sprintf(
+			'<polyline points="%s" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round" vector-effect="non-scaling-stroke" />',
+			esc_attr( implode( ' ', $points ) )
+		);
+	}
+
+	/**
+	 * Build the SVG elements of a bar chart.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{label: string, value: int|float}> $series Data points.
+	 * @return string SVG rectangles.
+	 */
+	protected function get_bars( array $series ): string {
+		$max  = $this->get_max( $series );
+		$bars = '';
+
+		foreach ( array_values( $series ) as $index => $point ) {
+			$height = self::HEIGHT * $point['value'] / $max;
+			$bars  .= sprintf(
+				'<rect x="%s" y="%s" width="%s" height="%s" fill="currentColor" />',
+				esc_attr( (string) ( $index * self::POINT_WIDTH + 1 ) ),
+				esc_attr( (string) round( self::HEIGHT - $height, 2 ) ),
+				esc_attr( (string) ( self::POINT_WIDTH - 2 ) ),
+				esc_attr( (string) round( $height, 2 ) )
+			);
+		}
+
+		return $bars;
+	}
+}
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Chooses prefix, suffix and label by the value of a statistic.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Conditional_Ranges.
+ *
+ * Blocks define an ordered list of value ranges, each with its own prefix,
+ * suffix and optional label, e.g. 1–9 "Just started", 10–99 "Growing" and
+ * 100+ "Over". The first range containing the value wins. The editor preview
+ * and live mode use the same logic in `src/conditional-ranges.js`.
+ */
+class Conditional_Ranges {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Constructor for the Conditional_Ranges class.
+	 */
+	protected function __construct() {}
+
+	/**
+	 * Get the sanitized conditional ranges of a block.
+	 *
+	 * Blocks saved before ranges existed have a single threshold with a
+	 * conditional prefix and suffix, used for values above the threshold. The
+	 * editor migrates them once the post is edited, until then they are
+	 * converted here.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return array<int, array{min: float, max: float|null, prefix: string, suffix: string, label: string}> Ranges in order.
+	 */
+	public function get_ranges( array $attributes ): array {
+		if ( ! empty( $attributes['conditionalRanges'] ) && is_array( $attributes['conditionalRanges'] ) ) {
+			$ranges = $attributes['conditionalRanges'];
+		} else {
+			$ranges = $this->get_ranges_from_threshold( $attributes );
+		}
+
+		$sanitized = array();
+		foreach ( $ranges as $range ) {
+			if ( ! is_array( $range ) ) {
+				continue;
+			}
+
+			$sanitized[] = array(
+				'min'    => isset( $range['min'] ) && is_numeric( $range['min'] ) ? (float) $range['min'] : 0.0,
+				'max'    => isset( $range['max'] ) && is_numeric( $range['max'] ) ? (float) $range['max'] : null,
+				'prefix' => isset( $range['prefix'] ) ? (string) $range['prefix'] : '',
+				'suffix' => isset( $range['suffix'] ) ? (string) $range['suffix'] : '',
+				'label'  => isset( $range['label'] ) ? (string) $range['label'] : '',
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Get the first range containing a value.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{min: float, max: float|null, prefix: string, suffix: string, label: string}> $ranges Sanitized ranges.
+	 * @param int|float                                                                                      $value  Value of the statistic.
+	 * @return array{min: float, max: float|null, prefix: string, suffix: string, label: string}|null Range, or null if no range contains the value.
+	 */
+	public function get_range( array $ranges, $value ): ?array {
+		foreach ( $ranges as $range ) {
+			if ( $value >= $range['min'] && ( null === $range['max'] || $value <= $range['max'] ) ) {
+				return $range;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Convert the single threshold of older blocks to a range.
+	 *
+	 * Mirrors `getRangesFromThreshold()` in `src/conditional-ranges.js`.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return array<int, array<string, mixed>> A single open-ended range, or none without conditional prefix or suffix.
+	 */
+	protected function get_ranges_from_threshold( array $attributes ): array {
+		$prefix = isset( $attributes['prefixConditional'] ) ? (string) $attributes['prefixConditional'] : '';
+		$suffix = isset( $attributes['suffixConditional'] ) ? (string) $attributes['suffixConditional'] : '';
+
+		if ( '' === $prefix && '' === $suffix ) {
+			return array();
+		}
+
+		$threshold = isset( $attributes['conditionalThreshold'] ) ? intval( $attributes['conditionalThreshold'] ) : 10;
+
+		// The conditional prefix and suffix applied to counts above the threshold
+		return array(
+			array(
+				'min'    => $threshold + 1,
+				'max'    => null,
+				'prefix' => $prefix,
+				'suffix' => $suffix,
+				'label'  => '',
+			),
+		);
+	}
+}
@@ -0,0 +1,605 @@
+<?php
+/**
+ * Embeds statistics on third-party sites.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Embed.
+ *
+ * Renders a single statistic as a standalone page, meant to be shown in an
+ * iframe on other sites. The page reuses `render.php` and the block styles,
+ * so embeds look like the block. Embed URLs support oEmbed discovery, so
+ * pasting one into another WordPress site embeds the statistic.
+ *
+ * Embed URLs are signed, so only statistics embedded by editors are shown
+ * on the site's domain.
+ *
+ * Example embed URL:
+ * https://example.org/?gatherpress-statistics-embed=eyJzdGF0aXN0aWNUeXBlIjoidG90YWxfZXZlbnRzIn0&gatherpress-statistics-signature=5d41402abc4b2a76b9719d911017c592
+ */
+class Embed {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Query variable holding the encoded block attributes.
+	 *
+	 * @var string
+	 */
+	const QUERY_VAR = 'gatherpress-statistics-embed';
+
+	/**
+	 * Query variable holding the signature of the encoded block attributes.
+	 *
+	 * @var string
+	 */
+	const SIGNATURE_VAR = 'gatherpress-statistics-signature';
+
+	/**
+	 * Default width of the iframe in pixels.
+	 *
+	 * @var int
+	 */
+	const WIDTH = 300;
+
+	/**
+	 * Default height of the iframe in pixels.
+	 *
+	 * @var int
+	 */
+	const HEIGHT = 200;
+
+	/**
+	 * Block attributes an embed may set. Everything else keeps its default.
+	 *
+	 * Live updates and the current term need the surrounding site, so they
+	 * are not available in embeds. Filters of a statistics group are embedded
+	 * through `groupTaxonomyTerms` and the replaced attributes.
+	 *
+	 * @var array<int, string>
+	 */
+	const ATTRIBUTES = array(
+		'statisticType',
+		'eventQuery',
+		'dateRange',
+		'dateRangeMonths',
+		'dateFrom',
+		'dateTo',
+		'selectedTaxonomy',
+		'selectedTerm',
+		'countTaxonomy',
+		'filterTaxonomy',
+		'selectedTaxonomyTerms',
+		'groupTaxonomyTerms',
+		'metaConditions',
+		'eventAuthor',
+		'scope',
+		'networkSites',
+		'aggregation',
+		'customFilters',
+		'decimals',
+		'numberFormat',
+		'labelSingular',
+		'labelPlural',
+		'labelForms',
+		'showLabel',
+		'prefixDefault',
+		'suffixDefault',
+		'conditionalRanges',
+		'prefixConditional',
+		'suffixConditional',
+		'conditionalThreshold',
+		'comparison',
+		'comparisonMonths',
+		'comparisonDate',
+		'comparisonFormat',
+		'displayMode',
+		'seriesInterval',
+		'seriesLength',
+		'leaderboardMetric',
+		'leaderboardLength',
+		'leaderboardLinks',
+		'leaderboardCounts',
+		'countUp',
+		'countUpDuration',
+		'countUpEasing',
+		'countUpStart',
+		'confettiPieces',
+		'confettiColors',
+		'confettiTriggers',
+		'confettiEvery',
+		'confettiMilestones',
+		'emptyBehavior',
+		'emptyText',
+		'emptyUrl',
+		'className',
+	);
+
+	/**
+	 * Constructor for the Embed class.
+	 */
+	protected function __construct() {
+		$this->setup_hooks();
+	}
+
+	/**
+	 * Set up hooks for various purposes.
+	 *
+	 * @return void
+	 */
+	protected function setup_hooks(): void {
+		/**
+		 * Filter whether statistics can be embedded on other sites.
+		 *
+		 * Example usage to turn embeds off:
+		 *
+		 * ```php
+		 * add_filter( 'gatherpress_statistics_embeds', '__return_false' );
+		 * ```
+		 *
+		 * @since 0.1.0
+		 *
+		 * @param bool $enabled Whether embeds are available. Default true.
+		 */
+		if ( ! apply_filters( 'gatherpress_statistics_embeds', true ) ) {
+			return;
+		}
+
+		add_filter( 'query_vars', array( $this, 'add_query_var' ) );
+		add_action( 'template_redirect', array( $this, 'render_embed' ) );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+	}
+
+	/**
+	 * Register the query variable of embed URLs.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, string> $query_vars Public query variables.
+	 * @return array<int, string> Query variables including the embed one.
+	 */
+	public function add_query_var( array $query_vars ): array {
+		$query_vars[] = self::QUERY_VAR;
+		$query_vars[] = self::SIGNATURE_VAR;
+
+		return $query_vars;
+	}
+
+	/**
+	 * Register the REST API routes for embeds.
+	 *
+	 * - POST /embed Embed URL and iframe code for block attributes, for the editor.
+	 * - GET /oembed  oEmbed response for an embed URL, for other sites.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/embed',
+			array(
+				'methods'             => 'POST',
+				'callback'            => array( $this, 'get_embed_endpoint' ),
+				'permission_callback' => function (): bool {
+					return current_user_can( 'edit_posts' );
+				},
+				'args'                => array(
+					'attributes' => array(
+						'description' => __( 'Block attributes to embed.', 'gatherpress-statistics' ),
+						'type'        => 'object',
+						'default'     => array(),
+					),
+				),
+			)
+		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/oembed',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_oembed_endpoint' ),
+				'permission_callback' => '__return_true',
+				'args'                => array(
+					'url'       => array(
+						'description' => __( 'Embed URL of a statistic.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'format'      => 'uri',
+						'required'    => true,
+					),
+					'maxwidth'  => array(
+						'description' => __( 'Maximum width of the embed in pixels.', 'gatherpress-statistics' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+					),
+					'maxheight' => array(
+						'description' => __( 'Maximum height of the embed in pixels.', 'gatherpress-statistics' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * REST API endpoint callback to get the embed code for block attributes.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request Full details about the request.
+	 * @return \WP_REST_Response|\WP_Error Embed URL and iframe code, or an error if the statistic can't be embedded.
+	 */
+	public function get_embed_endpoint( \WP_REST_Request $request ) {
+		$attributes = $request->get_param( 'attributes' );
+		$attributes = $this->sanitize_attributes( is_array( $attributes ) ? $attributes : array() );
+
+		if ( null === $attributes ) {
+			return $this->get_unavailable_error();
+		}
+
+		$url = $this->get_embed_url( $attributes );
+
+		return new \WP_REST_Response(
+			array(
+				'url'  => $url,
+				'html' => $this->get_iframe( $url, $this->get_title( $attributes ), self::WIDTH, self::HEIGHT ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * REST API endpoint callback to answer oEmbed requests for embed URLs.
+	 *
+	 * @see https://oembed.com/#section2.3
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request Full details about the request.
+	 * @return \WP_REST_Response|\WP_Error oEmbed response, or an error for unknown URLs.
+	 */
+	public function get_oembed_endpoint( \WP_REST_Request $request ) {
+		$url        = (string) $request->get_param( 'url' );
+		$attributes = $this->get_attributes_from_url( $url );
+
+		if ( null === $attributes ) {
+			return $this->get_unavailable_error();
+		}
+
+		$width  = $request->get_param( 'maxwidth' ) ? min( self::WIDTH, absint( $request->get_param( 'maxwidth' ) ) ) : self::WIDTH;
+		$height = $request->get_param( 'maxheight' ) ? min( self::HEIGHT, absint( $request->get_param( 'maxheight' ) ) ) : self::HEIGHT;
+		$title  = $this->get_title( $attributes );
+		$url    = $this->get_embed_url( $attributes );
+
+		return new \WP_REST_Response(
+			array(
+				'version'       => '1.0',
+				'type'          => 'rich',
+				'provider_name' => get_bloginfo( 'name' ),
+				'provider_url'  => home_url( '/' ),
+				'title'         => $title,
+				'width'         => $width,
+				'height'        => $height,
+				'html'          => $this->get_iframe( $url, $title, $width, $height ),
+			),
+			200
+		);
+	}
+
+	/**
+	 * Render the embed page and stop, if an embed URL was requested.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return void
+	 */
+	public function render_embed(): void {
+		$encoded = get_query_var( self::QUERY_VAR );
+
+		if ( empty( $encoded ) || ! is_string( $encoded ) ) {
+			return;
+		}
+
+		$attributes = $this->decode_attributes( $encoded, (string) get_query_var( self::SIGNATURE_VAR ) );
+
+		if ( null === $attributes ) {
+			status_header( 404 );
+			nocache_headers();
+			wp_die(
+				esc_html__( 'This statistic is not available.', 'gatherpress-statistics' ),
+				'',
+				array( 'response' => 404 )
+			);
+		}
+
+		// Render exactly like the block, which also enqueues its styles and view script
+		$content = render_block(
+			array(
+				'blockName'    => 'gatherpress/statistics',
+				'attrs'        => $attributes,
+				'innerBlocks'  => array(),
+				'innerHTML'    => '',
+				'innerContent' => array(),
+			)
+		);
+
+		// Presets of the theme, which the block styles refer to
+		if ( function_exists( 'wp_enqueue_global_styles' ) ) {
+			wp_enqueue_global_styles();
+		}
+
+		$url   = $this->get_embed_url( $attributes );
+		$title = $this->get_title( $attributes );
+
+		?>
+<!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+	<meta charset="<?php bloginfo( 'charset' ); ?>" />
+	<meta name="viewport" content="width=device-width, initial-scale=1" />
+	<meta name="robots" content="noindex" />
+	<title><?php echo esc_html( $title ); ?></title>
+	<link rel="alternate" type="application/json+oembed" href="<?php echo esc_url( add_query_arg( 'url', rawurlencode( $url ), rest_url( 'gatherpress-statistics/v1/oembed' ) ) ); ?>" />
+	<?php wp_print_styles(); ?>
+	<style>
+		body.gatherpress-statistics-embed { margin: 0; display: flex; align-items: center; justify-content: center; min-height: 100vh; }
+		body.gatherpress-statistics-embed > * { flex: 1; margin: 0; }
+	</style>
+</head>
+<body class="gatherpress-statistics-embed">
+	<?php echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Rendered block. ?>
+	<?php wp_print_scripts(); ?>
+</body>
+</html>
+		<?php
+		exit;
+	}
+
+	/**
+	 * Get the embed URL of a statistic.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Sanitized block attributes.
+	 * @return string Embed URL.
+	 */
+	public function get_embed_url( array $attributes ): string {
+		$json = (string) wp_json_encode( $attributes );
+
+		// URL safe base64, without padding
+		$encoded = rtrim( strtr( base64_encode( $json ), '+/', '-_' ), '=' ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- Not obfuscation, but URL encoding.
+
+		return add_query_arg(
+			array(
+				self::QUERY_VAR     => $encoded,
+				self::SIGNATURE_VAR => $this->get_signature( $encoded ),
+			),
+			home_url( '/' )
+		);
+	}
+
+	/**
+	 * Sign the encoded block attributes of an embed URL.
+	 *
+	 * Embeds are shown on the site's own domain, so they must not show labels
+	 * or links anybody made up. Only URLs created for editors are signed.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $encoded URL safe base64 encoded JSON.
+	 * @return string Signature.
+	 */
+	protected function get_signature( string $encoded ): string {
+		return wp_hash( 'gatherpress_statistics_embed|' . $encoded );
+	}
+
+	/**
+	 * Get the block attributes from an embed URL of this site.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $url Embed URL.
+	 * @return array<string, mixed>|null Sanitized block attributes, or null for other URLs.
+	 */
+	protected function get_attributes_from_url( string $url ): ?array {
+		$home = wp_parse_url( home_url( '/' ) );
+		$link = wp_parse_url( $url );
+
+		if ( empty( $link['host'] ) || empty( $home['host'] ) || strtolower( $link['host'] ) !== strtolower( $home['host'] ) || empty( $link['query'] ) ) {
+			return null;
+		}
+
+		wp_parse_str( $link['query'], $query );
+
+		if ( empty( $query[ self::QUERY_VAR ] ) || ! is_string( $query[ self::QUERY_VAR ] ) ) {
+			return null;
+		}
+
+		return $this->decode_attributes(
+			$query[ self::QUERY_VAR ],
+			isset( $query[ self::SIGNATURE_VAR ] ) && is_string( $query[ self::SIGNATURE_VAR ] ) ? $query[ self::SIGNATURE_VAR ] : ''
+		);
+	}
+
+	/**
+	 * Decode the block attributes of an embed URL.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $encoded   URL safe base64 encoded JSON.
+	 * @param string $signature Signature of the encoded JSON, see get_signature().
+	 * @return array<string, mixed>|null Sanitized block attributes, or null if invalid or not signed.
+	 */
+	protected function decode_attributes( string $encoded, string $signature ): ?array {
+		// Unsigned or tampered URLs are rejected
+		if ( '' === $signature || ! hash_equals( $this->get_signature( $encoded ), $signature ) ) {
+			return null;
+		}
+
+		$json       = base64_decode( strtr( $encoded, '-_', '+/' ), true ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode -- Not obfuscation, but URL encoding.
+		$attributes = false !== $json ? json_decode( $json, true ) : null;
+
+		return is_array( $attributes ) ? $this->sanitize_attributes( $attributes ) : null;
+	}
+
+	/**
+	 * Reduce block attributes to those an embed may set and validate them.
+	 *
+	 * Like the public API, embeds are limited to supported statistic types,
+	 * to the taxonomies the block editor offers and to meta conditions that
+	 * don't compare values.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return array<string, mixed>|null Sanitized attributes, or null if the statistic can't be embedded.
+	 */
+	protected function sanitize_attributes( array $attributes ): ?array {
+		$setup      = Setup::get_instance();
+		$attributes = $this->cast_attributes( array_intersect_key( $attributes, array_flip( self::ATTRIBUTES ) ) );
+
+		$statistic_type = isset( $attributes['statisticType'] ) && is_string( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events';
+		if ( ! $setup->is_statistic_type_supported( $statistic_type ) ) {
+			return null;
+		}
+
+		$taxonomies = array();
+		foreach ( array( 'selectedTaxonomy', 'countTaxonomy', 'filterTaxonomy' ) as $name ) {
+			if ( ! empty( $attributes[ $name ] ) ) {
+				$taxonomies[] = (string) $attributes[ $name ];
+			}
+		}
+		foreach ( array( 'selectedTaxonomyTerms', 'groupTaxonomyTerms' ) as $name ) {
+			if ( ! empty( $attributes[ $name ] ) && is_array( $attributes[ $name ] ) ) {
+				// The relation of the selected taxonomies is no taxonomy
+				$taxonomies = array_merge( $taxonomies, array_diff( array_keys( $attributes[ $name ] ), array( 'relation' ) ) );
+			}
+		}
+
+		if ( array_diff( $taxonomies, $setup->get_allowed_taxonomy_names() ) ) {
+			return null;
+		}
+
+		// Like the public API, fields may only be checked for existence
+		if ( ! empty( $attributes['metaConditions'] ) && is_array( $attributes['metaConditions'] ) && $setup->has_meta_value_comparison( $attributes['metaConditions'] ) ) {
+			return null;
+		}
+
+		// Only the block style may be chosen, no arbitrary classes
+		if ( isset( $attributes['className'] ) && ! preg_match( '/^is-style-(default|card|minimal|confetti)$/', (string) $attributes['className'] ) ) {
+			unset( $attributes['className'] );
+		}
+
+		return $attributes;
+	}
+
+	/**
+	 * Cast block attributes to the types of the block's attributes.
+	 *
+	 * Attributes sent as form or query parameters arrive as strings, and the
+	 * string "false" would render as true. The same goes for the
+	 * `includeChildren` flag of term selections.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return array<string, mixed> Block attributes with booleans and numbers cast.
+	 */
+	protected function cast_attributes( array $attributes ): array {
+		$block_type = \WP_Block_Type_Registry::get_instance()->get_registered( 'gatherpress/statistics' );
+		$schema     = $block_type ? (array) $block_type->attributes : array();
+
+		foreach ( $attributes as $name => $value ) {
+			$type = isset( $schema[ $name ]['type'] ) ? $schema[ $name ]['type'] : '';
+
+			if ( 'boolean' === $type && is_scalar( $value ) ) {
+				$attributes[ $name ] = rest_sanitize_boolean( $value );
+			} elseif ( in_array( $type, array( 'number', 'integer' ), true ) && is_string( $value ) && is_numeric( $value ) ) {
+				$attributes[ $name ] = 0 + $value;
+			}
+		}
+
+		foreach ( array( 'selectedTaxonomyTerms', 'groupTaxonomyTerms' ) as $name ) {
+			if ( empty( $attributes[ $name ] ) || ! is_array( $attributes[ $name ] ) ) {
+				continue;
+			}
+
+			foreach ( $attributes[ $name ] as $taxonomy => $selection ) {
+				if ( is_array( $selection ) && isset( $selection['includeChildren'] ) && is_scalar( $selection['includeChildren'] ) ) {
+					$attributes[ $name ][ $taxonomy ]['includeChildren'] = rest_sanitize_boolean( $selection['includeChildren'] );
+				}
+			}
+		}
+
+		return $attributes;
+	}
+
+	/**
+	 * Get the title of an embedded statistic, e.g. "Events – Example Site".
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, mixed> $attributes Sanitized block attributes.
+	 * @return string Title.
+	 */
+	protected function get_title( array $attributes ): string {
+		$label = ! empty( $attributes['labelPlural'] ) ? trim( preg_replace( '/\s*%s\s*/', ' ', (string) $attributes['labelPlural'] ) ) : __( 'Events', 'gatherpress-statistics' );
+
+		return sprintf(
+			/* translators: 1: Label of the statistic, 2: Site title */
+			__( '%1$s – %2$s', 'gatherpress-statistics' ),
+			$label,
+			get_bloginfo( 'name' )
+		);
+	}
+
+	/**
+	 * Get the iframe code of an embed.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $url    Embed URL.
+	 * @param string $title  Title of the iframe.
+	 * @param int    $width  Width in pixels.
+	 * @param int    $height Height in pixels.
+	 * @return string Iframe markup.
+	 */
+	protected function get_iframe( string $url, string $title, int $width, int $height ): string {
+		return sprintf(
+			'<iframe src="%1$s" title="%2$s" width="%3$d" height="%4$d" frameborder="0" scrolling="no" loading="lazy"></iframe>',
+			esc_url( $url ),
+			esc_attr( $title ),
+			$width,
+			$height
+		);
+	}
+
+	/**
+	 * Get the error for statistics that can't be embedded.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return \WP_Error Error with status 404.
+	 */
+	protected function get_unavailable_error(): \WP_Error {
+		return new \WP_Error(
+			'gatherpress_statistics_embed_unavailable',
+			__( 'This statistic is not available.', 'gatherpress-statistics' ),
+			array( 'status' => 404 )
+		);
+	}
+}
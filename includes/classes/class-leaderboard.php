@@ -0,0 +1,77 @@
+<?php
+/**
+ * Renders the top terms of a statistic as ranked list.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Leaderboard.
+ *
+ * Lists the terms of a 'top_terms' statistic in an ordered list, e.g. the
+ * five venues with the most events. The editor preview mirrors the markup in
+ * `src/leaderboard.js`.
+ */
+class Leaderboard {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Constructor for the Leaderboard class.
+	 */
+	protected function __construct() {}
+
+	/**
+	 * Render the top terms as ordered list.
+	 *
+	 * Example items, as returned by Setup::get_cached_leaderboard():
+	 *
+	 * array(
+	 *     array( 'id' => 12, 'name' => 'Downtown Hall', 'url' => 'https://example.org/venue/downtown-hall/', 'value' => 7 ),
+	 *     array( 'id' => 14, 'name' => 'Tech Center', 'url' => '', 'value' => 5 ),
+	 * )
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<int, array{id: int, name: string, url: string, value: int}> $items         Top terms, highest first.
+	 * @param bool                                                              $show_links    Whether to link terms to their page.
+	 * @param bool                                                              $show_counts   Whether to show the events or attendees of each term.
+	 * @param string                                                            $number_format Notation of the counts, see Number_Formatter::get_formats().
+	 * @return string List markup, or an empty string if there are no terms.
+	 */
+	public function render( array $items, bool $show_links, bool $show_counts, string $number_format = 'standard' ): string {
+		if ( empty( $items ) ) {
+			return '';
+		}
+
+		$number_formatter = Number_Formatter::get_instance();
+
+		ob_start();
+		?>
+		<ol class="gatherpress-stats-leaderboard">
+			<?php foreach ( $items as $item ) : ?>
+				<li class="gatherpress-stats-leaderboard-item">
+					<?php if ( $show_links && ! empty( $item['url'] ) ) : ?>
+						<a class="gatherpress-stats-leaderboard-term" href="<?php echo esc_url( $item['url'] ); ?>"><?php echo esc_html( $item['name'] ); ?></a>
+					<?php else : ?>
+						<span class="gatherpress-stats-leaderboard-term"><?php echo esc_html( $item['name'] ); ?></span>
+					<?php endif; ?>
+					<?php if ( $show_counts ) : ?>
+						<data class="gatherpress-stats-leaderboard-count" value="<?php echo esc_attr( (string) $item['value'] ); ?>"><?php echo esc_html( $number_formatter->format( $item['value'], $number_format ) ); ?></data>
+					<?php endif; ?>
+				</li>
+			<?php endforeach; ?>
+		</ol>
+		<?php
+		return (string) ob_get_clean();
+	}
+}
@@ -0,0 +1,152 @@
+<?php
+/**
+ * Formats statistic values for display.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Number_Formatter.
+ *
+ * Formats numbers in standard, compact ("12.3K") or abbreviated ("12K+")
+ * notation. The editor preview, count-up animation and live mode use the
+ * same algorithm in `src/number-format.js`, with the units of
+ * get_unit_patterns().
+ */
+class Number_Formatter {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Units abbreviated by the compact formats, largest first.
+	 *
+	 * @var array<int, int>
+	 */
+	const UNITS = array( 1000000000, 1000000, 1000 );
+
+	/**
+	 * Constructor for the Number_Formatter class.
+	 */
+	protected function __construct() {}
+
+	/**
+	 * Get the supported number formats.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return array<int, string> Number format slugs.
+	 */
+	public function get_formats(): array {
+		return array( 'standard', 'compact', 'abbreviated' );
+	}
+
+	/**
+	 * Format a statistic value.
+	 *
+	 * Examples for 12,345 with one decimal:
+	 * - 'standard'    12,345.0
+	 * - 'compact'     12.3K
+	 * - 'abbreviated' 12K+
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param int|float $value    Value to format.
+	 * @param string    $format   Number format: 'standard', 'compact' or 'abbreviated'.
+	 * @param int       $decimals Number of decimals, at most for the compact format.
+	 * @return string Formatted value.
+	 */
+	public function format( $value, string $format = 'standard', int $decimals = 0 ): string {
+		switch ( $format ) {
+			case 'compact':
+				$unit   = $this->get_unit( $value );
+				$scaled = round( $value / $unit, $decimals );
+
+				// Rounding may reach the next unit, e.g. 999,960 becomes 1M instead of 1,000K
+				if ( $scaled >= 1000 && $unit < self::UNITS[0] ) {
+					$unit   = 1 === $unit ? 1000 : $unit * 1000;
+					$scaled = round( $value / $unit, $decimals );
+				}
+
+				// Like Intl.NumberFormat, don't show trailing zeros
+				while ( $decimals > 0 && (float) round( $scaled, $decimals - 1 ) === (float) $scaled ) {
+					--$decimals;
+				}
+
+				return $this->add_unit( number_format_i18n( $scaled, $decimals ), $unit );
+
+			case 'abbreviated':
+				$unit      = $this->get_unit( $value );
+				$truncated = floor( $value / $unit );
+				$formatted = $this->add_unit( number_format_i18n( $truncated ), $unit );
+
+				// Mark values that were cut off, e.g. 12,345 as 12K+
+				return $truncated * $unit < $value ? $formatted . '+' : $formatted;
+
+			default:
+				return number_format_i18n( $value, $decimals );
+		}
+	}
+
+	/**
+	 * Get the largest unit that fits into a value.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param int|float $value Value to abbreviate.
+	 * @return int Unit, 1 for values below a thousand.
+	 */
+	protected function get_unit( $value ): int {
+		foreach ( self::UNITS as $unit ) {
+			if ( $value >= $unit ) {
+				return $unit;
+			}
+		}
+
+		return 1;
+	}
+
+	/**
+	 * Get the abbreviations of the units.
+	 *
+	 * Passed to the scripts formatting numbers in the browser, so they use the
+	 * same translations.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return array<int, string> Abbreviations by unit, `%s` is the number of units.
+	 */
+	public function get_unit_patterns(): array {
+		return array(
+			/* translators: %s: Number of billions */
+			1000000000 => _x( '%sB', 'number abbreviation', 'gatherpress-statistics' ),
+			/* translators: %s: Number of millions */
+			1000000    => _x( '%sM', 'number abbreviation', 'gatherpress-statistics' ),
+			/* translators: %s: Number of thousands */
+			1000       => _x( '%sK', 'number abbreviation', 'gatherpress-statistics' ),
+		);
+	}
+
+	/**
+	 * Append the abbreviation of a unit to a number.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $number Formatted number of units.
+	 * @param int    $unit   Unit of the number.
+	 * @return string Number with its unit.
+	 */
+	protected function add_unit( string $number, int $unit ): string {
+		$patterns = $this->get_unit_patterns();
+
+		return isset( $patterns[ $unit ] ) ? sprintf( $patterns[ $unit ], $number ) : $number;
+	}
+}
@@ -0,0 +1,412 @@
+<?php
+/**
+ * Selects plural forms of labels.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics;
+
+// Exit if accessed directly.
+defined( 'ABSPATH' ) || exit; // @codeCoverageIgnore
+
+use GatherPress\Core\Traits\Singleton;
+
+/**
+ * Class Plural_Rules.
+ *
+ * Chooses the CLDR plural category ('zero', 'one', 'two', 'few', 'many' or
+ * 'other') of a number, so labels read correctly in languages with several
+ * plural forms, e.g. "1 wydarzenie", "3 wydarzenia", "5 wydarzeń" in Polish.
+ * The editor and live mode use `Intl.PluralRules` for the same purpose, see
+ * `src/plural-label.js`.
+ *
+ * @see https://www.unicode.org/cldr/charts/latest/supplemental/language_plural_rules.html
+ */
+class Plural_Rules {
+	/**
+	 * Enforces a single instance of this class.
+	 */
+	use Singleton;
+
+	/**
+	 * Plural rule of each language, keyed by language or locale code.
+	 *
+	 * Languages without an entry only know the 'other' category, e.g.
+	 * Japanese or Chinese.
+	 *
+	 * @var array<string, string>
+	 */
+	const LANGUAGES = array(
+		'af'    => 'one_n',
+		'am'    => 'one_i0_n1',
+		'ar'    => 'ar',
+		'az'    => 'one_n',
+		'be'    => 'be',
+		'bg'    => 'one_n',
+		'bn'    => 'one_i0_n1',
+		'bs'    => 'hr',
+		'ca'    => 'ca',
+		'cs'    => 'cs',
+		'cy'    => 'cy',
+		'da'    => 'da',
+		'de'    => 'one_i1_v0',
+		'el'    => 'one_n',
+		'en'    => 'one_i1_v0',
+		'eo'    => 'one_n',
+		'es'    => 'es',
+		'et'    => 'one_i1_v0',
+		'eu'    => 'one_n',
+		'fa'    => 'one_i0_n1',
+		'fi'    => 'one_i1_v0',
+		'fr'    => 'fr',
+		'ga'    => 'ga',
+		'gl'    => 'one_i1_v0',
+		'gu'    => 'one_i0_n1',
+		'he'    => 'he',
+		'hi'    => 'one_i0_n1',
+		'hr'    => 'hr',
+		'hu'    => 'one_n',
+		'hy'    => 'one_i01',
+		'it'    => 'ca',
+		'ka'    => 'one_n',
+		'kk'    => 'one_n',
+		'kn'    => 'one_i0_n1',
+		'lt'    => 'lt',
+		'lv'    => 'lv',
+		'mk'    => 'mk',
+		'ml'    => 'one_n',
+		'mr'    => 'one_n',
+		'nb'    => 'one_n',
+		'ne'    => 'one_n',
+		'nl'    => 'one_i1_v0',
+		'nn'    => 'one_n',
+		'pl'    => 'pl',
+		'ps'    => 'one_n',
+		'pt'    => 'pt',
+		'pt_pt' => 'pt_pt',
+		'ro'    => 'ro',
+		'ru'    => 'ru',
+		'sk'    => 'cs',
+		'sl'    => 'sl',
+		'sq'    => 'one_n',
+		'sr'    => 'hr',
+		'sv'    => 'one_i1_v0',
+		'sw'    => 'one_i1_v0',
+		'ta'    => 'one_n',
+		'te'    => 'one_n',
+		'tr'    => 'one_n',
+		'uk'    => 'ru',
+		'ur'    => 'one_i1_v0',
+		'uz'    => 'one_n',
+	);
+
+	/**
+	 * Constructor for the Plural_Rules class.
+	 */
+	protected function __construct() {}
+
+	/**
+	 * Get the plural category of a number.
+	 *
+	 * Like `Intl.PluralRules` with a fixed number of fraction digits, the
+	 * decimals count: in English, "1 event" but "1.0 events".
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param int|float $number   Number to get the category of.
+	 * @param int       $decimals Number of decimals the number is displayed with.
+	 * @param string    $locale   Locale, defaults to the site's locale.
+	 * @return string Plural category: 'zero', 'one', 'two', 'few', 'many' or 'other'.
+	 */
+	public function get_category( $number, int $decimals = 0, string $locale = '' ): string {
+		$rule = $this->get_rule( '' !== $locale ? $locale : get_locale() );
+
+		if ( '' === $rule ) {
+			return 'other';
+		}
+
+		return $this->select( $rule, $this->get_operands( $number, $decimals ) );
+	}
+
+	/**
+	 * Pick the label for a number from its plural forms.
+	 *
+	 * The singular and plural labels stand for the 'one' and 'other'
+	 * categories. Categories without a label of their own fall back to the
+	 * plural label.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param array<string, string> $forms    Labels keyed by plural category, including 'one' and 'other'.
+	 * @param int|float             $number   Number the label belongs to.
+	 * @param int                   $decimals Number of decimals the number is displayed with.
+	 * @return string Label.
+	 */
+	public function get_label( array $forms, $number, int $decimals = 0 ): string {
+		$category = $this->get_category( $number, $decimals );
+
+		if ( ! empty( $forms[ $category ] ) ) {
+			return (string) $forms[ $category ];
+		}
+
+		return isset( $forms['other'] ) ? (string) $forms['other'] : '';
+	}
+
+	/**
+	 * Get the plural rule of a locale.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $locale Locale, e.g. 'pl_PL' or 'pt_PT'.
+	 * @return string Rule name, empty for languages without plural forms.
+	 */
+	protected function get_rule( string $locale ): string {
+		$locale   = strtolower( str_replace( '-', '_', $locale ) );
+		$parts    = explode( '_', $locale );
+		$region   = isset( $parts[1] ) ? $parts[0] . '_' . $parts[1] : '';
+		$language = $parts[0];
+
+		if ( '' !== $region && isset( self::LANGUAGES[ $region ] ) ) {
+			return self::LANGUAGES[ $region ];
+		}
+
+		return isset( self::LANGUAGES[ $language ] ) ? self::LANGUAGES[ $language ] : '';
+	}
+
+	/**
+	 * Get the CLDR operands of a number.
+	 *
+	 * @see https://unicode.org/reports/tr35/tr35-numbers.html#Operands
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param int|float $number   Number.
+	 * @param int       $decimals Number of visible decimals.
+	 * @return array{n: float, i: int, v: int, f: int, t: int} Absolute value, integer digits, number of visible fraction digits, visible fraction digits with and without trailing zeros.
+	 */
+	protected function get_operands( $number, int $decimals ): array {
+		$formatted = number_format( abs( (float) $number ), max( 0, $decimals ), '.', '' );
+		$parts     = explode( '.', $formatted );
+		$fraction  = isset( $parts[1] ) ? $parts[1] : '';
+		$trimmed   = rtrim( $fraction, '0' );
+
+		return array(
+			'n' => (float) $formatted,
+			'i' => (int) $parts[0],
+			'v' => strlen( $fraction ),
+			'f' => '' !== $fraction ? (int) $fraction : 0,
+			't' => '' !== $trimmed ? (int) $trimmed : 0,
+		);
+	}
+
+	/**
+	 * Whether a value is a whole number within a range, like CLDR's "x = a..b".
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param int|float $value Value to check.
+	 * @param int       $from  Lower bound.
+	 * @param int       $to    Upper bound.
+	 * @return bool True if in range.
+	 */
+	protected function in_range( $value, int $from, int $to ): bool {
+		return floor( $value ) === (float) $value && $value >= $from && $value <= $to;
+	}
+
+	/**
+	 * Apply a plural rule to the operands of a number.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string                                        $rule Rule name.
+	 * @param array{n: float, i: int, v: int, f: int, t: int} $o    Operands.
+	 * @return string Plural category.
+	 */
+	protected function select( string $rule, array $o ): string {
+		$n = $o['n'];
+		$i = $o['i'];
+		$v = $o['v'];
+		$f = $o['f'];
+
+		// French, Spanish, Italian, Catalan and Portuguese use 'many' for whole millions
+		$is_million = 0 !== $i && 0 === $i % 1000000 && 0 === $v;
+
+		switch ( $rule ) {
+			case 'one_n':
+				return 1.0 === $n ? 'one' : 'other';
+
+			case 'one_i1_v0':
+				return 1 === $i && 0 === $v ? 'one' : 'other';
+
+			case 'one_i0_n1':
+				return 0 === $i || 1.0 === $n ? 'one' : 'other';
+
+			case 'one_i01':
+				return $i <= 1 ? 'one' : 'other';
+
+			case 'da':
+				return 1.0 === $n || ( 0 !== $o['t'] && $i <= 1 ) ? 'one' : 'other';
+
+			case 'fr':
+			case 'pt':
+				if ( $i <= 1 ) {
+					return 'one';
+				}
+				return $is_million ? 'many' : 'other';
+
+			case 'pt_pt':
+			case 'ca':
+				if ( 1 === $i && 0 === $v ) {
+					return 'one';
+				}
+				return $is_million ? 'many' : 'other';
+
+			case 'es':
+				if ( 1.0 === $n ) {
+					return 'one';
+				}
+				return $is_million ? 'many' : 'other';
+
+			case 'pl':
+				if ( 1 === $i && 0 === $v ) {
+					return 'one';
+				}
+				if ( 0 === $v && $this->in_range( $i % 10, 2, 4 ) && ! $this->in_range( $i % 100, 12, 14 ) ) {
+					return 'few';
+				}
+				return 0 === $v ? 'many' : 'other';
+
+			case 'ru':
+				if ( 0 !== $v ) {
+					return 'other';
+				}
+				if ( 1 === $i % 10 && 11 !== $i % 100 ) {
+					return 'one';
+				}
+				if ( $this->in_range( $i % 10, 2, 4 ) && ! $this->in_range( $i % 100, 12, 14 ) ) {
+					return 'few';
+				}
+				return 'many';
+
+			case 'be':
+				if ( 1.0 === fmod( $n, 10 ) && 11.0 !== fmod( $n, 100 ) ) {
+					return 'one';
+				}
+				if ( $this->in_range( fmod( $n, 10 ), 2, 4 ) && ! $this->in_range( fmod( $n, 100 ), 12, 14 ) ) {
+					return 'few';
+				}
+				if ( 0.0 === fmod( $n, 10 ) || $this->in_range( fmod( $n, 10 ), 5, 9 ) || $this->in_range( fmod( $n, 100 ), 11, 14 ) ) {
+					return 'many';
+				}
+				return 'other';
+
+			case 'cs':
+				if ( 0 !== $v ) {
+					return 'many';
+				}
+				if ( 1 === $i ) {
+					return 'one';
+				}
+				return $this->in_range( $i, 2, 4 ) ? 'few' : 'other';
+
+			case 'hr':
+				if ( ( 0 === $v && 1 === $i % 10 && 11 !== $i % 100 ) || ( 1 === $f % 10 && 11 !== $f % 100 ) ) {
+					return 'one';
+				}
+				if ( ( 0 === $v && $this->in_range( $i % 10, 2, 4 ) && ! $this->in_range( $i % 100, 12, 14 ) )
+					|| ( $this->in_range( $f % 10, 2, 4 ) && ! $this->in_range( $f % 100, 12, 14 ) ) ) {
+					return 'few';
+				}
+				return 'other';
+
+			case 'mk':
+				return ( 0 === $v && 1 === $i % 10 && 11 !== $i % 100 ) || ( 1 === $f % 10 && 11 !== $f % 100 ) ? 'one' : 'other';
+
+			case 'sl':
+				if ( 0 !== $v ) {
+					return 'few';
+				}
+				if ( 1 === $i % 100 ) {
+					return 'one';
+				}
+				if ( 2 === $i % 100 ) {
+					return 'two';
+				}
+				return $this->in_range( $i % 100, 3, 4 ) ? 'few' : 'other';
+
+			case 'lt':
+				if ( 0 !== $f ) {
+					return 'many';
+				}
+				if ( 1.0 === fmod( $n, 10 ) && ! $this->in_range( fmod( $n, 100 ), 11, 19 ) ) {
+					return 'one';
+				}
+				if ( $this->in_range( fmod( $n, 10 ), 2, 9 ) && ! $this->in_range( fmod( $n, 100 ), 11, 19 ) ) {
+					return 'few';
+				}
+				return 'other';
+
+			case 'lv':
+				if ( 0.0 === fmod( $n, 10 ) || $this->in_range( fmod( $n, 100 ), 11, 19 ) || ( 2 === $v && $this->in_range( $f % 100, 11, 19 ) ) ) {
+					return 'zero';
+				}
+				if ( ( 1.0 === fmod( $n, 10 ) && 11.0 !== fmod( $n, 100 ) ) || ( 2 === $v && 1 === $f % 10 && 11 !== $f % 100 ) || ( 2 !== $v && 1 === $f % 10 ) ) {
+					return 'one';
+				}
+				return 'other';
+
+			case 'ro':
+				if ( 1 === $i && 0 === $v ) {
+					return 'one';
+				}
+				return 0 !== $v || 0.0 === $n || $this->in_range( fmod( $n, 100 ), 1, 19 ) ? 'few' : 'other';
+
+			case 'he':
+				if ( ( 1 === $i && 0 === $v ) || ( 0 === $i && 0 !== $v ) ) {
+					return 'one';
+				}
+				return 2 === $i && 0 === $v ? 'two' : 'other';
+
+			case 'ga':
+				if ( 1.0 === $n ) {
+					return 'one';
+				}
+				if ( 2.0 === $n ) {
+					return 'two';
+				}
+				if ( $this->in_range( $n, 3, 6 ) ) {
+					return 'few';
+				}
+				return $this->in_range( $n, 7, 10 ) ? 'many' : 'other';
+
+			case 'cy':
+				$categories = array(
+					0 => 'zero',
+					1 => 'one',
+					2 => 'two',
+					3 => 'few',
+					6 => 'many',
+				);
+				return floor( $n ) === $n && isset( $categories[ (int) $n ] ) ? $categories[ (int) $n ] : 'other';
+
+			case 'ar':
+				if ( 0.0 === $n ) {
+					return 'zero';
+				}
+				if ( 1.0 === $n ) {
+					return 'one';
+				}
+				if ( 2.0 === $n ) {
+					return 'two';
+				}
+				if ( $this->in_range( fmod( $n, 100 ), 3, 10 ) ) {
+					return 'few';
+				}
+				return $this->in_range( fmod( $n, 100 ), 11, 99 ) ? 'many' : 'other';
+
+			default:
+				return 'other';
+		}
+	}
+}
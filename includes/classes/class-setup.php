@@ -23,6 +23,27 @@ class Setup {
 	 */
 	use Singleton;
 
+	/**
+	 * Longest 'last_months' date range, in months.
+	 *
+	 * @var int
+	 */
+	const MAX_DATE_RANGE_MONTHS = 120;
+
+	/**
+	 * Calculations of the running cache pre-generation, logged all at once.
+	 *
+	 * @var array<string, int>|null Unix timestamps keyed by cache key, null while not pre-generating.
+	 */
+	protected $pending_log = null;
+
+	/**
+	 * Cache keys of the pre-generated configurations, built once per request.
+	 *
+	 * @var array<string, bool>|null Cache keys as array keys, null until needed.
+	 */
+	protected $common_cache_keys = null;
+
 	/**
 	 * Constructor for the Setup class.
 	 *
@@ -45,6 +66,7 @@ class Setup {
 		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 		add_action( 'gatherpress_statistics_regenerate_cache', array( $this, 'pregenerate_cache' ) );
 		add_action( 'transition_post_status', array( $this, 'clear_cache_on_status_change' ), 10, 3 );
+		add_action( 'post_updated', array( $this, 'clear_cache_on_author_change' ), 10, 3 );
 		add_action( 'updated_post_meta', array( $this, 'clear_cache_on_meta_update' ), 10, 3 );
 		add_action( 'added_post_meta', array( $this, 'clear_cache_on_meta_update' ), 10, 3 );
 		add_action( 'deleted_post_meta', array( $this, 'clear_cache_on_meta_delete' ), 10, 3 );
@@ -52,6 +74,10 @@ class Setup {
 		add_action( 'edit_term', array( $this, 'clear_cache_on_term_change' ), 10, 3 );
 		add_action( 'delete_term', array( $this, 'clear_cache_on_term_change' ), 10, 3 );
 		add_action( 'set_object_terms', array( $this, 'clear_cache_on_term_relationship' ), 10, 3 );
+		add_action( 'add_option_gatherpress_statistics_support', array( $this, 'clear_network_cache' ) );
+		add_action( 'update_option_gatherpress_statistics_support', array( $this, 'clear_network_cache' ) );
+		add_action( 'add_option_gatherpress_statistics_sharing', array( $this, 'clear_network_cache' ) );
+		add_action( 'update_option_gatherpress_statistics_sharing', array( $this, 'clear_network_cache' ) );
 	}
 
     /**
@@ -83,6 +109,7 @@ class Setup {
             'total_taxonomy_terms'        => false,
             'taxonomy_terms_by_taxonomy'  => false,
             'total_attendees'             => true,
+            'top_terms'                   => false,
         );
         
         /**
@@ -97,14 +124,49 @@ class Setup {
         $config = apply_filters( 'gatherpress_statistics_support_config', $default_config );
         
         add_post_type_support( 'gatherpress_event', 'gatherpress_statistics', $config );
+
+		// Other sites of a network can't run this site's filters, so they read the configuration from its options
+		if ( is_multisite() && get_option( 'gatherpress_statistics_support' ) !== $config ) {
+			update_option( 'gatherpress_statistics_support', $config );
+		}
+
+		// Likewise, other sites leave this site out of their statistics if it keeps its numbers private
+		if ( is_multisite() ) {
+			/** This filter is documented in includes/classes/class-setup.php */
+			$public_api = (bool) apply_filters( 'gatherpress_statistics_public_api', true );
+
+			/**
+			 * Filter whether this site counts towards network-wide statistics.
+			 *
+			 * Network-wide statistics are shown to anybody, so sites without the
+			 * public REST API are left out by default.
+			 *
+			 * Example usage to keep a site out of network-wide statistics:
+			 *
+			 * ```php
+			 * add_filter( 'gatherpress_statistics_network_sharing', '__return_false' );
+			 * ```
+			 *
+			 * @since 0.1.0
+			 *
+			 * @param bool $shared Whether other sites may count this site. Default whether the public API is available.
+			 */
+			$sharing = array(
+				'network' => (bool) apply_filters( 'gatherpress_statistics_network_sharing', $public_api ),
+			);
+
+			if ( get_option( 'gatherpress_statistics_sharing' ) !== $sharing ) {
+				update_option( 'gatherpress_statistics_sharing', $sharing );
+			}
+		}
 	}
 
     /**
      * Registers the block using the metadata loaded from the `block.json` file.
      *
      * This function is hooked to the 'init' action and registers the GatherPress
-     * Statistics block with WordPress. The block metadata is loaded from the
-     * compiled build directory.
+     * Statistics block and the Statistics Group block with WordPress. The block
+     * metadata is loaded from the compiled build directory.
      *
      * @since 0.1.0
      *
@@ -112,6 +174,7 @@ class Setup {
      */
 	public function block_init(): void {
 		register_block_type( GATHERPRESS_STATISTICS_CORE_PATH . '/build/' );
+		register_block_type( GATHERPRESS_STATISTICS_CORE_PATH . '/build/statistics-group/' );
 	}
 
 	/**
@@ -147,6 +210,284 @@ class Setup {
 				},
 			)
 		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/sites',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_sites_endpoint' ),
+				'permission_callback' => function (): bool {
+					return current_user_can( 'edit_posts' );
+				},
+			)
+		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/meta-keys',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_meta_keys_endpoint' ),
+				'permission_callback' => function (): bool {
+					return current_user_can( 'edit_posts' );
+				},
+			)
+		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/terms',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_terms_endpoint' ),
+				'permission_callback' => function (): bool {
+					return current_user_can( 'edit_posts' );
+				},
+				'args'                => array(
+					'taxonomy' => array(
+						'description' => __( 'Taxonomy to list the terms of.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'required'    => true,
+					),
+					'search'   => array(
+						'description' => __( 'Only list terms whose name contains this text.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'default'     => '',
+					),
+					'page'     => array(
+						'description' => __( 'Page of terms to list.', 'gatherpress-statistics' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+						'default'     => 1,
+					),
+					'per_page' => array(
+						'description' => __( 'Number of terms per page.', 'gatherpress-statistics' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+						'maximum'     => 100,
+						'default'     => 20,
+					),
+				),
+			)
+		);
+
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/value',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_value_endpoint' ),
+				'permission_callback' => function (): bool {
+					return current_user_can( 'edit_posts' );
+				},
+				'args'                => array(
+					'attributes' => array(
+						'description' => __( 'Block attributes to calculate the statistic for.', 'gatherpress-statistics' ),
+						'type'        => 'object',
+						'default'     => array(),
+					),
+				),
+			)
+		);
+
+		// Public, as it only serves configurations signed by render.php
+		\register_rest_route(
+			'gatherpress-statistics/v1',
+			'/live',
+			array(
+				'methods'             => 'GET',
+				'callback'            => array( $this, 'get_live_value_endpoint' ),
+				'permission_callback' => '__return_true',
+				'args'                => array(
+					'type'      => array(
+						'description' => __( 'Statistic type.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'required'    => true,
+					),
+					'filters'   => array(
+						'description' => __( 'JSON encoded filters, as rendered by the block.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'required'    => true,
+					),
+					'signature' => array(
+						'description' => __( 'Signature of statistic type and filters.', 'gatherpress-statistics' ),
+						'type'        => 'string',
+						'required'    => true,
+					),
+				),
+			)
+		);
+
+        /**
+         * Filter whether the public, read-only statistics REST API is available.
+         *
+         * Example usage to turn it off:
+         *
+         * ```php
+         * add_filter( 'gatherpress_statistics_public_api', '__return_false' );
+         * ```
+         *
+         * @since 0.1.0
+         *
+         * @param bool $enabled Whether the public API is available. Default true.
+         */
+		if ( apply_filters( 'gatherpress_statistics_public_api', true ) ) {
+			\register_rest_route(
+				'gatherpress-statistics/v1',
+				'/statistics',
+				array(
+					'methods'             => 'GET',
+					'callback'            => array( $this, 'get_statistics_endpoint' ),
+					'permission_callback' => '__return_true',
+					'args'                => array(
+						'type'              => array(
+							'description' => __( 'Statistic type.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'required'    => true,
+						),
+						'event_query'       => array(
+							'description' => __( 'Events to count.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'enum'        => array( 'upcoming', 'past', 'all' ),
+							'default'     => 'past',
+						),
+						'date_range'        => array(
+							'description' => __( 'Date range of the event start.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'enum'        => array( '', 'this_year', 'last_year', 'last_months', 'custom' ),
+							'default'     => '',
+						),
+						'date_range_months' => array(
+							'description' => __( 'Number of months for the "last_months" date range.', 'gatherpress-statistics' ),
+							'type'        => 'integer',
+							'minimum'     => 1,
+							'maximum'     => self::MAX_DATE_RANGE_MONTHS,
+							'default'     => 12,
+						),
+						'date_from'         => array(
+							'description' => __( 'Start of the "custom" date range (Y-m-d).', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'pattern'     => '^\\d{4}-\\d{2}-\\d{2}$',
+						),
+						'date_to'           => array(
+							'description' => __( 'End of the "custom" date range (Y-m-d).', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'pattern'     => '^\\d{4}-\\d{2}-\\d{2}$',
+						),
+						'taxonomy'          => array(
+							'description' => __( 'Taxonomy of the term to count events for.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'default'     => '',
+						),
+						'term'              => array(
+							'description' => __( 'ID of the term to filter by.', 'gatherpress-statistics' ),
+							'type'        => 'integer',
+							'minimum'     => 0,
+							'default'     => 0,
+						),
+						'count_taxonomy'    => array(
+							'description' => __( 'Taxonomy whose terms are counted.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'default'     => '',
+						),
+						'filter_taxonomy'   => array(
+							'description' => __( 'Taxonomy of the term to filter by.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'default'     => '',
+						),
+						'taxonomy_terms'    => array(
+							'description'          => __( 'Term IDs keyed by taxonomy, for events matching terms of multiple taxonomies.', 'gatherpress-statistics' ),
+							'type'                 => 'object',
+							'additionalProperties' => array(
+								'type'  => 'array',
+								'items' => array( 'type' => 'integer' ),
+							),
+							'default'              => array(),
+						),
+						'taxonomy_relation' => array(
+							'description' => __( 'Whether events must match the terms of all or any of the taxonomies in taxonomy_terms.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'enum'        => array( 'AND', 'OR' ),
+							'default'     => 'AND',
+						),
+						'taxonomy_operators' => array(
+							'description'          => __( 'How the terms of each taxonomy in taxonomy_terms are matched, keyed by taxonomy.', 'gatherpress-statistics' ),
+							'type'                 => 'object',
+							'additionalProperties' => array(
+								'type' => 'string',
+								'enum' => array( 'IN', 'AND', 'NOT IN' ),
+							),
+							'default'              => array(),
+						),
+						'include_children'  => array(
+							'description'          => __( 'Whether child terms of hierarchical taxonomies in taxonomy_terms match as well, keyed by taxonomy.', 'gatherpress-statistics' ),
+							'type'                 => 'object',
+							'additionalProperties' => array( 'type' => 'boolean' ),
+							'default'              => array(),
+						),
+						'aggregation'       => array(
+							'description' => __( 'How to combine the attendees of all events.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'enum'        => $this->get_aggregations(),
+							'default'     => 'sum',
+						),
+						'metric'            => array(
+							'description' => __( 'What the terms of a leaderboard are ranked by.', 'gatherpress-statistics' ),
+							'type'        => 'string',
+							'enum'        => array( 'events', 'attendees' ),
+							'default'     => 'events',
+						),
+						'length'            => array(
+							'description' => __( 'Number of terms of a leaderboard.', 'gatherpress-statistics' ),
+							'type'        => 'integer',
+							'minimum'     => 1,
+							'maximum'     => 25,
+							'default'     => 5,
+						),
+						'network'           => array(
+							'description' => __( 'Whether to aggregate the statistic across the sites of the network.', 'gatherpress-statistics' ),
+							'type'        => 'boolean',
+							'default'     => false,
+						),
+						'sites'             => array(
+							'description' => __( 'IDs of the sites to aggregate the statistic across, all sites of the network if empty.', 'gatherpress-statistics' ),
+							'type'        => 'array',
+							'items'       => array( 'type' => 'integer' ),
+							'default'     => array(),
+						),
+						'author'            => array(
+							'description' => __( 'ID of the user organising the events.', 'gatherpress-statistics' ),
+							'type'        => 'integer',
+							'minimum'     => 0,
+							'default'     => 0,
+						),
+						'meta'              => array(
+							'description' => __( 'Post meta conditions events must all match.', 'gatherpress-statistics' ),
+							'type'        => 'array',
+							'items'       => array(
+								'type'       => 'object',
+								'properties' => array(
+									'key'     => array(
+										'type'     => 'string',
+										'required' => true,
+									),
+									'compare' => array(
+										'type'    => 'string',
+										'enum'    => $this->get_meta_compare_operators(),
+										'default' => '=',
+									),
+									'value'   => array(
+										'type' => 'string',
+									),
+								),
+							),
+							'default'     => array(),
+						),
+					),
+				)
+			);
+		}
 	}
 
     /**
@@ -170,8 +511,9 @@ class Setup {
 		foreach ( $taxonomies as $taxonomy ) {
 			if ( isset( $taxonomy->name ) && isset( $taxonomy->labels->name ) ) {
 				$formatted_taxonomies[] = array(
-					'slug' => $taxonomy->name,
-					'name' => $taxonomy->labels->name,
+					'slug'         => $taxonomy->name,
+					'name'         => $taxonomy->labels->name,
+					'hierarchical' => (bool) $taxonomy->hierarchical,
 				);
 			}
 		}
@@ -180,1085 +522,3394 @@ class Setup {
 	}
 
 	/**
-	 * REST API endpoint to get supported statistic types.
+	 * REST API endpoint to get the sites statistics may be aggregated across.
 	 *
 	 * @since 0.1.0
 	 *
-	 * @return \WP_REST_Response List of supported statistic types.
+	 * @return \WP_REST_Response List of sites with their ID, name and URL, empty if this is no multisite.
 	 */
-	public function get_supported_types_endpoint(): \WP_REST_Response {
-		$supported_types = $this->get_supported_statistic_types();
-		
-		return new \WP_REST_Response( $supported_types, 200 );
-	}
-
-    /**
-     * Clear cache when event post status changes to or from 'publish'.
-     *
-     * Hooked to 'transition_post_status' action. This is more precise than
-     * 'save_post' as it only triggers when the post status actually changes.
-     * Clears all statistics caches whenever a supported post type event is published
-     * or unpublished. The actual regeneration happens 60 seconds later via cron.
-     *
-     * Examples of status transitions that trigger cache clearing:
-     * - draft → publish (new event published)
-     * - publish → draft (event unpublished)
-     * - publish → trash (event deleted)
-     * - trash → publish (event restored)
-     * - pending → publish (event approved)
-     *
-     * @since 0.1.0
-     *
-     * @param string   $new_status New post status.
-     * @param string   $old_status Old post status.
-     * @param \WP_Post $post       Post object.
-     * @return void
-     */
-	public function clear_cache_on_status_change( string $new_status, string $old_status, $post ): void {
-		if ( ! is_object( $post ) || ! isset( $post->post_type ) ) {
-			return;
-		}
-		
-		if ( ! post_type_supports( $post->post_type, 'gatherpress_statistics' ) ) {
-			return;
+	public function get_sites_endpoint(): \WP_REST_Response {
+		$sites = array();
+		foreach ( $this->get_network_sites() as $site ) {
+			$sites[] = array(
+				'id'   => (int) $site->blog_id,
+				'name' => (string) $site->blogname,
+				'url'  => (string) $site->home,
+			);
 		}
-		
-        // Only clear cache if status is changing to or from 'publish'
-        // This catches: publish→anything or anything→publish
-        if ( 'publish' === $new_status || 'publish' === $old_status ) {
-            // Only clear if status actually changed
-            if ( $new_status !== $old_status ) {
-                $this->clear_cache();
-            }
-        }
-	}
 
-    /**
-     * Clear cache when attendee count post meta is updated.
-     *
-     * Hooked to post meta update actions. Clears all statistics caches when the
-     * 'gatherpress_attendees_count' meta field is added or updated for posts 
-     * from supported post types.
-     * The actual regeneration happens 60 seconds later via cron.
-     *
-     * @since 0.1.0
-     *
-     * @param int    $meta_id  ID of updated metadata entry.
-     * @param int    $post_id  Post ID.
-     * @param string $meta_key Meta key that was updated.
-     * @return void
-     */
-	public function clear_cache_on_meta_update( int $meta_id, int $post_id, string $meta_key ): void {
-		if ( 'gatherpress_attendees_count' === $meta_key && $this->is_supported_post( $post_id ) ) {
-			$this->clear_cache();
-		}
+		return new \WP_REST_Response( $sites, 200 );
 	}
 
-    /**
-     * Clear cache when attendee count post meta is deleted.
-     *
-     * The deleted_post_meta hook passes parameters differently - the first parameter
-     * is an array of meta IDs when bulk deleting. We need to handle this special case.
-     *
-     * @since 0.1.0
-     *
-     * @param array<int>|int $meta_ids Meta ID or array of meta IDs being deleted.
-     * @param int            $post_id  Post ID.
-     * @param string         $meta_key Meta key that was deleted.
-     * @return void
-     */
-	public function clear_cache_on_meta_delete( $meta_ids, int $post_id, string $meta_key ): void {
-		if ( 'gatherpress_attendees_count' === $meta_key && $this->is_supported_post( $post_id ) ) {
-			$this->clear_cache();
+	/**
+	 * REST API endpoint to get the post meta keys events may be filtered by.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @return \WP_REST_Response List of meta keys with their labels and allowed comparisons.
+	 */
+	public function get_meta_keys_endpoint(): \WP_REST_Response {
+		$meta_keys = array();
+		foreach ( $this->get_allowed_meta_keys() as $key => $label ) {
+			$meta_keys[] = array(
+				'key'       => (string) $key,
+				'label'     => (string) $label,
+				'operators' => $this->get_meta_key_operators( (string) $key ),
+			);
 		}
+
+		return new \WP_REST_Response( $meta_keys, 200 );
 	}
 
-    /**
-     * Clear cache when taxonomy terms are modified.
-     *
-     * Hooked to term creation, editing, and deletion actions. Clears all statistics
-     * caches when terms in any supported taxonomy are changed, but only if at least
-     * one statistic type that depends on term data is currently supported.
-     * The actual regeneration happens 60 seconds later via cron.
-     *
-     * This function respects the exclusion filter - if a taxonomy is excluded,
-     * changes to its terms won't trigger cache clearing.
-     *
-     * This function also checks if any term-dependent statistic types are supported
-     * before clearing cache. If none are supported (e.g., only total_events and
-     * total_attendees are enabled), term changes won't trigger cache clearing.
-     *
-     * @since 0.1.0
-     *
-     * @param int    $term_id  Term ID.
-     * @param int    $tt_id    Term taxonomy ID.
-     * @param string $taxonomy Taxonomy slug.
-     * @return void
-     */
-	public function clear_cache_on_term_change( int $term_id, int $tt_id, string $taxonomy ): void {
-		// First check if any term-dependent statistic types are supported
-        if ( ! $this->should_clear_cache_for_term_changes() ) {
-			return;
-		}
-		
-		// Get filtered taxonomies (excludes any taxonomies filtered out)
-        $supported_taxonomies = $this->get_filtered_taxonomies();
+	/**
+	 * REST API endpoint to search the terms of a taxonomy, page by page.
+	 *
+	 * Terms of hierarchical taxonomies are listed parents first, each followed
+	 * by its children, with their depth in the hierarchy. Search results are
+	 * ordered by name. Every term comes with the number of published events
+	 * assigned to it, so large taxonomies never have to be loaded at once.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request Full details about the request.
+	 * @return \WP_REST_Response|\WP_Error Terms of the page with their total number and the number of pages, or an error for taxonomies the block doesn't offer.
+	 */
+	public function get_terms_endpoint( \WP_REST_Request $request ) {
+		$taxonomy = (string) $request->get_param( 'taxonomy' );
 
-		if ( empty( $supported_taxonomies ) || ! is_array( $supported_taxonomies ) ) {
-			return;
+		if ( ! in_array( $taxonomy, $this->get_allowed_taxonomy_names(), true ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_invalid_taxonomy',
+				/* translators: %s: Taxonomy slug */
+				sprintf( __( 'The taxonomy "%s" is not available.', 'gatherpress-statistics' ), $taxonomy ),
+				array( 'status' => 400 )
+			);
 		}
 
-		// Extract taxonomy slugs from objects
-	    $taxonomy_slugs = array();
-		foreach ( $supported_taxonomies as $tax_obj ) {
-			if ( isset( $tax_obj->name ) ) {
-				$taxonomy_slugs[] = $tax_obj->name;
-			}
+		$search   = trim( (string) $request->get_param( 'search' ) );
+		$page     = max( 1, (int) $request->get_param( 'page' ) );
+		$per_page = min( 100, max( 1, (int) $request->get_param( 'per_page' ) ) );
+
+		// Depth of every term, in the order of the hierarchy
+		$depths = $this->get_term_depths( $taxonomy );
+
+		if ( '' === $search ) {
+			$total    = count( $depths );
+			$term_ids = array_slice( array_keys( $depths ), ( $page - 1 ) * $per_page, $per_page );
+		} else {
+			$matches  = get_terms(
+				array(
+					'taxonomy'   => $taxonomy,
+					'hide_empty' => false,
+					'search'     => $search,
+					'orderby'    => 'name',
+					'fields'     => 'ids',
+				)
+			);
+			$matches  = is_array( $matches ) ? array_map( 'absint', $matches ) : array();
+			$total    = count( $matches );
+			$term_ids = array_slice( $matches, ( $page - 1 ) * $per_page, $per_page );
 		}
 
-		// Only proceed if the changed term is in a supported taxonomy
-	    if ( in_array( $taxonomy, $taxonomy_slugs, true ) ) {
-			$this->clear_cache();
+		$page_terms = empty( $term_ids ) ? array() : get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+				'include'    => $term_ids,
+				'orderby'    => 'include',
+			)
+		);
+		$counts     = $this->get_term_event_counts( $taxonomy, $term_ids );
+		$terms      = array();
+
+		foreach ( is_array( $page_terms ) ? $page_terms : array() as $term ) {
+			$terms[] = array(
+				'id'     => (int) $term->term_id,
+				'name'   => $term->name,
+				'slug'   => $term->slug,
+				'parent' => (int) $term->parent,
+				'depth'  => $depths[ $term->term_id ] ?? 0,
+				'count'  => $counts[ $term->term_id ] ?? 0,
+			);
 		}
+
+		return new \WP_REST_Response(
+			array(
+				'terms' => $terms,
+				'total' => $total,
+				'pages' => (int) ceil( $total / $per_page ),
+			),
+			200
+		);
 	}
 
-    /**
-     * Clear cache when term relationships change.
-     *
-     * Hooked to 'set_object_terms' action. Clears all statistics caches when
-     * taxonomy terms are assigned to or removed from posts of supported post types.
-     * The actual regeneration happens 60 seconds later via cron.
-     *
-     * @since 0.1.0
-     *
-     * @param int                 $object_id Object ID (post ID).
-     * @param array<int, int>     $terms     An array of term IDs.
-     * @param array<int, int>     $tt_ids    An array of term taxonomy IDs.
-     * @return void
-     */
-	public function clear_cache_on_term_relationship( int $object_id, array $terms, array $tt_ids ): void {
-		// Only proceed if terms were assigned to a supported post
-        if ( $this->is_supported_post( $object_id ) ) {
-			$this->clear_cache();
-		}
-	}
+	/**
+	 * Get the depth of every term of a taxonomy in the order of its hierarchy.
+	 *
+	 * Parents come first, each followed by its children, siblings are ordered
+	 * by name. Terms of flat taxonomies all have a depth of 0.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $taxonomy Taxonomy slug.
+	 * @return array<int, int> Depths keyed by term ID, in hierarchical order.
+	 */
+	protected function get_term_depths( string $taxonomy ): array {
+		$parents = get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+				'orderby'    => 'name',
+				'fields'     => 'id=>parent',
+			)
+		);
 
-    /**
-     * Get the statistics support configuration for a post type.
-     *
-     * Retrieves the configuration array that specifies which statistic types
-     * are enabled for a given post type.
-     *
-     * @since 0.1.0
-     *
-     * @param string $post_type Post type slug.
-     * @return array<string, bool> Configuration array, or empty array if not supported.
-     */
-	protected function get_support_config( string $post_type = 'gatherpress_event' ): array {
-		if ( ! post_type_supports( $post_type, 'gatherpress_statistics' ) ) {
+		if ( ! is_array( $parents ) ) {
 			return array();
 		}
-		
-		// Get the support args (third parameter from add_post_type_support)
-	    $supports = get_all_post_type_supports( $post_type );
-		
-		if ( isset( $supports['gatherpress_statistics'] ) && is_array( $supports['gatherpress_statistics'] ) ) {
-			// Return the first element which contains our configuration
-            return reset( $supports['gatherpress_statistics'] );
+
+		// Terms whose parent is missing are shown as top level terms
+		$children = array();
+		foreach ( $parents as $term_id => $parent ) {
+			$parent                = isset( $parents[ $parent ] ) ? (int) $parent : 0;
+			$children[ $parent ][] = (int) $term_id;
 		}
-		
-		// Default configuration if none found
-	    return array(
-			'total_events'                => true,
-			'events_per_taxonomy'         => true,
-			'events_multi_taxonomy'       => true,
-			'total_taxonomy_terms'        => true,
-			'taxonomy_terms_by_taxonomy'  => true,
-			'total_attendees'             => true,
+
+		$depths = array();
+		$stack  = array_map(
+			static function ( int $term_id ): array {
+				return array( $term_id, 0 );
+			},
+			array_reverse( $children[0] ?? array() )
 		);
+
+		while ( ! empty( $stack ) ) {
+			list( $term_id, $depth ) = array_pop( $stack );
+
+			// Guard against loops in broken hierarchies
+			if ( isset( $depths[ $term_id ] ) ) {
+				continue;
+			}
+
+			$depths[ $term_id ] = $depth;
+			foreach ( array_reverse( $children[ $term_id ] ?? array() ) as $child_id ) {
+				$stack[] = array( $child_id, $depth + 1 );
+			}
+		}
+
+		return $depths;
 	}
 
 	/**
-	 * Check if a specific statistic type is supported.
+	 * Count the published events of terms.
+	 *
+	 * Unlike the term count of WordPress, only posts of the supported post
+	 * types are counted, e.g. no blog posts sharing a tag with events.
 	 *
 	 * @since 0.1.0
 	 *
-	 * @param string $statistic_type The statistic type to check.
-	 * @param string $post_type      Optional. Post type to check.
-	 * @return bool True if supported.
+	 * @global \wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @param string          $taxonomy Taxonomy slug.
+	 * @param array<int, int> $term_ids Term IDs.
+	 * @return array<int, int> Number of events keyed by term ID, terms without events are missing.
 	 */
-	protected function is_statistic_type_supported( string $statistic_type, string $post_type = 'gatherpress_event' ): bool {
-		$config = $this->get_support_config( $post_type );
-		
-		if ( empty( $config ) ) {
-			return false;
+	protected function get_term_event_counts( string $taxonomy, array $term_ids ): array {
+		global $wpdb;
+
+		$post_types = $this->get_supported_post_types();
+
+		if ( empty( $term_ids ) || empty( $post_types ) ) {
+			return array();
 		}
-		
-		return ! empty( $config[ $statistic_type ] );
+
+		$term_placeholders      = implode( ', ', array_fill( 0, count( $term_ids ), '%d' ) );
+		$post_type_placeholders = implode( ', ', array_fill( 0, count( $post_types ), '%s' ) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Placeholders are built above.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT tt.term_id, COUNT( DISTINCT p.ID ) AS events
+				FROM {$wpdb->term_taxonomy} tt
+				INNER JOIN {$wpdb->term_relationships} tr ON tr.term_taxonomy_id = tt.term_taxonomy_id
+				INNER JOIN {$wpdb->posts} p ON p.ID = tr.object_id
+				WHERE tt.taxonomy = %s
+				AND tt.term_id IN ( {$term_placeholders} )
+				AND p.post_type IN ( {$post_type_placeholders} )
+				AND p.post_status = 'publish'
+				GROUP BY tt.term_id",
+				array_merge( array( $taxonomy ), array_map( 'absint', $term_ids ), $post_types )
+			)
+		);
+
+		$counts = array();
+		foreach ( (array) $rows as $row ) {
+			$counts[ (int) $row->term_id ] = (int) $row->events;
+		}
+
+		return $counts;
 	}
 
 	/**
-	 * Get all supported statistic types for a post type.
+	 * REST API endpoint to get supported statistic types.
 	 *
 	 * @since 0.1.0
 	 *
-	 * @param string $post_type Optional. Post type to check.
-	 * @return array<int, string> Array of supported statistic type slugs.
+	 * @return \WP_REST_Response List of supported statistic types.
 	 */
-	protected function get_supported_statistic_types( string $post_type = 'gatherpress_event' ): array {
-		$config = $this->get_support_config( $post_type );
-		
-		if ( empty( $config ) ) {
-			return array();
-		}
+	public function get_supported_types_endpoint(): \WP_REST_Response {
+		$supported_types = $this->get_supported_statistic_types();
 		
-		// Filter to only enabled types
-	    $enabled_types = array();
-		foreach ( $config as $type => $enabled ) {
-			if ( $enabled ) {
-				$enabled_types[] = $type;
+		return new \WP_REST_Response( $supported_types, 200 );
+	}
+
+	/**
+	 * REST API endpoint to get the current value of a statistic.
+	 *
+	 * Resolves the given block attributes into filters exactly like the
+	 * block's render callback does and returns the (cached) value, so the
+	 * editor preview shows the number visitors will see.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request Full details about the request.
+	 * @return \WP_REST_Response Statistic value, whether its type is supported and, if configured, the comparison value, time series and leaderboard.
+	 */
+	public function get_value_endpoint( \WP_REST_Request $request ): \WP_REST_Response {
+		$attributes = $request->get_param( 'attributes' );
+		$attributes = is_array( $attributes ) ? $attributes : array();
+
+		$statistic_type = isset( $attributes['statisticType'] ) && is_string( $attributes['statisticType'] )
+			? sanitize_key( $attributes['statisticType'] )
+			: 'total_events';
+
+		$supported = $this->is_statistic_type_supported( $statistic_type );
+
+		// Resolve the term of the post being edited, if there is one
+		if ( $this->uses_current_term( $attributes ) ) {
+			$context    = ! empty( $attributes['currentPostId'] ) ? array( 'postId' => absint( $attributes['currentPostId'] ) ) : array();
+			$attributes = $this->apply_current_term( $attributes, $context );
+
+			if ( null === $attributes ) {
+				return new \WP_REST_Response(
+					array(
+						'value'     => null,
+						'supported' => $supported,
+					),
+					200
+				);
 			}
 		}
-		
-		return $enabled_types;
-	}
 
-    /**
-     * Get all post types that support gatherpress_statistics.
-     *
-     * This function retrieves all post types that have registered support for
-     * the 'gatherpress_statistics' feature. This allows the plugin to work with
-     * any post type that opts in, not just gatherpress_event.
-     *
-     * @since 0.1.0
-     *
-     * @return array<int, string> Array of post type slugs that support statistics.
-     */
-	protected function get_supported_post_types(): array {
-		$post_types = get_post_types_by_support( 'gatherpress_statistics' );
-		
-		if ( empty( $post_types ) || ! is_array( $post_types ) ) {
-			return array();
+		$filters = $this->get_filters_from_attributes( $attributes );
+
+		$response = array(
+			'value'     => $supported ? $this->get_cached( $statistic_type, $filters ) : 0,
+			'supported' => $supported,
+		);
+
+		// Add the value of the previous period, when the block compares periods
+		$comparison_filters = $this->get_comparison_filters( $filters, $attributes );
+		if ( $supported && ! empty( $comparison_filters ) ) {
+			$response['comparison'] = $this->get_cached( $statistic_type, $comparison_filters );
 		}
-		
-		return $post_types;
-	}
 
-    /**
-     * Check if any post types support gatherpress_statistics.
-     *
-     * This function verifies that at least one post type has registered support
-     * for the 'gatherpress_statistics' feature.
-     *
-     * @since 0.1.0
-     *
-     * @return bool True if at least one post type supports statistics, false otherwise.
-     */
-	protected function has_supported_post_types(): bool {
-		$post_types = $this->get_supported_post_types();
-		return ! empty( $post_types );
+		// Add the top terms, when the block displays a leaderboard
+		if ( $supported && 'top_terms' === $statistic_type ) {
+			$response['leaderboard'] = $this->get_cached_leaderboard(
+				$filters,
+				isset( $attributes['leaderboardLength'] ) ? absint( $attributes['leaderboardLength'] ) : 5
+			);
+		}
+
+		// Add the time series, when the block displays a chart
+		$display_mode = isset( $attributes['displayMode'] ) ? $attributes['displayMode'] : 'number';
+		if ( $supported && in_array( $display_mode, array( 'sparkline', 'bar' ), true ) ) {
+			$response['series'] = $this->get_cached_series(
+				$statistic_type,
+				$filters,
+				isset( $attributes['seriesInterval'] ) && is_string( $attributes['seriesInterval'] ) ? $attributes['seriesInterval'] : 'month',
+				isset( $attributes['seriesLength'] ) ? absint( $attributes['seriesLength'] ) : 12
+			);
+		}
+
+		return new \WP_REST_Response( $response, 200 );
 	}
 
-    /**
-     * Check if a specific post is supported for statistics.
-     *
-     * A post is considered supported if its post type supports
-     * 'gatherpress_statistics' and its status is 'publish'.
-     *
-     * @since 0.1.0
-     *
-     * @param int $post_id Post ID to check.
-     * @return bool True if supported, false otherwise.
-     */
-	protected function is_supported_post( int $post_id ) : bool {
-		$post = get_post( $post_id );
-		
-		return post_type_supports( $post->post_type, 'gatherpress_statistics' ) 
-			&& $post->post_status === 'publish';
+	/**
+	 * Sign a statistic configuration for the live endpoint.
+	 *
+	 * The live endpoint is public, so it must not calculate arbitrary
+	 * configurations. Only the ones rendered on the site carry a valid
+	 * signature.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $statistic_type Statistic type.
+	 * @param string $filters_json   JSON encoded filters.
+	 * @return string Signature.
+	 */
+	public function get_live_signature( string $statistic_type, string $filters_json ): string {
+		return wp_hash( 'gatherpress_statistics_live|' . $statistic_type . '|' . $filters_json );
 	}
 
-    /**
-     * Get all taxonomies registered for supported post types.
-     *
-     * Retrieves all taxonomy objects that are registered to post types supporting
-     * the 'gatherpress_statistics' feature. This allows the block to dynamically work with
-     * any taxonomies associated with supported post types.
-     *
-     * @since 0.1.0
-     *
-     * @return array<int, \WP_Taxonomy> Array of taxonomy objects, or empty array if none found.
-     */
-	protected function get_taxonomies(): array {
-		$post_types = $this->get_supported_post_types();
-		
-		if ( empty( $post_types ) ) {
-			return array();
+	/**
+	 * REST API endpoint to get the current value of a rendered statistic.
+	 *
+	 * Polled by blocks in live mode. Uses the same cache as the block, so
+	 * polling only recalculates a statistic after its cache was cleared.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param \WP_REST_Request $request Full details about the request.
+	 * @return \WP_REST_Response|\WP_Error Statistic value, or an error if the signature is invalid.
+	 */
+	public function get_live_value_endpoint( \WP_REST_Request $request ) {
+		$statistic_type = (string) $request->get_param( 'type' );
+		$filters_json   = (string) $request->get_param( 'filters' );
+		$signature      = (string) $request->get_param( 'signature' );
+
+		if ( ! hash_equals( $this->get_live_signature( $statistic_type, $filters_json ), $signature ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_invalid_signature',
+				__( 'Invalid signature.', 'gatherpress-statistics' ),
+				array( 'status' => 403 )
+			);
 		}
-		
-		$all_taxonomies = array();
-		
-		// Get taxonomies for each supported post type
-	    foreach ( $post_types as $post_type ) {
-			if ( ! post_type_exists( $post_type ) ) {
-				continue;
-			}
-			
-			$taxonomies = \get_object_taxonomies( $post_type, 'objects' );
-			
-			if ( ! empty( $taxonomies ) && is_array( $taxonomies ) ) {
-				// Merge taxonomies, avoiding duplicates by slug
-			    foreach ( $taxonomies as $taxonomy ) {
-					if ( isset( $taxonomy->name ) ) {
-						$all_taxonomies[ $taxonomy->name ] = $taxonomy;
-					}
-				}
-			}
+
+		$filters = json_decode( $filters_json, true );
+
+		if ( ! is_array( $filters ) || ! $this->is_statistic_type_supported( $statistic_type ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_invalid_statistic',
+				__( 'This statistic is not available.', 'gatherpress-statistics' ),
+				array( 'status' => 404 )
+			);
 		}
-		
-		return array_values( $all_taxonomies );
+
+		return new \WP_REST_Response(
+			array(
+				'value' => $this->get_cached( $statistic_type, $filters ),
+			),
+			200
+		);
 	}
 
     /**
-     * Get filtered taxonomies, excluding those specified by developers.
-     *
-     * This function applies the 'gatherpress_statistics_excluded_taxonomies' filter
-     * to allow developers to exclude specific taxonomies from statistics generation
-     * and block selection.
+     * REST API endpoint to get a statistic for other frontends.
      *
-     * By default, the '_gatherpress_venue' taxonomy is excluded.
+     * Accepts the same configuration as the block and returns the same cached
+     * value. Supports conditional requests with ETag, and with Last-Modified
+     * for pre-generated statistics.
      *
-     * Example usage to exclude additional taxonomies:
+     * Example request:
+     * GET /wp-json/gatherpress-statistics/v1/statistics?type=events_per_taxonomy&taxonomy=gatherpress_topic&term=12&event_query=upcoming
      *
-     * ```php
-     * add_filter( 'gatherpress_statistics_excluded_taxonomies', function( $excluded ) {
-     *     $excluded[] = 'post_tag';           // Exclude WordPress tags
-     *     $excluded[] = 'custom_event_type';  // Exclude custom taxonomy
-     *     return $excluded;
-     * } );
-     * ```
+     * Example response:
+     * { "type": "events_per_taxonomy", "filters": { "event_query": "upcoming", "term_id": 12, "taxonomy": "gatherpress_topic" }, "value": 7 }
      *
      * @since 0.1.0
      *
-     * @param bool $for_editor Optional. Whether this is for editor selection. Default false.
-     * @return array<int, \WP_Taxonomy> Array of taxonomy objects after exclusion filtering.
+     * @param \WP_REST_Request $request Full details about the request.
+     * @return \WP_REST_Response|\WP_Error Statistic value, or an error for unsupported types and taxonomies.
      */
-	protected function get_filtered_taxonomies( bool $for_editor = false ): array {
-		$taxonomies = $this->get_taxonomies();
-		
-		if ( empty( $taxonomies ) || ! is_array( $taxonomies ) ) {
-			return array();
-		}
-		
-        /**
-         * Filter the list of taxonomy slugs to exclude from statistics.
-         *
-         * This filter allows developers to exclude specific taxonomies from being
-         * used in statistics calculations and from appearing in the block editor.
-         *
-         * @since 0.1.0
-         *
-         * @param array<int, string> $excluded_taxonomies Array of taxonomy slugs to exclude.
-         * @param bool               $for_editor          Whether this is for editor selection.
-         */
-        $excluded_taxonomies = apply_filters(
-			'gatherpress_statistics_excluded_taxonomies',
-			array( '_gatherpress_venue' ),
-			$for_editor
-		);
-		
-		// Ensure excluded taxonomies is an array
-        if ( ! is_array( $excluded_taxonomies ) ) {
-			$excluded_taxonomies = array();
+	public function get_statistics_endpoint( \WP_REST_Request $request ) {
+		$statistic_type = sanitize_key( (string) $request->get_param( 'type' ) );
+
+		if ( ! $this->is_statistic_type_supported( $statistic_type ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_unsupported_type',
+				__( 'This statistic type is not supported.', 'gatherpress-statistics' ),
+				array( 'status' => 400 )
+			);
 		}
-		
-		// Filter out excluded taxonomies
-        $filtered_taxonomies = array();
+
+		// Statistics across the network would reveal other sites to anybody
+		if ( $request->get_param( 'network' ) && ! current_user_can( 'edit_posts' ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_network_forbidden',
+				__( 'Statistics across the network are only available to editors.', 'gatherpress-statistics' ),
+				array( 'status' => rest_authorization_required_code() )
+			);
+		}
+
+		$taxonomy_terms = $request->get_param( 'taxonomy_terms' );
+		$taxonomy_terms = is_array( $taxonomy_terms ) ? $taxonomy_terms : array();
+
+		// Only taxonomies the block offers may be queried
+		$allowed_taxonomies = $this->get_allowed_taxonomy_names();
+		$taxonomies         = array_merge(
+			array_filter(
+				array(
+					(string) $request->get_param( 'taxonomy' ),
+					(string) $request->get_param( 'count_taxonomy' ),
+					(string) $request->get_param( 'filter_taxonomy' ),
+				)
+			),
+			array_keys( $taxonomy_terms )
+		);
+
 		foreach ( $taxonomies as $taxonomy ) {
-			if ( ! isset( $taxonomy->name ) ) {
-				continue;
+			if ( ! in_array( $taxonomy, $allowed_taxonomies, true ) ) {
+				return new \WP_Error(
+					'gatherpress_statistics_invalid_taxonomy',
+					/* translators: %s: Taxonomy slug */
+					sprintf( __( 'The taxonomy "%s" is not available.', 'gatherpress-statistics' ), $taxonomy ),
+					array( 'status' => 400 )
+				);
 			}
-			
-			// Skip if this taxonomy is in the exclusion list
-            if ( in_array( $taxonomy->name, $excluded_taxonomies, true ) ) {
-				continue;
+		}
+
+		// Only meta keys allowed for the block may be queried
+		$meta_conditions = $request->get_param( 'meta' );
+		$meta_conditions = is_array( $meta_conditions ) ? $meta_conditions : array();
+		$meta_keys       = $this->get_allowed_meta_keys();
+
+		foreach ( $meta_conditions as $condition ) {
+			$meta_key = is_array( $condition ) && isset( $condition['key'] ) ? (string) $condition['key'] : '';
+
+			if ( ! array_key_exists( $meta_key, $meta_keys ) ) {
+				return new \WP_Error(
+					'gatherpress_statistics_invalid_meta_key',
+					/* translators: %s: Meta key */
+					sprintf( __( 'The meta key "%s" is not available.', 'gatherpress-statistics' ), $meta_key ),
+					array( 'status' => 400 )
+				);
 			}
-			
-			$filtered_taxonomies[] = $taxonomy;
 		}
-		
-		return $filtered_taxonomies;
+
+		// Fields may only be checked for existence, so their values can't be guessed
+		if ( $this->has_meta_value_comparison( $meta_conditions ) ) {
+			return new \WP_Error(
+				'gatherpress_statistics_invalid_meta_compare',
+				__( 'Meta conditions may only compare with "EXISTS" or "NOT EXISTS".', 'gatherpress-statistics' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Carry operators, child terms and relation the way the block stores them
+		$operators        = $request->get_param( 'taxonomy_operators' );
+		$include_children = $request->get_param( 'include_children' );
+		foreach ( $taxonomy_terms as $taxonomy => $term_ids ) {
+			$taxonomy_terms[ $taxonomy ] = array(
+				'terms'           => $term_ids,
+				'operator'        => is_array( $operators ) && isset( $operators[ $taxonomy ] ) ? $operators[ $taxonomy ] : 'IN',
+				'includeChildren' => ! is_array( $include_children ) || ! isset( $include_children[ $taxonomy ] ) || rest_sanitize_boolean( $include_children[ $taxonomy ] ),
+			);
+		}
+		$taxonomy_terms['relation'] = $request->get_param( 'taxonomy_relation' );
+
+		// Build the filters the same way as for the block, so both share the cache
+		$filters = $this->get_filters_from_attributes(
+			array(
+				'statisticType'         => $statistic_type,
+				'eventQuery'            => $request->get_param( 'event_query' ),
+				'dateRange'             => $request->get_param( 'date_range' ),
+				'dateRangeMonths'       => $request->get_param( 'date_range_months' ),
+				'dateFrom'              => (string) $request->get_param( 'date_from' ),
+				'dateTo'                => (string) $request->get_param( 'date_to' ),
+				'selectedTaxonomy'      => $request->get_param( 'taxonomy' ),
+				'selectedTerm'          => $request->get_param( 'term' ),
+				'countTaxonomy'         => $request->get_param( 'count_taxonomy' ),
+				'filterTaxonomy'        => $request->get_param( 'filter_taxonomy' ),
+				'selectedTaxonomyTerms' => $taxonomy_terms,
+				'aggregation'           => $request->get_param( 'aggregation' ),
+				'leaderboardMetric'     => $request->get_param( 'metric' ),
+				'metaConditions'        => $meta_conditions,
+				'eventAuthor'           => $request->get_param( 'author' ),
+				'scope'                 => $request->get_param( 'network' ) ? 'network' : 'site',
+				'networkSites'          => $request->get_param( 'sites' ),
+			)
+		);
+
+		$cache_key = $this->get_cache_key( $statistic_type, $filters );
+
+		// Visitors only get statistics the site already shows, so they can't make it calculate and cache any configuration
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			$cache_keys = array( $cache_key );
+			if ( 'top_terms' === $statistic_type ) {
+				$cache_keys[] = $this->get_config_cache_key(
+					array(
+						'type'        => $statistic_type,
+						'filters'     => $filters,
+						'leaderboard' => array( 'length' => min( 25, max( 1, (int) $request->get_param( 'length' ) ) ) ),
+					)
+				);
+			}
+
+			foreach ( $cache_keys as $key ) {
+				if ( false === $this->get_transient_value( $key, $filters ) && ! $this->is_common_cache_key( $key ) ) {
+					return new \WP_Error(
+						'gatherpress_statistics_not_cached',
+						__( 'This statistic is not available. Only statistics shown on the site or pre-generated ones can be requested.', 'gatherpress-statistics' ),
+						array( 'status' => 404 )
+					);
+				}
+			}
+		}
+
+		$value = $this->get_cached( $statistic_type, $filters );
+		$log   = $this->get_calculation_log();
+
+		$data = array(
+			'type'    => $statistic_type,
+			'filters' => $filters,
+			'value'   => $value,
+		);
+
+		// Leaderboards list their top terms along with the number of ranked terms
+		if ( 'top_terms' === $statistic_type ) {
+			$data['leaderboard'] = $this->get_cached_leaderboard( $filters, (int) $request->get_param( 'length' ) );
+		}
+
+		// Only pre-generated entries are logged, the calculation time of others is unknown
+		$last_modified = isset( $log[ $cache_key ] ) ? (int) $log[ $cache_key ] : 0;
+		$etag          = '"' . md5( $cache_key . '|' . wp_json_encode( $data ) ) . '"';
+
+		// Answer conditional requests without a body, if nothing changed
+		$if_none_match     = (string) $request->get_header( 'if_none_match' );
+		$if_modified_since = (string) $request->get_header( 'if_modified_since' );
+
+		if ( '' !== $if_none_match ) {
+			$etags        = array_map(
+				static function ( string $tag ): string {
+					return preg_replace( '#^W/#', '', trim( $tag ) );
+				},
+				explode( ',', $if_none_match )
+			);
+			$not_modified = in_array( $etag, $etags, true ) || in_array( '*', $etags, true );
+		} else {
+			$since        = '' !== $if_modified_since ? strtotime( $if_modified_since ) : false;
+			$not_modified = false !== $since && $last_modified > 0 && $since >= $last_modified;
+		}
+
+		if ( $not_modified ) {
+			$response = new \WP_REST_Response( null, 304 );
+		} else {
+			$response = new \WP_REST_Response( $data, 200 );
+		}
+
+		$response->header( 'ETag', $etag );
+		if ( $last_modified > 0 ) {
+			$response->header( 'Last-Modified', gmdate( 'D, d M Y H:i:s', $last_modified ) . ' GMT' );
+		}
+
+		return $response;
 	}
 
     /**
-     * Get cache key for a specific statistic configuration.
+     * Clear cache when event post status changes to or from 'publish'.
      *
-     * Generates a unique cache key based on the statistic type and any filters
-     * applied. This ensures that different combinations of statistics and filters
-     * are cached separately.
+     * Hooked to 'transition_post_status' action. This is more precise than
+     * 'save_post' as it only triggers when the post status actually changes.
+     * Clears all statistics caches whenever a supported post type event is published
+     * or unpublished. The actual regeneration happens 60 seconds later via cron.
      *
-     * Example cache keys:
-     * - 'gatherpress_stats_total_events_upcoming_abc123' (upcoming events)
-     * - 'gatherpress_stats_total_events_past_def456' (past events)
-     * - 'gatherpress_stats_events_per_taxonomy_upcoming_ghi789' (with taxonomy filter)
-     * - 'gatherpress_stats_total_attendees_past_jkl012' (past attendees with filters)
+     * Examples of status transitions that trigger cache clearing:
+     * - draft → publish (new event published)
+     * - publish → draft (event unpublished)
+     * - publish → trash (event deleted)
+     * - trash → publish (event restored)
+     * - pending → publish (event approved)
      *
      * @since 0.1.0
      *
-     * @param string               $statistic_type The type of statistic (e.g., 'total_events').
-     * @param array<string, mixed> $filters        Additional filters (taxonomy terms, event query, etc.).
-     * @return string Cache key suitable for use with transients.
+     * @param string   $new_status New post status.
+     * @param string   $old_status Old post status.
+     * @param \WP_Post $post       Post object.
+     * @return void
      */
-	protected function get_cache_key( string $statistic_type, array $filters = array() ): string {
-		$statistic_type = is_string( $statistic_type ) ? $statistic_type : 'total_events';
-		$filters = is_array( $filters ) ? $filters : array();
-		
-		// Start building the cache key
-        $key_parts = array( 'gatherpress_stats', $statistic_type );
-		
-		if ( ! empty( $filters['event_query'] ) && in_array( $filters['event_query'], array( 'upcoming', 'past' ), true ) ) {
-			$key_parts[] = sanitize_key( $filters['event_query'] );
+	public function clear_cache_on_status_change( string $new_status, string $old_status, $post ): void {
+		if ( ! is_object( $post ) || ! isset( $post->post_type ) ) {
+			return;
 		}
 		
-		// Add a hash of ALL filters (including event_query) to ensure uniqueness
-        if ( ! empty( $filters ) ) {
-			$key_parts[] = md5( wp_json_encode( $filters ) );
+		if ( ! post_type_supports( $post->post_type, 'gatherpress_statistics' ) ) {
+			return;
 		}
 		
-		// Join parts with underscores to create the final cache key
-        return implode( '_', $key_parts );
+        // Only clear cache if status is changing to or from 'publish'
+        // This catches: publish→anything or anything→publish
+        if ( 'publish' === $new_status || 'publish' === $old_status ) {
+            // Only clear if status actually changed
+            if ( $new_status !== $old_status ) {
+                $this->clear_cache();
+            }
+        }
 	}
 
     /**
-     * Get cache expiration time in seconds.
+     * Clear cache when the organiser of a published event changes.
      *
-     * Returns the number of seconds to cache statistics. Default is 12 hours (43200 seconds).
-     * Developers can modify this using the 'gatherpress_statistics_cache_expiration' filter.
+     * Statistics may be filtered by the post author, see get_event_query_args().
      *
-     * Example usage to set cache to 6 hours:
+     * @since 0.1.0
      *
-     * ```php
-     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
-     *     return 6 * HOUR_IN_SECONDS; // 6 hours
-     * } );
-     * ```
+     * @param int      $post_id     Post ID.
+     * @param \WP_Post $post_after  Post object after the update.
+     * @param \WP_Post $post_before Post object before the update.
+     * @return void
+     */
+	public function clear_cache_on_author_change( int $post_id, $post_after, $post_before ): void {
+		if ( ! is_object( $post_after ) || ! is_object( $post_before ) || 'publish' !== $post_after->post_status ) {
+			return;
+		}
+
+		if ( (int) $post_after->post_author !== (int) $post_before->post_author && $this->is_supported_post( $post_id ) ) {
+			$this->clear_cache();
+		}
+	}
+
+    /**
+     * Clear cache when attendee count or filterable post meta is updated.
      *
-     * Example usage to set cache to 1 hour:
+     * Hooked to post meta update actions. Clears all statistics caches when the
+     * 'gatherpress_attendees_count' meta field or a meta key allowed in meta
+     * conditions is added or updated for posts from supported post types.
+     * The actual regeneration happens 60 seconds later via cron.
      *
-     * ```php
-     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
-     *     return HOUR_IN_SECONDS; // 1 hour
-     * } );
-     * ```
+     * @since 0.1.0
      *
-     * Example usage to set cache to 24 hours:
+     * @param int    $meta_id  ID of updated metadata entry.
+     * @param int    $post_id  Post ID.
+     * @param string $meta_key Meta key that was updated.
+     * @return void
+     */
+	public function clear_cache_on_meta_update( int $meta_id, int $post_id, string $meta_key ): void {
+		if ( $this->is_cached_meta_key( $meta_key ) && $this->is_supported_post( $post_id ) ) {
+			$this->clear_cache();
+		}
+	}
+
+    /**
+     * Clear cache when attendee count or filterable post meta is deleted.
      *
-     * ```php
-     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
-     *     return DAY_IN_SECONDS; // 24 hours
-     * } );
-     * ```
+     * The deleted_post_meta hook passes parameters differently - the first parameter
+     * is an array of meta IDs when bulk deleting. We need to handle this special case.
      *
      * @since 0.1.0
      *
-     * @return int Cache expiration time in seconds.
+     * @param array<int>|int $meta_ids Meta ID or array of meta IDs being deleted.
+     * @param int            $post_id  Post ID.
+     * @param string         $meta_key Meta key that was deleted.
+     * @return void
      */
-	protected function get_cache_expiration(): int {
-        /**
-         * Filter the cache expiration time for statistics.
-         *
-         * This filter allows developers to modify how long statistics are cached
-         * before they need to be recalculated. The default is 12 hours.
-         *
-         * @since 0.1.0
-         *
-         * @param int $expiration Cache expiration time in seconds. Default 12 hours (43200).
-         */
-        $expiration = apply_filters(
-			'gatherpress_statistics_cache_expiration',
-			12 * HOUR_IN_SECONDS
-		);
-		
-		// Ensure the value is a positive integer
-        if ( ! is_numeric( $expiration ) || $expiration < 1 ) {
-			$expiration = 12 * HOUR_IN_SECONDS;
+	public function clear_cache_on_meta_delete( $meta_ids, int $post_id, string $meta_key ): void {
+		if ( $this->is_cached_meta_key( $meta_key ) && $this->is_supported_post( $post_id ) ) {
+			$this->clear_cache();
 		}
-		
-		return absint( $expiration );
 	}
 
     /**
-     * Calculate statistics based on type and filters.
+     * Check whether statistics depend on a post meta key.
      *
-     * This is the main calculation dispatcher that routes to specific calculation
-     * functions based on the statistic type requested. All heavy lifting happens
-     * here and the results are cached for performance.
+     * These are the attendee count and all keys events may be filtered by,
+     * see get_allowed_meta_keys().
      *
-     * IMPORTANT: This function checks if the requested statistic type is supported
-     * before performing any calculations.
+     * @since 0.1.0
+     *
+     * @param string $meta_key Meta key.
+     * @return bool True if changes to the meta key must clear the cache.
+     */
+	protected function is_cached_meta_key( string $meta_key ): bool {
+		return 'gatherpress_attendees_count' === $meta_key || array_key_exists( $meta_key, $this->get_allowed_meta_keys() );
+	}
+
+    /**
+     * Clear cache when taxonomy terms are modified.
+     *
+     * Hooked to term creation, editing, and deletion actions. Clears all statistics
+     * caches when terms in any supported taxonomy are changed, but only if at least
+     * one statistic type that depends on term data is currently supported.
+     * The actual regeneration happens 60 seconds later via cron.
+     *
+     * This function respects the exclusion filter - if a taxonomy is excluded,
+     * changes to its terms won't trigger cache clearing.
+     *
+     * This function also checks if any term-dependent statistic types are supported
+     * before clearing cache. If none are supported (e.g., only total_events and
+     * total_attendees are enabled), term changes won't trigger cache clearing.
      *
      * @since 0.1.0
      *
-     * @param string               $statistic_type The type of statistic to calculate.
-     * @param array<string, mixed> $filters        Filters to apply (varies by statistic type).
-     * @return int Calculated statistic value, always non-negative.
+     * @param int    $term_id  Term ID.
+     * @param int    $tt_id    Term taxonomy ID.
+     * @param string $taxonomy Taxonomy slug.
+     * @return void
      */
-	protected function calculate( string $statistic_type, array $filters = array() ): int {
-		if ( ! $this->has_supported_post_types() ) {
-			return 0;
+	public function clear_cache_on_term_change( int $term_id, int $tt_id, string $taxonomy ): void {
+		// First check if any term-dependent statistic types are supported
+        if ( ! $this->should_clear_cache_for_term_changes() ) {
+			return;
 		}
 		
-		if ( ! $this->is_statistic_type_supported( $statistic_type ) ) {
-			return 0;
-		}
+		// Get filtered taxonomies (excludes any taxonomies filtered out)
+        $supported_taxonomies = $this->get_filtered_taxonomies();
+
+		if ( empty( $supported_taxonomies ) || ! is_array( $supported_taxonomies ) ) {
+			return;
+		}
+
+		// Extract taxonomy slugs from objects
+	    $taxonomy_slugs = array();
+		foreach ( $supported_taxonomies as $tax_obj ) {
+			if ( isset( $tax_obj->name ) ) {
+				$taxonomy_slugs[] = $tax_obj->name;
+			}
+		}
+
+		// Only proceed if the changed term is in a supported taxonomy
+	    if ( in_array( $taxonomy, $taxonomy_slugs, true ) ) {
+			$this->clear_cache();
+		}
+	}
+
+    /**
+     * Clear cache when term relationships change.
+     *
+     * Hooked to 'set_object_terms' action. Clears all statistics caches when
+     * taxonomy terms are assigned to or removed from posts of supported post types.
+     * The actual regeneration happens 60 seconds later via cron.
+     *
+     * @since 0.1.0
+     *
+     * @param int                 $object_id Object ID (post ID).
+     * @param array<int, int>     $terms     An array of term IDs.
+     * @param array<int, int>     $tt_ids    An array of term taxonomy IDs.
+     * @return void
+     */
+	public function clear_cache_on_term_relationship( int $object_id, array $terms, array $tt_ids ): void {
+		// Only proceed if terms were assigned to a supported post
+        if ( $this->is_supported_post( $object_id ) ) {
+			$this->clear_cache();
+		}
+	}
+
+    /**
+     * Get the statistics support configuration for a post type.
+     *
+     * Retrieves the configuration array that specifies which statistic types
+     * are enabled for a given post type.
+     *
+     * @since 0.1.0
+     *
+     * @param string $post_type Post type slug.
+     * @return array<string, bool> Configuration array, or empty array if not supported.
+     */
+	protected function get_support_config( string $post_type = 'gatherpress_event' ): array {
+		if ( ! post_type_supports( $post_type, 'gatherpress_statistics' ) ) {
+			return array();
+		}
+		
+		// Get the support args (third parameter from add_post_type_support)
+	    $supports = get_all_post_type_supports( $post_type );
+		
+		if ( isset( $supports['gatherpress_statistics'] ) && is_array( $supports['gatherpress_statistics'] ) ) {
+			// Return the first element which contains our configuration
+            return reset( $supports['gatherpress_statistics'] );
+		}
+		
+		// Default configuration if none found
+	    return array(
+			'total_events'                => true,
+			'events_per_taxonomy'         => true,
+			'events_multi_taxonomy'       => true,
+			'total_taxonomy_terms'        => true,
+			'taxonomy_terms_by_taxonomy'  => true,
+			'total_attendees'             => true,
+			'top_terms'                   => true,
+		);
+	}
+
+	/**
+	 * Check if a specific statistic type is supported.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $statistic_type The statistic type to check.
+	 * @param string $post_type      Optional. Post type to check.
+	 * @return bool True if supported.
+	 */
+	public function is_statistic_type_supported( string $statistic_type, string $post_type = 'gatherpress_event' ): bool {
+		$config = $this->get_support_config( $post_type );
+		
+		if ( empty( $config ) ) {
+			return false;
+		}
+		
+		return ! empty( $config[ $statistic_type ] );
+	}
+
+	/**
+	 * Get all supported statistic types for a post type.
+	 *
+	 * @since 0.1.0
+	 *
+	 * @param string $post_type Optional. Post type to check.
+	 * @return array<int, string> Array of supported statistic type slugs.
+	 */
+	protected function get_supported_statistic_types( string $post_type = 'gatherpress_event' ): array {
+		$config = $this->get_support_config( $post_type );
+		
+		if ( empty( $config ) ) {
+			return array();
+		}
+		
+		// Filter to only enabled types
+	    $enabled_types = array();
+		foreach ( $config as $type => $enabled ) {
+			if ( $enabled ) {
+				$enabled_types[] = $type;
+			}
+		}
+		
+		return $enabled_types;
+	}
+
+    /**
+     * Get all post types that support gatherpress_statistics.
+     *
+     * This function retrieves all post types that have registered support for
+     * the 'gatherpress_statistics' feature. This allows the plugin to work with
+     * any post type that opts in, not just gatherpress_event.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, string> Array of post type slugs that support statistics.
+     */
+	protected function get_supported_post_types(): array {
+		$post_types = get_post_types_by_support( 'gatherpress_statistics' );
+		
+		if ( empty( $post_types ) || ! is_array( $post_types ) ) {
+			return array();
+		}
+		
+		return $post_types;
+	}
+
+    /**
+     * Check if any post types support gatherpress_statistics.
+     *
+     * This function verifies that at least one post type has registered support
+     * for the 'gatherpress_statistics' feature.
+     *
+     * @since 0.1.0
+     *
+     * @return bool True if at least one post type supports statistics, false otherwise.
+     */
+	protected function has_supported_post_types(): bool {
+		$post_types = $this->get_supported_post_types();
+		return ! empty( $post_types );
+	}
+
+    /**
+     * Check if a specific post is supported for statistics.
+     *
+     * A post is considered supported if its post type supports
+     * 'gatherpress_statistics' and its status is 'publish'.
+     *
+     * @since 0.1.0
+     *
+     * @param int $post_id Post ID to check.
+     * @return bool True if supported, false otherwise.
+     */
+	protected function is_supported_post( int $post_id ) : bool {
+		$post = get_post( $post_id );
+		
+		return post_type_supports( $post->post_type, 'gatherpress_statistics' ) 
+			&& $post->post_status === 'publish';
+	}
+
+    /**
+     * Get all taxonomies registered for supported post types.
+     *
+     * Retrieves all taxonomy objects that are registered to post types supporting
+     * the 'gatherpress_statistics' feature. This allows the block to dynamically work with
+     * any taxonomies associated with supported post types.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, \WP_Taxonomy> Array of taxonomy objects, or empty array if none found.
+     */
+	protected function get_taxonomies(): array {
+		$post_types = $this->get_supported_post_types();
+		
+		if ( empty( $post_types ) ) {
+			return array();
+		}
+		
+		$all_taxonomies = array();
+		
+		// Get taxonomies for each supported post type
+	    foreach ( $post_types as $post_type ) {
+			if ( ! post_type_exists( $post_type ) ) {
+				continue;
+			}
+			
+			$taxonomies = \get_object_taxonomies( $post_type, 'objects' );
+			
+			if ( ! empty( $taxonomies ) && is_array( $taxonomies ) ) {
+				// Merge taxonomies, avoiding duplicates by slug
+			    foreach ( $taxonomies as $taxonomy ) {
+					if ( isset( $taxonomy->name ) ) {
+						$all_taxonomies[ $taxonomy->name ] = $taxonomy;
+					}
+				}
+			}
+		}
+		
+		return array_values( $all_taxonomies );
+	}
+
+    /**
+     * Get filtered taxonomies, excluding those specified by developers.
+     *
+     * This function applies the 'gatherpress_statistics_excluded_taxonomies' filter
+     * to allow developers to exclude specific taxonomies from statistics generation
+     * and block selection.
+     *
+     * By default, the '_gatherpress_venue' taxonomy is excluded.
+     *
+     * Example usage to exclude additional taxonomies:
+     *
+     * ```php
+     * add_filter( 'gatherpress_statistics_excluded_taxonomies', function( $excluded ) {
+     *     $excluded[] = 'post_tag';           // Exclude WordPress tags
+     *     $excluded[] = 'custom_event_type';  // Exclude custom taxonomy
+     *     return $excluded;
+     * } );
+     * ```
+     *
+     * @since 0.1.0
+     *
+     * @param bool $for_editor Optional. Whether this is for editor selection. Default false.
+     * @return array<int, \WP_Taxonomy> Array of taxonomy objects after exclusion filtering.
+     */
+	protected function get_filtered_taxonomies( bool $for_editor = false ): array {
+		$taxonomies = $this->get_taxonomies();
+		
+		if ( empty( $taxonomies ) || ! is_array( $taxonomies ) ) {
+			return array();
+		}
+		
+        /**
+         * Filter the list of taxonomy slugs to exclude from statistics.
+         *
+         * This filter allows developers to exclude specific taxonomies from being
+         * used in statistics calculations and from appearing in the block editor.
+         *
+         * @since 0.1.0
+         *
+         * @param array<int, string> $excluded_taxonomies Array of taxonomy slugs to exclude.
+         * @param bool               $for_editor          Whether this is for editor selection.
+         */
+        $excluded_taxonomies = apply_filters(
+			'gatherpress_statistics_excluded_taxonomies',
+			array( '_gatherpress_venue' ),
+			$for_editor
+		);
+		
+		// Ensure excluded taxonomies is an array
+        if ( ! is_array( $excluded_taxonomies ) ) {
+			$excluded_taxonomies = array();
+		}
+		
+		// Filter out excluded taxonomies
+        $filtered_taxonomies = array();
+		foreach ( $taxonomies as $taxonomy ) {
+			if ( ! isset( $taxonomy->name ) ) {
+				continue;
+			}
+			
+			// Skip if this taxonomy is in the exclusion list
+            if ( in_array( $taxonomy->name, $excluded_taxonomies, true ) ) {
+				continue;
+			}
+			
+			$filtered_taxonomies[] = $taxonomy;
+		}
+		
+		return $filtered_taxonomies;
+	}
+
+    /**
+     * Get the slugs of all taxonomies the block editor offers.
+     *
+     * Used to validate configurations from outside the editor, e.g. requests
+     * to the public API or embeds.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, string> Taxonomy slugs.
+     */
+	public function get_allowed_taxonomy_names(): array {
+		return wp_list_pluck( $this->get_filtered_taxonomies( true ), 'name' );
+	}
+
+    /**
+     * Get the post meta keys events may be filtered by.
+     *
+     * Meta conditions of a block, embed or API request only apply to these
+     * keys, so visitors can't probe arbitrary, possibly private post meta.
+     * Changes to these keys clear the cache, just like changes to the attendee
+     * count.
+     *
+     * Example usage to allow a custom "format" field:
+     *
+     * ```php
+     * add_filter( 'gatherpress_statistics_allowed_meta_keys', function( $meta_keys ) {
+     *     $meta_keys['event_format'] = __( 'Format', 'my-plugin' );
+     *     return $meta_keys;
+     * } );
+     * ```
+     *
+     * @since 0.1.0
+     *
+     * @return array<string, string> Labels keyed by meta key.
+     */
+	public function get_allowed_meta_keys(): array {
+        /**
+         * Filter the post meta keys events may be filtered by.
+         *
+         * @since 0.1.0
+         *
+         * @param array<string, string> $meta_keys Labels keyed by meta key.
+         */
+		$meta_keys = apply_filters(
+			'gatherpress_statistics_allowed_meta_keys',
+			array(
+				'gatherpress_online_event_link' => __( 'Online Event Link', 'gatherpress-statistics' ),
+				'gatherpress_attendees_count'   => __( 'Attendees', 'gatherpress-statistics' ),
+			)
+		);
+
+		return is_array( $meta_keys ) ? $meta_keys : array();
+	}
+
+    /**
+     * Get the supported comparisons of meta conditions.
+     *
+     * 'EXISTS' and 'NOT EXISTS' ignore the value of a condition. Numeric
+     * values are compared as numbers by '>', '>=', '<' and '<='.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, string> Comparison operators, as understood by WP_Meta_Query.
+     */
+	public function get_meta_compare_operators(): array {
+		return array( '=', '!=', '>', '>=', '<', '<=', 'LIKE', 'NOT LIKE', 'EXISTS', 'NOT EXISTS' );
+	}
+
+    /**
+     * Get the comparisons a meta key may be used with.
+     *
+     * Fields holding private values, like the link of online events, may only
+     * be checked for existence. Otherwise their values could be guessed one
+     * comparison at a time.
+     *
+     * @since 0.1.0
+     *
+     * @param string $meta_key Meta key.
+     * @return array<int, string> Comparison operators, see get_meta_compare_operators().
+     */
+	public function get_meta_key_operators( string $meta_key ): array {
+		$operators = 'gatherpress_online_event_link' === $meta_key ? array( 'EXISTS', 'NOT EXISTS' ) : $this->get_meta_compare_operators();
+
+        /**
+         * Filter the comparisons a meta key may be used with.
+         *
+         * Example usage to hide the values of a custom field:
+         *
+         * ```php
+         * add_filter( 'gatherpress_statistics_meta_key_operators', function( $operators, $meta_key ) {
+         *     return 'event_access_code' === $meta_key ? array( 'EXISTS', 'NOT EXISTS' ) : $operators;
+         * }, 10, 2 );
+         * ```
+         *
+         * @since 0.1.0
+         *
+         * @param array<int, string> $operators Comparison operators.
+         * @param string             $meta_key  Meta key.
+         */
+		$operators = apply_filters( 'gatherpress_statistics_meta_key_operators', $operators, $meta_key );
+
+		return is_array( $operators ) ? array_values( array_intersect( $this->get_meta_compare_operators(), $operators ) ) : array();
+	}
+
+    /**
+     * Check whether meta conditions compare values.
+     *
+     * Anonymous requests, like the public REST API and embeds, may only check
+     * whether fields are set, so they can't guess any values.
+     *
+     * @since 0.1.0
+     *
+     * @param array<int, mixed> $conditions Raw `metaConditions` block attribute.
+     * @return bool True if any condition compares a value.
+     */
+	public function has_meta_value_comparison( array $conditions ): bool {
+		foreach ( $conditions as $condition ) {
+			$compare = is_array( $condition ) && isset( $condition['compare'] ) && is_string( $condition['compare'] ) ? strtoupper( $condition['compare'] ) : '=';
+
+			if ( ! in_array( $compare, array( 'EXISTS', 'NOT EXISTS' ), true ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+    /**
+     * Sanitize the meta conditions of a block.
+     *
+     * Conditions with keys not allowed by get_allowed_meta_keys() or a
+     * comparison not allowed for the key by get_meta_key_operators() are
+     * dropped.
+     *
+     * Example:
+     * array( array( 'key' => 'gatherpress_online_event_link', 'compare' => 'EXISTS' ) )
+     *
+     * @since 0.1.0
+     *
+     * @param array<int, mixed> $conditions Raw `metaConditions` block attribute.
+     * @return array<int, array{key: string, compare: string, value?: string}> Meta conditions to pass as the 'meta_query' filter.
+     */
+	protected function sanitize_meta_conditions( array $conditions ): array {
+		$allowed_keys = array_keys( $this->get_allowed_meta_keys() );
+		$sanitized    = array();
+
+		foreach ( $conditions as $condition ) {
+			if ( ! is_array( $condition ) || empty( $condition['key'] ) || ! in_array( $condition['key'], $allowed_keys, true ) ) {
+				continue;
+			}
+
+			$compare = isset( $condition['compare'] ) && is_string( $condition['compare'] ) ? strtoupper( $condition['compare'] ) : '=';
+			if ( ! in_array( $compare, $this->get_meta_key_operators( $condition['key'] ), true ) ) {
+				continue;
+			}
+
+			$clause = array(
+				'key'     => $condition['key'],
+				'compare' => $compare,
+			);
+
+			if ( ! in_array( $compare, array( 'EXISTS', 'NOT EXISTS' ), true ) ) {
+				$clause['value'] = isset( $condition['value'] ) && is_scalar( $condition['value'] ) ? sanitize_text_field( (string) $condition['value'] ) : '';
+			}
+
+			$sanitized[] = $clause;
+		}
+
+		return $sanitized;
+	}
+
+    /**
+     * Apply the filters shared by a statistics group to a block's attributes.
+     *
+     * A `gatherpress/statistics` block inside a `gatherpress/statistics-group`
+     * block receives the group's event query, date range and taxonomy terms
+     * through block context. Unless the block overrides them, these replace
+     * the block's own attributes. The group's terms end up in the
+     * `groupTaxonomyTerms` attribute, which narrows down any taxonomy filter
+     * of the block itself.
+     *
+     * Mirrors `getEffectiveAttributes()` in `src/group-context.js`.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $attributes Block attributes.
+     * @param array<string, mixed> $context    Block context.
+     * @return array<string, mixed> Attributes the statistic is calculated with.
+     */
+	public function apply_group_context( array $attributes, array $context ): array {
+		if ( ! isset( $context['gatherpress-statistics/eventQuery'] ) || ! empty( $attributes['overrideGroupFilters'] ) ) {
+			return $attributes;
+		}
+
+		$context_attributes = array(
+			'gatherpress-statistics/eventQuery'      => 'eventQuery',
+			'gatherpress-statistics/dateRange'       => 'dateRange',
+			'gatherpress-statistics/dateRangeMonths' => 'dateRangeMonths',
+			'gatherpress-statistics/dateFrom'        => 'dateFrom',
+			'gatherpress-statistics/dateTo'          => 'dateTo',
+			'gatherpress-statistics/taxonomyTerms'   => 'groupTaxonomyTerms',
+		);
+
+		foreach ( $context_attributes as $key => $attribute ) {
+			if ( isset( $context[ $key ] ) ) {
+				$attributes[ $attribute ] = $context[ $key ];
+			}
+		}
+
+		return $attributes;
+	}
+
+    /**
+     * Whether a block takes its term from the current term archive or post.
+     *
+     * Only statistics filtered by a single term support this mode.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $attributes Block attributes.
+     * @return bool True if the term is resolved at render time.
+     */
+	public function uses_current_term( array $attributes ): bool {
+		$statistic_type = isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events';
+
+		return isset( $attributes['termSource'] )
+			&& 'current' === $attributes['termSource']
+			&& in_array( $statistic_type, array( 'events_per_taxonomy', 'total_attendees', 'taxonomy_terms_by_taxonomy' ), true );
+	}
+
+    /**
+     * Replace the fixed term of a block with the current term.
+     *
+     * Sets `selectedTerm` and the taxonomy it belongs to, `filterTaxonomy`
+     * for 'taxonomy_terms_by_taxonomy' and `selectedTaxonomy` otherwise. As
+     * the term ends up in the filters, every resolved term gets its own cache
+     * entry.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $attributes Block attributes.
+     * @param array<string, mixed> $context    Block context, may contain 'postId'.
+     * @return array<string, mixed>|null Attributes with the current term, or null if there is no current term.
+     */
+	public function apply_current_term( array $attributes, array $context ): ?array {
+		$statistic_type     = isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events';
+		$taxonomy_attribute = 'taxonomy_terms_by_taxonomy' === $statistic_type ? 'filterTaxonomy' : 'selectedTaxonomy';
+		$taxonomy           = isset( $attributes[ $taxonomy_attribute ] ) && is_string( $attributes[ $taxonomy_attribute ] ) ? $attributes[ $taxonomy_attribute ] : '';
+
+		$term = $this->get_current_term( $taxonomy, $context );
+		if ( null === $term ) {
+			return null;
+		}
+
+		$attributes[ $taxonomy_attribute ] = $term->taxonomy;
+		$attributes['selectedTerm']        = $term->term_id;
+
+		return $attributes;
+	}
+
+    /**
+     * Find the term a block placed in a template or Query Loop refers to.
+     *
+     * In order of precedence:
+     *
+     * 1. The post from block context, e.g. inside a Query Loop
+     * 2. The queried term on taxonomy archives
+     * 3. The queried post on singular views
+     *
+     * For venues, this is the venue's shadow term in '_gatherpress_venue',
+     * so a block on a single venue shows "events at this venue". For any
+     * other post, it is the post's first term in the given taxonomy.
+     *
+     * @since 0.1.0
+     *
+     * @param string               $taxonomy Taxonomy to take the term of a post from.
+     * @param array<string, mixed> $context  Block context, may contain 'postId'.
+     * @return \WP_Term|null Current term, or null if there is none.
+     */
+	protected function get_current_term( string $taxonomy, array $context ): ?\WP_Term {
+		$post_id = ! empty( $context['postId'] ) ? absint( $context['postId'] ) : 0;
+
+		// Without a post in block context, fall back to the main query
+		if ( ! $post_id ) {
+			$queried_object = get_queried_object();
+
+			if ( $queried_object instanceof \WP_Term ) {
+				return is_object_in_taxonomy( $this->get_supported_post_types(), $queried_object->taxonomy ) ? $queried_object : null;
+			}
+
+			if ( $queried_object instanceof \WP_Post ) {
+				$post_id = $queried_object->ID;
+			}
+		}
+
+		$post = $post_id ? get_post( $post_id ) : null;
+		if ( ! $post instanceof \WP_Post ) {
+			return null;
+		}
+
+		// GatherPress links events to venues through a shadow term, named after the venue with a leading underscore
+		if ( 'gatherpress_venue' === $post->post_type ) {
+			$term = get_term_by( 'slug', '_' . $post->post_name, '_gatherpress_venue' );
+			return $term instanceof \WP_Term ? $term : null;
+		}
+
+		if ( empty( $taxonomy ) || ! taxonomy_exists( $taxonomy ) ) {
+			return null;
+		}
+
+		$terms = get_the_terms( $post, $taxonomy );
+
+		return is_array( $terms ) && ! empty( $terms ) ? reset( $terms ) : null;
+	}
+
+    /**
+     * Build statistic filters from block attributes.
+     *
+     * Translates the attributes of a `gatherpress/statistics` block into the
+     * filters array understood by the calculators and the cache. Used by the
+     * block's render callback and the REST API, so both always resolve the
+     * same configuration to the same cache key.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $attributes Block attributes.
+     * @return array<string, mixed> Filters to pass to get_cached().
+     */
+	public function get_filters_from_attributes( array $attributes ): array {
+		$statistic_type = isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events';
+		$selected_term  = isset( $attributes['selectedTerm'] ) ? intval( $attributes['selectedTerm'] ) : 0;
+		$event_query    = isset( $attributes['eventQuery'] ) ? $attributes['eventQuery'] : 'past';
+
+		// CRITICAL: For total_attendees, always force eventQuery to 'past'
+		if ( 'total_attendees' === $statistic_type ) {
+			$event_query = 'past';
+		} else {
+			// For other types, validate event_query - only 'upcoming', 'past' or 'all' allowed
+			if ( empty( $event_query ) || ! in_array( $event_query, array( 'upcoming', 'past', 'all' ), true ) ) {
+				// Default to 'past' if invalid or empty
+				$event_query = 'past';
+			}
+		}
+
+		$filters = array();
+
+		// CRITICAL: Add event query filter FIRST - this must be present for cache key generation
+		// Only 'upcoming', 'past' or 'all' are valid values
+		$filters['event_query'] = sanitize_key( $event_query );
+
+		// Resolve relative and absolute date ranges to concrete dates
+		$date_range = $this->get_date_range(
+			isset( $attributes['dateRange'] ) && is_string( $attributes['dateRange'] ) ? $attributes['dateRange'] : '',
+			isset( $attributes['dateRangeMonths'] ) ? absint( $attributes['dateRangeMonths'] ) : 12,
+			isset( $attributes['dateFrom'] ) && is_string( $attributes['dateFrom'] ) ? $attributes['dateFrom'] : '',
+			isset( $attributes['dateTo'] ) && is_string( $attributes['dateTo'] ) ? $attributes['dateTo'] : ''
+		);
+
+		if ( ! empty( $date_range['from'] ) ) {
+			$filters['date_from'] = $date_range['from'];
+		}
+
+		if ( ! empty( $date_range['to'] ) ) {
+			$filters['date_to'] = $date_range['to'];
+		}
+
+		if ( $selected_term > 0 ) {
+			$filters['term_id'] = $selected_term;
+		}
+
+		// Get selected taxonomy for single taxonomy operations
+		if ( ! empty( $attributes['selectedTaxonomy'] ) ) {
+			$filters['taxonomy'] = $attributes['selectedTaxonomy'];
+		}
+
+		// Get count and filter taxonomies for cross-taxonomy operations
+		if ( ! empty( $attributes['countTaxonomy'] ) ) {
+			$filters['count_taxonomy'] = $attributes['countTaxonomy'];
+		}
+
+		if ( ! empty( $attributes['filterTaxonomy'] ) ) {
+			$filters['filter_taxonomy'] = $attributes['filterTaxonomy'];
+		}
+
+		// Narrow event based statistics down to the terms of a statistics group
+		if ( ! in_array( $statistic_type, array( 'total_taxonomy_terms', 'taxonomy_terms_by_taxonomy' ), true )
+			&& ! empty( $attributes['groupTaxonomyTerms'] ) && is_array( $attributes['groupTaxonomyTerms'] ) ) {
+			// Same selection as for multiple taxonomies, its filters get a 'group_' prefix
+			foreach ( $this->parse_taxonomy_selection( $attributes['groupTaxonomyTerms'] ) as $name => $value ) {
+				$filters[ 'group_' . $name ] = $value;
+			}
+		}
+
+		// Narrow event based statistics down to events with matching post meta or organiser
+		if ( ! in_array( $statistic_type, array( 'total_taxonomy_terms', 'taxonomy_terms_by_taxonomy' ), true ) ) {
+			if ( ! empty( $attributes['metaConditions'] ) && is_array( $attributes['metaConditions'] ) ) {
+				$meta_query = $this->sanitize_meta_conditions( $attributes['metaConditions'] );
+
+				if ( ! empty( $meta_query ) ) {
+					$filters['meta_query'] = $meta_query;
+				}
+			}
+
+			$author = isset( $attributes['eventAuthor'] ) ? absint( $attributes['eventAuthor'] ) : 0;
+			if ( $author > 0 ) {
+				$filters['author'] = $author;
+			}
+		}
+
+		// Handle multiple taxonomy selection
+		if ( 'events_multi_taxonomy' === $statistic_type ) {
+			$selection = ! empty( $attributes['selectedTaxonomyTerms'] ) && is_array( $attributes['selectedTaxonomyTerms'] ) ? $attributes['selectedTaxonomyTerms'] : array();
+			$filters   = array_merge( $filters, $this->parse_taxonomy_selection( $selection ) );
+		}
+
+		// Attendees are summed up by default, other aggregations get their own filter
+		if ( 'total_attendees' === $statistic_type
+			&& isset( $attributes['aggregation'] ) && 'sum' !== $attributes['aggregation']
+			&& in_array( $attributes['aggregation'], $this->get_aggregations(), true ) ) {
+			$filters['aggregation'] = $attributes['aggregation'];
+		}
+
+		// Terms are ranked by their number of events by default, attendees get their own filter
+		if ( 'top_terms' === $statistic_type && isset( $attributes['leaderboardMetric'] ) && 'attendees' === $attributes['leaderboardMetric'] ) {
+			$filters['leaderboard_metric'] = 'attendees';
+		}
+
+		// Aggregate across the sites of a multisite network, term IDs are resolved on the site given here
+		if ( is_multisite() && isset( $attributes['scope'] ) && 'network' === $attributes['scope'] ) {
+			$filters['network'] = get_current_blog_id();
+
+			$site_ids = ! empty( $attributes['networkSites'] ) && is_array( $attributes['networkSites'] ) ? array_filter( array_map( 'absint', $attributes['networkSites'] ) ) : array();
+			if ( ! empty( $site_ids ) ) {
+				$site_ids = array_values( array_unique( $site_ids ) );
+				sort( $site_ids );
+				$filters['network_sites'] = $site_ids;
+			}
+		}
+
+		// Statistic types registered by extensions bring their own filter attributes
+		if ( ! in_array( $statistic_type, $this->get_builtin_statistic_types(), true )
+			&& ! empty( $attributes['customFilters'] ) && is_array( $attributes['customFilters'] ) ) {
+			$custom_filters = $this->sanitize_custom_filters( $attributes['customFilters'] );
+
+			if ( ! empty( $custom_filters ) ) {
+				$filters['custom_filters'] = $custom_filters;
+			}
+		}
+
+		return $filters;
+	}
+
+    /**
+     * Get the statistic types built into the plugin.
+     *
+     * Every other supported type is registered by an extension, see the
+     * `gatherpress-statistics.statisticTypes` JavaScript filter.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, string> Statistic type slugs.
+     */
+	public function get_builtin_statistic_types(): array {
+		return array(
+			'total_events',
+			'events_per_taxonomy',
+			'events_multi_taxonomy',
+			'total_taxonomy_terms',
+			'taxonomy_terms_by_taxonomy',
+			'total_attendees',
+			'top_terms',
+		);
+	}
+
+    /**
+     * Sanitize the filter attributes of a custom statistic type.
+     *
+     * Keys become slugs, values are kept if they are scalar or lists of scalars.
+     * Keys are sorted, so the same filters always share a cache key.
+     *
+     * @since 0.1.0
+     *
+     * @param array<mixed, mixed> $custom_filters Raw `customFilters` block attribute.
+     * @return array<string, mixed> Sanitized filters.
+     */
+	protected function sanitize_custom_filters( array $custom_filters ): array {
+		$sanitized = array();
+
+		foreach ( $custom_filters as $key => $value ) {
+			$key = sanitize_key( (string) $key );
+
+			if ( '' === $key ) {
+				continue;
+			}
+
+			if ( is_bool( $value ) || is_int( $value ) || is_float( $value ) ) {
+				$sanitized[ $key ] = $value;
+			} elseif ( is_string( $value ) ) {
+				$sanitized[ $key ] = sanitize_text_field( $value );
+			} elseif ( is_array( $value ) ) {
+				$sanitized[ $key ] = array_values(
+					array_map(
+						static function ( $item ) {
+							return is_string( $item ) ? sanitize_text_field( $item ) : $item;
+						},
+						array_filter( $value, 'is_scalar' )
+					)
+				);
+			}
+		}
+
+		ksort( $sanitized );
+
+		return $sanitized;
+	}
+
+    /**
+     * Parse a selection of terms of several taxonomies into filters.
+     *
+     * Used for the `selectedTaxonomyTerms` of the block and the
+     * `groupTaxonomyTerms` of a statistics group, which share their format.
+     * Taxonomies hold term IDs, or an object with `terms`, `operator` and
+     * `includeChildren`. The `relation` entry combines the taxonomies.
+     *
+     * Example result:
+     *
+     * array(
+     *     'taxonomy_terms'     => array( 'gatherpress_topic' => array( 12 ), '_gatherpress_venue' => array( 7 ) ),
+     *     'taxonomy_operators' => array( '_gatherpress_venue' => 'NOT IN' ),
+     * )
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $selection Selected terms keyed by taxonomy.
+     * @return array<string, mixed> Filters 'taxonomy_terms', 'taxonomy_operators', 'taxonomy_include_children' and 'taxonomy_relation', only those that differ from the defaults.
+     */
+	protected function parse_taxonomy_selection( array $selection ): array {
+		$filters          = array();
+		$taxonomy_terms   = array();
+		$operators        = array();
+		$include_children = array();
+
+		foreach ( $selection as $taxonomy => $terms ) {
+			// The 'relation' entry is a string and skipped here
+			if ( ! is_array( $terms ) ) {
+				continue;
+			}
+
+			$term_ids = array_key_exists( 'terms', $terms ) ? $terms['terms'] : $terms;
+			if ( empty( $term_ids ) || ! is_array( $term_ids ) ) {
+				continue;
+			}
+
+			// Query strings deliver IDs as strings, block attributes as numbers
+			$taxonomy_terms[ $taxonomy ] = array_map( 'intval', array_values( $term_ids ) );
+
+			// Only settings differing from the defaults become filters, so existing caches stay valid
+			if ( isset( $terms['operator'] ) && in_array( $terms['operator'], array( 'AND', 'NOT IN' ), true ) ) {
+				$operators[ $taxonomy ] = $terms['operator'];
+			}
+
+			// Query strings deliver booleans as "true" and "false"
+			if ( isset( $terms['includeChildren'] ) && false === rest_sanitize_boolean( $terms['includeChildren'] ) ) {
+				$include_children[ $taxonomy ] = false;
+			}
+		}
+
+		if ( empty( $taxonomy_terms ) ) {
+			return array();
+		}
+
+		$filters['taxonomy_terms'] = $taxonomy_terms;
+
+		if ( ! empty( $operators ) ) {
+			$filters['taxonomy_operators'] = $operators;
+		}
+
+		if ( ! empty( $include_children ) ) {
+			$filters['taxonomy_include_children'] = $include_children;
+		}
+
+		if ( isset( $selection['relation'] ) && 'OR' === $selection['relation'] ) {
+			$filters['taxonomy_relation'] = 'OR';
+		}
+
+		return $filters;
+	}
+
+    /**
+     * Resolve a date range setting to concrete dates.
+     *
+     * Relative ranges are resolved against the current date in the site's
+     * timezone, so "last 12 months" always covers the twelve months before
+     * today. Both dates are inclusive and formatted as 'Y-m-d'. An empty
+     * date means the range is open on that side.
+     *
+     * Supported ranges:
+     * - ''            All time (no date restriction)
+     * - 'this_year'   January 1st to December 31st of the current year
+     * - 'last_year'   January 1st to December 31st of the previous year
+     * - 'last_months' The given number of months up to today
+     * - 'custom'      The given from and to dates
+     *
+     * @since 0.1.0
+     *
+     * @param string $range  Date range type.
+     * @param int    $months Number of months for 'last_months'.
+     * @param string $from   Start date ('Y-m-d') for 'custom'.
+     * @param string $to     End date ('Y-m-d') for 'custom'.
+     * @return array{from: string, to: string} Resolved start and end date.
+     */
+	protected function get_date_range( string $range, int $months = 12, string $from = '', string $to = '' ): array {
+		$today = current_datetime();
+
+		switch ( $range ) {
+			case 'this_year':
+				return array(
+					'from' => $today->format( 'Y' ) . '-01-01',
+					'to'   => $today->format( 'Y' ) . '-12-31',
+				);
+
+			case 'last_year':
+				$last_year = (int) $today->format( 'Y' ) - 1;
+				return array(
+					'from' => $last_year . '-01-01',
+					'to'   => $last_year . '-12-31',
+				);
+
+			case 'last_months':
+				$months = min( self::MAX_DATE_RANGE_MONTHS, max( 1, $months ) );
+				return array(
+					'from' => $today->modify( sprintf( '-%d months', $months ) )->format( 'Y-m-d' ),
+					'to'   => $today->format( 'Y-m-d' ),
+				);
+
+			case 'custom':
+				// Only accept valid 'Y-m-d' dates, anything else leaves the range open
+				$from = ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $from ) && wp_checkdate( (int) substr( $from, 5, 2 ), (int) substr( $from, 8, 2 ), (int) substr( $from, 0, 4 ), $from ) ) ? $from : '';
+				$to   = ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $to ) && wp_checkdate( (int) substr( $to, 5, 2 ), (int) substr( $to, 8, 2 ), (int) substr( $to, 0, 4 ), $to ) ) ? $to : '';
+				return array(
+					'from' => $from,
+					'to'   => $to,
+				);
+		}
+
+		return array(
+			'from' => '',
+			'to'   => '',
+		);
+	}
+
+    /**
+     * Build the filters of the period to compare a statistic with.
+     *
+     * Shifts the date range of the given filters back in time, according to
+     * the block's comparison attributes:
+     *
+     * - 'previous_year'   Same range, one year earlier
+     * - 'previous_months' Same range, the given number of months earlier
+     * - 'reference_date'  Same range, but ending on the given date
+     *
+     * Without an end date, the statistic is compared with its value as of the
+     * shifted date, e.g. "all past events" with "all past events one year ago".
+     * Upcoming events start after today, so an earlier period never has any
+     * and they are not compared.
+     * The result is a regular filters array, so the comparison value is cached
+     * under its own key by get_cached().
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters    Filters of the displayed statistic.
+     * @param array<string, mixed> $attributes Block attributes.
+     * @return array<string, mixed> Filters of the comparison period, or an empty array if the block compares nothing.
+     */
+	public function get_comparison_filters( array $filters, array $attributes ): array {
+		$comparison = isset( $attributes['comparison'] ) && is_string( $attributes['comparison'] ) ? $attributes['comparison'] : '';
+		$today      = current_datetime()->format( 'Y-m-d' );
+
+		// Term counts do not depend on event dates, so there is nothing to compare
+		$statistic_type = isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : '';
+		if ( in_array( $statistic_type, array( 'total_taxonomy_terms', 'taxonomy_terms_by_taxonomy' ), true ) ) {
+			return array();
+		}
+
+		if ( isset( $filters['event_query'] ) && 'upcoming' === $filters['event_query'] ) {
+			return array();
+		}
+
+		switch ( $comparison ) {
+			case 'previous_year':
+				$shift = '-1 year';
+				break;
+
+			case 'previous_months':
+				$months = isset( $attributes['comparisonMonths'] ) ? max( 1, absint( $attributes['comparisonMonths'] ) ) : 12;
+				$shift  = sprintf( '-%d months', $months );
+				break;
+
+			case 'reference_date':
+				$range = $this->get_date_range( 'custom', 0, '', isset( $attributes['comparisonDate'] ) && is_string( $attributes['comparisonDate'] ) ? $attributes['comparisonDate'] : '' );
+				if ( empty( $range['to'] ) ) {
+					return array();
+				}
+				$filters['date_to'] = $range['to'];
+				return $filters;
+
+			default:
+				return array();
+		}
+
+		foreach ( array( 'date_from', 'date_to' ) as $key ) {
+			// Open-ended ranges end today, so compare with the value as of the shifted date
+			$date = ! empty( $filters[ $key ] ) && is_string( $filters[ $key ] ) ? $filters[ $key ] : ( 'date_to' === $key ? $today : '' );
+
+			if ( ! empty( $date ) ) {
+				$shifted = date_create_immutable( $date, wp_timezone() );
+				if ( $shifted ) {
+					// Shift by month to avoid overflows like March 31st minus one month becoming March 3rd
+					$day     = (int) $shifted->format( 'j' );
+					$shifted = $shifted->modify( 'first day of this month' )->modify( $shift );
+					$shifted = $shifted->setDate( (int) $shifted->format( 'Y' ), (int) $shifted->format( 'n' ), min( $day, (int) $shifted->format( 't' ) ) );
+
+					$filters[ $key ] = $shifted->format( 'Y-m-d' );
+				}
+			}
+		}
+
+		return $filters;
+	}
+
+    /**
+     * Get cache key for a specific statistic configuration.
+     *
+     * Generates a unique cache key based on the statistic type and any filters
+     * applied. This ensures that different combinations of statistics and filters
+     * are cached separately.
+     *
+     * Example cache keys:
+     * - 'gatherpress_stats_total_events_upcoming_abc123' (upcoming events)
+     * - 'gatherpress_stats_total_events_past_def456' (past events)
+     * - 'gatherpress_stats_events_per_taxonomy_upcoming_ghi789' (with taxonomy filter)
+     * - 'gatherpress_stats_total_attendees_past_jkl012' (past attendees with filters)
+     * - 'gatherpress_stats_total_events_all_20250101-20251231_mno345' (all events in 2025)
+     * - 'gatherpress_stats_total_events_past_author_3_meta_pqr678' (past events of an organiser with meta conditions)
+     * - 'gatherpress_stats_total_events_upcoming_network_stu901' (upcoming events of all sites in the network)
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type The type of statistic (e.g., 'total_events').
+     * @param array<string, mixed> $filters        Additional filters (taxonomy terms, event query, etc.).
+     * @return string Cache key suitable for use with transients.
+     */
+	public function get_cache_key( string $statistic_type, array $filters = array() ): string {
+		$statistic_type = is_string( $statistic_type ) ? $statistic_type : 'total_events';
+		$filters = is_array( $filters ) ? $filters : array();
+		
+		// Start building the cache key
+        $key_parts = array( 'gatherpress_stats', $statistic_type );
+		
+		if ( ! empty( $filters['event_query'] ) && in_array( $filters['event_query'], array( 'upcoming', 'past', 'all' ), true ) ) {
+			$key_parts[] = sanitize_key( $filters['event_query'] );
+		}
+
+		// Aggregated values are cached separately from the sum of the same configuration
+		if ( ! empty( $filters['aggregation'] ) && is_string( $filters['aggregation'] ) ) {
+			$key_parts[] = sanitize_key( $filters['aggregation'] );
+		}
+
+		// Time series are cached separately from the single value of the same configuration
+		if ( ! empty( $filters['series_interval'] ) && is_string( $filters['series_interval'] ) ) {
+			$key_parts[] = 'series_' . sanitize_key( $filters['series_interval'] );
+		}
+
+		// Leaderboards are cached separately from the number of ranked terms of the same configuration
+		if ( ! empty( $filters['leaderboard_length'] ) ) {
+			$key_parts[] = 'top_' . absint( $filters['leaderboard_length'] );
+		}
+
+		// Statistics across the network are cached for the whole network
+		if ( ! empty( $filters['network'] ) ) {
+			$key_parts[] = 'network';
+		}
+
+		// Events of a single organiser or with matching post meta are cached separately and recognizable
+		if ( ! empty( $filters['author'] ) ) {
+			$key_parts[] = 'author_' . absint( $filters['author'] );
+		}
+
+		if ( ! empty( $filters['meta_query'] ) ) {
+			$key_parts[] = 'meta';
+		}
+
+		// Add the date range, so each range is cached separately and recognizable
+		if ( ! empty( $filters['date_from'] ) || ! empty( $filters['date_to'] ) ) {
+			$key_parts[] = str_replace( '-', '', $filters['date_from'] ?? '' ) . '-' . str_replace( '-', '', $filters['date_to'] ?? '' );
+		}
+		
+		// Add a hash of ALL filters (including event_query) to ensure uniqueness
+        if ( ! empty( $filters ) ) {
+			$key_parts[] = md5( wp_json_encode( $filters ) );
+		}
+		
+		// Join parts with underscores to create the final cache key
+        return implode( '_', $key_parts );
+	}
+
+    /**
+     * Get cache expiration time in seconds.
+     *
+     * Returns the number of seconds to cache statistics. Default is 12 hours (43200 seconds).
+     * Developers can modify this using the 'gatherpress_statistics_cache_expiration' filter.
+     *
+     * Example usage to set cache to 6 hours:
+     *
+     * ```php
+     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
+     *     return 6 * HOUR_IN_SECONDS; // 6 hours
+     * } );
+     * ```
+     *
+     * Example usage to set cache to 1 hour:
+     *
+     * ```php
+     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
+     *     return HOUR_IN_SECONDS; // 1 hour
+     * } );
+     * ```
+     *
+     * Example usage to set cache to 24 hours:
+     *
+     * ```php
+     * add_filter( 'gatherpress_statistics_cache_expiration', function( $expiration ) {
+     *     return DAY_IN_SECONDS; // 24 hours
+     * } );
+     * ```
+     *
+     * @since 0.1.0
+     *
+     * @return int Cache expiration time in seconds.
+     */
+	protected function get_cache_expiration(): int {
+        /**
+         * Filter the cache expiration time for statistics.
+         *
+         * This filter allows developers to modify how long statistics are cached
+         * before they need to be recalculated. The default is 12 hours.
+         *
+         * @since 0.1.0
+         *
+         * @param int $expiration Cache expiration time in seconds. Default 12 hours (43200).
+         */
+        $expiration = apply_filters(
+			'gatherpress_statistics_cache_expiration',
+			12 * HOUR_IN_SECONDS
+		);
+		
+		// Ensure the value is a positive integer
+        if ( ! is_numeric( $expiration ) || $expiration < 1 ) {
+			$expiration = 12 * HOUR_IN_SECONDS;
+		}
+		
+		return absint( $expiration );
+	}
+
+    /**
+     * Calculate statistics based on type and filters.
+     *
+     * This is the main calculation dispatcher that routes to specific calculation
+     * functions based on the statistic type requested. All heavy lifting happens
+     * here and the results are cached for performance.
+     *
+     * IMPORTANT: This function checks if the requested statistic type is supported
+     * before performing any calculations.
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type The type of statistic to calculate.
+     * @param array<string, mixed> $filters        Filters to apply (varies by statistic type).
+     * @return int|float Calculated statistic value, always non-negative. Averages and medians may be fractional.
+     */
+	protected function calculate( string $statistic_type, array $filters = array() ) {
+		if ( ! $this->has_supported_post_types() ) {
+			return 0;
+		}
+		
+		if ( ! $this->is_statistic_type_supported( $statistic_type ) ) {
+			return 0;
+		}
+		
+		$statistic_type = is_string( $statistic_type ) ? $statistic_type : 'total_events';
+		$filters = is_array( $filters ) ? $filters : array();
+		
+		if ( empty( $filters['event_query'] ) || ! in_array( $filters['event_query'], array( 'upcoming', 'past', 'all' ), true ) ) {
+			return 0;
+		}
+
+		// Statistics across the network combine the statistics of each site
+		if ( $this->is_network_filters( $filters ) ) {
+			return $this->calculate_network( $statistic_type, $filters );
+		}
+		
+		$result = 0;
+		
+		// Route to the appropriate calculation function based on type
+        switch ( $statistic_type ) {
+			case 'total_events':
+				$result = $this->count_events( $filters );
+				break;
+				
+			case 'events_per_taxonomy':
+				$result = $this->count_events( $filters );
+				break;
+				
+			case 'events_multi_taxonomy':
+				$result = $this->count_events( $filters );
+				break;
+				
+			case 'total_taxonomy_terms':
+				$result = $this->count_terms( $filters );
+				break;
+				
+			case 'taxonomy_terms_by_taxonomy':
+				$result = $this->terms_by_taxonomy( $filters );
+				break;
+				
+			case 'total_attendees':
+				$result = $this->count_attendees( $filters );
+				break;
+
+			case 'top_terms':
+				$result = count( $this->rank_terms( $filters ) );
+				break;
+		}
+		
+		// Ensure result is always a non-negative number, averages and medians may be fractional
+        $result = is_numeric( $result ) ? max( 0, 0 + $result ) : 0;
+
+        /**
+         * Filter calculated statistics before caching.
+         *
+         * This filter allows developers to modify calculated statistics before they
+         * are cached. Different filters are available for each statistic type:
+         *
+         * - gatherpress_stats_calculate_total_events
+         * - gatherpress_stats_calculate_events_per_taxonomy
+         * - gatherpress_stats_calculate_events_multi_taxonomy
+         * - gatherpress_stats_calculate_total_taxonomy_terms
+         * - gatherpress_stats_calculate_taxonomy_terms_by_taxonomy
+         * - gatherpress_stats_calculate_total_attendees
+         *
+         * Example usage to round count values:
+         *
+         * ```php
+         * // Round counts to nearest 10 when over 50
+         * add_filter( 'gatherpress_stats_calculate_total_events', function( $count, $filters ) {
+         *     if ( $count > 50 ) {
+         *         return round( $count / 10 ) * 10;
+         *     }
+         *     return $count;
+         * }, 10, 2 );
+         * ```
+         *
+         * Example usage to round based on value ranges:
+         *
+         * ```php
+         * add_filter( 'gatherpress_stats_calculate_total_attendees', function( $count, $filters ) {
+         *     // Round to nearest 5 if between 10-50
+         *     if ( $count >= 10 && $count <= 50 ) {
+         *         return round( $count / 5 ) * 5;
+         *     }
+         *     // Round to nearest 10 if between 50-100
+         *     if ( $count > 50 && $count <= 100 ) {
+         *         return round( $count / 10 ) * 10;
+         *     }
+         *     // Round to nearest 50 if over 100
+         *     if ( $count > 100 ) {
+         *         return round( $count / 50 ) * 50;
+         *     }
+         *     return $count;
+         * }, 10, 2 );
+         * ```
+         *
+         * Example usage to add a custom multiplier:
+         *
+         * ```php
+         * // Apply a 1.5x multiplier to all event counts
+         * add_filter( 'gatherpress_stats_calculate_total_events', function( $count, $filters ) {
+         *     return round( $count * 1.5 );
+         * }, 10, 2 );
+         * ```
+         *
+         * Custom statistic types, enabled with `gatherpress_statistics_support_config`
+         * and registered in the editor with the `gatherpress-statistics.statisticTypes`
+         * JavaScript filter, are calculated entirely by their filter. Their filter
+         * attributes arrive as `$filters['custom_filters']`:
+         *
+         * ```php
+         * add_filter( 'gatherpress_stats_calculate_sponsors', function( $count, $filters ) {
+         *     $level = $filters['custom_filters']['level'] ?? 'gold';
+         *     return count( my_plugin_get_sponsors( $level ) );
+         * }, 10, 2 );
+         * ```
+         *
+         * @since 0.1.0
+         *
+         * @param int   $count   The calculated statistic value.
+         * @param array $filters The filters applied to this statistic.
+         */
+		return apply_filters( 'gatherpress_stats_calculate_' . $statistic_type, $result, $filters );
+	}
+
+    /**
+     * Build WP_Query arguments for events matching the given filters.
+     *
+     * Shared by all calculators that work on a set of events, so event query
+     * type, date range and taxonomy filters behave identically everywhere.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Query filters, see count_events().
+     * @return array<string, mixed> Arguments for WP_Query, returning event IDs only.
+     */
+	protected function get_event_query_args( array $filters ): array {
+		$args = array(
+			'post_type'      => $this->get_supported_post_types(),
+			'post_status'    => 'publish',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+		);
+		
+		// Add GatherPress event query parameter with proper validation,
+		// 'all' needs no parameter at all
+		if ( isset( $filters['event_query'] ) && is_string( $filters['event_query'] ) ) {
+			$event_query = sanitize_key( $filters['event_query'] );
+			if ( in_array( $event_query, array( 'upcoming', 'past' ), true ) ) {
+				$args['gatherpress_event_query'] = $event_query;
+			}
+		}
+		
+		// Restrict to events starting within the date range
+		if ( ! empty( $filters['date_from'] ) || ! empty( $filters['date_to'] ) ) {
+			$event_ids = $this->get_event_ids_in_date_range(
+				isset( $filters['date_from'] ) && is_string( $filters['date_from'] ) ? $filters['date_from'] : '',
+				isset( $filters['date_to'] ) && is_string( $filters['date_to'] ) ? $filters['date_to'] : ''
+			);
+			
+			// An empty post__in would match all posts
+			$args['post__in'] = ! empty( $event_ids ) ? $event_ids : array( 0 );
+		}
+		
+		// Handle single taxonomy filter (taxonomy + term_id)
+        if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['term_id'] ) ) {
+			if ( taxonomy_exists( $filters['taxonomy'] ) ) {
+				$args['tax_query'] = array(
+					array(
+						'taxonomy' => sanitize_key( $filters['taxonomy'] ),
+						'field'    => 'term_id',
+						'terms'    => absint( $filters['term_id'] ),
+					),
+				);
+			}
+		}
+		// Handle multiple taxonomy filters (taxonomy_terms)
+        else if ( ! empty( $filters['taxonomy_terms'] ) && is_array( $filters['taxonomy_terms'] ) ) {
+            // Events must match ALL specified taxonomies, unless ANY of them is asked for
+            $tax_query = $this->get_taxonomy_query( $filters, 'taxonomy_' );
+
+            // Only add tax_query if we have at least one taxonomy condition
+            if ( count( $tax_query ) > 1 ) {
+                $args['tax_query'] = $tax_query;
+            }
+		}
+		
+		// Events must additionally match the terms shared by a statistics group
+		if ( ! empty( $filters['group_taxonomy_terms'] ) && is_array( $filters['group_taxonomy_terms'] ) ) {
+			$group_query = $this->get_taxonomy_query( $filters, 'group_taxonomy_' );
+			$tax_query   = isset( $args['tax_query'] ) ? $args['tax_query'] : array();
+
+			// Keep alternatives together, the group terms apply to all of them
+			if ( isset( $tax_query['relation'] ) && 'OR' === $tax_query['relation'] ) {
+				$tax_query = array( $tax_query );
+			}
+			$tax_query['relation'] = 'AND';
+
+			// Alternatives of the group are kept together as well
+			if ( 'OR' === $group_query['relation'] && count( $group_query ) > 1 ) {
+				$tax_query[] = $group_query;
+			} else {
+				unset( $group_query['relation'] );
+				$tax_query = array_merge( $tax_query, $group_query );
+			}
+
+			if ( count( $tax_query ) > 1 ) {
+				$args['tax_query'] = $tax_query;
+			}
+		}
+
+		// Events must match ALL meta conditions, keys are checked again as filters may come from anywhere
+		if ( ! empty( $filters['meta_query'] ) && is_array( $filters['meta_query'] ) ) {
+			$meta_query = array( 'relation' => 'AND' );
+
+			foreach ( $this->sanitize_meta_conditions( $filters['meta_query'] ) as $clause ) {
+				// Compare numbers as numbers, not as text
+				if ( in_array( $clause['compare'], array( '>', '>=', '<', '<=' ), true ) && is_numeric( $clause['value'] ) ) {
+					$clause['type'] = 'NUMERIC';
+				}
+
+				$meta_query[] = $clause;
+			}
+
+			if ( count( $meta_query ) > 1 ) {
+				$args['meta_query'] = $meta_query;
+			}
+		}
+
+		// Events organised by a single user
+		if ( ! empty( $filters['author'] ) ) {
+			$args['author'] = absint( $filters['author'] );
+		}
+
+		return $args;
+	}
+
+    /**
+     * Build the taxonomy query for a selection of terms of several taxonomies.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Query filters, see count_events().
+     * @param string               $prefix  Prefix of the filters, 'taxonomy_' or 'group_taxonomy_'.
+     * @return array<int|string, mixed> Taxonomy query with its 'relation' and a clause per taxonomy.
+     */
+	protected function get_taxonomy_query( array $filters, string $prefix ): array {
+		$taxonomy_terms   = isset( $filters[ $prefix . 'terms' ] ) && is_array( $filters[ $prefix . 'terms' ] ) ? $filters[ $prefix . 'terms' ] : array();
+		$relation         = isset( $filters[ $prefix . 'relation' ] ) && 'OR' === $filters[ $prefix . 'relation' ] ? 'OR' : 'AND';
+		$operators        = isset( $filters[ $prefix . 'operators' ] ) && is_array( $filters[ $prefix . 'operators' ] ) ? $filters[ $prefix . 'operators' ] : array();
+		$include_children = isset( $filters[ $prefix . 'include_children' ] ) && is_array( $filters[ $prefix . 'include_children' ] ) ? $filters[ $prefix . 'include_children' ] : array();
+		$tax_query        = array( 'relation' => $relation );
+
+		// Loop through each taxonomy and its terms
+		foreach ( $taxonomy_terms as $taxonomy => $term_ids ) {
+			// Validate that we have term IDs and the taxonomy exists
+			if ( ! empty( $term_ids ) && is_array( $term_ids ) && taxonomy_exists( $taxonomy ) ) {
+				$clause = array(
+					'taxonomy' => sanitize_key( $taxonomy ),
+					'field'    => 'term_id',
+					'terms'    => array_map( 'absint', $term_ids ),
+				);
+
+				// Events match ANY of the terms by default
+				if ( isset( $operators[ $taxonomy ] ) && in_array( $operators[ $taxonomy ], array( 'AND', 'NOT IN' ), true ) ) {
+					$clause['operator'] = $operators[ $taxonomy ];
+				}
+
+				// Child terms of hierarchical taxonomies match by default
+				if ( isset( $include_children[ $taxonomy ] ) && ! $include_children[ $taxonomy ] ) {
+					$clause['include_children'] = false;
+				}
+
+				$tax_query[] = $clause;
+			}
+		}
+
+		return $tax_query;
+	}
+
+    /**
+     * Get IDs of events starting within a date range.
+     *
+     * Reads the start dates from GatherPress' custom events table. Dates are
+     * given in the site's timezone and compared against the GMT start time.
+     *
+     * @since 0.1.0
+     *
+     * @global \wpdb $wpdb WordPress database abstraction object.
+     *
+     * @param string $from Inclusive start date ('Y-m-d'), or empty for no lower bound.
+     * @param string $to   Inclusive end date ('Y-m-d'), or empty for no upper bound.
+     * @return array<int, int> Post IDs of matching events.
+     */
+	protected function get_event_ids_in_date_range( string $from, string $to ): array {
+		global $wpdb;
+		
+		$table  = sprintf( \GatherPress\Core\Event::TABLE_FORMAT, $wpdb->prefix );
+		$where  = array();
+		$values = array();
+		
+		if ( ! empty( $from ) ) {
+			$where[]  = 'datetime_start_gmt >= %s';
+			$values[] = get_gmt_from_date( $from . ' 00:00:00' );
+		}
+		
+		if ( ! empty( $to ) ) {
+			$where[]  = 'datetime_start_gmt <= %s';
+			$values[] = get_gmt_from_date( $to . ' 23:59:59' );
+		}
+		
+		if ( empty( $where ) ) {
+			return array();
+		}
+		
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name and placeholders are built above.
+		$event_ids = $wpdb->get_col( $wpdb->prepare( "SELECT post_id FROM {$table} WHERE " . implode( ' AND ', $where ), $values ) );
+		
+		return array_map( 'absint', $event_ids );
+	}
+
+    /**
+     * Count events with optional taxonomy filters and event query type.
+     *
+     * Performs a WP_Query to count published events from supported post types.
+     * Supports filtering by multiple taxonomy terms across different taxonomies,
+     * matched with an AND or OR relationship and per taxonomy with the IN, AND
+     * or NOT IN operator, as well as filtering by event query type (upcoming,
+     * past or all) and by a date range of the event start.
+     *
+     * Filter structure example:
+     * array(
+     *     'taxonomy' => 'gatherpress_topic',
+     *     'term_id' => 5,
+     *     'taxonomy_terms' => array(
+     *         'gatherpress_topic' => array( 1, 2, 3 ),  // Topic IDs
+     *         '_gatherpress_venue' => array( 4, 5 ),     // Venue IDs
+     *     ),
+     *     'taxonomy_relation'  => 'OR', // Optional: match ANY of the taxonomies
+     *     'taxonomy_operators' => array(
+     *         '_gatherpress_venue' => 'NOT IN', // Optional: exclude these venues
+     *     ),
+     *     'event_query' => 'upcoming', // Required: 'upcoming', 'past' or 'all'
+     *     'date_from'   => '2025-01-01', // Optional: events starting on or after
+     *     'date_to'     => '2025-12-31', // Optional: events starting on or before
+     *     'meta_query'  => array(
+     *         array( 'key' => 'gatherpress_online_event_link', 'compare' => 'EXISTS' ), // Optional: online events only
+     *     ),
+     *     'author'      => 3, // Optional: events organised by this user
+     * )
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters {
+     *     Query filters.
+     *
+     *     @type string $taxonomy Single taxonomy slug (alternative to taxonomy_terms).
+     *     @type int    $term_id Single term ID (used with taxonomy).
+     *     @type array<string, array<int, int>>  $taxonomy_terms {
+     *         Associative array of taxonomy => term IDs.
+     *
+     *         @type array<int, int> $taxonomy_slug Array of term IDs for this taxonomy.
+     *     }
+     *     @type string                 $taxonomy_relation         Optional. 'AND' or 'OR', how the taxonomies in taxonomy_terms combine. Default 'AND'.
+     *     @type array<string, string>  $taxonomy_operators        Optional. 'IN', 'AND' or 'NOT IN' keyed by taxonomy. Default 'IN'.
+     *     @type array<string, bool>    $taxonomy_include_children Optional. Whether child terms match, keyed by taxonomy. Default true.
+     *     @type array<string, array<int, int>>  $group_taxonomy_terms Optional. Terms of a statistics group, applied on top of the other taxonomy filters.
+     *     @type string                 $group_taxonomy_relation         Optional. Like taxonomy_relation, for group_taxonomy_terms.
+     *     @type array<string, string>  $group_taxonomy_operators        Optional. Like taxonomy_operators, for group_taxonomy_terms.
+     *     @type array<string, bool>    $group_taxonomy_include_children Optional. Like taxonomy_include_children, for group_taxonomy_terms.
+     *     @type array<int, array<string, string>> $meta_query Optional. Post meta conditions events must all match, see sanitize_meta_conditions().
+     *     @type int    $author      Optional. ID of the user organising the events.
+     *     @type string $event_query GatherPress event query type: 'upcoming', 'past' or 'all' (required).
+     *     @type string $date_from   Optional. Inclusive start date ('Y-m-d') of the event start.
+     *     @type string $date_to     Optional. Inclusive end date ('Y-m-d') of the event start.
+     * }
+     * @return int Number of events matching the filters.
+     */
+	protected function count_events( array $filters = array() ): int {
+		$post_types = $this->get_supported_post_types();
+		
+		if ( empty( $post_types ) ) {
+			return 0;
+		}
+		
+		$filters = is_array( $filters ) ? $filters : array();
+		
+		$args = $this->get_event_query_args( $filters );
+		
+		$query = new \WP_Query( $args );
+		
+		return absint( $query->found_posts );
+	}
+
+    /**
+     * Count total terms in a taxonomy.
+     *
+     * Counts the number of non-empty terms in a specified taxonomy. Only counts
+     * terms that are actually assigned to at least one published event from
+     * supported post types.
+     *
+     * Example usage:
+     * $filters = array( 'taxonomy' => '_gatherpress_venue' );
+     * $count = count_terms( $filters );
+     * // Returns: 7 (if there are 7 venues with events)
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters {
+     *     Filters including taxonomy.
+     *
+     *     @type string $taxonomy The taxonomy slug to count terms from.
+     * }
+     * @return int Number of non-empty terms in the taxonomy.
+     */
+	protected function count_terms( array $filters = array() ): int {
+		$post_types = $this->get_supported_post_types();
+		
+		if ( empty( $post_types ) ) {
+			return 0;
+		}
+		
+		$filters = is_array( $filters ) ? $filters : array();
+		$taxonomy = isset( $filters['taxonomy'] ) && is_string( $filters['taxonomy'] ) ? $filters['taxonomy'] : '';
+		
+		// Validate taxonomy parameter
+        if ( empty( $taxonomy ) || ! taxonomy_exists( $taxonomy ) ) {
+			return 0;
+		}
+		
+        // Get terms, hiding empty ones (terms with no posts)
+        $args = array(
+            'taxonomy'   => sanitize_key( $taxonomy ),
+            'hide_empty' => true,  // Only count terms with posts
+            'object_ids' => null,  // Will filter by post type below
+        );
+		
+		// Get all post IDs from supported post types
+        $post_query = new \WP_Query(
+			array(
+				'post_type'      => $post_types,
+				'post_status'    => 'publish',
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+			)
+		);
+		
+		if ( ! empty( $post_query->posts ) ) {
+			$args['object_ids'] = $post_query->posts;
+		}
+		
+		$terms = \get_terms( $args );
+		
+		// Handle errors or empty results
+        if ( is_wp_error( $terms ) || ! is_array( $terms ) ) {
+			return 0;
+		}
+		
+		return absint( count( $terms ) );
+	}
+
+    /**
+     * Count terms of one taxonomy that have events in another taxonomy.
+     *
+     * This complex function answers questions like "How many venues host Technology
+     * events?" It counts unique terms from one taxonomy (count_taxonomy) that appear
+     * on events filtered by another taxonomy (filter_taxonomy).
+     *
+     * Example scenario with 15 events, 3 topics, 3 venues:
+     * - Events: E1-E15
+     * - Topics: Technology (T1), Workshop (T2), Networking (T3)
+     * - Venues: Downtown Hall (V1), Tech Center (V2), Community Space (V3)
+     *
+     * Query: "How many venues host Technology events?"
+     * $filters = array(
+     *     'count_taxonomy'  => '_gatherpress_venue',    // Count venues
+     *     'filter_taxonomy' => 'gatherpress_topic',     // Filter by topic
+     *     'term_id'         => 1,                        // Topic ID for "Technology"
+     * );
+     * Result: 2 (if Technology events are at V1 and V2 only)
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters {
+     *     Filters for cross-taxonomy counting.
+     *
+     *     @type string $count_taxonomy  Taxonomy to count terms from.
+     *     @type string $filter_taxonomy Taxonomy to filter events by.
+     *     @type int    $term_id         Term ID in filter_taxonomy.
+     * }
+     * @return int Number of unique terms from count_taxonomy.
+     */
+	protected function terms_by_taxonomy( array $filters = array() ): int {
+		$post_types = $this->get_supported_post_types();
+		
+		if ( empty( $post_types ) ) {
+			return 0;
+		}
+		
+		$filters = is_array( $filters ) ? $filters : array();
+		
+		// Extract parameters
+        $count_taxonomy  = isset( $filters['count_taxonomy'] ) && is_string( $filters['count_taxonomy'] ) ? $filters['count_taxonomy'] : '';
+		$filter_taxonomy = isset( $filters['filter_taxonomy'] ) && is_string( $filters['filter_taxonomy'] ) ? $filters['filter_taxonomy'] : '';
+		$term_id         = isset( $filters['term_id'] ) ? absint( $filters['term_id'] ) : 0;
+		
+		// Validate required parameters
+        if ( empty( $count_taxonomy ) || empty( $filter_taxonomy ) || $term_id === 0 ) {
+			return 0;
+		}
+		
+		// Validate taxonomies exist
+        if ( ! taxonomy_exists( $count_taxonomy ) || ! taxonomy_exists( $filter_taxonomy ) ) {
+			return 0;
+		}
+		
+		// Step 1: Get all events in the filter taxonomy term
+        $args = array(
+			'post_type'      => $post_types,
+			'post_status'    => 'publish',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+			'tax_query'      => array(
+				array(
+					'taxonomy' => sanitize_key( $filter_taxonomy ),
+					'field'    => 'term_id',
+					'terms'    => $term_id,
+				),
+			),
+		);
+		
+		$query = new \WP_Query( $args );
+		$terms = array();
+		
+		// Step 2: For each event, get its terms from count_taxonomy
+        if ( is_array( $query->posts ) ) {
+			foreach ( $query->posts as $post_id ) {
+				// Get all terms for this post in the count_taxonomy
+                $post_terms = wp_get_post_terms( $post_id, sanitize_key( $count_taxonomy ), array( 'fields' => 'ids' ) );
+				
+				// Accumulate term IDs
+                if ( ! is_wp_error( $post_terms ) && is_array( $post_terms ) && ! empty( $post_terms ) ) {
+					$terms = array_merge( $terms, $post_terms );
+				}
+			}
+		}
+
+        // Step 3: Count unique terms
+        // array_unique removes duplicates, count gives us the total
+		return absint( count( array_unique( $terms ) ) );
+	}
+
+    /**
+     * Count total attendees with optional taxonomy filters and event query type.
+     *
+     * Sums the 'gatherpress_attendees_count' post meta across all matching events
+     * from supported post types. Supports filtering by single taxonomy term,
+     * multiple taxonomy terms, and event query type (upcoming/past).
+     *
+     * Example with 15 events:
+     * - Event 1: 25 attendees, Technology topic, upcoming
+     * - Event 2: 30 attendees, Technology topic, upcoming
+     * - Event 3: 15 attendees, Workshop topic, past
+     * - ... etc
+     *
+     * Query 1: Attendees at upcoming events (no taxonomy filter)
+     * $filters = array( 'event_query' => 'upcoming' );
+     * Result: Sum of all attendees at upcoming events
+     *
+     * Query 2: Attendees at upcoming Technology events
+     * $filters = array(
+     *     'taxonomy' => 'gatherpress_topic',
+     *     'term_id'  => 1,  // Technology
+     *     'event_query' => 'upcoming',
+     * );
+     * Result: 55 (25 + 30 from upcoming Technology events)
+     *
+     * Query 3: Attendees at Technology events in Downtown venue
+     * $filters = array(
+     *     'taxonomy_terms' => array(
+     *         'gatherpress_topic' => array( 1 ),     // Technology
+     *         '_gatherpress_venue' => array( 1 ),    // Downtown
+     *     ),
+     *     'event_query' => 'upcoming',
+     * );
+     * Result: Sum of attendees matching both filters
+     *
+     * Query 4: Average attendees per past event
+     * $filters = array(
+     *     'event_query' => 'past',
+     *     'aggregation' => 'average',
+     * );
+     * Result: Sum of attendees divided by the number of past events
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters {
+     *     Query filters.
+     *
+     *     @type string $taxonomy       Single taxonomy slug (alternative to taxonomy_terms).
+     *     @type int    $term_id        Single term ID (used with taxonomy).
+     *     @type array<string, array<int, int>>  $taxonomy_terms Multi-taxonomy filter array.
+     *     @type string                 $taxonomy_relation         Optional. How the taxonomies combine, see count_events().
+     *     @type array<string, string>  $taxonomy_operators        Optional. How the terms of each taxonomy match, see count_events().
+     *     @type array<string, bool>    $taxonomy_include_children Optional. Whether child terms match, see count_events().
+     *     @type array<string, array<int, int>>  $group_taxonomy_terms Optional. Terms of a statistics group, with their relation, operators and child term handling, see count_events().
+     *     @type array<int, array<string, string>> $meta_query Optional. Post meta conditions, see count_events().
+     *     @type int    $author         Optional. ID of the user organising the events.
+     *     @type string $event_query    Required. GatherPress event query type: 'upcoming', 'past' or 'all'.
+     *     @type string $date_from      Optional. Inclusive start date ('Y-m-d') of the event start.
+     *     @type string $date_to        Optional. Inclusive end date ('Y-m-d') of the event start.
+     *     @type string $aggregation    Optional. How to combine the attendees of all events, see aggregate(). Default 'sum'.
+     * }
+     * @return int|float Number of attendees, aggregated across all matching events.
+     */
+	protected function count_attendees( array $filters = array() ) {
+		$post_types = $this->get_supported_post_types();
+		
+		if ( empty( $post_types ) ) {
+			return 0;
+		}
+		$filters = is_array( $filters ) ? $filters : array();
+		
+		$aggregation = isset( $filters['aggregation'] ) && is_string( $filters['aggregation'] ) ? $filters['aggregation'] : 'sum';
+
+		return $this->aggregate( $this->get_attendee_counts( $filters ), $aggregation );
+	}
+
+    /**
+     * Get the attendee count of each event matching the filters.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Query filters, see count_events().
+     * @return array<int, int> Attendee counts, one per event.
+     */
+	protected function get_attendee_counts( array $filters ): array {
+		$args = $this->get_event_query_args( $filters );
+        
+        // Execute the query to get matching event IDs
+        $query = new \WP_Query( $args );
+        $attendee_counts = array();
+        
+        // Collect attendee counts from post meta
+        if ( is_array( $query->posts ) && ! empty( $query->posts ) ) {
+            foreach ( $query->posts as $post_id ) {
+                // Get the attendee count for this event
+                $attendee_count = (int) get_post_meta( $post_id, 'gatherpress_attendees_count', true );
+                
+                // Add to the list if it's a valid number
+                if ( is_numeric( $attendee_count ) ) {
+                    $attendee_counts[] = absint( $attendee_count );
+                }
+            }
+        }
+
+		return $attendee_counts;
+	}
+
+    /**
+     * Rank the terms of a taxonomy by their events or attendees.
+     *
+     * Answers questions like "Which venues host the most events?" Every
+     * matching event adds to each of its terms in count_taxonomy, either 1 or
+     * its number of attendees. Terms without events are left out.
+     *
+     * Example with 15 events at 3 venues:
+     * $filters = array(
+     *     'count_taxonomy' => '_gatherpress_venue',
+     *     'event_query'    => 'past',
+     * );
+     * Result: array( 12 => 7, 14 => 5, 13 => 3 ), venue term IDs with their events
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters {
+     *     Query filters, see count_events() for the event filters.
+     *
+     *     @type string $count_taxonomy     Taxonomy whose terms are ranked.
+     *     @type string $leaderboard_metric Optional. 'attendees' to rank by attendees instead of events.
+     * }
+     * @return array<int, int> Events or attendees keyed by term ID, highest first.
+     */
+	protected function rank_terms( array $filters = array() ): array {
+		$taxonomy = isset( $filters['count_taxonomy'] ) && is_string( $filters['count_taxonomy'] ) ? $filters['count_taxonomy'] : '';
+
+		if ( empty( $taxonomy ) || ! taxonomy_exists( $taxonomy ) || empty( $this->get_supported_post_types() ) ) {
+			return array();
+		}
+
+		$by_attendees = isset( $filters['leaderboard_metric'] ) && 'attendees' === $filters['leaderboard_metric'];
+		$query        = new \WP_Query( $this->get_event_query_args( $filters ) );
+		$totals       = array();
+
+		if ( is_array( $query->posts ) && ! empty( $query->posts ) ) {
+			// Load the terms and attendee counts of all events at once, instead of one query per event
+			update_object_term_cache( $query->posts, $this->get_supported_post_types() );
+			if ( $by_attendees ) {
+				update_meta_cache( 'post', $query->posts );
+			}
+
+			foreach ( $query->posts as $post_id ) {
+				$value = $by_attendees ? absint( get_post_meta( $post_id, 'gatherpress_attendees_count', true ) ) : 1;
+				if ( 0 === $value ) {
+					continue;
+				}
+
+				// Read the primed term cache, wp_get_post_terms() would query every event again
+				$post_terms = get_object_term_cache( $post_id, sanitize_key( $taxonomy ) );
+				if ( false === $post_terms ) {
+					$post_terms = wp_get_object_terms( $post_id, sanitize_key( $taxonomy ) );
+				}
+				if ( is_wp_error( $post_terms ) || ! is_array( $post_terms ) ) {
+					continue;
+				}
+
+				foreach ( wp_list_pluck( $post_terms, 'term_id' ) as $term_id ) {
+					$totals[ $term_id ] = ( isset( $totals[ $term_id ] ) ? $totals[ $term_id ] : 0 ) + $value;
+				}
+			}
+		}
+
+		if ( empty( $totals ) ) {
+			return array();
+		}
+
+		// Highest first, ties in the order the terms were created
+		$term_ids = array_keys( $totals );
+		$values   = array_values( $totals );
+		array_multisort( $values, SORT_DESC, SORT_NUMERIC, $term_ids, SORT_ASC, SORT_NUMERIC );
+
+		return array_combine( $term_ids, $values );
+	}
+
+    /**
+     * Get the supported ways to aggregate per-event values.
+     *
+     * @since 0.1.0
+     *
+     * @return array<int, string> Aggregation slugs.
+     */
+	public function get_aggregations(): array {
+		return array( 'sum', 'average', 'median', 'max', 'min' );
+	}
+
+    /**
+     * Combine per-event values into a single value.
+     *
+     * Supported aggregations:
+     * - 'sum'     Total of all values (default)
+     * - 'average' Arithmetic mean
+     * - 'median'  Middle value, or the mean of both middle values
+     * - 'max'     Largest value
+     * - 'min'     Smallest value
+     *
+     * Example with the values 10, 20 and 60:
+     * sum = 90, average = 30, median = 20, max = 60, min = 10
+     *
+     * @since 0.1.0
+     *
+     * @param array<int, int> $values      Per-event values.
+     * @param string          $aggregation Aggregation slug.
+     * @return int|float Aggregated value, 0 without any values.
+     */
+	protected function aggregate( array $values, string $aggregation ) {
+		if ( empty( $values ) ) {
+			return 0;
+		}
+
+		switch ( $aggregation ) {
+			case 'average':
+				return array_sum( $values ) / count( $values );
+
+			case 'median':
+				sort( $values );
+				$middle = (int) floor( count( $values ) / 2 );
+
+				return 0 === count( $values ) % 2
+					? ( $values[ $middle - 1 ] + $values[ $middle ] ) / 2
+					: $values[ $middle ];
+
+			case 'max':
+				return max( $values );
+
+			case 'min':
+				return min( $values );
+
+			default:
+				return array_sum( $values );
+		}
+	}
+
+    /**
+     * Get statistic with caching.
+     *
+     * This is the main entry point for retrieving statistics. It implements a
+     * caching layer using WordPress transients to avoid expensive recalculations.
+     *
+     * Cache workflow:
+     * 1. Check if cached value exists (transient)
+     * 2. If yes, return cached value
+     * 3. If no, calculate value
+     * 4. Store in cache for 12 hours
+     * 5. Return calculated value
+     *
+     * The cache is automatically invalidated when:
+     * - Events are created, updated, or deleted
+     * - Taxonomy terms are modified
+     * - Post meta (attendee counts) changes
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type Statistic type to retrieve.
+     * @param array<string, mixed> $filters        Filters to apply to the statistic.
+     * @return int|float Statistic value (cached or freshly calculated).
+     */
+	public function get_cached( string $statistic_type, array $filters = array() ) {
+		if ( ! is_string( $statistic_type ) || empty( $statistic_type ) ) {
+			return 0;
+		}
+		
+		if ( ! is_array( $filters ) ) {
+			$filters = array();
+		}
+		
+		if ( ! $this->has_supported_post_types() ) {
+			return 0;
+		}
+		
+		if ( ! $this->is_statistic_type_supported( $statistic_type ) ) {
+			return 0;
+		}
+
+		// Get configured cache expiration time
+        $expiration = $this->get_cache_expiration();
+
+		// Generate unique cache key for this configuration
+        $cache_key = $this->get_cache_key( $statistic_type, $filters );
 		
-		$statistic_type = is_string( $statistic_type ) ? $statistic_type : 'total_events';
-		$filters = is_array( $filters ) ? $filters : array();
+		// Try to get cached value
+        $cached = $this->get_transient_value( $cache_key, $filters );
 		
-		if ( empty( $filters['event_query'] ) || ! in_array( $filters['event_query'], array( 'upcoming', 'past' ), true ) ) {
-			return 0;
+		// Validate cached value and return if valid, transients may return numbers as strings
+        if ( false !== $cached && is_numeric( $cached ) ) {
+			return max( 0, 0 + $cached );
 		}
 		
-		$result = 0;
+		// Cache miss - calculate the value
+        $value = $this->calculate( $statistic_type, $filters );
 		
-		// Route to the appropriate calculation function based on type
-        switch ( $statistic_type ) {
-			case 'total_events':
-				$result = $this->count_events( $filters );
-				break;
-				
-			case 'events_per_taxonomy':
-				$result = $this->count_events( $filters );
-				break;
-				
-			case 'events_multi_taxonomy':
-				$result = $this->count_events( $filters );
-				break;
-				
-			case 'total_taxonomy_terms':
-				$result = $this->count_terms( $filters );
-				break;
-				
-			case 'taxonomy_terms_by_taxonomy':
-				$result = $this->terms_by_taxonomy( $filters );
-				break;
-				
-			case 'total_attendees':
-				$result = $this->count_attendees( $filters );
-				break;
-		}
+		// Ensure value is a non-negative number
+        $value = is_numeric( $value ) ? max( 0, 0 + $value ) : 0;
+
+        // Store in cache with configured expiration time
+        // Note: Cache is cleared automatically on data changes
+		$this->set_transient_value( $cache_key, $value, $filters, $expiration );
 		
-		// Ensure result is always a non-negative integer
-        $result = is_numeric( $result ) ? absint( $result ) : 0;
+		return $value;
+	}
 
-        /**
-         * Filter calculated statistics before caching.
-         *
-         * This filter allows developers to modify calculated statistics before they
-         * are cached. Different filters are available for each statistic type:
-         *
-         * - gatherpress_stats_calculate_total_events
-         * - gatherpress_stats_calculate_events_per_taxonomy
-         * - gatherpress_stats_calculate_events_multi_taxonomy
-         * - gatherpress_stats_calculate_total_taxonomy_terms
-         * - gatherpress_stats_calculate_taxonomy_terms_by_taxonomy
-         * - gatherpress_stats_calculate_total_attendees
-         *
-         * Example usage to round count values:
-         *
-         * ```php
-         * // Round counts to nearest 10 when over 50
-         * add_filter( 'gatherpress_stats_calculate_total_events', function( $count, $filters ) {
-         *     if ( $count > 50 ) {
-         *         return round( $count / 10 ) * 10;
-         *     }
-         *     return $count;
-         * }, 10, 2 );
-         * ```
-         *
-         * Example usage to round based on value ranges:
-         *
-         * ```php
-         * add_filter( 'gatherpress_stats_calculate_total_attendees', function( $count, $filters ) {
-         *     // Round to nearest 5 if between 10-50
-         *     if ( $count >= 10 && $count <= 50 ) {
-         *         return round( $count / 5 ) * 5;
-         *     }
-         *     // Round to nearest 10 if between 50-100
-         *     if ( $count > 50 && $count <= 100 ) {
-         *         return round( $count / 10 ) * 10;
-         *     }
-         *     // Round to nearest 50 if over 100
-         *     if ( $count > 100 ) {
-         *         return round( $count / 50 ) * 50;
-         *     }
-         *     return $count;
-         * }, 10, 2 );
-         * ```
-         *
-         * Example usage to add a custom multiplier:
-         *
-         * ```php
-         * // Apply a 1.5x multiplier to all event counts
-         * add_filter( 'gatherpress_stats_calculate_total_events', function( $count, $filters ) {
-         *     return round( $count * 1.5 );
-         * }, 10, 2 );
-         * ```
-         *
-         * @since 0.1.0
-         *
-         * @param int   $count   The calculated statistic value.
-         * @param array $filters The filters applied to this statistic.
-         */
-		return apply_filters( 'gatherpress_stats_calculate_' . $statistic_type, $result, $filters );
+    /**
+     * Check whether filters aggregate a statistic across the network.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Filters of a statistic.
+     * @return bool True for network-wide statistics on a multisite install.
+     */
+	public function is_network_filters( array $filters ): bool {
+		return ! empty( $filters['network'] ) && is_multisite();
 	}
 
     /**
-     * Count events with optional taxonomy filters and event query type.
+     * Get a cached value of a statistic.
      *
-     * Performs a WP_Query to count published events from supported post types.
-     * Supports filtering by multiple taxonomy terms across different taxonomies
-     * using an AND relationship, as well as filtering by event query type
-     * (upcoming or past).
+     * Statistics across the network are cached once for the whole network,
+     * as site transients.
      *
-     * Filter structure example:
-     * array(
-     *     'taxonomy' => 'gatherpress_topic',
-     *     'term_id' => 5,
-     *     'taxonomy_terms' => array(
-     *         'gatherpress_topic' => array( 1, 2, 3 ),  // Topic IDs
-     *         '_gatherpress_venue' => array( 4, 5 ),     // Venue IDs
-     *     ),
-     *     'event_query' => 'upcoming', // Required: 'upcoming' or 'past'
-     * )
+     * @since 0.1.0
+     *
+     * @param string               $cache_key Cache key, see get_cache_key().
+     * @param array<string, mixed> $filters   Filters of the statistic.
+     * @return mixed Cached value, or false if not cached.
+     */
+	public function get_transient_value( string $cache_key, array $filters ) {
+		return $this->is_network_filters( $filters ) ? get_site_transient( $cache_key ) : get_transient( $cache_key );
+	}
+
+    /**
+     * Cache a value of a statistic.
      *
      * @since 0.1.0
      *
-     * @param array<string, mixed> $filters {
-     *     Query filters.
+     * @param string               $cache_key  Cache key, see get_cache_key().
+     * @param mixed                $value      Value, time series or leaderboard.
+     * @param array<string, mixed> $filters    Filters of the statistic.
+     * @param int                  $expiration Cache expiration time in seconds.
+     * @return void
+     */
+	protected function set_transient_value( string $cache_key, $value, array $filters, int $expiration ): void {
+		if ( $this->is_network_filters( $filters ) ) {
+			\set_site_transient( $cache_key, $value, $expiration );
+			return;
+		}
+
+		\set_transient( $cache_key, $value, $expiration );
+	}
+
+    /**
+     * Get the sites of the current network.
      *
-     *     @type string $taxonomy Single taxonomy slug (alternative to taxonomy_terms).
-     *     @type int    $term_id Single term ID (used with taxonomy).
-     *     @type array<string, array<int, int>>  $taxonomy_terms {
-     *         Associative array of taxonomy => term IDs.
+     * Archived, deleted and spam sites are left out, as are sites that ask
+     * search engines not to index them.
      *
-     *         @type array<int, int> $taxonomy_slug Array of term IDs for this taxonomy.
-     *     }
-     *     @type string $event_query GatherPress event query type: 'upcoming' or 'past' (required).
-     * }
-     * @return int Number of events matching the filters.
+     * @since 0.1.0
+     *
+     * @return array<int, \WP_Site> Sites, or an empty array if this is no multisite.
      */
-	protected function count_events( array $filters = array() ): int {
-		$post_types = $this->get_supported_post_types();
-		
-		if ( empty( $post_types ) ) {
-			return 0;
+	protected function get_network_sites(): array {
+		if ( ! is_multisite() ) {
+			return array();
 		}
-		
-		$filters = is_array( $filters ) ? $filters : array();
-		
-		$args = array(
-			#'post_type'      => 'gatherpress_event',
-		    'post_type'      => $post_types,
-			'post_status'    => 'publish',
-			'posts_per_page' => -1,
-			'fields'         => 'ids',
+
+		return get_sites(
+			array(
+				'network_id' => get_current_network_id(),
+				'number'     => 0,
+				'public'     => 1,
+				'archived'   => 0,
+				'deleted'    => 0,
+				'spam'       => 0,
+			)
 		);
-		
-		if ( isset( $filters['event_query'] ) && is_string( $filters['event_query'] ) ) {
-			$event_query = sanitize_key( $filters['event_query'] );
-			if ( in_array( $event_query, array( 'upcoming', 'past' ), true ) ) {
-				$args['gatherpress_event_query'] = $event_query;
+	}
+
+    /**
+     * Get the IDs of the sites a network-wide statistic covers.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Filters with the optional 'network_sites'.
+     * @return array<int, int> Site IDs, all sites of the network if none are chosen.
+     */
+	protected function get_network_site_ids( array $filters ): array {
+		$site_ids = array_map( 'intval', wp_list_pluck( $this->get_network_sites(), 'blog_id' ) );
+
+		if ( ! empty( $filters['network_sites'] ) && is_array( $filters['network_sites'] ) ) {
+			$site_ids = array_values( array_intersect( $site_ids, array_map( 'intval', $filters['network_sites'] ) ) );
+		}
+
+		return $site_ids;
+	}
+
+    /**
+     * Run a calculation on each site of a network-wide statistic.
+     *
+     * Sites not supporting the statistic type are skipped, according to the
+     * support configuration each site stores in its options, see
+     * register_post_type_support(). So are sites that opted out with the
+     * `gatherpress_statistics_network_sharing` filter, as network-wide
+     * statistics are shown to anybody, and sites lacking a term the statistic
+     * is filtered by.
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type Statistic type.
+     * @param array<string, mixed> $filters        Filters of the network-wide statistic.
+     * @param callable             $callback       Called on each site with the filters for that site.
+     * @return array<int, mixed> Results of the callback, keyed by site ID.
+     */
+	protected function for_each_network_site( string $statistic_type, array $filters, callable $callback ): array {
+		$term_slugs = $this->get_network_term_slugs( $filters );
+		$results    = array();
+
+		foreach ( $this->get_network_site_ids( $filters ) as $site_id ) {
+			switch_to_blog( $site_id );
+
+			$config       = get_option( 'gatherpress_statistics_support', array() );
+			$sharing      = get_option( 'gatherpress_statistics_sharing', array() );
+			$is_shared    = is_array( $sharing ) && ! empty( $sharing['network'] );
+			$site_filters = $is_shared && is_array( $config ) && ! empty( $config[ $statistic_type ] ) ? $this->get_site_filters( $filters, $term_slugs ) : null;
+
+			if ( null !== $site_filters ) {
+				$results[ $site_id ] = $callback( $site_filters );
 			}
+
+			restore_current_blog();
 		}
-		
-		// Handle single taxonomy filter (taxonomy + term_id)
-        if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['term_id'] ) ) {
-			if ( taxonomy_exists( $filters['taxonomy'] ) ) {
-				$args['tax_query'] = array(
-					array(
-						'taxonomy' => sanitize_key( $filters['taxonomy'] ),
-						'field'    => 'term_id',
-						'terms'    => absint( $filters['term_id'] ),
-					),
-				);
+
+		return $results;
+	}
+
+    /**
+     * Get the slugs of the terms a network-wide statistic is filtered by.
+     *
+     * Term IDs differ between sites, so terms are matched by their slug.
+     * Looked up on the site the statistic is configured on.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Filters of the network-wide statistic.
+     * @return array<string, array<int, string>> Term slugs keyed by taxonomy and term ID.
+     */
+	protected function get_network_term_slugs( array $filters ): array {
+		$term_ids = array();
+
+		if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['term_id'] ) ) {
+			$term_ids[ $filters['taxonomy'] ][] = (int) $filters['term_id'];
+		}
+
+		foreach ( array( 'taxonomy_terms', 'group_taxonomy_terms' ) as $name ) {
+			if ( ! empty( $filters[ $name ] ) && is_array( $filters[ $name ] ) ) {
+				foreach ( $filters[ $name ] as $taxonomy => $ids ) {
+					$term_ids[ $taxonomy ] = array_merge( isset( $term_ids[ $taxonomy ] ) ? $term_ids[ $taxonomy ] : array(), (array) $ids );
+				}
 			}
 		}
-		// Handle multiple taxonomy filters (taxonomy_terms)
-        else if ( ! empty( $filters['taxonomy_terms'] ) && is_array( $filters['taxonomy_terms'] ) ) {
-            // Use AND relation so events must match ALL specified taxonomies
-            $tax_query = array( 'relation' => 'AND' );
-            
-            // Loop through each taxonomy and its terms
-            foreach ( $filters['taxonomy_terms'] as $taxonomy => $term_ids ) {
-                // Validate that we have term IDs and the taxonomy exists
-                if ( ! empty( $term_ids ) && is_array( $term_ids ) && taxonomy_exists( $taxonomy ) ) {
-                    $tax_query[] = array(
-                        'taxonomy' => sanitize_key( $taxonomy ),
-                        'field'    => 'term_id',
-                        'terms'    => array_map( 'absint', $term_ids ),
-                    );
-                }
-            }
-            
-            // Only add tax_query if we have at least one taxonomy condition
-            if ( count( $tax_query ) > 1 ) {
-                $args['tax_query'] = $tax_query;
-            }
+
+		if ( empty( $term_ids ) ) {
+			return array();
+		}
+
+		switch_to_blog( (int) $filters['network'] );
+
+		$term_slugs = array();
+		foreach ( $term_ids as $taxonomy => $ids ) {
+			foreach ( $ids as $term_id ) {
+				$term = get_term( (int) $term_id, $taxonomy );
+
+				if ( $term instanceof \WP_Term ) {
+					$term_slugs[ $taxonomy ][ (int) $term_id ] = $term->slug;
+				}
+			}
+		}
+
+		restore_current_blog();
+
+		return $term_slugs;
+	}
+
+    /**
+     * Get the filters of a network-wide statistic for the current site.
+     *
+     * Removes the network filters and replaces the term IDs with the IDs of
+     * the terms with the same slug on the current site.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed>              $filters    Filters of the network-wide statistic.
+     * @param array<string, array<int, string>> $term_slugs Term slugs, see get_network_term_slugs().
+     * @return array<string, mixed>|null Filters, or null if the site lacks the single term filtered by.
+     */
+	protected function get_site_filters( array $filters, array $term_slugs ): ?array {
+		unset( $filters['network'], $filters['network_sites'] );
+
+		if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['term_id'] ) ) {
+			$filters['term_id'] = $this->get_site_term_id( $filters['taxonomy'], (int) $filters['term_id'], $term_slugs );
+
+			if ( 0 === $filters['term_id'] ) {
+				return null;
+			}
+		}
+
+		// Missing terms become 0, which no event has, so the operators keep working
+		foreach ( array( 'taxonomy_terms', 'group_taxonomy_terms' ) as $name ) {
+			if ( ! empty( $filters[ $name ] ) && is_array( $filters[ $name ] ) ) {
+				foreach ( $filters[ $name ] as $taxonomy => $ids ) {
+					foreach ( (array) $ids as $index => $term_id ) {
+						$filters[ $name ][ $taxonomy ][ $index ] = $this->get_site_term_id( $taxonomy, (int) $term_id, $term_slugs );
+					}
+				}
+			}
+		}
+
+		return $filters;
+	}
+
+    /**
+     * Get the ID of a term on the current site.
+     *
+     * @since 0.1.0
+     *
+     * @param string                            $taxonomy   Taxonomy slug.
+     * @param int                               $term_id    Term ID on the site the statistic is configured on.
+     * @param array<string, array<int, string>> $term_slugs Term slugs, see get_network_term_slugs().
+     * @return int Term ID, or 0 if the current site has no term with the same slug.
+     */
+	protected function get_site_term_id( string $taxonomy, int $term_id, array $term_slugs ): int {
+		if ( empty( $term_slugs[ $taxonomy ][ $term_id ] ) ) {
+			return 0;
 		}
-		
-		$query = new \WP_Query( $args );
-		
-		return absint( $query->found_posts );
+
+		$term = get_term_by( 'slug', $term_slugs[ $taxonomy ][ $term_id ], $taxonomy );
+
+		return $term instanceof \WP_Term ? (int) $term->term_id : 0;
 	}
 
     /**
-     * Count total terms in a taxonomy.
-     *
-     * Counts the number of non-empty terms in a specified taxonomy. Only counts
-     * terms that are actually assigned to at least one published event from
-     * supported post types.
+     * Calculate a statistic across the sites of the network.
      *
-     * Example usage:
-     * $filters = array( 'taxonomy' => '_gatherpress_venue' );
-     * $count = count_terms( $filters );
-     * // Returns: 7 (if there are 7 venues with events)
+     * Values of the sites are summed up, each using its own cache. Attendee
+     * averages, medians and extremes are calculated over the events of all
+     * sites, and leaderboards rank the terms of all sites, see
+     * rank_network_terms().
      *
      * @since 0.1.0
      *
-     * @param array<string, mixed> $filters {
-     *     Filters including taxonomy.
-     *
-     *     @type string $taxonomy The taxonomy slug to count terms from.
-     * }
-     * @return int Number of non-empty terms in the taxonomy.
+     * @param string               $statistic_type Statistic type.
+     * @param array<string, mixed> $filters        Filters of the network-wide statistic.
+     * @return int|float Value across all sites.
      */
-	protected function count_terms( array $filters = array() ): int {
-		$post_types = $this->get_supported_post_types();
-		
-		if ( empty( $post_types ) ) {
-			return 0;
+	protected function calculate_network( string $statistic_type, array $filters ) {
+		if ( 'top_terms' === $statistic_type ) {
+			return count( $this->rank_network_terms( $filters ) );
 		}
-		
-		$filters = is_array( $filters ) ? $filters : array();
-		$taxonomy = isset( $filters['taxonomy'] ) && is_string( $filters['taxonomy'] ) ? $filters['taxonomy'] : '';
-		
-		// Validate taxonomy parameter
-        if ( empty( $taxonomy ) || ! taxonomy_exists( $taxonomy ) ) {
-			return 0;
+
+		$aggregation = isset( $filters['aggregation'] ) && is_string( $filters['aggregation'] ) ? $filters['aggregation'] : 'sum';
+
+		if ( 'total_attendees' === $statistic_type && 'sum' !== $aggregation ) {
+			$attendee_counts = $this->for_each_network_site(
+				$statistic_type,
+				$filters,
+				function ( array $site_filters ): array {
+					return $this->get_attendee_counts( $site_filters );
+				}
+			);
+
+			return $this->aggregate( array_merge( array(), ...array_values( $attendee_counts ) ), $aggregation );
 		}
-		
-        // Get terms, hiding empty ones (terms with no posts)
-        $args = array(
-            'taxonomy'   => sanitize_key( $taxonomy ),
-            'hide_empty' => true,  // Only count terms with posts
-            'object_ids' => null,  // Will filter by post type below
-        );
-		
-		// Get all post IDs from supported post types
-        $post_query = new \WP_Query(
-			array(
-				'post_type'      => $post_types,
-				'post_status'    => 'publish',
-				'posts_per_page' => -1,
-				'fields'         => 'ids',
-			)
+
+		$values = $this->for_each_network_site(
+			$statistic_type,
+			$filters,
+			function ( array $site_filters ) use ( $statistic_type ) {
+				return $this->get_cached( $statistic_type, $site_filters );
+			}
 		);
-		
-		if ( ! empty( $post_query->posts ) ) {
-			$args['object_ids'] = $post_query->posts;
-		}
-		
-		$terms = \get_terms( $args );
-		
-		// Handle errors or empty results
-        if ( is_wp_error( $terms ) || ! is_array( $terms ) ) {
-			return 0;
+
+		return array_sum( $values );
+	}
+
+    /**
+     * Rank the terms of all sites of a network-wide 'top_terms' statistic.
+     *
+     * Terms with the same slug are combined, so e.g. a topic used by several
+     * sites counts the events of all of them. Name and URL are taken from the
+     * first site with the term.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Filters of the network-wide statistic, see rank_terms().
+     * @return array<int, array{term_id: int, value: int, name: string, url: string}> Terms with events or attendees, highest first.
+     */
+	protected function rank_network_terms( array $filters ): array {
+		$taxonomy = isset( $filters['count_taxonomy'] ) && is_string( $filters['count_taxonomy'] ) ? $filters['count_taxonomy'] : '';
+		$ranking  = array();
+
+		$site_rankings = $this->for_each_network_site(
+			'top_terms',
+			$filters,
+			function ( array $site_filters ) use ( $taxonomy ): array {
+				$terms = array();
+
+				foreach ( $this->rank_terms( $site_filters ) as $term_id => $value ) {
+					$term = get_term( (int) $term_id, $taxonomy );
+
+					if ( $term instanceof \WP_Term ) {
+						$terms[ $term->slug ] = array(
+							'term_id' => $term->term_id,
+							'value'   => (int) $value,
+							'name'    => $term->name,
+							'url'     => $this->get_leaderboard_term_url( $term ),
+						);
+					}
+				}
+
+				return $terms;
+			}
+		);
+
+		foreach ( $site_rankings as $terms ) {
+			foreach ( $terms as $slug => $term ) {
+				if ( isset( $ranking[ $slug ] ) ) {
+					$ranking[ $slug ]['value'] += $term['value'];
+				} else {
+					$ranking[ $slug ] = $term;
+				}
+			}
 		}
-		
-		return absint( count( $terms ) );
+
+		// Highest value first, equal values by name
+		uasort(
+			$ranking,
+			static function ( array $a, array $b ): int {
+				return $b['value'] <=> $a['value'] ?: strcasecmp( $a['name'], $b['name'] );
+			}
+		);
+
+		return array_values( $ranking );
 	}
 
     /**
-     * Count terms of one taxonomy that have events in another taxonomy.
+     * Get the statistic types that can be calculated as a time series.
      *
-     * This complex function answers questions like "How many venues host Technology
-     * events?" It counts unique terms from one taxonomy (count_taxonomy) that appear
-     * on events filtered by another taxonomy (filter_taxonomy).
+     * @since 0.1.0
      *
-     * Example scenario with 15 events, 3 topics, 3 venues:
-     * - Events: E1-E15
-     * - Topics: Technology (T1), Workshop (T2), Networking (T3)
-     * - Venues: Downtown Hall (V1), Tech Center (V2), Community Space (V3)
+     * @return array<int, string> Statistic type slugs.
+     */
+	protected function get_series_statistic_types(): array {
+		return array( 'total_events', 'total_attendees' );
+	}
+
+    /**
+     * Get the periods of a time series.
      *
-     * Query: "How many venues host Technology events?"
-     * $filters = array(
-     *     'count_taxonomy'  => '_gatherpress_venue',    // Count venues
-     *     'filter_taxonomy' => 'gatherpress_topic',     // Filter by topic
-     *     'term_id'         => 1,                        // Topic ID for "Technology"
-     * );
-     * Result: 2 (if Technology events are at V1 and V2 only)
+     * Returns the given number of consecutive periods, ending with the current
+     * month, quarter or year in the site's timezone. Oldest period first.
+     *
+     * Example for 'quarter' and 3 buckets on 2025-05-17:
+     *
+     * array(
+     *     array( 'label' => 'Q4 2024', 'from' => '2024-10-01', 'to' => '2024-12-31' ),
+     *     array( 'label' => 'Q1 2025', 'from' => '2025-01-01', 'to' => '2025-03-31' ),
+     *     array( 'label' => 'Q2 2025', 'from' => '2025-04-01', 'to' => '2025-06-30' ),
+     * )
      *
      * @since 0.1.0
      *
-     * @param array<string, mixed> $filters {
-     *     Filters for cross-taxonomy counting.
+     * @param string $interval Bucket size: 'month', 'quarter' or 'year'.
+     * @param int    $length   Number of buckets.
+     * @return array<int, array{label: string, from: string, to: string}> Periods with inclusive dates.
+     */
+	protected function get_series_buckets( string $interval, int $length ): array {
+		$today   = current_datetime();
+		$year    = (int) $today->format( 'Y' );
+		$month   = (int) $today->format( 'n' );
+		$buckets = array();
+
+		for ( $offset = $length - 1; $offset >= 0; $offset-- ) {
+			switch ( $interval ) {
+				case 'year':
+					$start = $today->setDate( $year - $offset, 1, 1 );
+					$end   = $start->modify( 'last day of december' );
+					$label = $start->format( 'Y' );
+					break;
+
+				case 'quarter':
+					$quarter_month = (int) ( floor( ( $month - 1 ) / 3 ) * 3 + 1 );
+					$start         = $today->setDate( $year, $quarter_month, 1 )->modify( sprintf( '-%d months', $offset * 3 ) );
+					$end           = $start->modify( '+2 months' )->modify( 'last day of this month' );
+					$label         = sprintf(
+						/* translators: 1: Quarter number, 2: Year. */
+						__( 'Q%1$d %2$d', 'gatherpress-statistics' ),
+						(int) ceil( (int) $start->format( 'n' ) / 3 ),
+						(int) $start->format( 'Y' )
+					);
+					break;
+
+				default:
+					$start = $today->setDate( $year, $month, 1 )->modify( sprintf( '-%d months', $offset ) );
+					$end   = $start->modify( 'last day of this month' );
+					$label = wp_date( 'M Y', $start->getTimestamp() );
+			}
+
+			$buckets[] = array(
+				'label' => (string) $label,
+				'from'  => $start->format( 'Y-m-d' ),
+				'to'    => $end->format( 'Y-m-d' ),
+			);
+		}
+
+		return $buckets;
+	}
+
+    /**
+     * Calculate a statistic for each period of a time series.
      *
-     *     @type string $count_taxonomy  Taxonomy to count terms from.
-     *     @type string $filter_taxonomy Taxonomy to filter events by.
-     *     @type int    $term_id         Term ID in filter_taxonomy.
-     * }
-     * @return int Number of unique terms from count_taxonomy.
+     * Each period is calculated like a regular statistic, with its dates
+     * narrowed down to the period. A date range given in the filters still
+     * applies, periods outside of it are 0.
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type Statistic type, see get_series_statistic_types().
+     * @param array<string, mixed> $filters        Filters to apply to every period.
+     * @param string               $interval       Bucket size: 'month', 'quarter' or 'year'.
+     * @param int                  $length         Number of buckets.
+     * @return array<int, array{label: string, from: string, to: string, value: int|float}> Periods with their values.
      */
-	protected function terms_by_taxonomy( array $filters = array() ): int {
-		$post_types = $this->get_supported_post_types();
-		
-		if ( empty( $post_types ) ) {
-			return 0;
+	protected function calculate_series( string $statistic_type, array $filters, string $interval, int $length ): array {
+		$series = array();
+
+		foreach ( $this->get_series_buckets( $interval, $length ) as $bucket ) {
+			// Intersect the period with the date range of the filters
+			$from = ! empty( $filters['date_from'] ) && $filters['date_from'] > $bucket['from'] ? $filters['date_from'] : $bucket['from'];
+			$to   = ! empty( $filters['date_to'] ) && $filters['date_to'] < $bucket['to'] ? $filters['date_to'] : $bucket['to'];
+
+			$value = 0;
+			if ( $from <= $to ) {
+				$value = $this->calculate(
+					$statistic_type,
+					array_merge(
+						$filters,
+						array(
+							'date_from' => $from,
+							'date_to'   => $to,
+						)
+					)
+				);
+			}
+
+			$bucket['value'] = is_numeric( $value ) ? max( 0, 0 + $value ) : 0;
+			$series[]        = $bucket;
 		}
-		
-		$filters = is_array( $filters ) ? $filters : array();
-		
-		// Extract parameters
-        $count_taxonomy  = isset( $filters['count_taxonomy'] ) && is_string( $filters['count_taxonomy'] ) ? $filters['count_taxonomy'] : '';
-		$filter_taxonomy = isset( $filters['filter_taxonomy'] ) && is_string( $filters['filter_taxonomy'] ) ? $filters['filter_taxonomy'] : '';
-		$term_id         = isset( $filters['term_id'] ) ? absint( $filters['term_id'] ) : 0;
-		
-		// Validate required parameters
-        if ( empty( $count_taxonomy ) || empty( $filter_taxonomy ) || $term_id === 0 ) {
-			return 0;
+
+		return $series;
+	}
+
+    /**
+     * Get a time series with caching.
+     *
+     * Works like get_cached(), but returns one value per period. The whole
+     * series is stored in a single transient, that is cleared and
+     * pre-generated together with all other statistics.
+     *
+     * @since 0.1.0
+     *
+     * @param string               $statistic_type Statistic type, see get_series_statistic_types().
+     * @param array<string, mixed> $filters        Filters to apply to every period.
+     * @param string               $interval       Bucket size: 'month', 'quarter' or 'year'.
+     * @param int                  $length         Number of buckets, between 2 and 36.
+     * @return array<int, array{label: string, from: string, to: string, value: int|float}> Periods with their values, or an empty array if not supported.
+     */
+	public function get_cached_series( string $statistic_type, array $filters, string $interval = 'month', int $length = 12 ): array {
+		if ( ! in_array( $statistic_type, $this->get_series_statistic_types(), true ) ) {
+			return array();
 		}
-		
-		// Validate taxonomies exist
-        if ( ! taxonomy_exists( $count_taxonomy ) || ! taxonomy_exists( $filter_taxonomy ) ) {
-			return 0;
+
+		if ( ! $this->has_supported_post_types() || ! $this->is_statistic_type_supported( $statistic_type ) ) {
+			return array();
 		}
-		
-		// Step 1: Get all events in the filter taxonomy term
-        $args = array(
-			'post_type'      => $post_types,
-			'post_status'    => 'publish',
-			'posts_per_page' => -1,
-			'fields'         => 'ids',
-			'tax_query'      => array(
+
+		$interval = in_array( $interval, array( 'month', 'quarter', 'year' ), true ) ? $interval : 'month';
+		$length   = min( 36, max( 2, $length ) );
+
+		$cache_key = $this->get_cache_key(
+			$statistic_type,
+			array_merge(
+				$filters,
 				array(
-					'taxonomy' => sanitize_key( $filter_taxonomy ),
-					'field'    => 'term_id',
-					'terms'    => $term_id,
-				),
-			),
+					'series_interval' => $interval,
+					'series_length'   => $length,
+				)
+			)
 		);
-		
-		$query = new \WP_Query( $args );
-		$terms = array();
-		
-		// Step 2: For each event, get its terms from count_taxonomy
-        if ( is_array( $query->posts ) ) {
-			foreach ( $query->posts as $post_id ) {
-				// Get all terms for this post in the count_taxonomy
-                $post_terms = wp_get_post_terms( $post_id, sanitize_key( $count_taxonomy ), array( 'fields' => 'ids' ) );
-				
-				// Accumulate term IDs
-                if ( ! is_wp_error( $post_terms ) && is_array( $post_terms ) && ! empty( $post_terms ) ) {
-					$terms = array_merge( $terms, $post_terms );
-				}
-			}
+
+		$cached = $this->get_transient_value( $cache_key, $filters );
+
+		if ( is_array( $cached ) ) {
+			return $cached;
 		}
 
-        // Step 3: Count unique terms
-        // array_unique removes duplicates, count gives us the total
-		return absint( count( array_unique( $terms ) ) );
+		$series = $this->calculate_series( $statistic_type, $filters, $interval, $length );
+
+		$this->set_transient_value( $cache_key, $series, $filters, $this->get_cache_expiration() );
+
+		return $series;
 	}
 
     /**
-     * Count total attendees with optional taxonomy filters and event query type.
-     *
-     * Sums the 'gatherpress_attendees_count' post meta across all matching events
-     * from supported post types. Supports filtering by single taxonomy term,
-     * multiple taxonomy terms, and event query type (upcoming/past).
-     *
-     * Example with 15 events:
-     * - Event 1: 25 attendees, Technology topic, upcoming
-     * - Event 2: 30 attendees, Technology topic, upcoming
-     * - Event 3: 15 attendees, Workshop topic, past
-     * - ... etc
-     *
-     * Query 1: Attendees at upcoming events (no taxonomy filter)
-     * $filters = array( 'event_query' => 'upcoming' );
-     * Result: Sum of all attendees at upcoming events
+     * Calculate the top terms of a leaderboard.
      *
-     * Query 2: Attendees at upcoming Technology events
-     * $filters = array(
-     *     'taxonomy' => 'gatherpress_topic',
-     *     'term_id'  => 1,  // Technology
-     *     'event_query' => 'upcoming',
-     * );
-     * Result: 55 (25 + 30 from upcoming Technology events)
+     * @since 0.1.0
      *
-     * Query 3: Attendees at Technology events in Downtown venue
-     * $filters = array(
-     *     'taxonomy_terms' => array(
-     *         'gatherpress_topic' => array( 1 ),     // Technology
-     *         '_gatherpress_venue' => array( 1 ),    // Downtown
-     *     ),
-     *     'event_query' => 'upcoming',
-     * );
-     * Result: Sum of attendees matching both filters
+     * @param array<string, mixed> $filters Filters of the 'top_terms' statistic, see rank_terms().
+     * @param int                  $length  Number of terms.
+     * @return array<int, array{term_id: int, value: int, name?: string, url?: string}> Top terms, highest first. Across the network with their name and URL.
+     */
+	protected function calculate_leaderboard( array $filters, int $length ): array {
+		// Terms of other sites can only be looked up on their site
+		if ( $this->is_network_filters( $filters ) ) {
+			return array_slice( $this->rank_network_terms( $filters ), 0, $length );
+		}
+
+		$leaderboard = array();
+
+		foreach ( array_slice( $this->rank_terms( $filters ), 0, $length, true ) as $term_id => $value ) {
+			$leaderboard[] = array(
+				'term_id' => (int) $term_id,
+				'value'   => (int) $value,
+			);
+		}
+
+		return $leaderboard;
+	}
+
+    /**
+     * Get the leaderboard of a 'top_terms' statistic with caching.
      *
-     * @since 0.1.0
+     * Works like get_cached_series(): the ranking is stored in a single
+     * transient, that is cleared and pre-generated together with all other
+     * statistics. Terms are looked up on every call, so renamed terms show
+     * their current name.
      *
-     * @param array<string, mixed> $filters {
-     *     Query filters.
+     * Example result:
      *
-     *     @type string $taxonomy       Single taxonomy slug (alternative to taxonomy_terms).
-     *     @type int    $term_id        Single term ID (used with taxonomy).
-     *     @type array<string, array<int, int>>  $taxonomy_terms Multi-taxonomy filter array.
-     *     @type string $event_query    Required. GatherPress event query type: 'upcoming' or 'past'.
-     * }
-     * @return int Total number of attendees.
+     * array(
+     *     array( 'id' => 12, 'name' => 'Downtown Hall', 'url' => 'https://example.org/venue/downtown-hall/', 'value' => 7 ),
+     *     array( 'id' => 14, 'name' => 'Tech Center', 'url' => 'https://example.org/venue/tech-center/', 'value' => 5 ),
+     * )
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $filters Filters of the 'top_terms' statistic, see rank_terms().
+     * @param int                  $length  Number of terms, between 1 and 25.
+     * @return array<int, array{id: int, name: string, url: string, value: int}> Top terms, highest first, or an empty array if not supported.
      */
-	protected function count_attendees( array $filters = array() ): int {
-		$post_types = $this->get_supported_post_types();
-		
-		if ( empty( $post_types ) ) {
-			return 0;
+	public function get_cached_leaderboard( array $filters, int $length = 5 ): array {
+		if ( ! $this->has_supported_post_types() || ! $this->is_statistic_type_supported( 'top_terms' ) ) {
+			return array();
 		}
-		$filters = is_array( $filters ) ? $filters : array();
-		
-		$args = array(
-			#'post_type'      => 'gatherpress_event',
-            'post_type'      => $post_types,
-			'post_status'    => 'publish',
-			'posts_per_page' => -1,
-			'fields'         => 'ids',
-		);
-		
-		// Add GatherPress event query parameter with proper validation
-        if ( isset( $filters['event_query'] ) && is_string( $filters['event_query'] ) ) {
-			$event_query = sanitize_key( $filters['event_query'] );
-			if ( in_array( $event_query, array( 'upcoming', 'past' ), true ) ) {
-				$args['gatherpress_event_query'] = $event_query;
-			}
+
+		$length    = min( 25, max( 1, $length ) );
+		$cache_key = $this->get_cache_key( 'top_terms', array_merge( $filters, array( 'leaderboard_length' => $length ) ) );
+
+		$leaderboard = $this->get_transient_value( $cache_key, $filters );
+
+		if ( ! is_array( $leaderboard ) ) {
+			$leaderboard = $this->calculate_leaderboard( $filters, $length );
+
+			$this->set_transient_value( $cache_key, $leaderboard, $filters, $this->get_cache_expiration() );
 		}
-		
-		// Apply single taxonomy filter if provided
-        if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['term_id'] ) ) {
-			if ( taxonomy_exists( $filters['taxonomy'] ) ) {
-				$args['tax_query'] = array(
-					array(
-						'taxonomy' => sanitize_key( $filters['taxonomy'] ),
-						'field'    => 'term_id',
-						'terms'    => absint( $filters['term_id'] ),
-					),
+
+		$taxonomy = isset( $filters['count_taxonomy'] ) && is_string( $filters['count_taxonomy'] ) ? $filters['count_taxonomy'] : '';
+		$items    = array();
+
+		foreach ( $leaderboard as $entry ) {
+			// Terms of other sites were looked up while ranking them
+			if ( isset( $entry['name'] ) ) {
+				$items[] = array(
+					'id'    => (int) $entry['term_id'],
+					'name'  => (string) $entry['name'],
+					'url'   => (string) $entry['url'],
+					'value' => (int) $entry['value'],
 				);
+				continue;
+			}
+
+			$term = get_term( (int) $entry['term_id'], $taxonomy );
+
+			// Terms deleted since the ranking was cached are skipped
+			if ( ! $term instanceof \WP_Term ) {
+				continue;
 			}
+
+			$items[] = array(
+				'id'    => $term->term_id,
+				'name'  => $term->name,
+				'url'   => $this->get_leaderboard_term_url( $term ),
+				'value' => (int) $entry['value'],
+			);
 		}
-        // Apply multiple taxonomy filters if provided
-        else if ( ! empty( $filters['taxonomy_terms'] ) && is_array( $filters['taxonomy_terms'] ) ) {
-            // Use AND relation so events must match ALL specified taxonomies
-            $tax_query = array( 'relation' => 'AND' );
-            
-            foreach ( $filters['taxonomy_terms'] as $taxonomy => $term_ids ) {
-                if ( ! empty( $term_ids ) && is_array( $term_ids ) && taxonomy_exists( $taxonomy ) ) {
-                    $tax_query[] = array(
-                        'taxonomy' => sanitize_key( $taxonomy ),
-                        'field'    => 'term_id',
-                        'terms'    => array_map( 'absint', $term_ids ),
-                    );
-                }
-            }
-            
-            // Only add tax_query if we have at least one taxonomy condition
-            if ( count( $tax_query ) > 1 ) {
-                $args['tax_query'] = $tax_query;
-            }
-        }
-        
-        // Execute the query to get matching event IDs
-        $query = new \WP_Query( $args );
-        $total_attendees = 0;
-        
-        // Sum attendee counts from post meta
-        if ( is_array( $query->posts ) && ! empty( $query->posts ) ) {
-            foreach ( $query->posts as $post_id ) {
-                // Get the attendee count for this event
-                $attendee_count = (int) get_post_meta( $post_id, 'gatherpress_attendees_count', true );
-                
-                // Add to total if it's a valid number
-                if ( is_numeric( $attendee_count ) ) {
-                    $total_attendees += absint( $attendee_count );
-                }
-            }
-        }
-		
-		return absint( $total_attendees );
+
+		return $items;
 	}
 
     /**
-     * Get statistic with caching.
-     *
-     * This is the main entry point for retrieving statistics. It implements a
-     * caching layer using WordPress transients to avoid expensive recalculations.
-     *
-     * Cache workflow:
-     * 1. Check if cached value exists (transient)
-     * 2. If yes, return cached value
-     * 3. If no, calculate value
-     * 4. Store in cache for 12 hours
-     * 5. Return calculated value
+     * Get the URL a term of a leaderboard links to.
      *
-     * The cache is automatically invalidated when:
-     * - Events are created, updated, or deleted
-     * - Taxonomy terms are modified
-     * - Post meta (attendee counts) changes
+     * Venues link to their venue post, as their shadow term has no archive.
+     * Terms of other taxonomies link to their archive, if they have one.
      *
      * @since 0.1.0
      *
-     * @param string               $statistic_type Statistic type to retrieve.
-     * @param array<string, mixed> $filters        Filters to apply to the statistic.
-     * @return int Statistic value (cached or freshly calculated).
+     * @param \WP_Term $term Term.
+     * @return string URL, or an empty string if the term has no public page.
      */
-	public function get_cached( string $statistic_type, array $filters = array() ): int {
-		if ( ! is_string( $statistic_type ) || empty( $statistic_type ) ) {
-			return 0;
-		}
-		
-		if ( ! is_array( $filters ) ) {
-			$filters = array();
-		}
-		
-		if ( ! $this->has_supported_post_types() ) {
-			return 0;
-		}
-		
-		if ( ! $this->is_statistic_type_supported( $statistic_type ) ) {
-			return 0;
-		}
+	protected function get_leaderboard_term_url( \WP_Term $term ): string {
+		// GatherPress links events to venues through a shadow term, named after the venue with a leading underscore
+		if ( '_gatherpress_venue' === $term->taxonomy ) {
+			$venue = get_page_by_path( ltrim( $term->slug, '_' ), OBJECT, 'gatherpress_venue' );
 
-		// Get configured cache expiration time
-        $expiration = $this->get_cache_expiration();
+			return $venue instanceof \WP_Post && 'publish' === $venue->post_status ? (string) get_permalink( $venue ) : '';
+		}
 
-		// Generate unique cache key for this configuration
-        $cache_key = $this->get_cache_key( $statistic_type, $filters );
-		
-		// Try to get cached value
-        $cached = get_transient( $cache_key );
-		
-		// Validate cached value and return if valid
-        if ( false !== $cached && is_numeric( $cached ) ) {
-			return absint( $cached );
+		if ( ! is_taxonomy_viewable( $term->taxonomy ) ) {
+			return '';
 		}
-		
-		// Cache miss - calculate the value
-        $value = $this->calculate( $statistic_type, $filters );
-		
-		// Ensure value is integer
-        $value = is_numeric( $value ) ? absint( $value ) : 0;
 
-        // Store in cache with configured expiration time
-        // Note: Cache is cleared automatically on data changes
-		\set_transient( $cache_key, $value, $expiration );
-		
-		return $value;
+		$url = get_term_link( $term );
+
+		return is_string( $url ) ? $url : '';
 	}
 
     /**
@@ -1294,9 +3945,13 @@ class Setup {
      *
      * @since 0.1.0
      *
-     * @return array<int, array{type: string, filters: array<string, mixed>}> Array of configuration arrays.
+     * Time series configurations additionally contain a 'series' key with
+     * the 'interval' and 'length' of the series, leaderboard configurations a
+     * 'leaderboard' key with the 'length' of the leaderboard.
+     *
+     * @return array<int, array{type: string, filters: array<string, mixed>, series?: array{interval: string, length: int}, leaderboard?: array{length: int}}> Array of configuration arrays.
      */
-	protected function get_common_configs(): array {
+	public function get_common_configs(): array {
 		$configs = array();
 		
 		$supported_types = $this->get_supported_statistic_types();
@@ -1324,6 +3979,31 @@ class Setup {
 				'type'    => 'total_attendees',
 				'filters' => array( 'event_query' => 'past' ),
 			);
+
+			// Average, median, largest and smallest event
+			foreach ( array_diff( $this->get_aggregations(), array( 'sum' ) ) as $aggregation ) {
+				$configs[] = array(
+					'type'    => 'total_attendees',
+					'filters' => array(
+						'event_query' => 'past',
+						'aggregation' => $aggregation,
+					),
+				);
+			}
+		}
+
+		// Monthly time series of the last year, as used by the block's chart defaults
+		foreach ( $this->get_series_statistic_types() as $series_type ) {
+			if ( in_array( $series_type, $supported_types, true ) ) {
+				$configs[] = array(
+					'type'    => $series_type,
+					'filters' => array( 'event_query' => 'past' ),
+					'series'  => array(
+						'interval' => 'month',
+						'length'   => 12,
+					),
+				);
+			}
 		}
 		
 		// Get filtered taxonomies (respects exclusion filter)
@@ -1346,6 +4026,18 @@ class Setup {
 					'filters' => array( 'taxonomy' => $taxonomy->name ),
 				);
 			}
+
+			// Top 5 terms by past events, as used by the block's leaderboard defaults
+			if ( in_array( 'top_terms', $supported_types, true ) ) {
+				$configs[] = array(
+					'type'        => 'top_terms',
+					'filters'     => array(
+						'event_query'    => 'past',
+						'count_taxonomy' => $taxonomy->name,
+					),
+					'leaderboard' => array( 'length' => 5 ),
+				);
+			}
 			
 			// Get all terms in this taxonomy
             $terms = \get_terms(
@@ -1446,6 +4138,48 @@ class Setup {
 		return $configs;
 	}
 
+    /**
+     * Get the cache key of a configuration.
+     *
+     * Time series and leaderboards are cached as a whole, their settings are
+     * part of the key.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $config Configuration as returned by get_common_configs().
+     * @return string Cache key.
+     */
+	public function get_config_cache_key( array $config ): string {
+		$filters = $config['filters'];
+
+		if ( isset( $config['series'] ) ) {
+			$filters['series_interval'] = $config['series']['interval'];
+			$filters['series_length']   = $config['series']['length'];
+		}
+
+		if ( isset( $config['leaderboard'] ) ) {
+			$filters['leaderboard_length'] = $config['leaderboard']['length'];
+		}
+
+		return $this->get_cache_key( $config['type'], $filters );
+	}
+
+    /**
+     * Check whether a cache key belongs to a pre-generated configuration.
+     *
+     * @since 0.1.0
+     *
+     * @param string $cache_key Cache key.
+     * @return bool True if the configuration is pre-generated.
+     */
+	public function is_common_cache_key( string $cache_key ): bool {
+		if ( null === $this->common_cache_keys ) {
+			$this->common_cache_keys = array_fill_keys( array_map( array( $this, 'get_config_cache_key' ), $this->get_common_configs() ), true );
+		}
+
+		return isset( $this->common_cache_keys[ $cache_key ] );
+	}
+
     /**
      * Pre-generate common statistics after cache clear.
      *
@@ -1488,34 +4222,142 @@ class Setup {
 			return;
 		}
 
-		// Get configured cache expiration time
-        $expiration = $this->get_cache_expiration();
+		// Log all calculations with a single update of the log
+		$this->pending_log = array();
 
 		// Loop through each configuration and pre-generate
         foreach ( $configs as $config ) {
-			// Validate configuration has required keys
-            if ( ! isset( $config['type'] ) || ! isset( $config['filters'] ) ) {
-				continue;
-			}
-			
-			// Generate the cache key
-            $cache_key = $this->get_cache_key(
-				$config['type'],
-				$config['filters']
+			$this->pregenerate_config( $config );
+		}
+
+		$this->write_calculation_log( $this->pending_log );
+		$this->pending_log = null;
+	}
+
+    /**
+     * Calculate and cache a single statistic configuration.
+     *
+     * Used for every configuration while pre-generating the cache, and by the
+     * Statistics admin page to regenerate a single entry.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, mixed> $config Configuration as returned by get_common_configs().
+     * @return void
+     */
+	public function pregenerate_config( array $config ): void {
+		// Validate configuration has required keys
+        if ( ! isset( $config['type'] ) || ! isset( $config['filters'] ) || ! is_array( $config['filters'] ) ) {
+			return;
+		}
+
+		// Get configured cache expiration time
+        $expiration = $this->get_cache_expiration();
+
+		// Leaderboards are calculated and cached as a whole
+		if ( isset( $config['leaderboard'] ) ) {
+			$cache_key = $this->get_config_cache_key( $config );
+
+			$this->set_transient_value(
+				$cache_key,
+				$this->calculate_leaderboard( $config['filters'], $config['leaderboard']['length'] ),
+				$config['filters'],
+				$expiration
 			);
-			
-			// Calculate the statistic value
-            $value = $this->calculate(
-				$config['type'],
-				$config['filters']
+			$this->log_calculation( $cache_key );
+			return;
+		}
+
+		// Time series are calculated and cached as a whole
+		if ( isset( $config['series'] ) ) {
+			$cache_key = $this->get_config_cache_key( $config );
+
+			$this->set_transient_value(
+				$cache_key,
+				$this->calculate_series( $config['type'], $config['filters'], $config['series']['interval'], $config['series']['length'] ),
+				$config['filters'],
+				$expiration
 			);
-			
-			// Ensure value is a non-negative integer
-            $value = is_numeric( $value ) ? absint( $value ) : 0;
-			
-			// Store in cache with configured expiration time
-            \set_transient( $cache_key, $value, $expiration );
+			$this->log_calculation( $cache_key );
+			return;
+		}
+		
+		// Generate the cache key
+        $cache_key = $this->get_config_cache_key( $config );
+		
+		// Calculate the statistic value
+        $value = $this->calculate(
+			$config['type'],
+			$config['filters']
+		);
+		
+		// Ensure value is a non-negative number
+        $value = is_numeric( $value ) ? max( 0, 0 + $value ) : 0;
+		
+		// Store in cache with configured expiration time
+        $this->set_transient_value( $cache_key, $value, $config['filters'], $expiration );
+		$this->log_calculation( $cache_key );
+	}
+
+    /**
+     * Remember when a cache entry was pre-generated.
+     *
+     * Calculations on demand are not logged, so visitors don't cause writes
+     * to the options table. While pre-generating the whole cache, entries are
+     * collected and logged at the end of the run.
+     *
+     * @since 0.1.0
+     *
+     * @param string $cache_key Cache key of the calculated statistic.
+     * @return void
+     */
+	protected function log_calculation( string $cache_key ): void {
+		if ( null !== $this->pending_log ) {
+			$this->pending_log[ $cache_key ] = time();
+			return;
+		}
+
+		$this->write_calculation_log( array( $cache_key => time() ) );
+	}
+
+    /**
+     * Add calculations to the log.
+     *
+     * The log is shown on the Statistics admin page. It keeps the most recent
+     * entries only, so it can't grow without limit.
+     *
+     * @since 0.1.0
+     *
+     * @param array<string, int> $entries Unix timestamps, keyed by cache key.
+     * @return void
+     */
+	protected function write_calculation_log( array $entries ): void {
+		if ( empty( $entries ) ) {
+			return;
 		}
+
+		$log = $this->get_calculation_log();
+
+		// Move the entries to the end, so the oldest entries are dropped first
+		foreach ( $entries as $cache_key => $time ) {
+			unset( $log[ $cache_key ] );
+			$log[ $cache_key ] = $time;
+		}
+
+		update_option( 'gatherpress_statistics_log', array_slice( $log, -500, null, true ), false );
+	}
+
+    /**
+     * Get the time each cache entry was last calculated.
+     *
+     * @since 0.1.0
+     *
+     * @return array<string, int> Unix timestamps, keyed by cache key.
+     */
+	public function get_calculation_log(): array {
+		$log = get_option( 'gatherpress_statistics_log', array() );
+
+		return is_array( $log ) ? $log : array();
 	}
 
     /**
@@ -1535,6 +4377,7 @@ class Setup {
      * - Uses direct database query for efficiency
      * - Deletes both the transient and its timeout record
      * - Transient naming pattern: '_transient_gatherpress_stats_*'
+     * - On multisite, also deletes all network-wide statistics, as they include this site
      * - Schedules one-time cron event with 60-second delay
      * - Subsequent calls within 60 seconds won't schedule duplicate jobs
      *
@@ -1553,6 +4396,9 @@ class Setup {
 			OR option_name LIKE '_transient_timeout_gatherpress_stats_%'"
 		);
 		
+		// Statistics across the network include this site, so they are deleted as well
+		$this->clear_network_cache();
+
         // Check if a regeneration job is already scheduled
         $scheduled = wp_next_scheduled( 'gatherpress_statistics_regenerate_cache' );
         
@@ -1567,6 +4413,41 @@ class Setup {
         }
 	}
 
+    /**
+     * Delete all network-wide statistics.
+     *
+     * Runs when the statistics cache of any site is cleared, and when a site
+     * changes its support configuration or whether it shares its statistics,
+     * as both decide which sites count.
+     *
+     * @since 0.1.0
+     *
+     * @global \wpdb $wpdb WordPress database abstraction object.
+     * @return void
+     */
+	public function clear_network_cache(): void {
+		global $wpdb;
+
+		if ( ! is_multisite() ) {
+			return;
+		}
+
+		// Deleted one by one, so the cached network options go as well
+		$meta_keys = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT meta_key FROM {$wpdb->sitemeta}
+				WHERE site_id = %d
+				AND meta_key LIKE %s",
+				get_current_network_id(),
+				'_site_transient_gatherpress_stats_%'
+			)
+		);
+
+		foreach ( $meta_keys as $meta_key ) {
+			delete_site_transient( substr( $meta_key, strlen( '_site_transient_' ) ) );
+		}
+	}
+
     /**
      * Check if term changes require cache clearing.
      *
@@ -1578,6 +4459,7 @@ class Setup {
      * - events_multi_taxonomy: Filters by multiple terms
      * - total_taxonomy_terms: Counts total terms
      * - taxonomy_terms_by_taxonomy: Counts cross-taxonomy relationships
+     * - top_terms: Ranks terms and shows their names
      *
      * @since 0.1.0
      *
@@ -1596,6 +4478,7 @@ class Setup {
 			'events_multi_taxonomy',
 			'total_taxonomy_terms',
 			'taxonomy_terms_by_taxonomy',
+			'top_terms',
 		);
 		
 		// Check if any term-dependent types are supported
@@ -53,6 +53,8 @@ add_filter( 'gatherpress_autoloader', 'gatherpress_statistics_autoloader' );
 function gatherpress_statistics_setup(): void {
 	if ( defined( 'GATHERPRESS_VERSION' ) ) {
 		GatherPress_Statistics\Setup::get_instance();
+		GatherPress_Statistics\Admin::get_instance();
+		GatherPress_Statistics\Embed::get_instance();
 	}
 
 }
@@ -98,6 +100,13 @@ function gatherpress_statistics_deactivate_plugin(): void {
 		WHERE option_name LIKE '_transient_gatherpress_stats_%' 
 		OR option_name LIKE '_transient_timeout_gatherpress_stats_%'"
 	);
+
+	// The calculation log describes the deleted transients only
+	delete_option( 'gatherpress_statistics_log' );
+
+	// Without the plugin, this site no longer counts towards statistics across the network
+	delete_option( 'gatherpress_statistics_support' );
+	delete_option( 'gatherpress_statistics_sharing' );
 	
 	// Clear any scheduled regeneration jobs
 	$scheduled = wp_next_scheduled( 'gatherpress_statistics_regenerate_cache' );
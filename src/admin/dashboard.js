@@ -0,0 +1,355 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import {
+	Button,
+	Card,
+	CardBody,
+	CardHeader,
+	Flex,
+	FlexItem,
+	Notice,
+	Spinner,
+} from '@wordpress/components';
+import { dateI18n, getSettings } from '@wordpress/date';
+import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
+
+/**
+ * Internal dependencies
+ */
+import variations from '../variations';
+
+/**
+ * Names of the built-in statistic types, keyed by slug.
+ *
+ * @type {Object<string, string>}
+ */
+const TYPE_NAMES = variations.reduce( ( acc, variation ) => {
+	acc[ variation.name ] = variation.title;
+	return acc;
+}, {} );
+
+/**
+ * Format a Unix timestamp with the site's date and time format.
+ *
+ * @param {?number} timestamp Unix timestamp in seconds.
+ * @return {string} Formatted date, or a dash without a timestamp.
+ */
+function formatTimestamp( timestamp ) {
+	if ( ! timestamp ) {
+		return '–';
+	}
+
+	const { formats } = getSettings();
+
+	return dateI18n(
+		`${ formats.date } ${ formats.time }`,
+		new Date( timestamp * 1000 )
+	);
+}
+
+/**
+ * Describe the filters of a cache entry, e.g. "event_query: past".
+ *
+ * @param {Object} entry Cache entry.
+ * @return {string} Filters as text.
+ */
+function describeFilters( entry ) {
+	const filters = Object.entries( entry.filters ).map(
+		( [ name, value ] ) =>
+			`${ name }: ${
+				'object' === typeof value ? JSON.stringify( value ) : value
+			}`
+	);
+
+	if ( entry.series ) {
+		filters.push(
+			sprintf(
+				/* translators: 1: Number of periods, 2: Period, e.g. "month" */
+				__( 'series: %1$d × %2$s', 'gatherpress-statistics' ),
+				entry.series.length,
+				entry.series.interval
+			)
+		);
+	}
+
+	if ( entry.leaderboard ) {
+		filters.push(
+			sprintf(
+				/* translators: %d: Number of terms */
+				__( 'leaderboard: top %d', 'gatherpress-statistics' ),
+				entry.leaderboard.length
+			)
+		);
+	}
+
+	return filters.join( ', ' );
+}
+
+/**
+ * Describe the cached value of an entry.
+ *
+ * @param {Object} entry Cache entry.
+ * @return {string} Value as text.
+ */
+function describeValue( entry ) {
+	if ( null === entry.value ) {
+		return __( 'Not cached', 'gatherpress-statistics' );
+	}
+
+	// Time series and leaderboards are cached as a whole
+	if ( Array.isArray( entry.value ) ) {
+		return entry.value.map( ( point ) => point.value ).join( ' · ' );
+	}
+
+	return String( entry.value );
+}
+
+/**
+ * Dashboard listing all cache entries with their current state.
+ *
+ * Administrators can clear the whole cache and regenerate single entries or
+ * all pre-generated ones.
+ *
+ * @return {Element} Dashboard.
+ */
+export default function Dashboard() {
+	const [ entries, setEntries ] = useState( null );
+	const [ busyKey, setBusyKey ] = useState( null );
+	const [ notice, setNotice ] = useState( null );
+
+	const request = ( options, key, successMessage ) => {
+		setBusyKey( key );
+
+		return apiFetch( options )
+			.then( ( response ) => {
+				setEntries( response );
+				setNotice(
+					successMessage
+						? { status: 'success', message: successMessage }
+						: null
+				);
+			} )
+			.catch( ( error ) => {
+				setNotice( {
+					status: 'error',
+					message:
+						error.message ||
+						__( 'The request failed.', 'gatherpress-statistics' ),
+				} );
+			} )
+			.finally( () => setBusyKey( null ) );
+	};
+
+	useEffect( () => {
+		request( { path: '/gatherpress-statistics/v1/cache' }, 'load' );
+	}, [] );
+
+	const clearCache = () =>
+		request(
+			{ path: '/gatherpress-statistics/v1/cache', method: 'DELETE' },
+			'clear',
+			__(
+				'The cache was cleared. It is regenerated in about a minute.',
+				'gatherpress-statistics'
+			)
+		);
+
+	const regenerate = ( key = '' ) =>
+		request(
+			{
+				path: addQueryArgs(
+					'/gatherpress-statistics/v1/cache/regenerate',
+					{ key }
+				),
+				method: 'POST',
+			},
+			key || 'all',
+			key
+				? __(
+						'The statistic was regenerated.',
+						'gatherpress-statistics'
+				  )
+				: __(
+						'All pre-generated statistics were regenerated.',
+						'gatherpress-statistics'
+				  )
+		);
+
+	const isBusy = null !== busyKey;
+
+	return (
+		<div className="gatherpress-stats-admin">
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			<Card>
+				<CardHeader>
+					<Flex>
+						<FlexItem>
+							<h2>{ __( 'Cache', 'gatherpress-statistics' ) }</h2>
+						</FlexItem>
+						<FlexItem>
+							<Button
+								variant="secondary"
+								onClick={ clearCache }
+								isBusy={ 'clear' === busyKey }
+								disabled={ isBusy }
+							>
+								{ __(
+									'Clear Cache',
+									'gatherpress-statistics'
+								) }
+							</Button>{ ' ' }
+							<Button
+								variant="primary"
+								onClick={ () => regenerate() }
+								isBusy={ 'all' === busyKey }
+								disabled={ isBusy }
+							>
+								{ __(
+									'Regenerate All',
+									'gatherpress-statistics'
+								) }
+							</Button>
+						</FlexItem>
+					</Flex>
+				</CardHeader>
+				<CardBody>
+					{ null === entries ? (
+						<Spinner />
+					) : (
+						<table className="widefat striped">
+							<thead>
+								<tr>
+									<th scope="col">
+										{ __(
+											'Statistic',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										{ __(
+											'Used by',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										{ __(
+											'Value',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										{ __(
+											'Cache Key',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										{ __(
+											'Expires',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										{ __(
+											'Last Calculated',
+											'gatherpress-statistics'
+										) }
+									</th>
+									<th scope="col">
+										<span className="screen-reader-text">
+											{ __(
+												'Actions',
+												'gatherpress-statistics'
+											) }
+										</span>
+									</th>
+								</tr>
+							</thead>
+							<tbody>
+								{ entries.map( ( entry ) => (
+									<tr key={ entry.key }>
+										<td>
+											<strong>
+												{ TYPE_NAMES[ entry.type ] ||
+													entry.type }
+											</strong>
+											<br />
+											<small>
+												{ describeFilters( entry ) }
+											</small>
+										</td>
+										<td>
+											{ 'common' === entry.source && (
+												<div>
+													{ __(
+														'Pre-generated',
+														'gatherpress-statistics'
+													) }
+												</div>
+											) }
+											{ entry.posts.map( ( post ) => (
+												<div key={ post.id }>
+													{ post.editLink ? (
+														<a
+															href={
+																post.editLink
+															}
+														>
+															{ post.title ||
+																post.id }
+														</a>
+													) : (
+														post.title || post.id
+													) }
+												</div>
+											) ) }
+										</td>
+										<td>{ describeValue( entry ) }</td>
+										<td>
+											<code>{ entry.key }</code>
+										</td>
+										<td>
+											{ formatTimestamp( entry.expires ) }
+										</td>
+										<td>
+											{ formatTimestamp(
+												entry.calculated
+											) }
+										</td>
+										<td>
+											<Button
+												variant="link"
+												onClick={ () =>
+													regenerate( entry.key )
+												}
+												isBusy={ entry.key === busyKey }
+												disabled={ isBusy }
+											>
+												{ __(
+													'Regenerate',
+													'gatherpress-statistics'
+												) }
+											</Button>
+										</td>
+									</tr>
+								) ) }
+							</tbody>
+						</table>
+					) }
+				</CardBody>
+			</Card>
+		</div>
+	);
+}
@@ -0,0 +1,25 @@
+/**
+ * Statistics admin page.
+ *
+ * Rendered into the container of `Admin::render_page()`.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { createRoot } from '@wordpress/element';
+import domReady from '@wordpress/dom-ready';
+
+/**
+ * Internal dependencies
+ */
+import Dashboard from './dashboard';
+import './admin.scss';
+
+domReady( () => {
+	const container = document.getElementById( 'gatherpress-statistics-admin' );
+
+	if ( container ) {
+		createRoot( container ).render( <Dashboard /> );
+	}
+} );
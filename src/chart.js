@@ -0,0 +1,111 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Width of a single data point in SVG user units, same as in Chart::POINT_WIDTH.
+ *
+ * @type {number}
+ */
+const POINT_WIDTH = 10;
+
+/**
+ * Height of the chart in SVG user units, same as in Chart::HEIGHT.
+ *
+ * @type {number}
+ */
+const HEIGHT = 40;
+
+/**
+ * Preview of the chart the server renders below the number.
+ *
+ * Mirrors the markup and geometry of `Chart::render()`, including the
+ * visually hidden table for screen readers.
+ *
+ * @param {Object}                                props         Component properties.
+ * @param {Array<{label: string, value: number}>} props.series  Data points, oldest first.
+ * @param {string}                                props.mode    Display mode: 'sparkline' or 'bar'.
+ * @param {string}                                props.caption Description of the data, e.g. the block label.
+ * @return {?Element} Chart, or nothing if there is no data.
+ */
+export default function Chart( { series, mode, caption } ) {
+	if ( ! series || series.length === 0 ) {
+		return null;
+	}
+
+	const max = Math.max( 1, ...series.map( ( point ) => point.value ) );
+	const summary = sprintf(
+		/* translators: 1: Description of the data, 2: Label of the first period, 3: Label of the last period. */
+		__( '%1$s from %2$s to %3$s', 'gatherpress-statistics' ),
+		caption,
+		series[ 0 ].label,
+		series[ series.length - 1 ].label
+	);
+
+	return (
+		<div className={ `gatherpress-stats-chart is-${ mode }` }>
+			<svg
+				viewBox={ `0 0 ${ series.length * POINT_WIDTH } ${ HEIGHT }` }
+				preserveAspectRatio="none"
+				role="img"
+				aria-label={ summary }
+				focusable="false"
+			>
+				{ mode === 'bar' ? (
+					series.map( ( point, index ) => {
+						const height = ( HEIGHT * point.value ) / max;
+						return (
+							<rect
+								key={ point.label }
+								x={ index * POINT_WIDTH + 1 }
+								y={ HEIGHT - height }
+								width={ POINT_WIDTH - 2 }
+								height={ height }
+								fill="currentColor"
+							/>
+						);
+					} )
+				) : (
+					<polyline
+						points={ series
+							.map(
+								( point, index ) =>
+									`${ ( index + 0.5 ) * POINT_WIDTH },${
+										HEIGHT -
+										2 -
+										( ( HEIGHT - 4 ) * point.value ) / max
+									}`
+							)
+							.join( ' ' ) }
+						fill="none"
+						stroke="currentColor"
+						strokeWidth="2"
+						strokeLinejoin="round"
+						strokeLinecap="round"
+						vectorEffect="non-scaling-stroke"
+					/>
+				) }
+			</svg>
+			<table className="gatherpress-stats-chart-table">
+				<caption>{ summary }</caption>
+				<thead>
+					<tr>
+						<th scope="col">
+							{ __( 'Period', 'gatherpress-statistics' ) }
+						</th>
+						<th scope="col">{ caption }</th>
+					</tr>
+				</thead>
+				<tbody>
+					{ series.map( ( point ) => (
+						<tr key={ point.label }>
+							<th scope="row">{ point.label }</th>
+							<td>{ point.value }</td>
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+		</div>
+	);
+}
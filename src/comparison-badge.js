@@ -0,0 +1,124 @@
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { dateI18n, getSettings } from '@wordpress/date';
+
+/**
+ * Preview of the comparison badge the server renders below the number.
+ *
+ * Mirrors the wording and markup of the badge in `render.php`.
+ *
+ * @param {Object} props               Component properties.
+ * @param {number} props.value         Current value of the statistic.
+ * @param {number} props.previousValue Value of the comparison period.
+ * @param {Object} props.attributes    Block attributes.
+ * @return {Element} Comparison badge.
+ */
+export default function ComparisonBadge( {
+	value,
+	previousValue,
+	attributes,
+} ) {
+	const { comparison, comparisonMonths, comparisonDate, comparisonFormat } =
+		attributes;
+	const delta = value - previousValue;
+
+	// A percentage of nothing is meaningless, fall back to the absolute delta
+	const deltaText =
+		'percentage' === comparisonFormat && previousValue > 0
+			? sprintf(
+					/* translators: %s: Percentage */
+					__( '%s%%', 'gatherpress-statistics' ),
+					Math.round( ( Math.abs( delta ) / previousValue ) * 100 )
+			  )
+			: String( Math.abs( delta ) );
+
+	let periodText = __( 'last year', 'gatherpress-statistics' );
+	if ( 'previous_months' === comparison ) {
+		periodText = sprintf(
+			/* translators: %s: Number of months */
+			_n(
+				'%s month ago',
+				'%s months ago',
+				comparisonMonths,
+				'gatherpress-statistics'
+			),
+			comparisonMonths
+		);
+	} else if ( 'reference_date' === comparison ) {
+		periodText = dateI18n( getSettings().formats.date, comparisonDate );
+	}
+
+	let badge = {
+		className: 'is-unchanged',
+		symbol: '=',
+		visual: sprintf(
+			/* translators: %s: Period compared with */
+			__( '±0 vs. %s', 'gatherpress-statistics' ),
+			periodText
+		),
+		spoken: sprintf(
+			/* translators: %s: Period compared with */
+			__( 'Unchanged compared to %s', 'gatherpress-statistics' ),
+			periodText
+		),
+	};
+
+	if ( delta > 0 ) {
+		badge = {
+			className: 'is-up',
+			symbol: '▲',
+			visual: sprintf(
+				/* translators: 1: Increase as number or percentage, 2: Period compared with */
+				__( '+%1$s vs. %2$s', 'gatherpress-statistics' ),
+				deltaText,
+				periodText
+			),
+			spoken: sprintf(
+				/* translators: 1: Increase as number or percentage, 2: Period compared with */
+				__(
+					'Increased by %1$s compared to %2$s',
+					'gatherpress-statistics'
+				),
+				deltaText,
+				periodText
+			),
+		};
+	} else if ( delta < 0 ) {
+		badge = {
+			className: 'is-down',
+			symbol: '▼',
+			visual: sprintf(
+				/* translators: 1: Decrease as number or percentage, 2: Period compared with */
+				__( '−%1$s vs. %2$s', 'gatherpress-statistics' ),
+				deltaText,
+				periodText
+			),
+			spoken: sprintf(
+				/* translators: 1: Decrease as number or percentage, 2: Period compared with */
+				__(
+					'Decreased by %1$s compared to %2$s',
+					'gatherpress-statistics'
+				),
+				deltaText,
+				periodText
+			),
+		};
+	}
+
+	return (
+		<span className={ `gatherpress-stats-comparison ${ badge.className }` }>
+			<span
+				className="gatherpress-stats-comparison-symbol"
+				aria-hidden="true"
+			>
+				{ badge.symbol }
+			</span>
+			<span aria-hidden="true">{ badge.visual }</span>
+			<span className="gatherpress-stats-visually-hidden">
+				{ badge.spoken }
+			</span>
+		</span>
+	);
+}
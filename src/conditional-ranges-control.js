@@ -0,0 +1,196 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { Button, Flex, FlexItem, TextControl } from '@wordpress/components';
+
+/**
+ * Describe the values of a range, e.g. "10–99" or "100+".
+ *
+ * @param {Object} range Range.
+ * @return {string} Range as text.
+ */
+function describeRange( range ) {
+	if ( null === range.max || '' === range.max ) {
+		return sprintf(
+			/* translators: %s: Lower bound of the range */
+			__( '%s+', 'gatherpress-statistics' ),
+			range.min
+		);
+	}
+
+	return sprintf(
+		/* translators: 1: Lower bound of the range, 2: Upper bound of the range */
+		__( '%1$s–%2$s', 'gatherpress-statistics' ),
+		range.min,
+		range.max
+	);
+}
+
+/**
+ * Repeater for the ordered conditional ranges of a block.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {Object[]} props.value    Ranges.
+ * @param {Function} props.onChange Called with the changed ranges.
+ * @return {Element} Conditional ranges control.
+ */
+export default function ConditionalRangesControl( { value, onChange } ) {
+	const updateRange = ( index, changes ) =>
+		onChange(
+			value.map( ( range, i ) =>
+				i === index ? { ...range, ...changes } : range
+			)
+		);
+
+	const moveRange = ( index, offset ) => {
+		const ranges = [ ...value ];
+		const [ range ] = ranges.splice( index, 1 );
+		ranges.splice( index + offset, 0, range );
+		onChange( ranges );
+	};
+
+	// Continue after the last range, e.g. 100+ after 10–99
+	const addRange = () => {
+		const last = value[ value.length - 1 ];
+		const min =
+			last && null !== last.max && '' !== last.max
+				? Number( last.max ) + 1
+				: 1;
+
+		onChange( [
+			...value,
+			{ min, max: null, prefix: '', suffix: '', label: '' },
+		] );
+	};
+
+	return (
+		<div className="gatherpress-stats-ranges">
+			<p className="components-base-control__help">
+				{ __(
+					'The first range containing the count wins. Empty fields keep the default prefix, suffix and label.',
+					'gatherpress-statistics'
+				) }
+			</p>
+
+			{ value.map( ( range, index ) => (
+				<fieldset key={ index } className="gatherpress-stats-range">
+					<legend>{ describeRange( range ) }</legend>
+					<Flex align="flex-start">
+						<FlexItem isBlock>
+							<TextControl
+								label={ __( 'From', 'gatherpress-statistics' ) }
+								type="number"
+								value={ range.min }
+								onChange={ ( min ) =>
+									updateRange( index, {
+										min: parseInt( min, 10 ) || 0,
+									} )
+								}
+								min={ 0 }
+							/>
+						</FlexItem>
+						<FlexItem isBlock>
+							<TextControl
+								label={ __( 'To', 'gatherpress-statistics' ) }
+								type="number"
+								value={ null === range.max ? '' : range.max }
+								onChange={ ( max ) =>
+									updateRange( index, {
+										max:
+											'' === max || undefined === max
+												? null
+												: parseInt( max, 10 ) || 0,
+									} )
+								}
+								min={ 0 }
+								placeholder={ __(
+									'No limit',
+									'gatherpress-statistics'
+								) }
+							/>
+						</FlexItem>
+					</Flex>
+					<TextControl
+						label={ __( 'Prefix', 'gatherpress-statistics' ) }
+						value={ range.prefix }
+						onChange={ ( prefix ) =>
+							updateRange( index, { prefix } )
+						}
+						placeholder={ __(
+							'e.g., Over',
+							'gatherpress-statistics'
+						) }
+					/>
+					<TextControl
+						label={ __( 'Suffix', 'gatherpress-statistics' ) }
+						value={ range.suffix }
+						onChange={ ( suffix ) =>
+							updateRange( index, { suffix } )
+						}
+						placeholder={ __(
+							'e.g., and counting!',
+							'gatherpress-statistics'
+						) }
+					/>
+					<TextControl
+						label={ __( 'Label', 'gatherpress-statistics' ) }
+						value={ range.label }
+						onChange={ ( label ) =>
+							updateRange( index, { label } )
+						}
+						placeholder={ __(
+							'e.g., Growing',
+							'gatherpress-statistics'
+						) }
+						help={ sprintf(
+							/* translators: %s: Placeholder for the number */
+							__(
+								'Replaces the label for this range, %s shows the number.',
+								'gatherpress-statistics'
+							),
+							'%s'
+						) }
+					/>
+					<Flex justify="flex-end">
+						<Button
+							icon="arrow-up-alt2"
+							label={ __( 'Move up', 'gatherpress-statistics' ) }
+							size="small"
+							disabled={ 0 === index }
+							onClick={ () => moveRange( index, -1 ) }
+						/>
+						<Button
+							icon="arrow-down-alt2"
+							label={ __(
+								'Move down',
+								'gatherpress-statistics'
+							) }
+							size="small"
+							disabled={ index === value.length - 1 }
+							onClick={ () => moveRange( index, 1 ) }
+						/>
+						<Button
+							icon="trash"
+							label={ __(
+								'Remove range',
+								'gatherpress-statistics'
+							) }
+							size="small"
+							isDestructive
+							onClick={ () =>
+								onChange(
+									value.filter( ( _, i ) => i !== index )
+								)
+							}
+						/>
+					</Flex>
+				</fieldset>
+			) ) }
+
+			<Button variant="secondary" onClick={ addRange }>
+				{ __( 'Add Range', 'gatherpress-statistics' ) }
+			</Button>
+		</div>
+	);
+}
@@ -0,0 +1,78 @@
+/**
+ * Conditional ranges of the statistic, shared by the editor preview, live
+ * mode and the block deprecation.
+ *
+ * Mirrors `Conditional_Ranges`, which renders the block on the server.
+ */
+
+/**
+ * Get the first range containing a value.
+ *
+ * @param {Object[]} ranges Ranges with `min`, `max`, `prefix`, `suffix` and `label`.
+ * @param {number}   value  Value of the statistic.
+ * @return {?Object} Range, or null if no range contains the value.
+ */
+export function getConditionalRange( ranges, value ) {
+	return (
+		ranges.find(
+			( range ) =>
+				value >= ( Number( range.min ) || 0 ) &&
+				( null === range.max ||
+					undefined === range.max ||
+					'' === range.max ||
+					value <= Number( range.max ) )
+		) || null
+	);
+}
+
+/**
+ * Get prefix, suffix and label for a value.
+ *
+ * Empty fields of the range keep the defaults.
+ *
+ * @param {Object[]} ranges   Ranges.
+ * @param {number}   value    Value of the statistic.
+ * @param {Object}   defaults Default `prefix`, `suffix` and `label`.
+ * @return {{prefix: string, suffix: string, label: string}} Texts to display.
+ */
+export function getConditionalTexts( ranges, value, defaults ) {
+	const range = getConditionalRange( ranges, value ) || {};
+
+	return {
+		prefix: range.prefix || defaults.prefix,
+		suffix: range.suffix || defaults.suffix,
+		label: range.label || defaults.label,
+	};
+}
+
+/**
+ * Convert the single threshold of older blocks to a range.
+ *
+ * The conditional prefix and suffix applied to counts above the threshold.
+ * Mirrors `Conditional_Ranges::get_ranges_from_threshold()`.
+ *
+ * @param {Object} attributes                        Block attributes.
+ * @param {number} [attributes.conditionalThreshold] Threshold.
+ * @param {string} [attributes.prefixConditional]    Prefix above the threshold.
+ * @param {string} [attributes.suffixConditional]    Suffix above the threshold.
+ * @return {Object[]} A single open-ended range, or none without conditional prefix or suffix.
+ */
+export function getRangesFromThreshold( {
+	conditionalThreshold = 10,
+	prefixConditional = '',
+	suffixConditional = '',
+} ) {
+	if ( ! prefixConditional && ! suffixConditional ) {
+		return [];
+	}
+
+	return [
+		{
+			min: ( parseInt( conditionalThreshold, 10 ) || 0 ) + 1,
+			max: null,
+			prefix: prefixConditional,
+			suffix: suffixConditional,
+			label: '',
+		},
+	];
+}
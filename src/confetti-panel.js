@@ -0,0 +1,146 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import {
+	FormTokenField,
+	PanelBody,
+	RangeControl,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * Ways visitors can burst confetti themselves.
+ *
+ * @type {Object<string, string>}
+ */
+const TRIGGERS = {
+	hover: __( 'Burst on Hover', 'gatherpress-statistics' ),
+	focus: __( 'Burst on Keyboard Focus', 'gatherpress-statistics' ),
+	tap: __( 'Burst on Tap', 'gatherpress-statistics' ),
+};
+
+/**
+ * Inspector panel with the confetti settings of the confetti style.
+ *
+ * @param {Object}   props               Component properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attributes setter.
+ * @return {Element} Confetti panel.
+ */
+export default function ConfettiPanel( { attributes, setAttributes } ) {
+	const {
+		confettiPieces,
+		confettiColors,
+		confettiTriggers,
+		confettiEvery,
+		confettiMilestones,
+	} = attributes;
+
+	return (
+		<PanelBody
+			title={ __( 'Confetti', 'gatherpress-statistics' ) }
+			initialOpen={ false }
+		>
+			<RangeControl
+				label={ __( 'Burst Size', 'gatherpress-statistics' ) }
+				value={ confettiPieces }
+				onChange={ ( value ) =>
+					setAttributes( { confettiPieces: value } )
+				}
+				min={ 10 }
+				max={ 150 }
+				step={ 10 }
+				help={ __(
+					'Number of confetti pieces',
+					'gatherpress-statistics'
+				) }
+			/>
+			<SelectControl
+				label={ __( 'Colors', 'gatherpress-statistics' ) }
+				value={ confettiColors }
+				options={ [
+					{
+						label: __( 'Theme Palette', 'gatherpress-statistics' ),
+						value: 'theme',
+					},
+					{
+						label: __( 'Block Colors', 'gatherpress-statistics' ),
+						value: 'block',
+					},
+				] }
+				onChange={ ( value ) =>
+					setAttributes( { confettiColors: value } )
+				}
+				help={
+					'block' === confettiColors
+						? __(
+								'Uses the text color of the block, as set in its color settings.',
+								'gatherpress-statistics'
+						  )
+						: __(
+								"Uses the colors of your theme's palette.",
+								'gatherpress-statistics'
+						  )
+				}
+			/>
+			{ Object.entries( TRIGGERS ).map( ( [ trigger, label ] ) => (
+				<ToggleControl
+					key={ trigger }
+					label={ label }
+					checked={ confettiTriggers.includes( trigger ) }
+					onChange={ ( checked ) =>
+						setAttributes( {
+							confettiTriggers: checked
+								? [ ...confettiTriggers, trigger ]
+								: confettiTriggers.filter(
+										( item ) => item !== trigger
+								  ),
+						} )
+					}
+				/>
+			) ) }
+			<TextControl
+				label={ __( 'Celebrate Every', 'gatherpress-statistics' ) }
+				type="number"
+				value={ confettiEvery }
+				onChange={ ( value ) =>
+					setAttributes( {
+						confettiEvery: Math.max(
+							0,
+							parseInt( value, 10 ) || 0
+						),
+					} )
+				}
+				min={ 0 }
+				help={ __(
+					'Bursts confetti when the count reaches a multiple of this value, e.g. 100 for 100, 200, 300 and so on. 0 turns it off.',
+					'gatherpress-statistics'
+				) }
+			/>
+			<FormTokenField
+				label={ __( 'Celebrate Values', 'gatherpress-statistics' ) }
+				value={ confettiMilestones.map( String ) }
+				onChange={ ( tokens ) =>
+					setAttributes( {
+						confettiMilestones: [
+							...new Set(
+								tokens
+									.map( ( token ) => parseInt( token, 10 ) )
+									.filter( ( value ) => value > 0 )
+							),
+						].sort( ( a, b ) => a - b ),
+					} )
+				}
+			/>
+			<p className="components-base-control__help">
+				{ __(
+					'Each milestone is celebrated once per visitor, when the block comes into view or a live update reaches it. Visitors who prefer reduced motion never see confetti.',
+					'gatherpress-statistics'
+				) }
+			</p>
+		</PanelBody>
+	);
+}
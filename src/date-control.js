@@ -0,0 +1,72 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import {
+	BaseControl,
+	Button,
+	DatePicker,
+	Dropdown,
+	Flex,
+} from '@wordpress/components';
+import { useInstanceId } from '@wordpress/compose';
+import { dateI18n, getSettings } from '@wordpress/date';
+
+/**
+ * A date field that opens a calendar in a dropdown.
+ *
+ * Stores dates as 'Y-m-d' strings, without any time or timezone, the way
+ * the block's `dateFrom` and `dateTo` attributes expect them.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {string}   props.label    Label of the control.
+ * @param {string}   props.value    Selected date ('Y-m-d') or an empty string.
+ * @param {Function} props.onChange Called with the new date ('Y-m-d') or an empty string.
+ * @return {Element} Date control.
+ */
+export default function DateControl( { label, value, onChange } ) {
+	const { formats } = getSettings();
+	const id = useInstanceId( DateControl, 'gatherpress-statistics-date' );
+
+	return (
+		<BaseControl id={ id } label={ label } __nextHasNoMarginBottom>
+			<Flex justify="flex-start">
+				<Dropdown
+					popoverProps={ { placement: 'left-start' } }
+					renderToggle={ ( { isOpen, onToggle } ) => (
+						<Button
+							id={ id }
+							variant="secondary"
+							onClick={ onToggle }
+							aria-expanded={ isOpen }
+						>
+							{ value
+								? dateI18n( formats.date, value )
+								: __(
+										'Select date',
+										'gatherpress-statistics'
+								  ) }
+						</Button>
+					) }
+					renderContent={ () => (
+						<DatePicker
+							currentDate={ value ? `${ value }T00:00:00` : null }
+							onChange={ ( date ) =>
+								onChange( date ? date.slice( 0, 10 ) : '' )
+							}
+						/>
+					) }
+				/>
+				{ value && (
+					<Button
+						variant="tertiary"
+						isDestructive
+						onClick={ () => onChange( '' ) }
+					>
+						{ __( 'Clear', 'gatherpress-statistics' ) }
+					</Button>
+				) }
+			</Flex>
+		</BaseControl>
+	);
+}
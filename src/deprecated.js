@@ -0,0 +1,108 @@
+/**
+ * Internal dependencies
+ */
+import metadata from './block.json';
+import { getRangesFromThreshold } from './conditional-ranges';
+import { isGeneratedName, removeGeneratedName } from './label';
+
+/**
+ * Attributes of the single conditional threshold, replaced by conditional
+ * ranges.
+ *
+ * @type {Object}
+ */
+const thresholdAttributes = {
+	prefixConditional: {
+		type: 'string',
+		default: '',
+	},
+	suffixConditional: {
+		type: 'string',
+		default: '',
+	},
+	conditionalThreshold: {
+		type: 'number',
+		default: 10,
+	},
+};
+
+/**
+ * Block deprecations, newest first.
+ *
+ * The block is rendered on the server, so deprecations only migrate
+ * attributes. `render.php` converts blocks that were not migrated yet.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-deprecation/
+ *
+ * @type {Object[]}
+ */
+const deprecated = [
+	{
+		attributes: metadata.attributes,
+		supports: metadata.supports,
+		save: () => null,
+
+		/**
+		 * Migrate blocks named by earlier versions, which would keep their
+		 * outdated name instead of the label describing their configuration.
+		 *
+		 * @param {Object} attributes Block attributes.
+		 * @return {boolean} True if the block needs a migration.
+		 */
+		isEligible: ( attributes ) =>
+			isGeneratedName( attributes.metadata?.name, attributes ),
+
+		migrate: removeGeneratedName,
+	},
+	{
+		attributes: {
+			...metadata.attributes,
+			...thresholdAttributes,
+		},
+		supports: metadata.supports,
+		save: () => null,
+
+		/**
+		 * Migrate blocks that still have a threshold, as their markup is valid.
+		 *
+		 * @param {Object} attributes     Block attributes.
+		 * @param {Array}  innerBlocks    Inner blocks.
+		 * @param {Object} data           Parsed block.
+		 * @param {Object} data.blockNode Block as parsed from the post content.
+		 * @return {boolean} True if the block needs a migration.
+		 */
+		isEligible: ( attributes, innerBlocks, { blockNode } = {} ) => {
+			const attrs = blockNode?.attrs || attributes;
+
+			return Object.keys( thresholdAttributes ).some(
+				( name ) => undefined !== attrs[ name ]
+			);
+		},
+
+		/**
+		 * Replace the threshold with a conditional range.
+		 *
+		 * @param {Object} attributes Deprecated block attributes.
+		 * @return {Object} Current block attributes.
+		 */
+		migrate: ( attributes ) => {
+			const {
+				prefixConditional,
+				suffixConditional,
+				conditionalThreshold,
+				...newAttributes
+			} = attributes;
+
+			return {
+				...removeGeneratedName( newAttributes ),
+				conditionalRanges: getRangesFromThreshold( {
+					prefixConditional,
+					suffixConditional,
+					conditionalThreshold,
+				} ),
+			};
+		},
+	},
+];
+
+export default deprecated;
@@ -3,7 +3,7 @@
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-i18n/
  */
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 
 /**
  * React hook that is used to mark the block wrapper element.
@@ -17,15 +17,49 @@ import {
 	SelectControl, 
 	TextControl, 
 	ToggleControl,
-	FormTokenField,
-	__experimentalNumberControl as NumberControl,
-	Notice
+	RangeControl,
+	Notice,
+	Placeholder,
+	Spinner,
 } from '@wordpress/components';
-import { useSelect } from '@wordpress/data';
 import { useEffect, useState } from '@wordpress/element';
 import { createBlock } from '@wordpress/blocks';
-import { useDispatch } from '@wordpress/data';
-import apiFetch from '@wordpress/api-fetch';
+import { useSelect } from '@wordpress/data';
+import { getSettings } from '@wordpress/date';
+
+/**
+ * Internal dependencies
+ */
+import useStatisticValue from './use-statistic-value';
+import useEventTaxonomies from './use-event-taxonomies';
+import { store } from './store';
+import DateControl from './date-control';
+import EventFilterControls from './event-filter-controls';
+import TaxonomyTermsControl from './taxonomy-terms-control';
+import TermSearchControl from './term-search-control';
+import GroupFiltersSummary from './group-filters-summary';
+import { isInGroup, getEffectiveAttributes } from './group-context';
+import Chart from './chart';
+import Leaderboard from './leaderboard';
+import LeaderboardPanel from './leaderboard-panel';
+import EventMetaPanel from './event-meta-panel';
+import NetworkScopePanel from './network-scope-panel';
+import ComparisonBadge from './comparison-badge';
+import EmbedPanel from './embed-panel';
+import ConfettiPanel from './confetti-panel';
+import ConditionalRangesControl from './conditional-ranges-control';
+import { getConditionalTexts } from './conditional-ranges';
+import { getCustomStatisticTypes } from './statistic-types';
+import { formatNumber, toLanguageTag } from './number-format';
+import getUnitPatterns from './number-units';
+import {
+	getPluralCategories,
+	getPluralExamples,
+	getPluralLabel,
+	hasLabelTemplate,
+	getLabelParts,
+	getLabelText,
+} from './plural-label';
 
 /**
  * Lets webpack process CSS, SASS or SCSS files referenced in JavaScript files.
@@ -35,6 +69,25 @@ import apiFetch from '@wordpress/api-fetch';
  */
 import './editor.scss';
 
+/**
+ * Stable fallback while the supported statistic types are loading.
+ *
+ * @type {string[]}
+ */
+const NO_TYPES = [];
+
+/**
+ * Names of the plural categories beyond singular and plural.
+ *
+ * @type {Object<string, string>}
+ */
+const PLURAL_FORM_LABELS = {
+	zero: __( 'Label (Zero)', 'gatherpress-statistics' ),
+	two: __( 'Label (Two)', 'gatherpress-statistics' ),
+	few: __( 'Label (Few)', 'gatherpress-statistics' ),
+	many: __( 'Label (Many)', 'gatherpress-statistics' ),
+};
+
 /**
  * The edit function describes the structure of your block in the context of the
  * editor. This represents what the editor will render when the block is used.
@@ -44,63 +97,92 @@ import './editor.scss';
  * @param {Object} props Block properties.
  * @return {Element} Element to render.
  */
-export default function Edit( { attributes, setAttributes, clientId } ) {
+export default function Edit( { attributes, setAttributes, context } ) {
 	const {
 		statisticType,
 		labelSingular,
 		labelPlural,
+		labelForms,
 		selectedTaxonomyTerms,
 		selectedTerm,
+		termSource,
 		selectedTaxonomy,
 		countTaxonomy,
 		filterTaxonomy,
 		eventQuery,
+		overrideGroupFilters,
 		showLabel,
 		prefixDefault,
 		suffixDefault,
-		prefixConditional,
-		suffixConditional,
-		conditionalThreshold,
+		conditionalRanges,
+		comparison,
+		comparisonMonths,
+		comparisonDate,
+		comparisonFormat,
+		displayMode,
+		seriesInterval,
+		seriesLength,
+		leaderboardCounts,
+		countUp,
+		countUpDuration,
+		countUpEasing,
+		countUpStart,
+		live,
+		liveInterval,
+		aggregation,
+		decimals,
+		customFilters,
+		numberFormat,
+		emptyBehavior,
+		emptyText,
+		emptyUrl,
 	} = attributes;
 
-	const { updateBlockAttributes } = useDispatch( 'core/block-editor' );
+	// Filters shared by a surrounding statistics group replace the block's own
+	const inGroup = isInGroup( context );
+	const effectiveAttributes = getEffectiveAttributes( attributes, context );
 
-	// Generate random preview count (between 1 and 100)
-	const [ previewCount ] = useState( () => Math.floor( Math.random() * 100 ) + 1 );
+	// The current term is only known inside a Query Loop or when editing a post,
+	// but not when editing a template for many term archives or posts
+	const usesCurrentTerm =
+		'current' === termSource &&
+		[
+			'events_per_taxonomy',
+			'total_attendees',
+			'taxonomy_terms_by_taxonomy',
+		].includes( statisticType );
+	const isCurrentTermUnknown = usesCurrentTerm && ! context.postId;
 
-	// State for filtered taxonomies and supported types from REST API
-	const [ filteredTaxonomies, setFilteredTaxonomies ] = useState( [] );
-	const [ supportedTypes, setSupportedTypes ] = useState( [] );
-	const [ isLoadingTaxonomies, setIsLoadingTaxonomies ] = useState( true );
-	const [ isLoadingTypes, setIsLoadingTypes ] = useState( true );
+	// Real value of the statistic, as rendered on the frontend
+	const {
+		value: statisticValue,
+		comparison: comparisonValue,
+		series,
+		leaderboard,
+		isLoading: isLoadingValue,
+		hasError: hasValueError,
+	} = useStatisticValue(
+		usesCurrentTerm
+			? { ...effectiveAttributes, currentPostId: context.postId || 0 }
+			: effectiveAttributes
+	);
+	// Lets editors check the empty state without waiting for an empty statistic
+	const [ isPreviewingEmpty, setIsPreviewingEmpty ] = useState( false );
+	const previewCount = isPreviewingEmpty ? 0 : statisticValue || 0;
 
-	// Fetch filtered taxonomies from REST API
-	useEffect( () => {
-		setIsLoadingTaxonomies( true );
-		apiFetch( { path: '/gatherpress-statistics/v1/taxonomies' } )
-			.then( ( taxonomies ) => {
-				setFilteredTaxonomies( taxonomies );
-				setIsLoadingTaxonomies( false );
-			} )
-			.catch( () => {
-				setFilteredTaxonomies( [] );
-				setIsLoadingTaxonomies( false );
-			} );
-	}, [] );
-
-	// Fetch supported statistic types from REST API
-	useEffect( () => {
-		setIsLoadingTypes( true );
-		apiFetch( { path: '/gatherpress-statistics/v1/supported-types' } )
-			.then( ( types ) => {
-				setSupportedTypes( types );
-				setIsLoadingTypes( false );
-			} )
-			.catch( () => {
-				setSupportedTypes( [] );
-				setIsLoadingTypes( false );
-			} );
-	}, [] );
+	// Taxonomies of events
+	const { taxonomies: filteredTaxonomies, isLoading: isLoadingTaxonomies } =
+		useEventTaxonomies();
+
+	// Supported statistic types, shared by all blocks
+	const { supportedTypes, isLoadingTypes } = useSelect(
+		( select ) => ( {
+			supportedTypes: select( store ).getSupportedTypes() || NO_TYPES,
+			isLoadingTypes:
+				! select( store ).hasFinishedResolution( 'getSupportedTypes' ),
+		} ),
+		[]
+	);
 
 	// CRITICAL: For total_attendees, always set eventQuery to 'past' internally
 	useEffect( () => {
@@ -111,155 +193,67 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 			}
 		} else {
 			// For other types, ensure eventQuery has a valid value
-			if ( ! eventQuery || ! [ 'upcoming', 'past' ].includes( eventQuery ) ) {
+			if (
+				! eventQuery ||
+				! [ 'upcoming', 'past', 'all' ].includes( eventQuery )
+			) {
 				setAttributes( { eventQuery: 'past' } );
 			}
 		}
 	}, [ statisticType, eventQuery, setAttributes ] );
 
-	// Fetch terms for all filtered taxonomies
-	const allTaxonomyTerms = useSelect( ( select ) => {
-		if ( ! filteredTaxonomies || filteredTaxonomies.length === 0 ) {
-			return {};
-		}
-
-		const { getEntityRecords } = select( 'core' );
-		const termsMap = {};
-
-		filteredTaxonomies.forEach( ( taxonomy ) => {
-			const terms = getEntityRecords( 'taxonomy', taxonomy.slug, {
-				per_page: -1,
-			} );
-			if ( terms ) {
-				termsMap[ taxonomy.slug ] = terms;
-			}
-		} );
-
-		return termsMap;
-	}, [ filteredTaxonomies ] );
-
-	// Update block name dynamically based on configuration
-	useEffect( () => {
-		let blockName = '';
-
-		// Build name based on statistic type
-		switch ( statisticType ) {
-			case 'total_events':
-				blockName = __( 'Total Events', 'gatherpress-statistics' );
-				break;
-			case 'total_attendees':
-				blockName = __( 'Total Attendees', 'gatherpress-statistics' );
-				break;
-			case 'events_per_taxonomy':
-				if ( selectedTaxonomy && selectedTerm ) {
-					const taxonomy = filteredTaxonomies?.find( t => t.slug === selectedTaxonomy );
-					const term = allTaxonomyTerms[ selectedTaxonomy ]?.find( t => t.id === selectedTerm );
-					if ( taxonomy && term ) {
-						blockName = `${taxonomy.name}: ${term.name}`;
-					} else {
-						blockName = __( 'Events per Taxonomy', 'gatherpress-statistics' );
-					}
-				} else {
-					blockName = __( 'Events per Taxonomy', 'gatherpress-statistics' );
-				}
-				break;
-			case 'events_multi_taxonomy':
-				if ( selectedTaxonomyTerms && Object.keys( selectedTaxonomyTerms ).length > 0 ) {
-					const termNames = [];
-					Object.entries( selectedTaxonomyTerms ).forEach( ( [ taxSlug, termIds ] ) => {
-						if ( termIds && termIds.length > 0 ) {
-							const terms = allTaxonomyTerms[ taxSlug ] || [];
-							termIds.forEach( ( termId ) => {
-								const term = terms.find( t => t.id === termId );
-								if ( term ) {
-									termNames.push( term.name );
-								}
-							} );
-						}
-					} );
-					if ( termNames.length > 0 ) {
-						blockName = __( 'Events:', 'gatherpress-statistics' ) + ' ' + termNames.join( ', ' );
-					} else {
-						blockName = __( 'Events (Multiple Taxonomies)', 'gatherpress-statistics' );
-					}
-				} else {
-					blockName = __( 'Events (Multiple Taxonomies)', 'gatherpress-statistics' );
-				}
-				break;
-			case 'total_taxonomy_terms':
-				if ( selectedTaxonomy ) {
-					const taxonomy = filteredTaxonomies?.find( t => t.slug === selectedTaxonomy );
-					if ( taxonomy ) {
-						blockName = __( 'Total', 'gatherpress-statistics' ) + ' ' + taxonomy.name;
-					} else {
-						blockName = __( 'Total Taxonomy Terms', 'gatherpress-statistics' );
-					}
-				} else {
-					blockName = __( 'Total Taxonomy Terms', 'gatherpress-statistics' );
-				}
-				break;
-			case 'taxonomy_terms_by_taxonomy':
-				if ( countTaxonomy && filterTaxonomy && selectedTerm ) {
-					const countTax = filteredTaxonomies?.find( t => t.slug === countTaxonomy );
-					const filterTax = filteredTaxonomies?.find( t => t.slug === filterTaxonomy );
-					const term = allTaxonomyTerms[ filterTaxonomy ]?.find( t => t.id === selectedTerm );
-					if ( countTax && filterTax && term ) {
-						blockName = `${countTax.name} in ${filterTax.name}: ${term.name}`;
-					} else {
-						blockName = __( 'Taxonomy Terms by Taxonomy', 'gatherpress-statistics' );
-					}
-				} else {
-					blockName = __( 'Taxonomy Terms by Taxonomy', 'gatherpress-statistics' );
-				}
-				break;
-			default:
-				blockName = __( 'GatherPress Statistics', 'gatherpress-statistics' );
-		}
-
-		// CRITICAL: For total_attendees, always add "Past:" prefix since it only shows past events
-		if ( statisticType === 'total_attendees' ) {
-			blockName = __( 'Past', 'gatherpress-statistics' ) + ': ' + blockName;
-		} else {
-			// For other types, add event query type to name
-			if ( eventQuery === 'upcoming' ) {
-				blockName = __( 'Upcoming', 'gatherpress-statistics' ) + ': ' + blockName;
-			} else if ( eventQuery === 'past' ) {
-				blockName = __( 'Past', 'gatherpress-statistics' ) + ': ' + blockName;
-			}
-		}
-
-		// Update the block's metadata name
-		if ( blockName ) {
-			updateBlockAttributes( clientId, {
-				metadata: {
-					name: blockName,
-				},
-			} );
-		}
-	}, [ 
-		statisticType, 
-		selectedTaxonomyTerms, 
-		selectedTerm, 
-		selectedTaxonomy, 
-		countTaxonomy, 
-		filterTaxonomy,
-		eventQuery,
-		filteredTaxonomies,
-		allTaxonomyTerms,
-		clientId,
-		updateBlockAttributes
-	] );
-
 	// Build statistic type options - filter by what's supported
 	const allStatisticTypeOptions = [
-		{ label: __( 'Total Events', 'gatherpress-statistics' ), value: 'total_events' },
-		{ label: __( 'Total Attendees', 'gatherpress-statistics' ), value: 'total_attendees' },
-		{ label: __( 'Events per Taxonomy Term', 'gatherpress-statistics' ), value: 'events_per_taxonomy' },
-		{ label: __( 'Events (Multiple Taxonomies)', 'gatherpress-statistics' ), value: 'events_multi_taxonomy' },
-		{ label: __( 'Total Taxonomy Terms', 'gatherpress-statistics' ), value: 'total_taxonomy_terms' },
-		{ label: __( 'Taxonomy Terms by Another Taxonomy', 'gatherpress-statistics' ), value: 'taxonomy_terms_by_taxonomy' },
+		{
+			label: __( 'Total Events', 'gatherpress-statistics' ),
+			value: 'total_events',
+		},
+		{
+			label: __( 'Total Attendees', 'gatherpress-statistics' ),
+			value: 'total_attendees',
+		},
+		{
+			label: __( 'Events per Taxonomy Term', 'gatherpress-statistics' ),
+			value: 'events_per_taxonomy',
+		},
+		{
+			label: __(
+				'Events (Multiple Taxonomies)',
+				'gatherpress-statistics'
+			),
+			value: 'events_multi_taxonomy',
+		},
+		{
+			label: __( 'Total Taxonomy Terms', 'gatherpress-statistics' ),
+			value: 'total_taxonomy_terms',
+		},
+		{
+			label: __(
+				'Taxonomy Terms by Another Taxonomy',
+				'gatherpress-statistics'
+			),
+			value: 'taxonomy_terms_by_taxonomy',
+		},
+		{
+			label: __( 'Top Terms (Leaderboard)', 'gatherpress-statistics' ),
+			value: 'top_terms',
+		},
 	];
 
+	// Statistic types registered by other plugins
+	const customStatisticTypes = getCustomStatisticTypes();
+	Object.keys( customStatisticTypes ).forEach( ( slug ) => {
+		allStatisticTypeOptions.push( {
+			label: customStatisticTypes[ slug ].label,
+			value: slug,
+		} );
+	} );
+	const customStatisticType = customStatisticTypes[ statisticType ] || null;
+	const CustomControls =
+		customStatisticType && customStatisticType.controls
+			? customStatisticType.controls
+			: null;
+
 	// Filter options based on supported types
 	const statisticTypeOptions = isLoadingTypes 
 		? allStatisticTypeOptions
@@ -268,12 +262,64 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 	// Check if current statistic type is supported
 	const isCurrentTypeSupported = supportedTypes.includes( statisticType );
 
+	// Disabled statistic types get the same empty state as a count of 0
+	const isEmpty =
+		isPreviewingEmpty ||
+		( ! isLoadingTypes && ! isCurrentTypeSupported ) ||
+		statisticValue === 0;
+
 	const showSingleTaxonomyFilter = [ 'events_per_taxonomy', 'total_attendees' ].includes( statisticType );
 	const showMultiTaxonomy = [ 'events_multi_taxonomy' ].includes( statisticType );
 	const showTotalTaxonomyTerms = [ 'total_taxonomy_terms' ].includes( statisticType );
 	const showTaxonomyTermsByTaxonomy = [ 'taxonomy_terms_by_taxonomy' ].includes( statisticType );
 	// CRITICAL: Event query filter should NOT be shown for total_attendees (always past)
 	const showEventQueryFilter = ! [ 'total_taxonomy_terms', 'taxonomy_terms_by_taxonomy', 'total_attendees' ].includes( statisticType );
+	// Time series can be drawn as a chart for event and attendee totals only
+	const showChartSettings = [ 'total_events', 'total_attendees' ].includes(
+		statisticType
+	);
+	// Date ranges apply to everything that is calculated from a set of events
+	const showDateRange = ! [
+		'total_taxonomy_terms',
+		'taxonomy_terms_by_taxonomy',
+	].includes( statisticType );
+	// Leaderboards list terms instead of a single number, which has no prefix, comparison or animation
+	const isLeaderboard = 'top_terms' === statisticType;
+	// Upcoming events start after today, so there is no earlier period to compare with
+	const showComparison =
+		showDateRange &&
+		! isLeaderboard &&
+		'upcoming' !== effectiveAttributes.eventQuery;
+
+	// Choice between a fixed term and the term of the archive or post being viewed
+	const termSourceControl = (
+		<SelectControl
+			label={ __( 'Term', 'gatherpress-statistics' ) }
+			value={ termSource }
+			options={ [
+				{
+					label: __( 'A fixed term', 'gatherpress-statistics' ),
+					value: 'fixed',
+				},
+				{
+					label: __(
+						'The current term or post',
+						'gatherpress-statistics'
+					),
+					value: 'current',
+				},
+			] }
+			onChange={ ( value ) => setAttributes( { termSource: value } ) }
+			help={
+				'current' === termSource
+					? __(
+							'On term archives, the queried term is used. On venues, their events are counted. On other posts, their first term of the selected taxonomy is used.',
+							'gatherpress-statistics'
+					  )
+					: undefined
+			}
+		/>
+	);
 
 	// Generate taxonomy options for dropdowns from filtered taxonomies
 	const taxonomyOptions = filteredTaxonomies
@@ -283,19 +329,185 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 		 } ) )
 		: [];
 
-	// Get terms for selected taxonomy (single filter)
-	const selectedTaxonomyTermOptions = selectedTaxonomy && allTaxonomyTerms[ selectedTaxonomy ]
-		? allTaxonomyTerms[ selectedTaxonomy ].map( ( term ) => ( {
-				label: term.name,
-				value: term.id,
-		 } ) )
-		: [];
+	// Averages and medians may be fractional, all other statistics are whole numbers
+	const hasFractionalValue =
+		'total_attendees' === statisticType &&
+		[ 'average', 'median' ].includes( aggregation );
+
+	// Plural forms of the label for the language, "one" and "other" are the singular and plural labels
+	const locale = toLanguageTag( getSettings().l10n.locale );
+	const pluralCategories = getPluralCategories( locale );
+	const labelFormsWithDefaults = {
+		...labelForms,
+		one: labelSingular,
+		other: labelPlural,
+	};
+
+	// Calculate display values for preview, the first range containing the count wins
+	const {
+		prefix: displayPrefix,
+		suffix: displaySuffix,
+		label: displayLabel,
+	} = getConditionalTexts( conditionalRanges, previewCount, {
+		prefix: prefixDefault,
+		suffix: suffixDefault,
+		label: getPluralLabel( labelFormsWithDefaults, previewCount, {
+			locale,
+			decimals: hasFractionalValue ? decimals : 0,
+		} ),
+	} );
+	const isLabelTemplate =
+		! isLeaderboard &&
+		showLabel &&
+		hasLabelTemplate( [
+			...Object.values( labelFormsWithDefaults ),
+			...conditionalRanges.map( ( range ) => range.label ),
+		] );
+	const labelParts = isLabelTemplate ? getLabelParts( displayLabel ) : [];
+
+	// Show a spinner until the first value arrives, keep the last value while refreshing
+	let previewNumber = formatNumber( previewCount, {
+		format: numberFormat,
+		decimals:
+			'compact' === numberFormat || hasFractionalValue ? decimals : 0,
+		locale,
+		units: getUnitPatterns(),
+	} );
+	if ( statisticValue === null && ! isEmpty ) {
+		previewNumber = isLoadingValue ? <Spinner /> : '–';
+	}
 
-	// Calculate display values for preview
-	const useConditional = previewCount > conditionalThreshold;
-	const displayPrefix = useConditional && prefixConditional ? prefixConditional : prefixDefault;
-	const displaySuffix = useConditional && suffixConditional ? suffixConditional : suffixDefault;
-	const displayLabel = previewCount === 1 ? labelSingular : labelPlural;
+	// The label of a leaderboard names the listed terms, %s is their number
+	const leaderboardLabel = getPluralLabel(
+		labelFormsWithDefaults,
+		leaderboard.length,
+		{ locale }
+	).replace( '%s', formatNumber( leaderboard.length, { locale } ) );
+
+	const previewValue = (
+		<div className="gatherpress-stats-value">
+			{ displayPrefix && (
+				<span className="gatherpress-stats-prefix">
+					{ displayPrefix }
+				</span>
+			) }
+			{ displayPrefix && ' ' }
+			<span className="gatherpress-stats-number">{ previewNumber }</span>
+			{ displaySuffix && ' ' }
+			{ displaySuffix && (
+				<span className="gatherpress-stats-suffix">
+					{ displaySuffix }
+				</span>
+			) }
+		</div>
+	);
+
+	// Preview of the statistic, depending on its state
+	let preview;
+	if ( isEmpty && 'fallback' === emptyBehavior && ! isCurrentTermUnknown ) {
+		preview = (
+			<div className="gatherpress-stats-preview">
+				<p className="gatherpress-stats-empty">
+					{ emptyText ||
+						__(
+							'Add a fallback text in the "Empty State" panel.',
+							'gatherpress-statistics'
+						) }
+				</p>
+			</div>
+		);
+	} else if (
+		! isLoadingTypes &&
+		! isCurrentTypeSupported &&
+		'zero' !== emptyBehavior
+	) {
+		preview = (
+			<div
+				className="gatherpress-stats-preview"
+				style={ { opacity: 0.5 } }
+			>
+				<div className="gatherpress-stats-value">⚠️</div>
+				<div className="gatherpress-stats-label">
+					{ __(
+						'Statistic type disabled',
+						'gatherpress-statistics'
+					) }
+				</div>
+			</div>
+		);
+	} else if ( isCurrentTermUnknown ) {
+		preview = (
+			<Placeholder
+				icon="chart-bar"
+				label={ getLabelText( labelPlural ) }
+				instructions={ __(
+					'Shows the statistic for the term archive or post this template is displayed for.',
+					'gatherpress-statistics'
+				) }
+			/>
+		);
+	} else if ( isLeaderboard ) {
+		preview = (
+			<div
+				className={ `gatherpress-stats-preview${
+					isLoadingValue ? ' is-loading' : ''
+				}${ isEmpty && 'hide' === emptyBehavior ? ' is-empty' : '' }` }
+			>
+				{ showLabel && leaderboardLabel.trim() && (
+					<div className="gatherpress-stats-label">
+						{ leaderboardLabel }
+					</div>
+				) }
+				{ statisticValue === null && isLoadingValue ? (
+					<Spinner />
+				) : (
+					<Leaderboard
+						items={ isPreviewingEmpty ? [] : leaderboard }
+						showCounts={ leaderboardCounts }
+						numberFormat={ numberFormat }
+						locale={ locale }
+					/>
+				) }
+			</div>
+		);
+	} else {
+		preview = (
+			<div
+				className={ `gatherpress-stats-preview${
+					isLoadingValue ? ' is-loading' : ''
+				}${ isEmpty && 'hide' === emptyBehavior ? ' is-empty' : '' }` }
+			>
+				{ isLabelTemplate ? (
+					<div className="gatherpress-stats-label">
+						{ labelParts[ 0 ] }
+						{ previewValue }
+						{ labelParts[ 1 ] }
+					</div>
+				) : (
+					previewValue
+				) }
+				{ showComparison && comparison && null !== comparisonValue && (
+					<ComparisonBadge
+						value={ previewCount }
+						previousValue={ comparisonValue }
+						attributes={ attributes }
+					/>
+				) }
+				{ showLabel && ! isLabelTemplate && (
+					<div className="gatherpress-stats-label">
+						{ displayLabel }
+					</div>
+				) }
+				{ showChartSettings && 'number' !== displayMode && (
+					<Chart
+						series={ series }
+						mode={ displayMode }
+						caption={ getLabelText( labelPlural ) }
+					/>
+				) }
+			</div>
+		);
+	}
 
 	return (
 		<>
@@ -306,6 +518,75 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 					</Notice>
 				) }
 
+				{ isCurrentTermUnknown && (
+					<Notice status="info" isDismissible={ false }>
+						{ __(
+							'This statistic uses the term of the archive or post being viewed. Its value is calculated on the frontend.',
+							'gatherpress-statistics'
+						) }
+					</Notice>
+				) }
+
+				{ isCurrentTypeSupported &&
+					! isCurrentTermUnknown &&
+					! isLoadingValue &&
+					! hasValueError &&
+					statisticValue === 0 &&
+					'hide' === emptyBehavior && (
+						<Notice status="info" isDismissible={ false }>
+							{ __(
+								'The current value of this statistic is 0, so the block is hidden on the frontend. Show 0 or a fallback text instead in the "Empty State" panel.',
+								'gatherpress-statistics'
+							) }
+						</Notice>
+					) }
+
+				{ hasValueError && (
+					<Notice status="error" isDismissible={ false }>
+						{ __(
+							'The current value of this statistic could not be loaded.',
+							'gatherpress-statistics'
+						) }
+					</Notice>
+				) }
+
+				{ inGroup && showDateRange && (
+					<PanelBody
+						title={ __(
+							'Statistics Group',
+							'gatherpress-statistics'
+						) }
+					>
+						<ToggleControl
+							label={ __(
+								'Override Group Filters',
+								'gatherpress-statistics'
+							) }
+							checked={ overrideGroupFilters }
+							onChange={ ( value ) =>
+								setAttributes( { overrideGroupFilters: value } )
+							}
+							help={
+								overrideGroupFilters
+									? __(
+											'This block uses its own event and date range filters.',
+											'gatherpress-statistics'
+									  )
+									: __(
+											'This block uses the filters of the surrounding statistics group.',
+											'gatherpress-statistics'
+									  )
+							}
+						/>
+						{ ! overrideGroupFilters && (
+							<GroupFiltersSummary
+								attributes={ effectiveAttributes }
+								showEventQuery={ showEventQueryFilter }
+							/>
+						) }
+					</PanelBody>
+				) }
+
 				<PanelBody title={ __( 'Statistic Settings', 'gatherpress-statistics' ) }>
 					<SelectControl
 						label={ __( 'Statistic Type', 'gatherpress-statistics' ) }
@@ -320,6 +601,12 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 								selectedTaxonomy: '',
 								countTaxonomy: '',
 								filterTaxonomy: '',
+								customFilters: customStatisticTypes[ value ]
+									? {
+											...customStatisticTypes[ value ]
+												.filterAttributes,
+									  }
+									: {},
 							} );
 							// CRITICAL: If switching to total_attendees, set eventQuery to 'past'
 							if ( value === 'total_attendees' ) {
@@ -329,42 +616,329 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 						disabled={ isLoadingTypes }
 					/>
 
-					{ showEventQueryFilter && (
-						<ToggleControl
-							label={ __( 'Upcoming Events', 'gatherpress-statistics' ) }
-							checked={ eventQuery === 'upcoming' }
-							onChange={ ( value ) => setAttributes( { eventQuery: value ? 'upcoming' : 'past' } ) }
-							help={ eventQuery === 'upcoming' 
-								? __( 'Showing statistics for upcoming events', 'gatherpress-statistics' )
-								: __( 'Showing statistics for past events', 'gatherpress-statistics' )
+					{ CustomControls && (
+						<CustomControls
+							attributes={ attributes }
+							setAttributes={ setAttributes }
+							customFilters={ customFilters }
+							setCustomFilters={ ( value ) =>
+								setAttributes( {
+									customFilters: {
+										...customFilters,
+										...value,
+									},
+								} )
 							}
 						/>
 					) }
 
+					{ statisticType === 'total_attendees' && (
+						<SelectControl
+							label={ __(
+								'Aggregation',
+								'gatherpress-statistics'
+							) }
+							value={ aggregation }
+							options={ [
+								{
+									label: __(
+										'Total',
+										'gatherpress-statistics'
+									),
+									value: 'sum',
+								},
+								{
+									label: __(
+										'Average per event',
+										'gatherpress-statistics'
+									),
+									value: 'average',
+								},
+								{
+									label: __(
+										'Median per event',
+										'gatherpress-statistics'
+									),
+									value: 'median',
+								},
+								{
+									label: __(
+										'Largest event',
+										'gatherpress-statistics'
+									),
+									value: 'max',
+								},
+								{
+									label: __(
+										'Smallest event',
+										'gatherpress-statistics'
+									),
+									value: 'min',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { aggregation: value } )
+							}
+							help={ __(
+								'How the attendee counts of the individual events are combined.',
+								'gatherpress-statistics'
+							) }
+						/>
+					) }
+
+					{ showDateRange &&
+						( ! inGroup || overrideGroupFilters ) && (
+							<EventFilterControls
+								attributes={ attributes }
+								setAttributes={ setAttributes }
+								showEventQuery={ showEventQueryFilter }
+							/>
+						) }
+
 					<ToggleControl
 						label={ __( 'Show Label', 'gatherpress-statistics' ) }
 						checked={ showLabel }
-						onChange={ ( value ) => setAttributes( { showLabel: value } ) }
+						onChange={ ( value ) =>
+							setAttributes( { showLabel: value } )
+						}
+						help={
+							showLabel
+								? sprintf(
+										/* translators: %1$s: Placeholder for the number */
+										__(
+											'Add %1$s to a label to show the number within it, e.g. "%1$s events organised".',
+											'gatherpress-statistics'
+										),
+										'%s'
+								  )
+								: undefined
+						}
+					/>
+
+					{ showLabel &&
+						pluralCategories.map( ( category ) => {
+							const examples = getPluralExamples(
+								category,
+								locale
+							).join( ', ' );
+
+							if ( 'one' === category ) {
+								return (
+									<TextControl
+										key={ category }
+										label={ __(
+											'Label (Singular)',
+											'gatherpress-statistics'
+										) }
+										value={ labelSingular }
+										onChange={ ( value ) =>
+											setAttributes( {
+												labelSingular: value,
+											} )
+										}
+										help={ sprintf(
+											/* translators: %s: Example numbers, e.g. "1, 21, 31" */
+											__(
+												'Used for counts like %s',
+												'gatherpress-statistics'
+											),
+											examples
+										) }
+									/>
+								);
+							}
+
+							if ( 'other' === category ) {
+								return (
+									<TextControl
+										key={ category }
+										label={ __(
+											'Label (Plural)',
+											'gatherpress-statistics'
+										) }
+										value={ labelPlural }
+										onChange={ ( value ) =>
+											setAttributes( {
+												labelPlural: value,
+											} )
+										}
+										help={ __(
+											'Used for all other counts',
+											'gatherpress-statistics'
+										) }
+									/>
+								);
+							}
+
+							return (
+								<TextControl
+									key={ category }
+									label={ PLURAL_FORM_LABELS[ category ] }
+									value={ labelForms[ category ] || '' }
+									onChange={ ( value ) =>
+										setAttributes( {
+											labelForms: {
+												...labelForms,
+												[ category ]: value,
+											},
+										} )
+									}
+									help={ sprintf(
+										/* translators: %s: Example numbers, e.g. "2, 3, 4" */
+										__(
+											'Used for counts like %s. Falls back to the plural label.',
+											'gatherpress-statistics'
+										),
+										examples
+									) }
+								/>
+							);
+						} ) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Number Format', 'gatherpress-statistics' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __( 'Notation', 'gatherpress-statistics' ) }
+						value={ numberFormat }
+						options={ [
+							{
+								label: __(
+									'Standard (12,345)',
+									'gatherpress-statistics'
+								),
+								value: 'standard',
+							},
+							{
+								label: __(
+									'Compact (12.3K)',
+									'gatherpress-statistics'
+								),
+								value: 'compact',
+							},
+							{
+								label: __(
+									'Abbreviated (12K+)',
+									'gatherpress-statistics'
+								),
+								value: 'abbreviated',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { numberFormat: value } )
+						}
+					/>
+
+					{ ( 'compact' === numberFormat ||
+						( hasFractionalValue &&
+							'abbreviated' !== numberFormat ) ) && (
+						<RangeControl
+							label={ __( 'Decimals', 'gatherpress-statistics' ) }
+							value={ decimals }
+							onChange={ ( value ) =>
+								setAttributes( { decimals: value } )
+							}
+							min={ 0 }
+							max={ 3 }
+							help={
+								'compact' === numberFormat
+									? __(
+											'Maximum number of decimals, trailing zeros are omitted.',
+											'gatherpress-statistics'
+									  )
+									: undefined
+							}
+						/>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Empty State', 'gatherpress-statistics' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __(
+							'When There Is Nothing to Count',
+							'gatherpress-statistics'
+						) }
+						value={ emptyBehavior }
+						options={ [
+							{
+								label: __(
+									'Hide the block',
+									'gatherpress-statistics'
+								),
+								value: 'hide',
+							},
+							{
+								label: __( 'Show 0', 'gatherpress-statistics' ),
+								value: 'zero',
+							},
+							{
+								label: __(
+									'Show a fallback text',
+									'gatherpress-statistics'
+								),
+								value: 'fallback',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { emptyBehavior: value } )
+						}
+						help={ __(
+							'Also applies when the statistic type is disabled.',
+							'gatherpress-statistics'
+						) }
 					/>
 
-					{ showLabel && (
+					{ 'fallback' === emptyBehavior && (
 						<>
 							<TextControl
-								label={ __( 'Label (Singular)', 'gatherpress-statistics' ) }
-								value={ labelSingular }
-								onChange={ ( value ) => setAttributes( { labelSingular: value } ) }
-								help={ __( 'Used when count is 1', 'gatherpress-statistics' ) }
+								label={ __(
+									'Fallback Text',
+									'gatherpress-statistics'
+								) }
+								value={ emptyText }
+								onChange={ ( value ) =>
+									setAttributes( { emptyText: value } )
+								}
+								placeholder={ __(
+									'e.g., Be the first to host an event',
+									'gatherpress-statistics'
+								) }
 							/>
 							<TextControl
-								label={ __( 'Label (Plural)', 'gatherpress-statistics' ) }
-								value={ labelPlural }
-								onChange={ ( value ) => setAttributes( { labelPlural: value } ) }
-								help={ __( 'Used when count is greater than 1', 'gatherpress-statistics' ) }
+								label={ __( 'Link', 'gatherpress-statistics' ) }
+								type="url"
+								value={ emptyUrl }
+								onChange={ ( value ) =>
+									setAttributes( { emptyUrl: value } )
+								}
+								help={ __(
+									'Turns the fallback text into a call to action.',
+									'gatherpress-statistics'
+								) }
 							/>
 						</>
 					) }
+
+					<ToggleControl
+						label={ __(
+							'Preview Empty State',
+							'gatherpress-statistics'
+						) }
+						checked={ isPreviewingEmpty }
+						onChange={ setIsPreviewingEmpty }
+						help={ __(
+							'Only affects the editor.',
+							'gatherpress-statistics'
+						) }
+					/>
 				</PanelBody>
 
+				{ ! isLeaderboard && (
 				<PanelBody 
 					title={ __( 'Prefix & Suffix', 'gatherpress-statistics' ) }
 					initialOpen={ false }
@@ -385,30 +959,362 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 
 					<hr />
 
-					<NumberControl
-						label={ __( 'Conditional Threshold', 'gatherpress-statistics' ) }
-						value={ conditionalThreshold }
-						onChange={ ( value ) => setAttributes( { conditionalThreshold: parseInt( value, 10 ) || 10 } ) }
-						min={ 1 }
-						help={ __( 'Use alternate prefix/suffix when count exceeds this value', 'gatherpress-statistics' ) }
-					/>
+						<ConditionalRangesControl
+							value={ conditionalRanges }
+							onChange={ ( value ) =>
+								setAttributes( { conditionalRanges: value } )
+							}
+						/>
+					</PanelBody>
+				) }
 
-					<TextControl
-						label={ __( 'Conditional Prefix', 'gatherpress-statistics' ) }
-						value={ prefixConditional }
-						onChange={ ( value ) => setAttributes( { prefixConditional: value } ) }
-						placeholder={ __( 'e.g., Over', 'gatherpress-statistics' ) }
-						help={ __( 'Used when count > threshold', 'gatherpress-statistics' ) }
-					/>
+				{ showComparison && (
+					<PanelBody
+						title={ __( 'Comparison', 'gatherpress-statistics' ) }
+						initialOpen={ false }
+					>
+						<SelectControl
+							label={ __(
+								'Compare With',
+								'gatherpress-statistics'
+							) }
+							value={ comparison }
+							options={ [
+								{
+									label: __(
+										'No comparison',
+										'gatherpress-statistics'
+									),
+									value: '',
+								},
+								{
+									label: __(
+										'Previous year',
+										'gatherpress-statistics'
+									),
+									value: 'previous_year',
+								},
+								{
+									label: __(
+										'Months ago',
+										'gatherpress-statistics'
+									),
+									value: 'previous_months',
+								},
+								{
+									label: __(
+										'Reference date',
+										'gatherpress-statistics'
+									),
+									value: 'reference_date',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { comparison: value } )
+							}
+							help={ __(
+								'Show the change compared to the same statistic at an earlier point in time.',
+								'gatherpress-statistics'
+							) }
+						/>
 
-					<TextControl
-						label={ __( 'Conditional Suffix', 'gatherpress-statistics' ) }
-						value={ suffixConditional }
-						onChange={ ( value ) => setAttributes( { suffixConditional: value } ) }
-						placeholder={ __( 'e.g., and counting!', 'gatherpress-statistics' ) }
-						help={ __( 'Used when count > threshold', 'gatherpress-statistics' ) }
-					/>
-				</PanelBody>
+						{ 'previous_months' === comparison && (
+							<TextControl
+								label={ __(
+									'Number of Months',
+									'gatherpress-statistics'
+								) }
+								type="number"
+								value={ comparisonMonths }
+								onChange={ ( value ) =>
+									setAttributes( {
+										comparisonMonths:
+											parseInt( value, 10 ) || 12,
+									} )
+								}
+								min={ 1 }
+							/>
+						) }
+
+						{ 'reference_date' === comparison && (
+							<DateControl
+								label={ __(
+									'Reference Date',
+									'gatherpress-statistics'
+								) }
+								value={ comparisonDate }
+								onChange={ ( value ) =>
+									setAttributes( { comparisonDate: value } )
+								}
+							/>
+						) }
+
+						{ comparison && (
+							<SelectControl
+								label={ __(
+									'Show Change As',
+									'gatherpress-statistics'
+								) }
+								value={ comparisonFormat }
+								options={ [
+									{
+										label: __(
+											'Percentage',
+											'gatherpress-statistics'
+										),
+										value: 'percentage',
+									},
+									{
+										label: __(
+											'Absolute number',
+											'gatherpress-statistics'
+										),
+										value: 'absolute',
+									},
+								] }
+								onChange={ ( value ) =>
+									setAttributes( { comparisonFormat: value } )
+								}
+							/>
+						) }
+					</PanelBody>
+				) }
+
+				{ showChartSettings && (
+					<PanelBody
+						title={ __( 'Chart', 'gatherpress-statistics' ) }
+						initialOpen={ false }
+					>
+						<SelectControl
+							label={ __( 'Display', 'gatherpress-statistics' ) }
+							value={ displayMode }
+							options={ [
+								{
+									label: __(
+										'Number only',
+										'gatherpress-statistics'
+									),
+									value: 'number',
+								},
+								{
+									label: __(
+										'Number with sparkline',
+										'gatherpress-statistics'
+									),
+									value: 'sparkline',
+								},
+								{
+									label: __(
+										'Number with bar chart',
+										'gatherpress-statistics'
+									),
+									value: 'bar',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { displayMode: value } )
+							}
+						/>
+
+						{ 'number' !== displayMode && (
+							<>
+								<SelectControl
+									label={ __(
+										'Interval',
+										'gatherpress-statistics'
+									) }
+									value={ seriesInterval }
+									options={ [
+										{
+											label: __(
+												'Month',
+												'gatherpress-statistics'
+											),
+											value: 'month',
+										},
+										{
+											label: __(
+												'Quarter',
+												'gatherpress-statistics'
+											),
+											value: 'quarter',
+										},
+										{
+											label: __(
+												'Year',
+												'gatherpress-statistics'
+											),
+											value: 'year',
+										},
+									] }
+									onChange={ ( value ) =>
+										setAttributes( {
+											seriesInterval: value,
+										} )
+									}
+								/>
+
+								<RangeControl
+									label={ __(
+										'Number of Periods',
+										'gatherpress-statistics'
+									) }
+									value={ seriesLength }
+									onChange={ ( value ) =>
+										setAttributes( { seriesLength: value } )
+									}
+									min={ 2 }
+									max={ 36 }
+									help={ __(
+										'The chart ends with the current period.',
+										'gatherpress-statistics'
+									) }
+								/>
+							</>
+						) }
+					</PanelBody>
+				) }
+
+				{ ! isLeaderboard && (
+					<PanelBody
+						title={ __( 'Animation', 'gatherpress-statistics' ) }
+						initialOpen={ false }
+					>
+						<ToggleControl
+							label={ __( 'Count Up', 'gatherpress-statistics' ) }
+							checked={ countUp }
+							onChange={ ( value ) =>
+								setAttributes( { countUp: value } )
+							}
+							help={ __(
+								'Animate the number from the start value once the block scrolls into view. Visitors who prefer reduced motion see the final value right away.',
+								'gatherpress-statistics'
+							) }
+						/>
+
+						{ countUp && (
+							<>
+								<RangeControl
+									label={ __(
+										'Duration (ms)',
+										'gatherpress-statistics'
+									) }
+									value={ countUpDuration }
+									onChange={ ( value ) =>
+										setAttributes( {
+											countUpDuration: value,
+										} )
+									}
+									min={ 250 }
+									max={ 10000 }
+									step={ 250 }
+								/>
+
+								<SelectControl
+									label={ __(
+										'Easing',
+										'gatherpress-statistics'
+									) }
+									value={ countUpEasing }
+									options={ [
+										{
+											label: __(
+												'Linear',
+												'gatherpress-statistics'
+											),
+											value: 'linear',
+										},
+										{
+											label: __(
+												'Ease Out',
+												'gatherpress-statistics'
+											),
+											value: 'easeOut',
+										},
+										{
+											label: __(
+												'Ease In & Out',
+												'gatherpress-statistics'
+											),
+											value: 'easeInOut',
+										},
+									] }
+									onChange={ ( value ) =>
+										setAttributes( {
+											countUpEasing: value,
+										} )
+									}
+								/>
+
+								<TextControl
+									label={ __(
+										'Start Value',
+										'gatherpress-statistics'
+									) }
+									type="number"
+									value={ countUpStart }
+									onChange={ ( value ) =>
+										setAttributes( {
+											countUpStart:
+												parseInt( value, 10 ) || 0,
+										} )
+									}
+									min={ 0 }
+								/>
+							</>
+						) }
+					</PanelBody>
+				) }
+
+				{ attributes.className &&
+					attributes.className.includes( 'is-style-confetti' ) && (
+						<ConfettiPanel
+							attributes={ attributes }
+							setAttributes={ setAttributes }
+						/>
+					) }
+
+				{ ! isLeaderboard && (
+					<PanelBody
+						title={ __( 'Live Updates', 'gatherpress-statistics' ) }
+						initialOpen={ false }
+					>
+						<ToggleControl
+							label={ __(
+								'Update Live',
+								'gatherpress-statistics'
+							) }
+							checked={ live }
+							onChange={ ( value ) =>
+								setAttributes( { live: value } )
+							}
+							help={ __(
+								'Check for a new value while the page stays open, e.g. on a kiosk screen. Changes are announced to screen readers.',
+								'gatherpress-statistics'
+							) }
+						/>
+
+						{ live && (
+							<RangeControl
+								label={ __(
+									'Interval (seconds)',
+									'gatherpress-statistics'
+								) }
+								value={ liveInterval }
+								onChange={ ( value ) =>
+									setAttributes( { liveInterval: value } )
+								}
+								min={ 10 }
+								max={ 600 }
+								step={ 10 }
+							/>
+						) }
+					</PanelBody>
+				) }
+
+				{ isCurrentTypeSupported && ! usesCurrentTerm && (
+					<EmbedPanel attributes={ effectiveAttributes } />
+				) }
 
 				{ showSingleTaxonomyFilter && isCurrentTypeSupported && (
 					<PanelBody 
@@ -419,6 +1325,7 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 							<p>{ __( 'Loading taxonomies...', 'gatherpress-statistics' ) }</p>
 						) : filteredTaxonomies && filteredTaxonomies.length > 0 ? (
 							<>
+								{ termSourceControl }
 								<SelectControl
 									label={ __( 'Select Taxonomy', 'gatherpress-statistics' ) }
 									value={ selectedTaxonomy }
@@ -430,25 +1337,26 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 										setAttributes( { selectedTaxonomy: value, selectedTerm: 0 } );
 									} }
 								/>
-								{ selectedTaxonomy && allTaxonomyTerms[ selectedTaxonomy ] && (
-									<FormTokenField
-										label={ __( 'Select Term', 'gatherpress-statistics' ) }
-										value={ selectedTerm ? [ allTaxonomyTerms[ selectedTaxonomy ].find( t => t.id === selectedTerm )?.name ].filter( Boolean ) : [] }
-										suggestions={ allTaxonomyTerms[ selectedTaxonomy ].map( term => term.name ) }
-										onChange={ ( tokens ) => {
-											if ( tokens.length > 0 ) {
-												const term = allTaxonomyTerms[ selectedTaxonomy ].find( t => t.name === tokens[0] );
-												if ( term ) {
-													setAttributes( { selectedTerm: term.id } );
-												}
-											} else {
-												setAttributes( { selectedTerm: 0 } );
+								{ 'fixed' === termSource &&
+									selectedTaxonomy && (
+										<TermSearchControl
+											label={ __(
+												'Select Term',
+												'gatherpress-statistics'
+											) }
+											taxonomy={ selectedTaxonomy }
+											value={
+												selectedTerm
+													? [ selectedTerm ]
+													: []
 											}
-										} }
-										maxLength={ 1 }
-										help={ __( 'Select one term to filter by', 'gatherpress-statistics' ) }
-									/>
-								) }
+											onChange={ ( ids ) =>
+												setAttributes( {
+													selectedTerm: ids[ 0 ] || 0,
+												} )
+											}
+										/>
+									) }
 							</>
 						) : (
 							<p>{ __( 'No taxonomies available', 'gatherpress-statistics' ) }</p>
@@ -498,6 +1406,7 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 									onChange={ ( value ) => setAttributes( { countTaxonomy: value } ) }
 									help={ __( 'Which taxonomy terms should be counted?', 'gatherpress-statistics' ) }
 								/>
+								{ termSourceControl }
 								<SelectControl
 									label={ __( 'Filter By Taxonomy', 'gatherpress-statistics' ) }
 									value={ filterTaxonomy }
@@ -510,18 +1419,18 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 									} }
 									help={ __( 'Which taxonomy should be used to filter?', 'gatherpress-statistics' ) }
 								/>
-								{ filterTaxonomy && allTaxonomyTerms[ filterTaxonomy ] && (
-									<SelectControl
+								{ 'fixed' === termSource && filterTaxonomy && (
+									<TermSearchControl
 										label={ __( 'Select Term', 'gatherpress-statistics' ) }
-										value={ selectedTerm }
-										options={ [
-											{ label: __( 'Select a term', 'gatherpress-statistics' ), value: 0 },
-											...allTaxonomyTerms[ filterTaxonomy ].map( ( term ) => ( {
-												label: term.name,
-												value: term.id,
-											} ) ),
-										] }
-										onChange={ ( value ) => setAttributes( { selectedTerm: parseInt( value, 10 ) } ) }
+										taxonomy={ filterTaxonomy }
+										value={
+											selectedTerm ? [ selectedTerm ] : []
+										}
+										onChange={ ( ids ) =>
+											setAttributes( {
+												selectedTerm: ids[ 0 ] || 0,
+											} )
+										}
 									/>
 								) }
 							</>
@@ -531,74 +1440,56 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 					</PanelBody>
 				) }
 
-				{ showMultiTaxonomy && isCurrentTypeSupported && filteredTaxonomies && filteredTaxonomies.length > 0 && (
-					<>
-						{ filteredTaxonomies.map( ( taxonomy ) => {
-							const taxonomyTerms = allTaxonomyTerms[ taxonomy.slug ] || [];
-							const suggestions = taxonomyTerms.reduce( ( acc, term ) => {
-								acc[ term.name ] = term;
-								return acc;
-							}, {} );
+				{ isLeaderboard && isCurrentTypeSupported && (
+					<LeaderboardPanel
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+						taxonomies={ filteredTaxonomies || [] }
+					/>
+				) }
+
+				{ showMultiTaxonomy &&
+					isCurrentTypeSupported &&
+					filteredTaxonomies &&
+					filteredTaxonomies.length > 0 && (
+						<TaxonomyTermsControl
+							taxonomies={ filteredTaxonomies }
+							value={ selectedTaxonomyTerms }
+							onChange={ ( value ) =>
+								setAttributes( {
+									selectedTaxonomyTerms: value,
+								} )
+							}
+						/>
+					) }
 
-							const selectedTermIds = selectedTaxonomyTerms[ taxonomy.slug ] || [];
-							const selectedNames = taxonomyTerms
-								.filter( ( term ) => selectedTermIds.includes( term.id ) )
-								.map( ( term ) => term.name );
+				{ showDateRange && isCurrentTypeSupported && (
+					<EventMetaPanel
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
+				) }
 
-							return (
-								<PanelBody
-									key={ taxonomy.slug }
-									title={ taxonomy.name }
-									initialOpen={ false }
-								>
-									{ taxonomyTerms.length > 0 ? (
-										<FormTokenField
-											label={ __( 'Select Terms', 'gatherpress-statistics' ) }
-											value={ selectedNames }
-											suggestions={ Object.keys( suggestions ) }
-											onChange={ ( tokens ) => {
-												const ids = tokens
-													.map( ( name ) => suggestions[ name ]?.id )
-													.filter( Boolean );
-												const newSelectedTaxonomyTerms = {
-													...selectedTaxonomyTerms,
-													[ taxonomy.slug ]: ids,
-												};
-												setAttributes( { selectedTaxonomyTerms: newSelectedTaxonomyTerms } );
-											} }
-										/>
-									) : (
-										<p>{ __( 'No terms found', 'gatherpress-statistics' ) }</p>
-									) }
-								</PanelBody>
-							);
-						} ) }
-					</>
+				{ isCurrentTypeSupported && (
+					<NetworkScopePanel
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
 				) }
 			</InspectorControls>
 
-			<div { ...useBlockProps() }>
-				{ ! isLoadingTypes && ! isCurrentTypeSupported ? (
-					<div className="gatherpress-stats-preview" style={{ opacity: 0.5 }}>
-						<div className="gatherpress-stats-value">⚠️</div>
-						<div className="gatherpress-stats-label">
-							{ __( 'Statistic type disabled', 'gatherpress-statistics' ) }
-						</div>
-					</div>
-				) : (
-					<div className="gatherpress-stats-preview">
-						<div className="gatherpress-stats-value">
-							{ displayPrefix && <span className="gatherpress-stats-prefix">{ displayPrefix }</span> }
-							{ displayPrefix && ' ' }
-							<span className="gatherpress-stats-number">{ previewCount }</span>
-							{ displaySuffix && ' ' }
-							{ displaySuffix && <span className="gatherpress-stats-suffix">{ displaySuffix }</span> }
-						</div>
-						{ showLabel && (
-							<div className="gatherpress-stats-label">{ displayLabel }</div>
-						) }
-					</div>
-				) }
+			<div
+				{ ...useBlockProps( {
+					className:
+						[
+							isLeaderboard && 'is-leaderboard',
+							isLabelTemplate && 'has-label-template',
+						]
+							.filter( Boolean )
+							.join( ' ' ) || undefined,
+				} ) }
+			>
+				{ preview }
 			</div>
 		</>
 	);
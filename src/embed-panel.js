@@ -0,0 +1,148 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import {
+	Button,
+	Notice,
+	PanelBody,
+	Spinner,
+	TextareaControl,
+	TextControl,
+} from '@wordpress/components';
+import { useCopyToClipboard } from '@wordpress/compose';
+import apiFetch from '@wordpress/api-fetch';
+
+/**
+ * Button copying a text to the clipboard.
+ *
+ * @param {Object} props       Component properties.
+ * @param {string} props.text  Text to copy.
+ * @param {string} props.label Button label.
+ * @return {Element} Copy button.
+ */
+function CopyButton( { text, label } ) {
+	const [ hasCopied, setHasCopied ] = useState( false );
+	const ref = useCopyToClipboard( text, () => setHasCopied( true ) );
+
+	useEffect( () => {
+		if ( ! hasCopied ) {
+			return;
+		}
+
+		const timeout = setTimeout( () => setHasCopied( false ), 2000 );
+
+		return () => clearTimeout( timeout );
+	}, [ hasCopied ] );
+
+	return (
+		<Button variant="secondary" size="small" ref={ ref }>
+			{ hasCopied ? __( 'Copied!', 'gatherpress-statistics' ) : label }
+		</Button>
+	);
+}
+
+/**
+ * Inspector panel with the embed URL and iframe code of a statistic.
+ *
+ * The code is only requested while the panel is open, as most editors never
+ * embed their statistics elsewhere.
+ *
+ * @param {Object} props            Component properties.
+ * @param {Object} props.attributes Block attributes, including group filters.
+ * @return {Element} Embed panel.
+ */
+export default function EmbedPanel( { attributes } ) {
+	const [ isOpen, setIsOpen ] = useState( false );
+	const [ embed, setEmbed ] = useState( null );
+	const [ hasError, setHasError ] = useState( false );
+
+	const attributesKey = JSON.stringify( attributes );
+
+	useEffect( () => {
+		if ( ! isOpen ) {
+			return;
+		}
+
+		let isCurrent = true;
+		setEmbed( null );
+		setHasError( false );
+
+		// A JSON body keeps booleans and numbers, unlike a query string
+		apiFetch( {
+			path: '/gatherpress-statistics/v1/embed',
+			method: 'POST',
+			data: { attributes: JSON.parse( attributesKey ) },
+		} )
+			.then( ( response ) => {
+				if ( isCurrent ) {
+					setEmbed( response );
+				}
+			} )
+			.catch( () => {
+				if ( isCurrent ) {
+					setHasError( true );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ isOpen, attributesKey ] );
+
+	let content = <Spinner />;
+	if ( hasError ) {
+		content = (
+			<Notice status="warning" isDismissible={ false }>
+				{ __(
+					'This statistic can not be embedded.',
+					'gatherpress-statistics'
+				) }
+			</Notice>
+		);
+	} else if ( embed ) {
+		content = (
+			<>
+				<TextControl
+					label={ __( 'Embed URL', 'gatherpress-statistics' ) }
+					value={ embed.url }
+					onChange={ () => {} }
+					readOnly
+					help={ __(
+						'Paste this URL into another WordPress site to embed the statistic.',
+						'gatherpress-statistics'
+					) }
+				/>
+				<CopyButton
+					text={ embed.url }
+					label={ __( 'Copy URL', 'gatherpress-statistics' ) }
+				/>
+				<TextareaControl
+					label={ __( 'Embed Code', 'gatherpress-statistics' ) }
+					value={ embed.html }
+					onChange={ () => {} }
+					readOnly
+					help={ __(
+						'Add this code to any website.',
+						'gatherpress-statistics'
+					) }
+				/>
+				<CopyButton
+					text={ embed.html }
+					label={ __( 'Copy Code', 'gatherpress-statistics' ) }
+				/>
+			</>
+		);
+	}
+
+	return (
+		<PanelBody
+			title={ __( 'Embed', 'gatherpress-statistics' ) }
+			initialOpen={ false }
+			onToggle={ setIsOpen }
+		>
+			{ isOpen && content }
+		</PanelBody>
+	);
+}
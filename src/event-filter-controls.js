@@ -0,0 +1,131 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { SelectControl, TextControl } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import DateControl from './date-control';
+
+/**
+ * Controls for the event query and the date range.
+ *
+ * Shared by the statistics block and the statistics group, which passes
+ * the same settings down to its children.
+ *
+ * @param {Object}   props                Component properties.
+ * @param {Object}   props.attributes     Block attributes.
+ * @param {Function} props.setAttributes  Block attributes setter.
+ * @param {boolean}  props.showEventQuery Whether to offer the choice between past, upcoming and all events.
+ * @return {Element} Event filter controls.
+ */
+export default function EventFilterControls( {
+	attributes,
+	setAttributes,
+	showEventQuery = true,
+} ) {
+	const { eventQuery, dateRange, dateRangeMonths, dateFrom, dateTo } =
+		attributes;
+
+	return (
+		<>
+			{ showEventQuery && (
+				<SelectControl
+					label={ __( 'Events', 'gatherpress-statistics' ) }
+					value={ eventQuery }
+					options={ [
+						{
+							label: __(
+								'Past events',
+								'gatherpress-statistics'
+							),
+							value: 'past',
+						},
+						{
+							label: __(
+								'Upcoming events',
+								'gatherpress-statistics'
+							),
+							value: 'upcoming',
+						},
+						{
+							label: __( 'All events', 'gatherpress-statistics' ),
+							value: 'all',
+						},
+					] }
+					onChange={ ( value ) =>
+						setAttributes( { eventQuery: value } )
+					}
+				/>
+			) }
+
+			<SelectControl
+				label={ __( 'Date Range', 'gatherpress-statistics' ) }
+				value={ dateRange }
+				options={ [
+					{
+						label: __( 'All time', 'gatherpress-statistics' ),
+						value: '',
+					},
+					{
+						label: __( 'This year', 'gatherpress-statistics' ),
+						value: 'this_year',
+					},
+					{
+						label: __( 'Last year', 'gatherpress-statistics' ),
+						value: 'last_year',
+					},
+					{
+						label: __( 'Last months', 'gatherpress-statistics' ),
+						value: 'last_months',
+					},
+					{
+						label: __( 'Custom dates', 'gatherpress-statistics' ),
+						value: 'custom',
+					},
+				] }
+				onChange={ ( value ) => setAttributes( { dateRange: value } ) }
+				help={ __(
+					'Only count events starting within this range.',
+					'gatherpress-statistics'
+				) }
+			/>
+
+			{ 'last_months' === dateRange && (
+				<TextControl
+					label={ __( 'Number of Months', 'gatherpress-statistics' ) }
+					type="number"
+					value={ dateRangeMonths }
+					onChange={ ( value ) =>
+						setAttributes( {
+							dateRangeMonths: parseInt( value, 10 ) || 12,
+						} )
+					}
+					min={ 1 }
+					max={ 120 }
+				/>
+			) }
+
+			{ 'custom' === dateRange && (
+				<>
+					<DateControl
+						label={ __( 'From', 'gatherpress-statistics' ) }
+						value={ dateFrom }
+						onChange={ ( value ) =>
+							setAttributes( { dateFrom: value } )
+						}
+					/>
+					<DateControl
+						label={ __( 'To', 'gatherpress-statistics' ) }
+						value={ dateTo }
+						onChange={ ( value ) =>
+							setAttributes( { dateTo: value } )
+						}
+					/>
+				</>
+			) }
+		</>
+	);
+}
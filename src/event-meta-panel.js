@@ -0,0 +1,283 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	ComboboxControl,
+	Flex,
+	PanelBody,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+import { useDebounce } from '@wordpress/compose';
+import { useSelect } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { store } from './store';
+
+/**
+ * Comparisons of a meta condition, mirrors `Setup::get_meta_compare_operators()`.
+ *
+ * @type {Object[]}
+ */
+const COMPARE_OPTIONS = [
+	{ label: __( 'Is', 'gatherpress-statistics' ), value: '=' },
+	{ label: __( 'Is not', 'gatherpress-statistics' ), value: '!=' },
+	{ label: __( 'Greater than', 'gatherpress-statistics' ), value: '>' },
+	{
+		label: __( 'Greater than or equal', 'gatherpress-statistics' ),
+		value: '>=',
+	},
+	{ label: __( 'Less than', 'gatherpress-statistics' ), value: '<' },
+	{
+		label: __( 'Less than or equal', 'gatherpress-statistics' ),
+		value: '<=',
+	},
+	{ label: __( 'Contains', 'gatherpress-statistics' ), value: 'LIKE' },
+	{
+		label: __( 'Does not contain', 'gatherpress-statistics' ),
+		value: 'NOT LIKE',
+	},
+	{ label: __( 'Is set', 'gatherpress-statistics' ), value: 'EXISTS' },
+	{
+		label: __( 'Is not set', 'gatherpress-statistics' ),
+		value: 'NOT EXISTS',
+	},
+];
+
+/**
+ * Number of users suggested while searching for an organiser.
+ *
+ * @type {number}
+ */
+const AUTHORS_PER_PAGE = 20;
+
+/**
+ * Searchable picker for the organiser of the events.
+ *
+ * Suggests users who can create events, a page at a time, so sites with
+ * many users never load all of them.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {number}   props.value    ID of the selected user, 0 for any organiser.
+ * @param {Function} props.onChange Called with the ID of the new user.
+ * @return {Element} Organiser picker.
+ */
+function OrganiserControl( { value, onChange } ) {
+	const [ search, setSearch ] = useState( '' );
+	const debouncedSetSearch = useDebounce( setSearch, 300 );
+
+	const { authors, selectedAuthor } = useSelect(
+		( select ) => {
+			const { getEntityRecord, getUsers } = select( 'core' );
+
+			return {
+				authors:
+					getUsers( {
+						capabilities: [ 'edit_posts' ],
+						search: search || undefined,
+						per_page: AUTHORS_PER_PAGE,
+						_fields: 'id,name',
+					} ) || [],
+				selectedAuthor:
+					value > 0
+						? getEntityRecord( 'root', 'user', value, {
+								_fields: 'id,name',
+						  } )
+						: null,
+			};
+		},
+		[ search, value ]
+	);
+
+	// The selected user stays an option, whatever the search found
+	const options = authors.map( ( author ) => ( {
+		label: author.name,
+		value: String( author.id ),
+	} ) );
+	if (
+		selectedAuthor &&
+		! authors.some( ( author ) => author.id === selectedAuthor.id )
+	) {
+		options.unshift( {
+			label: selectedAuthor.name,
+			value: String( selectedAuthor.id ),
+		} );
+	}
+
+	return (
+		<ComboboxControl
+			label={ __( 'Organiser', 'gatherpress-statistics' ) }
+			value={ value > 0 ? String( value ) : null }
+			options={ options }
+			onFilterValueChange={ debouncedSetSearch }
+			onChange={ ( id ) => onChange( parseInt( id, 10 ) || 0 ) }
+			help={ __(
+				'Only count events created by this user. Leave empty for any organiser.',
+				'gatherpress-statistics'
+			) }
+		/>
+	);
+}
+
+/**
+ * Inspector panel narrowing a statistic down to events with matching post
+ * meta or organiser.
+ *
+ * Meta keys come from the plugin's REST API, which only lists the keys
+ * allowed with `gatherpress_statistics_allowed_meta_keys`, along with the
+ * comparisons allowed for each of them.
+ *
+ * @param {Object}   props               Component properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attributes setter.
+ * @return {Element} Event meta panel.
+ */
+export default function EventMetaPanel( { attributes, setAttributes } ) {
+	const { metaConditions, eventAuthor } = attributes;
+	const metaKeys =
+		useSelect( ( select ) => select( store ).getMetaKeys(), [] ) || [];
+
+	// Comparisons allowed for a field, e.g. private fields can only be checked for existence
+	const getCompareOptions = ( key ) => {
+		const metaKey = metaKeys.find( ( { key: slug } ) => slug === key );
+
+		return metaKey?.operators
+			? COMPARE_OPTIONS.filter( ( { value } ) =>
+					metaKey.operators.includes( value )
+			  )
+			: COMPARE_OPTIONS;
+	};
+
+	const updateCondition = ( index, changes ) =>
+		setAttributes( {
+			metaConditions: metaConditions.map( ( condition, i ) =>
+				i === index ? { ...condition, ...changes } : condition
+			),
+		} );
+
+	const hasFilters = metaConditions.length > 0 || eventAuthor > 0;
+
+	return (
+		<PanelBody
+			title={ __( 'Event Meta & Organiser', 'gatherpress-statistics' ) }
+			initialOpen={ hasFilters }
+		>
+			<OrganiserControl
+				value={ eventAuthor }
+				onChange={ ( author ) =>
+					setAttributes( { eventAuthor: author } )
+				}
+			/>
+
+			{ metaConditions.map( ( condition, index ) => (
+				<fieldset
+					key={ index }
+					className="gatherpress-stats-meta-condition"
+				>
+					<legend>
+						{ sprintf(
+							/* translators: %d: Number of the condition */
+							__( 'Condition %d', 'gatherpress-statistics' ),
+							index + 1
+						) }
+					</legend>
+					<SelectControl
+						label={ __( 'Field', 'gatherpress-statistics' ) }
+						value={ condition.key }
+						options={ [
+							{
+								label: __(
+									'Select a field',
+									'gatherpress-statistics'
+								),
+								value: '',
+							},
+							...metaKeys.map( ( metaKey ) => ( {
+								label: metaKey.label,
+								value: metaKey.key,
+							} ) ),
+						] }
+						onChange={ ( key ) => {
+							const compareOptions = getCompareOptions( key );
+
+							updateCondition( index, {
+								key,
+								compare: compareOptions.some(
+									( { value } ) => value === condition.compare
+								)
+									? condition.compare
+									: compareOptions[ 0 ]?.value,
+							} );
+						} }
+					/>
+					<SelectControl
+						label={ __( 'Comparison', 'gatherpress-statistics' ) }
+						value={ condition.compare }
+						options={ getCompareOptions( condition.key ) }
+						onChange={ ( compare ) =>
+							updateCondition( index, { compare } )
+						}
+					/>
+					{ ! [ 'EXISTS', 'NOT EXISTS' ].includes(
+						condition.compare
+					) && (
+						<TextControl
+							label={ __( 'Value', 'gatherpress-statistics' ) }
+							value={ condition.value }
+							onChange={ ( value ) =>
+								updateCondition( index, { value } )
+							}
+						/>
+					) }
+					<Flex justify="flex-end">
+						<Button
+							icon="trash"
+							label={ __(
+								'Remove condition',
+								'gatherpress-statistics'
+							) }
+							size="small"
+							isDestructive
+							onClick={ () =>
+								setAttributes( {
+									metaConditions: metaConditions.filter(
+										( _, i ) => i !== index
+									),
+								} )
+							}
+						/>
+					</Flex>
+				</fieldset>
+			) ) }
+
+			{ metaConditions.length > 1 && (
+				<p className="components-base-control__help">
+					{ __(
+						'Events must match all conditions.',
+						'gatherpress-statistics'
+					) }
+				</p>
+			) }
+
+			<Button
+				variant="secondary"
+				onClick={ () =>
+					setAttributes( {
+						metaConditions: [
+							...metaConditions,
+							{ key: '', compare: 'EXISTS', value: '' },
+						],
+					} )
+				}
+				disabled={ 0 === metaKeys.length }
+			>
+				{ __( 'Add Condition', 'gatherpress-statistics' ) }
+			</Button>
+		</PanelBody>
+	);
+}
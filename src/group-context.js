@@ -0,0 +1,54 @@
+/**
+ * Block context a statistics group provides, mapped to the attribute of a
+ * statistics block it sets.
+ *
+ * Keep in sync with `providesContext` of the group, `usesContext` of the
+ * statistics block and `Setup::apply_group_context()`.
+ *
+ * @type {Object<string, string>}
+ */
+export const GROUP_CONTEXT = {
+	'gatherpress-statistics/eventQuery': 'eventQuery',
+	'gatherpress-statistics/dateRange': 'dateRange',
+	'gatherpress-statistics/dateRangeMonths': 'dateRangeMonths',
+	'gatherpress-statistics/dateFrom': 'dateFrom',
+	'gatherpress-statistics/dateTo': 'dateTo',
+	'gatherpress-statistics/taxonomyTerms': 'groupTaxonomyTerms',
+};
+
+/**
+ * Whether a block is placed inside a statistics group.
+ *
+ * @param {Object} context Block context.
+ * @return {boolean} True inside a group.
+ */
+export function isInGroup( context ) {
+	return (
+		!! context &&
+		undefined !== context[ 'gatherpress-statistics/eventQuery' ]
+	);
+}
+
+/**
+ * Apply the filters shared by a statistics group to a block's attributes.
+ *
+ * Blocks that override the group filters keep their own attributes.
+ *
+ * @param {Object} attributes Block attributes.
+ * @param {Object} context    Block context.
+ * @return {Object} Attributes the statistic is calculated with.
+ */
+export function getEffectiveAttributes( attributes, context ) {
+	if ( ! isInGroup( context ) || attributes.overrideGroupFilters ) {
+		return attributes;
+	}
+
+	const effectiveAttributes = { ...attributes };
+	Object.entries( GROUP_CONTEXT ).forEach( ( [ key, attribute ] ) => {
+		if ( undefined !== context[ key ] ) {
+			effectiveAttributes[ attribute ] = context[ key ];
+		}
+	} );
+
+	return effectiveAttributes;
+}
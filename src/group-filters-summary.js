@@ -0,0 +1,103 @@
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { dateI18n, getSettings } from '@wordpress/date';
+import { useSelect } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { getTaxonomySelections } from './taxonomy-terms';
+import { store } from './store';
+
+/**
+ * Read-only list of the filters a block inherits from its statistics group.
+ *
+ * @param {Object}  props                Component properties.
+ * @param {Object}  props.attributes     Effective block attributes, including the inherited ones.
+ * @param {boolean} props.showEventQuery Whether the statistic depends on the event query.
+ * @return {Element} Filter summary.
+ */
+export default function GroupFiltersSummary( { attributes, showEventQuery } ) {
+	const {
+		eventQuery,
+		dateRange,
+		dateRangeMonths,
+		dateFrom,
+		dateTo,
+		groupTaxonomyTerms,
+	} = attributes;
+
+	const eventQueryLabels = {
+		past: __( 'Past events', 'gatherpress-statistics' ),
+		upcoming: __( 'Upcoming events', 'gatherpress-statistics' ),
+		all: __( 'All events', 'gatherpress-statistics' ),
+	};
+
+	const formatDate = ( date ) =>
+		date ? dateI18n( getSettings().formats.date, date ) : '…';
+
+	let dateRangeLabel;
+	switch ( dateRange ) {
+		case 'this_year':
+			dateRangeLabel = __( 'This year', 'gatherpress-statistics' );
+			break;
+		case 'last_year':
+			dateRangeLabel = __( 'Last year', 'gatherpress-statistics' );
+			break;
+		case 'last_months':
+			dateRangeLabel = sprintf(
+				/* translators: %d: Number of months */
+				_n(
+					'Last %d month',
+					'Last %d months',
+					dateRangeMonths,
+					'gatherpress-statistics'
+				),
+				dateRangeMonths
+			);
+			break;
+		case 'custom':
+			dateRangeLabel = `${ formatDate( dateFrom ) } – ${ formatDate(
+				dateTo
+			) }`;
+			break;
+		default:
+			dateRangeLabel = __( 'All time', 'gatherpress-statistics' );
+	}
+
+	// Only the selected terms are loaded, not all terms of their taxonomies
+	const termNames = useSelect(
+		( select ) => {
+			const names = [];
+			getTaxonomySelections( groupTaxonomyTerms ).forEach(
+				( [ taxonomy, selection ] ) =>
+					selection.terms.forEach( ( id ) => {
+						const term = select( store ).getTerm( taxonomy, id );
+						if ( term ) {
+							names.push( term.name );
+						}
+					} )
+			);
+
+			return names.join( ', ' );
+		},
+		[ groupTaxonomyTerms ]
+	);
+
+	return (
+		<dl className="gatherpress-stats-group-filters">
+			{ showEventQuery && (
+				<>
+					<dt>{ __( 'Events', 'gatherpress-statistics' ) }</dt>
+					<dd>{ eventQueryLabels[ eventQuery ] || eventQuery }</dd>
+				</>
+			) }
+			<dt>{ __( 'Date Range', 'gatherpress-statistics' ) }</dt>
+			<dd>{ dateRangeLabel }</dd>
+			<dt>{ __( 'Terms', 'gatherpress-statistics' ) }</dt>
+			<dd>{ termNames || __( 'Any', 'gatherpress-statistics' ) }</dd>
+		</dl>
+	);
+}
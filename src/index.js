@@ -4,7 +4,8 @@
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-registration/
  */
-import { registerBlockType } from '@wordpress/blocks';
+import { registerBlockType, unregisterBlockVariation } from '@wordpress/blocks';
+import { resolveSelect } from '@wordpress/data';
 
 /**
  * Lets webpack process CSS, SASS or SCSS files referenced in JavaScript files.
@@ -20,6 +21,10 @@ import './style.scss';
  */
 import Edit from './edit';
 import metadata from './block.json';
+import variations from './variations';
+import getLabel from './label';
+import deprecated from './deprecated';
+import { store } from './store';
 
 /**
  * Every block starts by registering a new block type definition.
@@ -28,5 +33,27 @@ import metadata from './block.json';
  */
 registerBlockType( metadata.name, {
 	edit: Edit,
+	deprecated,
+	variations,
+	__experimentalLabel: getLabel,
 } );
-	
\ No newline at end of file
+
+/**
+ * Hide the variations of statistic types that are not supported on this site,
+ * e.g. "Total Attendees" without any past events.
+ */
+resolveSelect( store )
+	.getSupportedTypes()
+	.then( ( supportedTypes ) => {
+		// Keep all variations if the request failed, the block itself shows
+		// whether a type is disabled
+		if ( ! supportedTypes ) {
+			return;
+		}
+
+		variations.forEach( ( variation ) => {
+			if ( ! supportedTypes.includes( variation.name ) ) {
+				unregisterBlockVariation( metadata.name, variation.name );
+			}
+		} );
+	} );
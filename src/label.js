@@ -0,0 +1,320 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { select } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { getCustomStatisticType } from './statistic-types';
+import { getTaxonomySelections } from './taxonomy-terms';
+
+/**
+ * Get the name of a taxonomy from the core data store.
+ *
+ * @param {string} slug Taxonomy slug.
+ * @return {?string} Taxonomy name, or null while it is not loaded.
+ */
+function getTaxonomyName( slug ) {
+	const taxonomy = slug ? select( 'core' ).getTaxonomy( slug ) : null;
+
+	return taxonomy ? taxonomy.name : null;
+}
+
+/**
+ * Get the name of a term from the core data store.
+ *
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {number} termId   Term ID.
+ * @return {?string} Term name, or null while it is not loaded.
+ */
+function getTermName( taxonomy, termId ) {
+	const term =
+		taxonomy && termId
+			? select( 'core' ).getEntityRecord( 'taxonomy', taxonomy, termId )
+			: null;
+
+	return term ? term.name : null;
+}
+
+/**
+ * Check whether a block name was generated by earlier versions of the block.
+ *
+ * Until the label was derived with `__experimentalLabel`, the block wrote a
+ * description of its configuration into `metadata.name`, which now looks
+ * like a custom name and would never be updated. The check follows the
+ * patterns of the generated names per statistic type, so custom names are
+ * kept.
+ *
+ * @param {string} name       Name of the block, from `metadata.name`.
+ * @param {Object} attributes Block attributes.
+ * @return {boolean} True if the name was generated.
+ */
+export function isGeneratedName( name, attributes ) {
+	const { statisticType, eventQuery } = attributes;
+
+	if ( ! name ) {
+		return false;
+	}
+
+	// Generated names started with the event query, attendees are always past
+	let prefix = '';
+	if ( 'total_attendees' === statisticType || 'past' === eventQuery ) {
+		prefix = __( 'Past', 'gatherpress-statistics' ) + ': ';
+	} else if ( 'upcoming' === eventQuery ) {
+		prefix = __( 'Upcoming', 'gatherpress-statistics' ) + ': ';
+	}
+
+	if ( ! name.startsWith( prefix ) ) {
+		return false;
+	}
+
+	const rest = name.slice( prefix.length );
+
+	switch ( statisticType ) {
+		case 'total_events':
+			return rest === __( 'Total Events', 'gatherpress-statistics' );
+		case 'total_attendees':
+			return rest === __( 'Total Attendees', 'gatherpress-statistics' );
+		case 'events_per_taxonomy':
+			return (
+				rest ===
+					__( 'Events per Taxonomy', 'gatherpress-statistics' ) ||
+				/^.+: .+$/.test( rest )
+			);
+		case 'events_multi_taxonomy':
+			return (
+				rest ===
+					__(
+						'Events (Multiple Taxonomies)',
+						'gatherpress-statistics'
+					) ||
+				rest.startsWith(
+					__( 'Events:', 'gatherpress-statistics' ) + ' '
+				)
+			);
+		case 'total_taxonomy_terms':
+			return (
+				rest ===
+					__( 'Total Taxonomy Terms', 'gatherpress-statistics' ) ||
+				rest.startsWith( __( 'Total', 'gatherpress-statistics' ) + ' ' )
+			);
+		case 'taxonomy_terms_by_taxonomy':
+			return (
+				rest ===
+					__(
+						'Taxonomy Terms by Taxonomy',
+						'gatherpress-statistics'
+					) || /^.+ in .+: .+$/.test( rest )
+			);
+		default:
+			return (
+				rest ===
+				__( 'GatherPress Statistics', 'gatherpress-statistics' )
+			);
+	}
+}
+
+/**
+ * Remove a generated name from the block attributes.
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {Object} Block attributes without the generated name.
+ */
+export function removeGeneratedName( attributes ) {
+	const { metadata } = attributes;
+
+	if ( ! metadata || ! isGeneratedName( metadata.name, attributes ) ) {
+		return attributes;
+	}
+
+	const { name, ...otherMetadata } = metadata;
+
+	return {
+		...attributes,
+		metadata: Object.keys( otherMetadata ).length
+			? otherMetadata
+			: undefined,
+	};
+}
+
+/**
+ * Describe the configured statistic, e.g. "Past: Topic: WordPress".
+ *
+ * Used as label of the block in the list view and for assistive technology.
+ * Custom names given with "Rename" always win.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-registration/#experimentallabel
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {string} Block label.
+ */
+export default function getLabel( attributes ) {
+	const {
+		metadata,
+		statisticType,
+		eventQuery,
+		selectedTaxonomy,
+		selectedTerm,
+		termSource,
+		selectedTaxonomyTerms,
+		countTaxonomy,
+		filterTaxonomy,
+		aggregation,
+	} = attributes;
+
+	if ( metadata?.name ) {
+		return metadata.name;
+	}
+
+	let label = '';
+
+	// Terms resolved at render time have no name yet
+	const currentTermName =
+		'current' === termSource
+			? __( 'Current Term', 'gatherpress-statistics' )
+			: null;
+
+	switch ( statisticType ) {
+		case 'total_events':
+			label = __( 'Total Events', 'gatherpress-statistics' );
+			break;
+		case 'total_attendees':
+			label =
+				{
+					average: __(
+						'Average Attendees',
+						'gatherpress-statistics'
+					),
+					median: __( 'Median Attendees', 'gatherpress-statistics' ),
+					max: __( 'Largest Event', 'gatherpress-statistics' ),
+					min: __( 'Smallest Event', 'gatherpress-statistics' ),
+				}[ aggregation ] ||
+				__( 'Total Attendees', 'gatherpress-statistics' );
+			break;
+		case 'events_per_taxonomy': {
+			const taxonomyName = getTaxonomyName( selectedTaxonomy );
+			const termName =
+				currentTermName ||
+				getTermName( selectedTaxonomy, selectedTerm );
+
+			if ( taxonomyName && termName ) {
+				label = `${ taxonomyName }: ${ termName }`;
+			} else if ( currentTermName ) {
+				label = __(
+					'Events per Current Term',
+					'gatherpress-statistics'
+				);
+			} else {
+				label = __( 'Events per Taxonomy', 'gatherpress-statistics' );
+			}
+			break;
+		}
+		case 'events_multi_taxonomy': {
+			const termNames = [];
+
+			getTaxonomySelections( selectedTaxonomyTerms ).forEach(
+				( [ taxonomy, { terms, operator } ] ) => {
+					terms.forEach( ( termId ) => {
+						const termName = getTermName( taxonomy, termId );
+						if ( termName ) {
+							termNames.push(
+								'NOT IN' === operator
+									? sprintf(
+											/* translators: %s: Term name */
+											__(
+												'not %s',
+												'gatherpress-statistics'
+											),
+											termName
+									  )
+									: termName
+							);
+						}
+					} );
+				}
+			);
+
+			label =
+				termNames.length > 0
+					? __( 'Events:', 'gatherpress-statistics' ) +
+					  ' ' +
+					  termNames.join( ', ' )
+					: __(
+							'Events (Multiple Taxonomies)',
+							'gatherpress-statistics'
+					  );
+			break;
+		}
+		case 'total_taxonomy_terms': {
+			const taxonomyName = getTaxonomyName( selectedTaxonomy );
+
+			label = taxonomyName
+				? __( 'Total', 'gatherpress-statistics' ) + ' ' + taxonomyName
+				: __( 'Total Taxonomy Terms', 'gatherpress-statistics' );
+			break;
+		}
+		case 'taxonomy_terms_by_taxonomy': {
+			const countTaxonomyName = getTaxonomyName( countTaxonomy );
+			const filterTaxonomyName = getTaxonomyName( filterTaxonomy );
+			const termName =
+				currentTermName || getTermName( filterTaxonomy, selectedTerm );
+
+			label =
+				countTaxonomyName && filterTaxonomyName && termName
+					? sprintf(
+							/* translators: 1: Counted taxonomy, 2: Filter taxonomy, 3: Filter term */
+							__(
+								'%1$s in %2$s: %3$s',
+								'gatherpress-statistics'
+							),
+							countTaxonomyName,
+							filterTaxonomyName,
+							termName
+					  )
+					: __(
+							'Taxonomy Terms by Taxonomy',
+							'gatherpress-statistics'
+					  );
+			break;
+		}
+		case 'top_terms': {
+			const countTaxonomyName = getTaxonomyName( countTaxonomy );
+
+			label = countTaxonomyName
+				? sprintf(
+						/* translators: %s: Ranked taxonomy, e.g. "Venues" */
+						__( 'Top %s', 'gatherpress-statistics' ),
+						countTaxonomyName
+				  )
+				: __( 'Top Terms', 'gatherpress-statistics' );
+			break;
+		}
+		default: {
+			// Types registered by other plugins describe themselves
+			const customType = getCustomStatisticType( statisticType );
+			if ( customType ) {
+				label = customType.getLabel
+					? customType.getLabel( attributes )
+					: customType.label;
+			} else {
+				label = __(
+					'GatherPress Statistics',
+					'gatherpress-statistics'
+				);
+			}
+		}
+	}
+
+	// Total attendees are always counted for past events
+	if ( 'total_attendees' === statisticType || 'past' === eventQuery ) {
+		return __( 'Past', 'gatherpress-statistics' ) + ': ' + label;
+	}
+
+	if ( 'upcoming' === eventQuery ) {
+		return __( 'Upcoming', 'gatherpress-statistics' ) + ': ' + label;
+	}
+
+	return label;
+}
@@ -0,0 +1,112 @@
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	PanelBody,
+	RangeControl,
+	SelectControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * Inspector panel with the settings of the leaderboard statistic.
+ *
+ * @param {Object}   props               Component properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attributes setter.
+ * @param {Object[]} props.taxonomies    Taxonomies to offer, with `slug` and `name`.
+ * @return {Element} Leaderboard panel.
+ */
+export default function LeaderboardPanel( {
+	attributes,
+	setAttributes,
+	taxonomies,
+} ) {
+	const {
+		countTaxonomy,
+		leaderboardMetric,
+		leaderboardLength,
+		leaderboardLinks,
+		leaderboardCounts,
+	} = attributes;
+
+	return (
+		<PanelBody title={ __( 'Leaderboard', 'gatherpress-statistics' ) }>
+			<SelectControl
+				label={ __( 'Rank Terms From', 'gatherpress-statistics' ) }
+				value={ countTaxonomy }
+				options={ [
+					{
+						label: __(
+							'Select a taxonomy',
+							'gatherpress-statistics'
+						),
+						value: '',
+					},
+					...taxonomies.map( ( taxonomy ) => ( {
+						label: taxonomy.name,
+						value: taxonomy.slug,
+					} ) ),
+				] }
+				onChange={ ( value ) =>
+					setAttributes( { countTaxonomy: value } )
+				}
+			/>
+			<SelectControl
+				label={ __( 'Rank By', 'gatherpress-statistics' ) }
+				value={ leaderboardMetric }
+				options={ [
+					{
+						label: __( 'Events', 'gatherpress-statistics' ),
+						value: 'events',
+					},
+					{
+						label: __( 'Attendees', 'gatherpress-statistics' ),
+						value: 'attendees',
+					},
+				] }
+				onChange={ ( value ) =>
+					setAttributes( { leaderboardMetric: value } )
+				}
+			/>
+			<RangeControl
+				label={ __( 'Number of Terms', 'gatherpress-statistics' ) }
+				value={ leaderboardLength }
+				onChange={ ( value ) =>
+					setAttributes( { leaderboardLength: value } )
+				}
+				min={ 1 }
+				max={ 25 }
+			/>
+			<ToggleControl
+				label={ __( 'Link Terms', 'gatherpress-statistics' ) }
+				checked={ leaderboardLinks }
+				onChange={ ( value ) =>
+					setAttributes( { leaderboardLinks: value } )
+				}
+				help={ __(
+					'Links terms to their archive, and venues to their page.',
+					'gatherpress-statistics'
+				) }
+			/>
+			<ToggleControl
+				label={ __( 'Show Counts', 'gatherpress-statistics' ) }
+				checked={ leaderboardCounts }
+				onChange={ ( value ) =>
+					setAttributes( { leaderboardCounts: value } )
+				}
+			/>
+			<p className="components-base-control__help">
+				{ sprintf(
+					/* translators: %1$s: Placeholder for the number of terms */
+					__(
+						'The label names the listed terms. Add %1$s to show their number, e.g. "Top %1$s venues".',
+						'gatherpress-statistics'
+					),
+					'%s'
+				) }
+			</p>
+		</PanelBody>
+	);
+}
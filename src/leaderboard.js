@@ -0,0 +1,56 @@
+/**
+ * Internal dependencies
+ */
+import { formatNumber } from './number-format';
+import getUnitPatterns from './number-units';
+
+/**
+ * Preview of the top terms the server renders as ordered list.
+ *
+ * Mirrors the markup of `Leaderboard::render()`. Links are not followed in
+ * the editor, so terms are never wrapped in one.
+ *
+ * @param {Object}   props              Component properties.
+ * @param {Object[]} props.items        Top terms with `id`, `name`, `url` and `value`, highest first.
+ * @param {boolean}  props.showCounts   Whether to show the events or attendees of each term.
+ * @param {string}   props.numberFormat Notation of the counts.
+ * @param {string}   props.locale       Locale to format the counts for.
+ * @return {?Element} Leaderboard, or nothing if there are no terms.
+ */
+export default function Leaderboard( {
+	items,
+	showCounts,
+	numberFormat,
+	locale,
+} ) {
+	if ( ! items || items.length === 0 ) {
+		return null;
+	}
+
+	return (
+		<ol className="gatherpress-stats-leaderboard">
+			{ items.map( ( item ) => (
+				<li
+					key={ item.id }
+					className="gatherpress-stats-leaderboard-item"
+				>
+					<span className="gatherpress-stats-leaderboard-term">
+						{ item.name }
+					</span>
+					{ showCounts && (
+						<data
+							className="gatherpress-stats-leaderboard-count"
+							value={ item.value }
+						>
+							{ formatNumber( item.value, {
+								format: numberFormat,
+								locale,
+								units: getUnitPatterns(),
+							} ) }
+						</data>
+					) }
+				</li>
+			) ) }
+		</ol>
+	);
+}
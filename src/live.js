@@ -0,0 +1,184 @@
+/**
+ * Live mode of the GatherPress Statistics block.
+ *
+ * Polls the public live endpoint and updates number, label, prefix and
+ * suffix of the block in place. Polling pauses while the tab is hidden.
+ */
+
+/**
+ * WordPress dependencies
+ */
+import {
+	store,
+	getContext,
+	getElement,
+	withScope,
+} from '@wordpress/interactivity';
+
+/**
+ * Internal dependencies
+ */
+import { formatNumber as formatInNotation } from './number-format';
+import { getPluralLabel, getLabelParts } from './plural-label';
+import { getConditionalTexts } from './conditional-ranges';
+
+/**
+ * Format a number with the separators of the site's locale.
+ *
+ * @param {number} number       Number to format.
+ * @param {string} thousandsSep Thousands separator.
+ * @param {number} decimals     Number of decimals.
+ * @param {string} decimalPoint Decimal point.
+ * @return {string} Formatted number.
+ */
+function formatNumber( number, thousandsSep, decimals, decimalPoint ) {
+	const [ integer, fraction ] = number.toFixed( decimals ).split( '.' );
+	const formatted = integer.replace( /\B(?=(\d{3})+(?!\d))/g, thousandsSep );
+
+	return fraction ? formatted + decimalPoint + fraction : formatted;
+}
+
+const { state, actions } = store( 'gatherpress-statistics', {
+	actions: {
+		/**
+		 * Fetch the current value and update the block, if it changed.
+		 *
+		 * @yield {Promise} Pending request.
+		 */
+		*refresh() {
+			const context = getContext();
+			const url = new URL( state.endpoint );
+			url.searchParams.set( 'type', context.type );
+			url.searchParams.set( 'filters', context.filters );
+			url.searchParams.set( 'signature', context.signature );
+
+			try {
+				const response = yield fetch( url );
+				if ( ! response.ok ) {
+					return;
+				}
+
+				const data = yield response.json();
+				if ( 'number' !== typeof data.value ) {
+					return;
+				}
+
+				// Round like render.php, so unchanged values are recognized
+				const value = Number( data.value.toFixed( context.decimals ) );
+				if ( value === context.value ) {
+					return;
+				}
+
+				context.value = value;
+				context.formattedValue =
+					'standard' === context.numberFormat
+						? formatNumber(
+								value,
+								context.thousandsSep,
+								context.decimals,
+								context.decimalPoint
+						  )
+						: formatInNotation( value, {
+								format: context.numberFormat,
+								decimals: context.formatDecimals,
+								locale: context.locale,
+								units: context.numberUnits,
+						  } );
+
+				// Same logic as render.php
+				const { prefix, suffix, label } = getConditionalTexts(
+					context.ranges,
+					value,
+					{
+						prefix: context.prefixDefault,
+						suffix: context.suffixDefault,
+						label: getPluralLabel( context.labelForms, value, {
+							locale: context.locale,
+							decimals: context.decimals,
+						} ),
+					}
+				);
+				context.prefix = prefix;
+				context.suffix = suffix;
+				context.label = label;
+
+				const number = [
+					context.prefix,
+					context.formattedValue,
+					context.suffix,
+				]
+					.filter( Boolean )
+					.join( ' ' );
+
+				if ( context.hasLabelTemplate ) {
+					[ context.labelBefore, context.labelAfter ] = getLabelParts(
+						context.label
+					);
+					context.announcement = (
+						context.labelBefore +
+						number +
+						context.labelAfter
+					).trim();
+				} else {
+					context.announcement = [ number, context.label ]
+						.filter( Boolean )
+						.join( ' ' );
+				}
+
+				// Lets view.js celebrate milestones with confetti
+				getElement().ref.dispatchEvent(
+					new window.CustomEvent( 'gatherpress-statistics-change', {
+						detail: { value },
+					} )
+				);
+			} catch ( error ) {
+				// Keep the current value until the next attempt
+			}
+		},
+	},
+	callbacks: {
+		/**
+		 * Start polling, paused while the tab is hidden.
+		 *
+		 * @return {Function} Cleanup function.
+		 */
+		startPolling() {
+			const context = getContext();
+			const refresh = withScope( actions.refresh );
+			let timer = null;
+
+			const start = () => {
+				if ( ! timer ) {
+					timer = setInterval( refresh, context.interval );
+				}
+			};
+			const stop = () => {
+				clearInterval( timer );
+				timer = null;
+			};
+
+			// Catch up right away when the tab becomes visible again
+			const onVisibilityChange = () => {
+				if ( document.hidden ) {
+					stop();
+				} else {
+					refresh();
+					start();
+				}
+			};
+
+			document.addEventListener( 'visibilitychange', onVisibilityChange );
+			if ( ! document.hidden ) {
+				start();
+			}
+
+			return () => {
+				stop();
+				document.removeEventListener(
+					'visibilitychange',
+					onVisibilityChange
+				);
+			};
+		},
+	},
+} );
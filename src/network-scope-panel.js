@@ -0,0 +1,89 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import {
+	CheckboxControl,
+	PanelBody,
+	ToggleControl,
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { store } from './store';
+
+/**
+ * Inspector panel to aggregate a statistic across the sites of a multisite
+ * network.
+ *
+ * Sites come from the plugin's REST API, which lists none on single site
+ * installs, so the panel is only shown on multisite installs.
+ *
+ * @param {Object}   props               Component properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attributes setter.
+ * @return {?Element} Network scope panel, or null without other sites.
+ */
+export default function NetworkScopePanel( { attributes, setAttributes } ) {
+	const { scope, networkSites } = attributes;
+	const sites =
+		useSelect( ( select ) => select( store ).getSites(), [] ) || [];
+
+	if ( sites.length < 2 ) {
+		return null;
+	}
+
+	const isNetwork = 'network' === scope;
+
+	return (
+		<PanelBody
+			title={ __( 'Network', 'gatherpress-statistics' ) }
+			initialOpen={ isNetwork }
+		>
+			<ToggleControl
+				label={ __(
+					'Count Across the Network',
+					'gatherpress-statistics'
+				) }
+				checked={ isNetwork }
+				onChange={ ( value ) =>
+					setAttributes( { scope: value ? 'network' : 'site' } )
+				}
+				help={ __(
+					'Combine the statistic of all sites supporting it. Terms are matched by their slug.',
+					'gatherpress-statistics'
+				) }
+			/>
+
+			{ isNetwork && (
+				<fieldset className="gatherpress-stats-network-sites">
+					<legend>{ __( 'Sites', 'gatherpress-statistics' ) }</legend>
+					{ sites.map( ( site ) => (
+						<CheckboxControl
+							key={ site.id }
+							label={ site.name || site.url }
+							checked={ networkSites.includes( site.id ) }
+							onChange={ ( checked ) =>
+								setAttributes( {
+									networkSites: checked
+										? [ ...networkSites, site.id ]
+										: networkSites.filter(
+												( id ) => id !== site.id
+										  ),
+								} )
+							}
+						/>
+					) ) }
+					<p className="components-base-control__help">
+						{ __(
+							'Without a selection, all sites are included.',
+							'gatherpress-statistics'
+						) }
+					</p>
+				</fieldset>
+			) }
+		</PanelBody>
+	);
+}
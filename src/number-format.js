@@ -0,0 +1,146 @@
+/**
+ * Number formats of the statistic, shared by the editor preview, the count-up
+ * animation and live mode.
+ *
+ * Mirrors `Number_Formatter::format()`, which renders the number on the server,
+ * so both use the same units and abbreviations in every locale.
+ */
+
+/**
+ * Units abbreviated by the compact formats, largest first.
+ *
+ * @type {number[]}
+ */
+const UNITS = [ 1e9, 1e6, 1e3 ];
+
+/**
+ * Abbreviations of the units, `%s` is the number of units.
+ *
+ * Untranslated, the server passes the translated ones with
+ * `Number_Formatter::get_unit_patterns()`.
+ *
+ * @type {Object<number, string>}
+ */
+export const DEFAULT_UNIT_PATTERNS = {
+	1000000000: '%sB',
+	1000000: '%sM',
+	1000: '%sK',
+};
+
+/**
+ * Convert a WordPress locale to a BCP 47 language tag, e.g. "de_DE" to "de-DE".
+ *
+ * @param {string} locale WordPress locale.
+ * @return {string|undefined} Language tag, or undefined for the browser's default.
+ */
+export function toLanguageTag( locale ) {
+	return locale ? locale.replace( /_/g, '-' ) : undefined;
+}
+
+/**
+ * Create a number formatter, falling back to the browser's locale for
+ * locales Intl doesn't know.
+ *
+ * @param {string|undefined} locale  Language tag.
+ * @param {Object}           options Intl.NumberFormat options.
+ * @return {Intl.NumberFormat} Number formatter.
+ */
+function getFormatter( locale, options ) {
+	try {
+		return new Intl.NumberFormat( locale, options );
+	} catch ( error ) {
+		return new Intl.NumberFormat( undefined, options );
+	}
+}
+
+/**
+ * Get the largest unit that fits into a value.
+ *
+ * @param {number} value Value to abbreviate.
+ * @return {number} Unit, 1 for values below a thousand.
+ */
+function getUnit( value ) {
+	return UNITS.find( ( unit ) => value >= unit ) || 1;
+}
+
+/**
+ * Round a number like PHP's round().
+ *
+ * @param {number} number   Number to round.
+ * @param {number} decimals Number of decimals.
+ * @return {number} Rounded number.
+ */
+function round( number, decimals ) {
+	const factor = Math.pow( 10, decimals );
+
+	return Math.round( number * factor ) / factor;
+}
+
+/**
+ * Format the value of a statistic.
+ *
+ * - `standard`:    12,345 (with the given number of decimals)
+ * - `compact`:     12.3K (with up to the given number of decimals)
+ * - `abbreviated`: 12K+ (whole units, a plus sign marks truncated values)
+ *
+ * @param {number} value              Value to format.
+ * @param {Object} options            Formatting options.
+ * @param {string} [options.format]   Number format: 'standard', 'compact' or 'abbreviated'.
+ * @param {number} [options.decimals] Number of decimals.
+ * @param {string} [options.locale]   Language tag, see toLanguageTag().
+ * @param {Object} [options.units]    Abbreviations of the units, see DEFAULT_UNIT_PATTERNS.
+ * @return {string} Formatted value.
+ */
+export function formatNumber(
+	value,
+	{
+		format = 'standard',
+		decimals = 0,
+		locale,
+		units = DEFAULT_UNIT_PATTERNS,
+	} = {}
+) {
+	const addUnit = ( number, unit ) =>
+		units[ unit ] ? units[ unit ].replace( '%s', number ) : number;
+
+	switch ( format ) {
+		case 'compact': {
+			let unit = getUnit( value );
+			let scaled = round( value / unit, decimals );
+
+			// Rounding may reach the next unit, e.g. 999,960 becomes 1M instead of 1,000K
+			if ( scaled >= 1000 && unit < UNITS[ 0 ] ) {
+				unit *= 1000;
+				scaled = round( value / unit, decimals );
+			}
+
+			// Trailing zeros are not shown, like in Number_Formatter
+			return addUnit(
+				getFormatter( locale, {
+					maximumFractionDigits: decimals,
+				} ).format( scaled ),
+				unit
+			);
+		}
+
+		case 'abbreviated': {
+			const unit = getUnit( value );
+			const truncated = Math.floor( value / unit );
+			const text = addUnit(
+				getFormatter( locale, {
+					maximumFractionDigits: 0,
+				} ).format( truncated ),
+				unit
+			);
+
+			// Mark values that were cut off, e.g. 12,345 as 12K+
+			return truncated * unit < value ? text + '+' : text;
+		}
+
+		default:
+			return getFormatter( locale, {
+				minimumFractionDigits: decimals,
+				maximumFractionDigits: decimals,
+			} ).format( value );
+	}
+}
@@ -0,0 +1,27 @@
+/**
+ * WordPress dependencies
+ */
+import { _x } from '@wordpress/i18n';
+
+/**
+ * Get the translated abbreviations of the units, for `formatNumber()`.
+ *
+ * Same translations as `Number_Formatter::get_unit_patterns()`, which passes
+ * them to the frontend scripts.
+ *
+ * @return {Object<number, string>} Abbreviations by unit, `%s` is the number of units.
+ */
+export default function getUnitPatterns() {
+	return {
+		/* translators: %s: Number of billions */
+		1000000000: _x(
+			'%sB',
+			'number abbreviation',
+			'gatherpress-statistics'
+		),
+		/* translators: %s: Number of millions */
+		1000000: _x( '%sM', 'number abbreviation', 'gatherpress-statistics' ),
+		/* translators: %s: Number of thousands */
+		1000: _x( '%sK', 'number abbreviation', 'gatherpress-statistics' ),
+	};
+}
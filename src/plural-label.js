@@ -0,0 +1,173 @@
+/**
+ * Plural forms and templates of the label, shared by the editor preview and
+ * live mode.
+ *
+ * Mirrors `Plural_Rules::get_label()` and the label template handling in
+ * `render.php`.
+ */
+
+/**
+ * CLDR plural categories, in the order the editor lists them.
+ *
+ * @type {string[]}
+ */
+export const PLURAL_CATEGORIES = [
+	'zero',
+	'one',
+	'two',
+	'few',
+	'many',
+	'other',
+];
+
+/**
+ * Placeholder for the number in label templates.
+ *
+ * @type {string}
+ */
+const PLACEHOLDER = '%s';
+
+/**
+ * Create plural rules, falling back to the language without region or
+ * variant, e.g. "de" for "de-DE-formal".
+ *
+ * @param {string|undefined} locale  Language tag.
+ * @param {Object}           options Intl.PluralRules options.
+ * @return {Intl.PluralRules} Plural rules.
+ */
+function getPluralRules( locale, options ) {
+	try {
+		return new Intl.PluralRules( locale, options );
+	} catch ( error ) {
+		return new Intl.PluralRules(
+			locale ? locale.split( '-' )[ 0 ] : undefined,
+			options
+		);
+	}
+}
+
+/**
+ * Get the plural category of a number, e.g. "few" for 3 in Polish.
+ *
+ * @param {number} value              Number.
+ * @param {Object} options            Options.
+ * @param {string} [options.locale]   Language tag.
+ * @param {number} [options.decimals] Number of decimals the number is displayed with.
+ * @return {string} Plural category.
+ */
+export function getPluralCategory( value, { locale, decimals = 0 } = {} ) {
+	return getPluralRules( locale, {
+		minimumFractionDigits: decimals,
+		maximumFractionDigits: decimals,
+	} ).select( value );
+}
+
+/**
+ * Get the plural categories of a language, in the order of
+ * `PLURAL_CATEGORIES`.
+ *
+ * @param {string|undefined} locale Language tag.
+ * @return {string[]} Plural categories.
+ */
+export function getPluralCategories( locale ) {
+	// Older browsers don't list the categories
+	const { pluralCategories = [ 'one', 'other' ] } =
+		getPluralRules( locale ).resolvedOptions();
+
+	return PLURAL_CATEGORIES.filter( ( category ) =>
+		pluralCategories.includes( category )
+	);
+}
+
+/**
+ * Get a few numbers of a plural category, to explain it to editors.
+ *
+ * @param {string}           category Plural category.
+ * @param {string|undefined} locale   Language tag.
+ * @param {number}           [limit]  Maximum number of examples.
+ * @return {string[]} Example numbers, e.g. ["2", "3", "4"] for "few" in Polish.
+ */
+export function getPluralExamples( category, locale, limit = 3 ) {
+	const examples = [];
+	const candidates = [
+		...Array.from( { length: 201 }, ( _, index ) => index ),
+		1e6,
+		2e6,
+	];
+
+	for ( const value of candidates ) {
+		if ( examples.length >= limit ) {
+			break;
+		}
+		if ( category === getPluralCategory( value, { locale } ) ) {
+			examples.push( value.toLocaleString( locale ) );
+		}
+	}
+
+	// Some categories only apply to fractions, e.g. "many" in Czech
+	if (
+		! examples.length &&
+		category === getPluralCategory( 1.5, { locale, decimals: 1 } )
+	) {
+		examples.push( ( 1.5 ).toLocaleString( locale ) );
+	}
+
+	return examples;
+}
+
+/**
+ * Pick the label for a number from its plural forms.
+ *
+ * @param {Object<string, string>} forms              Labels keyed by plural category, including "one" and "other".
+ * @param {number}                 value              Number the label belongs to.
+ * @param {Object}                 options            Options.
+ * @param {string}                 [options.locale]   Language tag.
+ * @param {number}                 [options.decimals] Number of decimals the number is displayed with.
+ * @return {string} Label.
+ */
+export function getPluralLabel( forms, value, options ) {
+	return forms[ getPluralCategory( value, options ) ] || forms.other || '';
+}
+
+/**
+ * Whether any form of the label contains the number placeholder.
+ *
+ * @param {Object<string, string>|string[]} forms Labels, e.g. keyed by plural category.
+ * @return {boolean} True if the number is shown within the label.
+ */
+export function hasLabelTemplate( forms ) {
+	return Object.values( forms ).some(
+		( label ) => label && label.includes( PLACEHOLDER )
+	);
+}
+
+/**
+ * Split a label template at the number placeholder.
+ *
+ * Labels without a placeholder follow the number, like without templates.
+ *
+ * @param {string} label Label, e.g. "%s events organised".
+ * @return {string[]} Text before and after the number.
+ */
+export function getLabelParts( label ) {
+	const index = label.indexOf( PLACEHOLDER );
+
+	if ( -1 === index ) {
+		return [ '', ` ${ label }` ];
+	}
+
+	return [
+		label.slice( 0, index ),
+		label.slice( index + PLACEHOLDER.length ),
+	];
+}
+
+/**
+ * Remove the number placeholder from a label, e.g. for chart captions.
+ *
+ * @param {string} label Label, e.g. "%s events organised".
+ * @return {string} Label without placeholder, e.g. "events organised".
+ */
+export function getLabelText( label ) {
+	return label.replace( /\s*%s\s*/g, ' ' ).trim();
+}
@@ -3,106 +3,362 @@
  * @see https://github.com/WordPress/gutenberg/blob/trunk/docs/reference-guides/block-api/block-metadata.md#render
  */
 
+$setup = \GatherPress_Statistics\Setup::get_instance();
+
+$context = isset( $block ) ? $block->context : array();
+
+// Inherit the shared filters of a surrounding statistics group
+$attributes = $setup->apply_group_context( $attributes, $context );
+
+// Resolve the term of the archive or post being viewed, don't display without one
+if ( $setup->uses_current_term( $attributes ) ) {
+	$attributes = $setup->apply_current_term( $attributes, $context );
+	if ( null === $attributes ) {
+		return;
+	}
+}
+
 $statistic_type = isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events';
 $label_singular = isset( $attributes['labelSingular'] ) ? $attributes['labelSingular'] : __( 'Event', 'gatherpress-statistics' );
 $label_plural   = isset( $attributes['labelPlural'] ) ? $attributes['labelPlural'] : __( 'Events', 'gatherpress-statistics' );
-$selected_term  = isset( $attributes['selectedTerm'] ) ? intval( $attributes['selectedTerm'] ) : 0;
-$event_query    = isset( $attributes['eventQuery'] ) ? $attributes['eventQuery'] : 'past';
 $show_label     = isset( $attributes['showLabel'] ) ? $attributes['showLabel'] : true;
 
+// Labels for further plural categories of the site's language, e.g. 'few' and 'many' in Polish
+$label_forms          = isset( $attributes['labelForms'] ) && is_array( $attributes['labelForms'] ) ? array_intersect_key( $attributes['labelForms'], array_flip( array( 'zero', 'two', 'few', 'many' ) ) ) : array();
+$label_forms['one']   = $label_singular;
+$label_forms['other'] = $label_plural;
+
 // Prefix and suffix settings
-$prefix_default      = isset( $attributes['prefixDefault'] ) ? $attributes['prefixDefault'] : '';
-$suffix_default      = isset( $attributes['suffixDefault'] ) ? $attributes['suffixDefault'] : '';
-$prefix_conditional  = isset( $attributes['prefixConditional'] ) ? $attributes['prefixConditional'] : '';
-$suffix_conditional  = isset( $attributes['suffixConditional'] ) ? $attributes['suffixConditional'] : '';
-$conditional_threshold = isset( $attributes['conditionalThreshold'] ) ? intval( $attributes['conditionalThreshold'] ) : 10;
-
-// CRITICAL: For total_attendees, always force eventQuery to 'past'
-if ( 'total_attendees' === $statistic_type ) {
-	$event_query = 'past';
-} else {
-	// For other types, validate event_query - only 'upcoming' or 'past' allowed
-	if ( empty( $event_query ) || ! in_array( $event_query, array( 'upcoming', 'past' ), true ) ) {
-		// Default to 'past' if invalid or empty
-		$event_query = 'past';
+$prefix_default = isset( $attributes['prefixDefault'] ) ? $attributes['prefixDefault'] : '';
+$suffix_default = isset( $attributes['suffixDefault'] ) ? $attributes['suffixDefault'] : '';
+
+// Ranges of values with their own prefix, suffix and label, e.g. 100+ "Over"
+$conditional_ranges = \GatherPress_Statistics\Conditional_Ranges::get_instance();
+$ranges             = $conditional_ranges->get_ranges( $attributes );
+
+// Count-up animation settings
+$count_up          = ! empty( $attributes['countUp'] );
+$count_up_duration = isset( $attributes['countUpDuration'] ) ? absint( $attributes['countUpDuration'] ) : 2000;
+$count_up_easing   = isset( $attributes['countUpEasing'] ) ? $attributes['countUpEasing'] : 'easeOut';
+$count_up_start    = isset( $attributes['countUpStart'] ) ? absint( $attributes['countUpStart'] ) : 0;
+
+// Live mode settings, the interval is given in seconds. The Interactivity API requires WordPress 6.5.
+$live          = ! empty( $attributes['live'] ) && function_exists( 'wp_interactivity_state' );
+$live_interval = isset( $attributes['liveInterval'] ) ? max( 10, absint( $attributes['liveInterval'] ) ) : 60;
+
+// Empty state settings
+$empty_behavior = isset( $attributes['emptyBehavior'] ) && in_array( $attributes['emptyBehavior'], array( 'hide', 'zero', 'fallback' ), true ) ? $attributes['emptyBehavior'] : 'hide';
+$empty_text     = isset( $attributes['emptyText'] ) ? trim( $attributes['emptyText'] ) : '';
+$empty_url      = isset( $attributes['emptyUrl'] ) ? $attributes['emptyUrl'] : '';
+
+// Number format settings
+$number_formatter = \GatherPress_Statistics\Number_Formatter::get_instance();
+$number_format    = isset( $attributes['numberFormat'] ) && in_array( $attributes['numberFormat'], $number_formatter->get_formats(), true ) ? $attributes['numberFormat'] : 'standard';
+
+// Comparison settings
+$comparison        = isset( $attributes['comparison'] ) ? $attributes['comparison'] : '';
+$comparison_format = isset( $attributes['comparisonFormat'] ) ? $attributes['comparisonFormat'] : 'percentage';
+
+// Chart settings
+$display_mode    = isset( $attributes['displayMode'] ) ? $attributes['displayMode'] : 'number';
+$series_interval = isset( $attributes['seriesInterval'] ) ? $attributes['seriesInterval'] : 'month';
+$series_length   = isset( $attributes['seriesLength'] ) ? absint( $attributes['seriesLength'] ) : 12;
+
+// Build filters array, the same way the REST API does for the editor preview
+$filters = $setup->get_filters_from_attributes( $attributes );
+
+// Get cached statistic
+$count = $setup->get_cached( $statistic_type, $filters );
+
+// Averages and medians may be fractional, all other statistics are whole numbers
+$decimals = 0;
+if ( isset( $filters['aggregation'] ) && in_array( $filters['aggregation'], array( 'average', 'median' ), true ) ) {
+	$decimals = isset( $attributes['decimals'] ) ? min( 3, absint( $attributes['decimals'] ) ) : 1;
+	$count    = round( $count, $decimals );
+}
+
+// Compact numbers show up to the configured decimals, e.g. 12.3K
+$format_decimals = 'compact' === $number_format && isset( $attributes['decimals'] ) ? min( 3, absint( $attributes['decimals'] ) ) : $decimals;
+$formatted_count = $number_formatter->format( $count, $number_format, $format_decimals );
+
+// Nothing to count, or the statistic type is disabled on this site
+$is_supported = $setup->is_statistic_type_supported( $statistic_type );
+if ( ! $is_supported || 0.0 === (float) $count ) {
+	if ( 'fallback' === $empty_behavior && '' !== $empty_text ) {
+		?>
+		<div <?php echo get_block_wrapper_attributes( array( 'class' => 'is-empty' ) ); ?>>
+			<p class="gatherpress-stats-empty">
+				<?php if ( ! empty( $empty_url ) ) : ?>
+					<a href="<?php echo esc_url( $empty_url ); ?>"><?php echo esc_html( $empty_text ); ?></a>
+				<?php else : ?>
+					<?php echo esc_html( $empty_text ); ?>
+				<?php endif; ?>
+			</p>
+		</div>
+		<?php
+		return;
 	}
+
+	// Don't display at all, unless a plain 0 was asked for
+	if ( 'zero' !== $empty_behavior ) {
+		return;
+	}
+
+	$count = 0;
+	$live  = $live && $is_supported;
+}
+
+// Leaderboards list their top terms instead of a single number
+if ( 'top_terms' === $statistic_type ) {
+	$leaderboard_items = $is_supported ? $setup->get_cached_leaderboard( $filters, isset( $attributes['leaderboardLength'] ) ? absint( $attributes['leaderboardLength'] ) : 5 ) : array();
+
+	// The label names the listed terms, %s is their number, e.g. "Top %s venues"
+	$leaderboard_label = \GatherPress_Statistics\Plural_Rules::get_instance()->get_label( $label_forms, count( $leaderboard_items ) );
+	$leaderboard_label = trim( str_replace( '%s', number_format_i18n( count( $leaderboard_items ) ), $leaderboard_label ) );
+	?>
+	<figure <?php echo get_block_wrapper_attributes( array( 'class' => 'is-leaderboard' ) ); ?>>
+		<?php if ( $show_label && '' !== $leaderboard_label ) : ?>
+			<figcaption class="gatherpress-stats-label"><?php echo esc_html( $leaderboard_label ); ?></figcaption>
+		<?php endif; ?>
+		<?php
+		// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by Leaderboard::render().
+		echo \GatherPress_Statistics\Leaderboard::get_instance()->render(
+			$leaderboard_items,
+			! isset( $attributes['leaderboardLinks'] ) || ! empty( $attributes['leaderboardLinks'] ),
+			! isset( $attributes['leaderboardCounts'] ) || ! empty( $attributes['leaderboardCounts'] ),
+			$number_format
+		);
+		?>
+	</figure>
+	<?php
+	return;
 }
 
-// Build filters array
-$filters = array();
+// Determine which prefix/suffix to use based on the first range containing the count
+$range          = $conditional_ranges->get_range( $ranges, $count );
+$display_prefix = ( $range && '' !== $range['prefix'] ) ? $range['prefix'] : $prefix_default;
+$display_suffix = ( $range && '' !== $range['suffix'] ) ? $range['suffix'] : $suffix_default;
 
-// CRITICAL: Add event query filter FIRST - this must be present for cache key generation
-// Only 'upcoming' or 'past' are valid values
-$filters['event_query'] = sanitize_key( $event_query );
+// Determine which label to use, the range's own or the plural form for the site's language
+$display_label = ( $range && '' !== $range['label'] ) ? $range['label'] : \GatherPress_Statistics\Plural_Rules::get_instance()->get_label( $label_forms, $count, $decimals );
 
-if ( $selected_term > 0 ) {
-	$filters['term_id'] = $selected_term;
+// Labels with a %s placeholder show the number within the sentence, e.g. "%s events organised"
+$has_label_template = $show_label && false !== strpos( implode( '', $label_forms ) . implode( '', wp_list_pluck( $ranges, 'label' ) ), '%s' );
+$label_parts        = array( '', '' );
+if ( $has_label_template ) {
+	$label_parts = false !== strpos( $display_label, '%s' ) ? explode( '%s', $display_label, 2 ) : array( '', ' ' . $display_label );
 }
 
-// Get selected taxonomy for single taxonomy operations
-if ( ! empty( $attributes['selectedTaxonomy'] ) ) {
-	$filters['taxonomy'] = $attributes['selectedTaxonomy'];
+// Compare with the same statistic of a previous period
+$comparison_badge = null;
+$comparison_filters = $setup->get_comparison_filters( $filters, $attributes );
+if ( ! empty( $comparison_filters ) ) {
+	$previous_count = $setup->get_cached( $statistic_type, $comparison_filters );
+	$delta          = $count - $previous_count;
+
+	// A percentage of nothing is meaningless, fall back to the absolute delta
+	if ( 'percentage' === $comparison_format && $previous_count > 0 ) {
+		$delta_text = sprintf(
+			/* translators: %s: Percentage */
+			__( '%s%%', 'gatherpress-statistics' ),
+			number_format_i18n( abs( $delta ) / $previous_count * 100 )
+		);
+	} else {
+		$delta_text = number_format_i18n( abs( $delta ), $decimals );
+	}
+
+	switch ( $comparison ) {
+		case 'previous_months':
+			$comparison_months = isset( $attributes['comparisonMonths'] ) ? max( 1, absint( $attributes['comparisonMonths'] ) ) : 12;
+			/* translators: %s: Number of months */
+			$period_text = sprintf( _n( '%s month ago', '%s months ago', $comparison_months, 'gatherpress-statistics' ), number_format_i18n( $comparison_months ) );
+			break;
+		case 'reference_date':
+			$period_text = date_i18n( get_option( 'date_format' ), strtotime( $comparison_filters['date_to'] ) );
+			break;
+		default:
+			$period_text = __( 'last year', 'gatherpress-statistics' );
+	}
+
+	if ( $delta > 0 ) {
+		$comparison_badge = array(
+			'class'  => 'is-up',
+			'symbol' => '▲',
+			/* translators: 1: Increase as number or percentage, 2: Period compared with */
+			'visual' => sprintf( __( '+%1$s vs. %2$s', 'gatherpress-statistics' ), $delta_text, $period_text ),
+			/* translators: 1: Increase as number or percentage, 2: Period compared with */
+			'spoken' => sprintf( __( 'Increased by %1$s compared to %2$s', 'gatherpress-statistics' ), $delta_text, $period_text ),
+		);
+	} elseif ( $delta < 0 ) {
+		$comparison_badge = array(
+			'class'  => 'is-down',
+			'symbol' => '▼',
+			/* translators: 1: Decrease as number or percentage, 2: Period compared with */
+			'visual' => sprintf( __( '−%1$s vs. %2$s', 'gatherpress-statistics' ), $delta_text, $period_text ),
+			/* translators: 1: Decrease as number or percentage, 2: Period compared with */
+			'spoken' => sprintf( __( 'Decreased by %1$s compared to %2$s', 'gatherpress-statistics' ), $delta_text, $period_text ),
+		);
+	} else {
+		$comparison_badge = array(
+			'class'  => 'is-unchanged',
+			'symbol' => '=',
+			/* translators: %s: Period compared with */
+			'visual' => sprintf( __( '±0 vs. %s', 'gatherpress-statistics' ), $period_text ),
+			/* translators: %s: Period compared with */
+			'spoken' => sprintf( __( 'Unchanged compared to %s', 'gatherpress-statistics' ), $period_text ),
+		);
+	}
 }
 
-// Get count and filter taxonomies for cross-taxonomy operations
-if ( ! empty( $attributes['countTaxonomy'] ) ) {
-	$filters['count_taxonomy'] = $attributes['countTaxonomy'];
+// Get the cached time series for the chart below the number
+$chart = '';
+if ( in_array( $display_mode, array( 'sparkline', 'bar' ), true ) ) {
+	$chart = \GatherPress_Statistics\Chart::get_instance()->render(
+		$setup->get_cached_series( $statistic_type, $filters, $series_interval, $series_length ),
+		$display_mode,
+		trim( preg_replace( '/\s*%s\s*/', ' ', $label_plural ) ),
+		$decimals
+	);
 }
 
-if ( ! empty( $attributes['filterTaxonomy'] ) ) {
-	$filters['filter_taxonomy'] = $attributes['filterTaxonomy'];
+global $wp_locale;
+$thousands_sep = isset( $wp_locale ) ? $wp_locale->number_format['thousands_sep'] : ',';
+
+// Pass the animation settings and the locale's number format to view.js
+$wrapper_attributes = array();
+if ( $count_up ) {
+	$wrapper_attributes = array(
+		'data-count-up'          => 'true',
+		'data-count-up-duration' => $count_up_duration,
+		'data-count-up-easing'   => in_array( $count_up_easing, array( 'linear', 'easeOut', 'easeInOut' ), true ) ? $count_up_easing : 'easeOut',
+		'data-count-up-start'    => min( $count_up_start, $count ),
+		'data-thousands-sep'     => $thousands_sep,
+	);
+
+	// Count up in the same notation as the final value
+	if ( 'standard' !== $number_format ) {
+		$wrapper_attributes['data-number-format'] = $number_format;
+		$wrapper_attributes['data-decimals']      = $format_decimals;
+		$wrapper_attributes['data-locale']        = str_replace( '_', '-', get_locale() );
+		$wrapper_attributes['data-number-units']  = (string) wp_json_encode( $number_formatter->get_unit_patterns() );
+	}
 }
 
-// Handle multiple taxonomy selection
-if ( 'events_multi_taxonomy' === $statistic_type ) {
-	$taxonomy_terms = array();
-	
-	if ( ! empty( $attributes['selectedTaxonomyTerms'] ) ) {
-		foreach ( $attributes['selectedTaxonomyTerms'] as $taxonomy => $term_ids ) {
-			if ( ! empty( $term_ids ) && is_array( $term_ids ) ) {
-				$taxonomy_terms[ $taxonomy ] = $term_ids;
-			}
-		}
+// Confetti bursts of the confetti style, see view.js
+if ( isset( $attributes['className'] ) && false !== strpos( $attributes['className'], 'is-style-confetti' ) ) {
+	$confetti_triggers   = isset( $attributes['confettiTriggers'] ) && is_array( $attributes['confettiTriggers'] ) ? array_values( array_intersect( $attributes['confettiTriggers'], array( 'hover', 'focus', 'tap' ) ) ) : array( 'hover' );
+	$confetti_milestones = isset( $attributes['confettiMilestones'] ) && is_array( $attributes['confettiMilestones'] ) ? array_filter( array_map( 'absint', $attributes['confettiMilestones'] ) ) : array();
+
+	$wrapper_attributes['data-confetti-pieces']     = isset( $attributes['confettiPieces'] ) ? min( 150, max( 1, absint( $attributes['confettiPieces'] ) ) ) : 30;
+	$wrapper_attributes['data-confetti-triggers']   = implode( ' ', $confetti_triggers );
+	$wrapper_attributes['data-confetti-every']      = isset( $attributes['confettiEvery'] ) ? absint( $attributes['confettiEvery'] ) : 0;
+	$wrapper_attributes['data-confetti-milestones'] = implode( ',', $confetti_milestones );
+
+	// Identifies the statistic, so each milestone is celebrated once per visitor
+	$wrapper_attributes['data-confetti-id'] = md5( $setup->get_cache_key( $statistic_type, $filters ) );
+
+	// Colors of the theme's palette, the block's own colors are read in the browser
+	if ( ! isset( $attributes['confettiColors'] ) || 'block' !== $attributes['confettiColors'] ) {
+		$palette = wp_get_global_settings( array( 'color', 'palette' ) );
+		$palette = ! empty( $palette['theme'] ) ? $palette['theme'] : ( ! empty( $palette['default'] ) ? $palette['default'] : array() );
+
+		$wrapper_attributes['data-confetti-colors'] = (string) wp_json_encode( array_values( array_filter( wp_list_pluck( $palette, 'color' ) ) ) );
 	}
-	
-	if ( ! empty( $taxonomy_terms ) ) {
-		$filters['taxonomy_terms'] = $taxonomy_terms;
+
+	// Keyboard users reach the block to burst confetti on focus
+	if ( in_array( 'focus', $confetti_triggers, true ) ) {
+		$wrapper_attributes['tabindex'] = '0';
 	}
 }
 
-// Get cached statistic
-// $count = \GatherPressStatistics\get_cached( $statistic_type, $filters );
-$count = \GatherPress_Statistics\Setup::get_instance()->get_cached( $statistic_type, $filters );
-
-// Don't display if count is 0
-if ( $count === 0 ) {
-	return;
+if ( $has_label_template ) {
+	$wrapper_attributes['class'] = 'has-label-template';
 }
 
-// Determine which prefix/suffix to use based on threshold
-$use_conditional = $count > $conditional_threshold;
-$display_prefix  = ( $use_conditional && ! empty( $prefix_conditional ) ) ? $prefix_conditional : $prefix_default;
-$display_suffix  = ( $use_conditional && ! empty( $suffix_conditional ) ) ? $suffix_conditional : $suffix_default;
+// Poll for new values with the Interactivity API, see live.js
+if ( $live ) {
+	$filters_json = (string) wp_json_encode( $filters );
 
-// Determine which label to use based on count (singular for 1, plural for everything else)
-$display_label = ( 1 === $count ) ? $label_singular : $label_plural;
+	wp_interactivity_state(
+		'gatherpress-statistics',
+		array(
+			'endpoint' => rest_url( 'gatherpress-statistics/v1/live' ),
+		)
+	);
+
+	$wrapper_attributes['data-wp-interactive'] = 'gatherpress-statistics';
+	$wrapper_attributes['data-wp-init']        = 'callbacks.startPolling';
+	$wrapper_attributes['data-wp-context']     = (string) wp_json_encode(
+		array(
+			'type'              => $statistic_type,
+			'filters'           => $filters_json,
+			'signature'         => $setup->get_live_signature( $statistic_type, $filters_json ),
+			'interval'          => $live_interval * 1000,
+			'value'             => $count,
+			'formattedValue'    => $formatted_count,
+			'prefix'            => $display_prefix,
+			'suffix'            => $display_suffix,
+			'label'             => $display_label,
+			'labelBefore'       => $label_parts[0],
+			'labelAfter'        => $label_parts[1],
+			'announcement'      => '',
+			'labelForms'        => $label_forms,
+			'hasLabelTemplate'  => $has_label_template,
+			'prefixDefault'     => $prefix_default,
+			'suffixDefault'     => $suffix_default,
+			'ranges'            => $ranges,
+			'thousandsSep'      => $thousands_sep,
+			'decimals'          => $decimals,
+			'decimalPoint'      => isset( $wp_locale ) ? $wp_locale->number_format['decimal_point'] : '.',
+			'numberFormat'      => $number_format,
+			'formatDecimals'    => $format_decimals,
+			'numberUnits'       => $number_formatter->get_unit_patterns(),
+			'locale'            => str_replace( '_', '-', get_locale() ),
+		)
+	);
+}
 
+// The number, placed within the label for label templates
+ob_start();
 ?>
-<figure <?php echo get_block_wrapper_attributes(); ?>>
-	<data class="gatherpress-stats-value" value="<?php echo esc_attr( $count ); ?>">
-		<?php 
-		if ( ! empty( $display_prefix ) ) {
-			?><span class="gatherpress-stats-prefix"><?php echo esc_html( $display_prefix ); ?></span> <?php
-		}
-		?><span class="gatherpress-stats-number"><?php echo esc_html( number_format_i18n( $count ) ); ?></span><?php
-		if ( ! empty( $display_suffix ) ) {
-			?> <span class="gatherpress-stats-suffix"><?php echo esc_html( $display_suffix ); ?></span><?php
-		}
-		?>
-	</data>
-	<?php if ( $show_label && ! empty( $display_label ) ) : ?>
+<data class="gatherpress-stats-value" value="<?php echo esc_attr( $count ); ?>"<?php echo $live ? ' data-wp-bind--value="context.value"' : ''; ?>>
+	<?php 
+	// In live mode, prefix and suffix may appear later on
+	if ( ! empty( $display_prefix ) || $live ) {
+		?><span class="gatherpress-stats-prefix"<?php echo $live ? ' data-wp-text="context.prefix" data-wp-bind--hidden="!context.prefix"' : ''; ?>><?php echo esc_html( $display_prefix ); ?></span> <?php
+	}
+	?><span class="gatherpress-stats-number"<?php echo $live ? ' data-wp-text="context.formattedValue"' : ''; ?>><?php echo esc_html( $formatted_count ); ?></span><?php
+	if ( ! empty( $display_suffix ) || $live ) {
+		?> <span class="gatherpress-stats-suffix"<?php echo $live ? ' data-wp-text="context.suffix" data-wp-bind--hidden="!context.suffix"' : ''; ?>><?php echo esc_html( $display_suffix ); ?></span><?php
+	}
+	?>
+</data>
+<?php
+$value_html = ob_get_clean();
+
+?>
+<figure <?php echo get_block_wrapper_attributes( $wrapper_attributes ); ?>>
+	<?php if ( $has_label_template ) : ?>
 		<figcaption class="gatherpress-stats-label">
+			<span<?php echo $live ? ' data-wp-text="context.labelBefore"' : ''; ?>><?php echo esc_html( $label_parts[0] ); ?></span><?php echo $value_html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?><span<?php echo $live ? ' data-wp-text="context.labelAfter"' : ''; ?>><?php echo esc_html( $label_parts[1] ); ?></span>
+		</figcaption>
+	<?php else : ?>
+		<?php echo $value_html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped above. ?>
+	<?php endif; ?>
+	<?php if ( $live ) : ?>
+		<span class="gatherpress-stats-visually-hidden" aria-live="polite" data-wp-text="context.announcement"></span>
+	<?php endif; ?>
+	<?php if ( $comparison_badge ) : ?>
+		<span class="gatherpress-stats-comparison <?php echo esc_attr( $comparison_badge['class'] ); ?>">
+			<span class="gatherpress-stats-comparison-symbol" aria-hidden="true"><?php echo esc_html( $comparison_badge['symbol'] ); ?></span>
+			<span aria-hidden="true"><?php echo esc_html( $comparison_badge['visual'] ); ?></span>
+			<span class="gatherpress-stats-visually-hidden"><?php echo esc_html( $comparison_badge['spoken'] ); ?></span>
+		</span>
+	<?php endif; ?>
+	<?php if ( $show_label && ! $has_label_template && ! empty( $display_label ) ) : ?>
+		<figcaption class="gatherpress-stats-label"<?php echo $live ? ' data-wp-text="context.label"' : ''; ?>>
 			<?php echo esc_html( $display_label ); ?>
 		</figcaption>
 	<?php endif; ?>
+	<?php echo $chart; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by Chart::render(). ?>
 </figure>
\ No newline at end of file
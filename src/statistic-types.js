@@ -0,0 +1,81 @@
+/**
+ * WordPress dependencies
+ */
+import { applyFilters } from '@wordpress/hooks';
+
+/**
+ * Custom statistic types registered by other plugins.
+ *
+ * Extensions add their types with the `gatherpress-statistics.statisticTypes`
+ * filter, keyed by the statistic type slug:
+ *
+ * ```js
+ * wp.hooks.addFilter(
+ * 	'gatherpress-statistics.statisticTypes',
+ * 	'my-plugin/sponsors',
+ * 	( types ) => ( {
+ * 		...types,
+ * 		sponsors: {
+ * 			label: __( 'Sponsors', 'my-plugin' ),
+ * 			controls: SponsorsControls,
+ * 			filterAttributes: { level: 'gold' },
+ * 			getLabel: ( { customFilters } ) =>
+ * 				sprintf( __( 'Sponsors: %s', 'my-plugin' ), customFilters.level ),
+ * 		},
+ * 	} )
+ * );
+ * ```
+ *
+ * The type also has to be enabled with `gatherpress_statistics_support_config`
+ * and calculated with `gatherpress_stats_calculate_{type}` in PHP, which
+ * receives the custom filter attributes as `$filters['custom_filters']`.
+ *
+ * @typedef {Object} StatisticType
+ * @property {string}                   label              Name shown in the statistic type select.
+ * @property {?Function}                [controls]         Component rendered in the "Statistic Settings" panel. Receives `attributes`, `setAttributes`, `customFilters` and `setCustomFilters`.
+ * @property {Object<string, *>}        [filterAttributes] Custom filter attributes with their defaults, stored in the `customFilters` attribute.
+ * @property {function(Object): string} [getLabel]         Builds the name of a configured block for the list view.
+ */
+
+/**
+ * Slugs of the statistic types built into the block.
+ *
+ * @type {string[]}
+ */
+export const BUILT_IN_TYPES = [
+	'total_events',
+	'total_attendees',
+	'events_per_taxonomy',
+	'events_multi_taxonomy',
+	'total_taxonomy_terms',
+	'taxonomy_terms_by_taxonomy',
+	'top_terms',
+];
+
+/**
+ * Get all custom statistic types registered through the filter.
+ *
+ * Built-in types can't be replaced.
+ *
+ * @return {Object<string, StatisticType>} Custom statistic types, keyed by slug.
+ */
+export function getCustomStatisticTypes() {
+	const types = applyFilters( 'gatherpress-statistics.statisticTypes', {} );
+
+	return Object.keys( types || {} ).reduce( ( acc, slug ) => {
+		if ( ! BUILT_IN_TYPES.includes( slug ) && types[ slug ]?.label ) {
+			acc[ slug ] = types[ slug ];
+		}
+		return acc;
+	}, {} );
+}
+
+/**
+ * Get a single custom statistic type.
+ *
+ * @param {string} slug Statistic type slug.
+ * @return {?StatisticType} Statistic type, or null for built-in and unknown types.
+ */
+export function getCustomStatisticType( slug ) {
+	return getCustomStatisticTypes()[ slug ] || null;
+}
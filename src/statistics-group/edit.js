@@ -0,0 +1,139 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import {
+	useBlockProps,
+	useInnerBlocksProps,
+	InspectorControls,
+} from '@wordpress/block-editor';
+import { PanelBody, SelectControl, RangeControl } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import EventFilterControls from '../event-filter-controls';
+import TaxonomyTermsControl from '../taxonomy-terms-control';
+import useEventTaxonomies from '../use-event-taxonomies';
+
+/**
+ * Blocks allowed inside a statistics group.
+ *
+ * @type {string[]}
+ */
+const ALLOWED_BLOCKS = [ 'gatherpress/statistics' ];
+
+/**
+ * Statistics a new group starts with.
+ *
+ * @type {Array[]}
+ */
+const TEMPLATE = [
+	[ 'gatherpress/statistics', { statisticType: 'total_events' } ],
+	[
+		'gatherpress/statistics',
+		{
+			statisticType: 'total_attendees',
+			labelSingular: __( 'Attendee', 'gatherpress-statistics' ),
+			labelPlural: __( 'Attendees', 'gatherpress-statistics' ),
+		},
+	],
+];
+
+/**
+ * Edit component of the statistics group.
+ *
+ * The group's filters reach its children through block context, see
+ * `providesContext` in `block.json`.
+ *
+ * @param {Object}   props               Block properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attributes setter.
+ * @return {Element} Element to render.
+ */
+export default function Edit( { attributes, setAttributes } ) {
+	const { taxonomyTerms, layoutPreset, columns } = attributes;
+
+	const { taxonomies } = useEventTaxonomies();
+
+	const blockProps = useBlockProps( {
+		className: `is-preset-${ layoutPreset }`,
+		style: { '--gatherpress-stats-group-columns': columns },
+	} );
+	const innerBlocksProps = useInnerBlocksProps( blockProps, {
+		allowedBlocks: ALLOWED_BLOCKS,
+		template: TEMPLATE,
+		orientation: 'row' === layoutPreset ? 'horizontal' : undefined,
+	} );
+
+	return (
+		<>
+			<InspectorControls>
+				<PanelBody title={ __( 'Layout', 'gatherpress-statistics' ) }>
+					<SelectControl
+						label={ __( 'Preset', 'gatherpress-statistics' ) }
+						value={ layoutPreset }
+						options={ [
+							{
+								label: __( 'Row', 'gatherpress-statistics' ),
+								value: 'row',
+							},
+							{
+								label: __( 'Grid', 'gatherpress-statistics' ),
+								value: 'grid',
+							},
+							{
+								label: __(
+									'Card deck',
+									'gatherpress-statistics'
+								),
+								value: 'card-deck',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { layoutPreset: value } )
+						}
+					/>
+					{ 'row' !== layoutPreset && (
+						<RangeControl
+							label={ __( 'Columns', 'gatherpress-statistics' ) }
+							value={ columns }
+							onChange={ ( value ) =>
+								setAttributes( { columns: value } )
+							}
+							min={ 1 }
+							max={ 6 }
+						/>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Shared Filters', 'gatherpress-statistics' ) }
+				>
+					<p>
+						{ __(
+							'All statistics in this group use these filters, unless they override them.',
+							'gatherpress-statistics'
+						) }
+					</p>
+					<EventFilterControls
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
+				</PanelBody>
+
+				{ taxonomies.length > 0 && (
+					<TaxonomyTermsControl
+						taxonomies={ taxonomies }
+						value={ taxonomyTerms }
+						onChange={ ( value ) =>
+							setAttributes( { taxonomyTerms: value } )
+						}
+					/>
+				) }
+			</InspectorControls>
+
+			<div { ...innerBlocksProps } />
+		</>
+	);
+}
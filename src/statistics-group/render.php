@@ -0,0 +1,21 @@
+<?php
+/**
+ * Renders the statistics group around its child statistics.
+ *
+ * The shared filters reach the children through block context.
+ *
+ * @see https://github.com/WordPress/gutenberg/blob/trunk/docs/reference-guides/block-api/block-metadata.md#render
+ */
+
+$layout_preset = isset( $attributes['layoutPreset'] ) && in_array( $attributes['layoutPreset'], array( 'row', 'grid', 'card-deck' ), true ) ? $attributes['layoutPreset'] : 'row';
+$columns       = isset( $attributes['columns'] ) ? min( 6, max( 1, absint( $attributes['columns'] ) ) ) : 3;
+
+$wrapper_attributes = array(
+	'class' => 'is-preset-' . $layout_preset,
+	'style' => '--gatherpress-stats-group-columns: ' . $columns . ';',
+);
+
+?>
+<div <?php echo get_block_wrapper_attributes( $wrapper_attributes ); ?>>
+	<?php echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Rendered child blocks. ?>
+</div>
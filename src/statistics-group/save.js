@@ -0,0 +1,13 @@
+/**
+ * WordPress dependencies
+ */
+import { InnerBlocks } from '@wordpress/block-editor';
+
+/**
+ * Saves the child blocks only, the wrapper is rendered on the server.
+ *
+ * @return {Element} Inner blocks content.
+ */
+export default function save() {
+	return <InnerBlocks.Content />;
+}
@@ -0,0 +1,82 @@
+/**
+ * Receive the taxonomies of events.
+ *
+ * @param {Object[]} taxonomies Taxonomies with `slug`, `name` and `hierarchical`.
+ * @return {Object} Action.
+ */
+export function receiveTaxonomies( taxonomies ) {
+	return { type: 'RECEIVE_TAXONOMIES', data: taxonomies };
+}
+
+/**
+ * Receive the statistic types supported on the site.
+ *
+ * @param {string[]} supportedTypes Statistic type slugs.
+ * @return {Object} Action.
+ */
+export function receiveSupportedTypes( supportedTypes ) {
+	return { type: 'RECEIVE_SUPPORTED_TYPES', data: supportedTypes };
+}
+
+/**
+ * Receive the post meta keys events may be filtered by.
+ *
+ * @param {Object[]} metaKeys Meta keys with `key`, `label` and `operators`.
+ * @return {Object} Action.
+ */
+export function receiveMetaKeys( metaKeys ) {
+	return { type: 'RECEIVE_META_KEYS', data: metaKeys };
+}
+
+/**
+ * Receive the sites of the network.
+ *
+ * @param {Object[]} sites Sites with `id`, `name` and `url`.
+ * @return {Object} Action.
+ */
+export function receiveSites( sites ) {
+	return { type: 'RECEIVE_SITES', data: sites };
+}
+
+/**
+ * Receive a single term.
+ *
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {Object} term     Term with `id`, `name`, `slug` and `parent`.
+ * @return {Object} Action.
+ */
+export function receiveTerm( taxonomy, term ) {
+	return { type: 'RECEIVE_TERM', taxonomy, term };
+}
+
+/**
+ * Receive a page of terms found by a term search.
+ *
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {Object} query    Search query with `search`, `page` and `perPage`.
+ * @param {Object} response Terms of the page with their `total` number and the number of `pages`.
+ * @return {Object} Action.
+ */
+export function receiveTermSearch( taxonomy, query, response ) {
+	return {
+		type: 'RECEIVE_TERM_SEARCH',
+		key: JSON.stringify( [ taxonomy, query ] ),
+		taxonomy,
+		response,
+	};
+}
+
+/**
+ * Receive the value of a statistic.
+ *
+ * @param {Object} attributes Attributes the value was requested for.
+ * @param {Object} response   Response of the value endpoint, or `{ error: true }`.
+ * @return {Object} Action.
+ */
+export function receiveStatisticValue( attributes, response ) {
+	return {
+		type: 'RECEIVE_STATISTIC_VALUE',
+		key: JSON.stringify( attributes ),
+		response,
+	};
+}
@@ -0,0 +1,44 @@
+/**
+ * WordPress dependencies
+ */
+import { createReduxStore, register, select } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import reducer from './reducer';
+import * as actions from './actions';
+import * as selectors from './selectors';
+import * as resolvers from './resolvers';
+
+/**
+ * Name of the store, for extensions without access to the `store` object:
+ *
+ * ```js
+ * wp.data.select( 'gatherpress-statistics' ).getTaxonomies();
+ * ```
+ *
+ * @type {string}
+ */
+export const STORE_NAME = 'gatherpress-statistics';
+
+/**
+ * Editor data of all statistics blocks, loaded once and shared by every
+ * block instance: taxonomies, supported statistic types, meta keys, sites,
+ * terms and the values of configured statistics.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-data/
+ *
+ * @type {Object}
+ */
+export const store = createReduxStore( STORE_NAME, {
+	reducer,
+	actions,
+	selectors,
+	resolvers,
+} );
+
+// Both blocks bundle the store, the first one loaded registers it
+if ( ! select( STORE_NAME ) ) {
+	register( store );
+}
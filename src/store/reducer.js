@@ -0,0 +1,83 @@
+/**
+ * WordPress dependencies
+ */
+import { combineReducers } from '@wordpress/data';
+
+/**
+ * Create a reducer for data loaded once per editor session.
+ *
+ * @param {string} type Action type receiving the data.
+ * @return {Function} Reducer, null until the data is received.
+ */
+function createReceiveReducer( type ) {
+	return ( state = null, action ) =>
+		type === action.type ? action.data : state;
+}
+
+/**
+ * Single terms, keyed by taxonomy slug and term ID.
+ *
+ * Filled by term searches and terms loaded by their ID.
+ *
+ * @param {Object} state  Current state.
+ * @param {Object} action Dispatched action.
+ * @return {Object} New state.
+ */
+export function termsById( state = {}, action ) {
+	if ( [ 'RECEIVE_TERM', 'RECEIVE_TERM_SEARCH' ].includes( action.type ) ) {
+		const received =
+			'RECEIVE_TERM' === action.type
+				? [ action.term ]
+				: action.response.terms;
+
+		const byId = { ...state[ action.taxonomy ] };
+		received.forEach( ( term ) => {
+			byId[ term.id ] = term;
+		} );
+
+		return { ...state, [ action.taxonomy ]: byId };
+	}
+
+	return state;
+}
+
+/**
+ * Pages of term searches, keyed by the JSON of taxonomy and query.
+ *
+ * @param {Object} state  Current state.
+ * @param {Object} action Dispatched action.
+ * @return {Object} New state.
+ */
+export function termSearches( state = {}, action ) {
+	if ( 'RECEIVE_TERM_SEARCH' === action.type ) {
+		return { ...state, [ action.key ]: action.response };
+	}
+
+	return state;
+}
+
+/**
+ * Responses of the value endpoint, keyed by the JSON of the requested
+ * attributes.
+ *
+ * @param {Object} state  Current state.
+ * @param {Object} action Dispatched action.
+ * @return {Object} New state.
+ */
+export function values( state = {}, action ) {
+	if ( 'RECEIVE_STATISTIC_VALUE' === action.type ) {
+		return { ...state, [ action.key ]: action.response };
+	}
+
+	return state;
+}
+
+export default combineReducers( {
+	taxonomies: createReceiveReducer( 'RECEIVE_TAXONOMIES' ),
+	supportedTypes: createReceiveReducer( 'RECEIVE_SUPPORTED_TYPES' ),
+	metaKeys: createReceiveReducer( 'RECEIVE_META_KEYS' ),
+	sites: createReceiveReducer( 'RECEIVE_SITES' ),
+	termsById,
+	termSearches,
+	values,
+} );
@@ -0,0 +1,127 @@
+/**
+ * WordPress dependencies
+ */
+import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
+
+/**
+ * Fields of a term the editor needs.
+ *
+ * @type {string}
+ */
+const TERM_FIELDS = 'id,name,slug,parent';
+
+/**
+ * Create a resolver loading data once from the plugin's REST API.
+ *
+ * Failed requests leave the data at null, components treat it as empty.
+ *
+ * @param {string} path   REST API path.
+ * @param {string} action Name of the action receiving the data.
+ * @return {Function} Resolver.
+ */
+function createFetchResolver( path, action ) {
+	return () =>
+		( { dispatch } ) =>
+			apiFetch( { path } )
+				.then( ( data ) => dispatch[ action ]( data ) )
+				.catch( () => {
+					// Nothing to show, the selector keeps returning null
+				} );
+}
+
+export const getTaxonomies = createFetchResolver(
+	'/gatherpress-statistics/v1/taxonomies',
+	'receiveTaxonomies'
+);
+
+export const getSupportedTypes = createFetchResolver(
+	'/gatherpress-statistics/v1/supported-types',
+	'receiveSupportedTypes'
+);
+
+export const getMetaKeys = createFetchResolver(
+	'/gatherpress-statistics/v1/meta-keys',
+	'receiveMetaKeys'
+);
+
+export const getSites = createFetchResolver(
+	'/gatherpress-statistics/v1/sites',
+	'receiveSites'
+);
+
+/**
+ * Load a single term, unless it was loaded by a term search.
+ */
+export const getTerm = {
+	isFulfilled: ( state, taxonomy, id ) =>
+		!! ( state.termsById[ taxonomy ] || {} )[ id ],
+
+	fulfill:
+		( taxonomy, id ) =>
+		( { dispatch, registry } ) =>
+			registry
+				.resolveSelect( 'core' )
+				.getEntityRecord( 'taxonomy', taxonomy, id, {
+					context: 'view',
+					_fields: TERM_FIELDS,
+				} )
+				.then( ( term ) => {
+					if ( term ) {
+						dispatch.receiveTerm( taxonomy, term );
+					}
+				} )
+				.catch( () => {
+					// Deleted terms have no name to show
+				} ),
+};
+
+/**
+ * Search the terms of a taxonomy through the plugin's REST API.
+ *
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {Object} query    Search query with `search`, `page` and `perPage`.
+ * @return {Function} Thunk.
+ */
+export const getTermSearch =
+	( taxonomy, query ) =>
+	( { dispatch } ) =>
+		apiFetch( {
+			path: addQueryArgs( '/gatherpress-statistics/v1/terms', {
+				taxonomy,
+				search: query.search,
+				page: query.page,
+				per_page: query.perPage,
+			} ),
+		} )
+			.then( ( response ) =>
+				dispatch.receiveTermSearch( taxonomy, query, response )
+			)
+			.catch( () =>
+				dispatch.receiveTermSearch( taxonomy, query, {
+					terms: [],
+					total: 0,
+					pages: 0,
+				} )
+			);
+
+/**
+ * Load the value of a statistic.
+ *
+ * @param {Object} attributes Attributes influencing the value.
+ * @return {Function} Thunk.
+ */
+export const getStatisticValue =
+	( attributes ) =>
+	( { dispatch } ) =>
+		apiFetch( {
+			path: addQueryArgs( '/gatherpress-statistics/v1/value', {
+				attributes,
+			} ),
+		} )
+			.then( ( response ) =>
+				dispatch.receiveStatisticValue( attributes, response )
+			)
+			.catch( () =>
+				dispatch.receiveStatisticValue( attributes, { error: true } )
+			);
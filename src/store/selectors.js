@@ -0,0 +1,85 @@
+/**
+ * Get the taxonomies of events.
+ *
+ * Excludes the taxonomies filtered out with
+ * `gatherpress_statistics_excluded_taxonomies`.
+ *
+ * @param {Object} state Store state.
+ * @return {?Object[]} Taxonomies with `slug`, `name` and `hierarchical`, null until loaded.
+ */
+export function getTaxonomies( state ) {
+	return state.taxonomies;
+}
+
+/**
+ * Get the statistic types supported on the site.
+ *
+ * @param {Object} state Store state.
+ * @return {?string[]} Statistic type slugs, null until loaded.
+ */
+export function getSupportedTypes( state ) {
+	return state.supportedTypes;
+}
+
+/**
+ * Get the post meta keys events may be filtered by.
+ *
+ * @param {Object} state Store state.
+ * @return {?Object[]} Meta keys with `key`, `label` and allowed comparison `operators`, null until loaded.
+ */
+export function getMetaKeys( state ) {
+	return state.metaKeys;
+}
+
+/**
+ * Get the sites of the network.
+ *
+ * @param {Object} state Store state.
+ * @return {?Object[]} Sites with `id`, `name` and `url`, empty on single site installs, null until loaded.
+ */
+export function getSites( state ) {
+	return state.sites;
+}
+
+/**
+ * Get a single term, e.g. to show the name of a selected term.
+ *
+ * @param {Object} state    Store state.
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {number} id       Term ID.
+ * @return {?Object} Term with `id`, `name`, `slug` and `parent`, null until loaded.
+ */
+export function getTerm( state, taxonomy, id ) {
+	return ( state.termsById[ taxonomy ] || {} )[ id ] || null;
+}
+
+/**
+ * Get a page of the terms of a taxonomy, optionally matching a search.
+ *
+ * Without a search, terms are ordered by their hierarchy and come with their
+ * `depth` in it. Every term comes with the `count` of its published events.
+ *
+ * @param {Object} state         Store state.
+ * @param {string} taxonomy      Taxonomy slug.
+ * @param {Object} query         Search query.
+ * @param {string} query.search  Text the term names contain, or empty for all terms.
+ * @param {number} query.page    Page of terms.
+ * @param {number} query.perPage Number of terms per page.
+ * @return {?Object} Found `terms`, their `total` number and the number of `pages`, null until loaded.
+ */
+export function getTermSearch( state, taxonomy, query ) {
+	return state.termSearches[ JSON.stringify( [ taxonomy, query ] ) ] || null;
+}
+
+/**
+ * Get the value of a statistic, as rendered on the frontend.
+ *
+ * Blocks with the same configuration share a single request.
+ *
+ * @param {Object} state      Store state.
+ * @param {Object} attributes Attributes influencing the value, see `FILTER_ATTRIBUTES`.
+ * @return {?Object} Response of the value endpoint with `value`, `supported` and optionally `comparison`, `series` and `leaderboard`, `{ error: true }` if it failed, or null until loaded.
+ */
+export function getStatisticValue( state, attributes ) {
+	return state.values[ JSON.stringify( attributes ) ] || null;
+}
@@ -0,0 +1,162 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { PanelBody, SelectControl, ToggleControl } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import {
+	getTaxonomyRelation,
+	getTaxonomySelection,
+	setTaxonomyRelation,
+	setTaxonomySelection,
+} from './taxonomy-terms';
+import TermSearchControl from './term-search-control';
+
+/**
+ * Labels of the operators matching the terms of a taxonomy.
+ *
+ * @type {Object<string, string>}
+ */
+const OPERATOR_LABELS = {
+	IN: __( 'Any of These Terms', 'gatherpress-statistics' ),
+	AND: __( 'All of These Terms', 'gatherpress-statistics' ),
+	'NOT IN': __( 'None of These Terms', 'gatherpress-statistics' ),
+};
+
+/**
+ * Term selection of a single taxonomy.
+ *
+ * Rendered inside a closed panel body only once it is opened, so terms are
+ * searched for the taxonomies editors actually look at.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {Object}   props.taxonomy Taxonomy with `slug`, `name` and `hierarchical`.
+ * @param {Object}   props.value    Selected term IDs, keyed by taxonomy slug.
+ * @param {Function} props.onChange Called with the new selection.
+ * @return {Element} Term selection.
+ */
+function TaxonomyTerms( { taxonomy, value, onChange } ) {
+	const selection = getTaxonomySelection( value, taxonomy.slug );
+
+	return (
+		<>
+			<TermSearchControl
+				label={ __( 'Select Terms', 'gatherpress-statistics' ) }
+				taxonomy={ taxonomy.slug }
+				value={ selection.terms }
+				onChange={ ( terms ) =>
+					onChange(
+						setTaxonomySelection( value, taxonomy.slug, { terms } )
+					)
+				}
+				multiple
+			/>
+			<SelectControl
+				label={ __( 'Match', 'gatherpress-statistics' ) }
+				value={ selection.operator }
+				options={ Object.entries( OPERATOR_LABELS ).map(
+					( [ operator, label ] ) => ( {
+						label,
+						value: operator,
+					} )
+				) }
+				onChange={ ( operator ) =>
+					onChange(
+						setTaxonomySelection( value, taxonomy.slug, {
+							operator,
+						} )
+					)
+				}
+			/>
+			{ taxonomy.hierarchical && (
+				<ToggleControl
+					label={ __(
+						'Include Child Terms',
+						'gatherpress-statistics'
+					) }
+					checked={ selection.includeChildren }
+					onChange={ ( includeChildren ) =>
+						onChange(
+							setTaxonomySelection( value, taxonomy.slug, {
+								includeChildren,
+							} )
+						)
+					}
+				/>
+			) }
+		</>
+	);
+}
+
+/**
+ * One term selection panel per taxonomy.
+ *
+ * The value maps taxonomy slugs to arrays of term IDs, e.g.
+ * `{ gatherpress_topic: [ 12, 14 ], _gatherpress_venue: [ 7 ] }`, or to
+ * objects with an operator and child term handling, see `taxonomy-terms.js`.
+ * A panel above chooses whether events match all or any taxonomies.
+ *
+ * @param {Object}   props            Component properties.
+ * @param {Object[]} props.taxonomies Taxonomies to offer, with `slug` and `name`.
+ * @param {Object}   props.value      Selected term IDs, keyed by taxonomy slug.
+ * @param {Function} props.onChange   Called with the new selection.
+ * @return {Element} Term selection panels.
+ */
+export default function TaxonomyTermsControl( {
+	taxonomies,
+	value,
+	onChange,
+} ) {
+	return (
+		<>
+			<PanelBody
+				title={ __( 'Taxonomy Matching', 'gatherpress-statistics' ) }
+				initialOpen={ false }
+			>
+				<SelectControl
+					label={ __( 'Events Match', 'gatherpress-statistics' ) }
+					value={ getTaxonomyRelation( value ) }
+					options={ [
+						{
+							label: __(
+								'All Taxonomies',
+								'gatherpress-statistics'
+							),
+							value: 'AND',
+						},
+						{
+							label: __(
+								'Any Taxonomy',
+								'gatherpress-statistics'
+							),
+							value: 'OR',
+						},
+					] }
+					onChange={ ( relation ) =>
+						onChange( setTaxonomyRelation( value, relation ) )
+					}
+					help={ __(
+						'Whether events must match the terms of every taxonomy below, or of at least one of them.',
+						'gatherpress-statistics'
+					) }
+				/>
+			</PanelBody>
+			{ taxonomies.map( ( taxonomy ) => (
+				<PanelBody
+					key={ taxonomy.slug }
+					title={ taxonomy.name }
+					initialOpen={ false }
+				>
+					<TaxonomyTerms
+						taxonomy={ taxonomy }
+						value={ value }
+						onChange={ onChange }
+					/>
+				</PanelBody>
+			) ) }
+		</>
+	);
+}
@@ -0,0 +1,105 @@
+/**
+ * Term selection of the multi-taxonomy statistic, shared by the term panels
+ * and the block label.
+ *
+ * `selectedTaxonomyTerms` maps taxonomy slugs to term IDs, e.g.
+ * `{ gatherpress_topic: [ 12, 14 ] }`. Taxonomies not matching ANY of their
+ * terms, including child terms, hold an object instead, e.g.
+ * `{ terms: [ 7 ], operator: 'NOT IN', includeChildren: false }`. The
+ * `relation` entry is 'OR' when events may match any of the taxonomies.
+ * Mirrors `Setup::get_filters_from_attributes()`.
+ */
+
+/**
+ * Operators matching the terms of a taxonomy.
+ *
+ * @type {string[]}
+ */
+export const TAXONOMY_OPERATORS = [ 'IN', 'AND', 'NOT IN' ];
+
+/**
+ * Get the selection of a taxonomy.
+ *
+ * @param {Object} value    Selected taxonomy terms.
+ * @param {string} taxonomy Taxonomy slug.
+ * @return {{terms: number[], operator: string, includeChildren: boolean}} Selection with defaults applied.
+ */
+export function getTaxonomySelection( value, taxonomy ) {
+	const selection = ( value && value[ taxonomy ] ) || [];
+
+	if ( Array.isArray( selection ) ) {
+		return { terms: selection, operator: 'IN', includeChildren: true };
+	}
+
+	return {
+		terms: selection.terms || [],
+		operator: TAXONOMY_OPERATORS.includes( selection.operator )
+			? selection.operator
+			: 'IN',
+		includeChildren: false !== selection.includeChildren,
+	};
+}
+
+/**
+ * Get the selections of all taxonomies, without the relation.
+ *
+ * @param {Object} value Selected taxonomy terms.
+ * @return {Array[]} Pairs of taxonomy slug and selection.
+ */
+export function getTaxonomySelections( value ) {
+	return Object.keys( value || {} )
+		.filter( ( taxonomy ) => 'relation' !== taxonomy )
+		.map( ( taxonomy ) => [
+			taxonomy,
+			getTaxonomySelection( value, taxonomy ),
+		] );
+}
+
+/**
+ * Change the selection of a taxonomy.
+ *
+ * Selections with the default operator and child terms are stored as plain
+ * term IDs, so blocks keep sharing their cached values.
+ *
+ * @param {Object} value    Selected taxonomy terms.
+ * @param {string} taxonomy Taxonomy slug.
+ * @param {Object} changes  Changed `terms`, `operator` or `includeChildren`.
+ * @return {Object} New selected taxonomy terms.
+ */
+export function setTaxonomySelection( value, taxonomy, changes ) {
+	const selection = {
+		...getTaxonomySelection( value, taxonomy ),
+		...changes,
+	};
+
+	return {
+		...value,
+		[ taxonomy ]:
+			'IN' === selection.operator && selection.includeChildren
+				? selection.terms
+				: selection,
+	};
+}
+
+/**
+ * Get the relation of the taxonomies.
+ *
+ * @param {Object} value Selected taxonomy terms.
+ * @return {string} 'OR' if events may match any taxonomy, otherwise 'AND'.
+ */
+export function getTaxonomyRelation( value ) {
+	return value && 'OR' === value.relation ? 'OR' : 'AND';
+}
+
+/**
+ * Change the relation of the taxonomies.
+ *
+ * @param {Object} value    Selected taxonomy terms.
+ * @param {string} relation 'AND' or 'OR'.
+ * @return {Object} New selected taxonomy terms.
+ */
+export function setTaxonomyRelation( value, relation ) {
+	const { relation: previous, ...selections } = value || {};
+
+	return 'OR' === relation ? { ...selections, relation } : selections;
+}
@@ -0,0 +1,226 @@
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	CheckboxControl,
+	Flex,
+	SearchControl,
+	Spinner,
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { store } from './store';
+
+/**
+ * Number of terms listed per page.
+ *
+ * @type {number}
+ */
+const PER_PAGE = 20;
+
+/**
+ * Delay in milliseconds before a typed search is requested.
+ *
+ * @type {number}
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * Selected term, which stays visible whatever page of terms is shown.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {string}   props.taxonomy Taxonomy slug.
+ * @param {number}   props.id       Term ID.
+ * @param {Function} props.onRemove Called to deselect the term.
+ * @return {Element} Selected term.
+ */
+function SelectedTerm( { taxonomy, id, onRemove } ) {
+	const term = useSelect(
+		( select ) => select( store ).getTerm( taxonomy, id ),
+		[ taxonomy, id ]
+	);
+
+	const name = term
+		? term.name
+		: sprintf(
+				/* translators: %d: Term ID */
+				__( 'Term #%d', 'gatherpress-statistics' ),
+				id
+		  );
+
+	return (
+		<li>
+			<Button
+				variant="secondary"
+				onClick={ onRemove }
+				label={ sprintf(
+					/* translators: %s: Term name */
+					__( 'Remove %s', 'gatherpress-statistics' ),
+					name
+				) }
+				showTooltip={ false }
+			>
+				{ name } ×
+			</Button>
+		</li>
+	);
+}
+
+/**
+ * Searchable, paginated term picker for taxonomies of any size.
+ *
+ * Terms are requested page by page from the plugin's REST API, indented by
+ * their depth in the hierarchy and listed with their number of events.
+ * Selected terms are listed above the results, so they stay visible while
+ * searching or paging.
+ *
+ * @param {Object}   props          Component properties.
+ * @param {string}   props.label    Label of the picker.
+ * @param {string}   props.taxonomy Taxonomy slug.
+ * @param {number[]} props.value    Selected term IDs.
+ * @param {Function} props.onChange Called with the new term IDs.
+ * @param {boolean}  props.multiple Optional. Whether several terms may be selected. Default false.
+ * @return {Element} Term picker.
+ */
+export default function TermSearchControl( {
+	label,
+	taxonomy,
+	value,
+	onChange,
+	multiple = false,
+} ) {
+	const [ search, setSearch ] = useState( '' );
+	const [ query, setQuery ] = useState( {
+		search: '',
+		page: 1,
+		perPage: PER_PAGE,
+	} );
+
+	// Start over for another taxonomy
+	useEffect( () => {
+		setSearch( '' );
+		setQuery( { search: '', page: 1, perPage: PER_PAGE } );
+	}, [ taxonomy ] );
+
+	// Request the search once typing pauses
+	useEffect( () => {
+		const timeout = setTimeout( () => {
+			setQuery( ( current ) =>
+				current.search === search.trim()
+					? current
+					: { search: search.trim(), page: 1, perPage: PER_PAGE }
+			);
+		}, SEARCH_DELAY );
+
+		return () => clearTimeout( timeout );
+	}, [ search ] );
+
+	const results = useSelect(
+		( select ) => select( store ).getTermSearch( taxonomy, query ),
+		[ taxonomy, query ]
+	);
+
+	const toggleTerm = ( id, isChecked ) => {
+		if ( ! isChecked ) {
+			onChange( value.filter( ( selected ) => selected !== id ) );
+		} else {
+			onChange( multiple ? [ ...value, id ] : [ id ] );
+		}
+	};
+
+	const goToPage = ( page ) => setQuery( { ...query, page } );
+
+	// Indentation only makes sense for the hierarchy, not for search results
+	const isBrowsing = '' === query.search;
+
+	return (
+		<fieldset className="gatherpress-stats-term-search">
+			<legend>{ label }</legend>
+			{ value.length > 0 && (
+				<ul className="gatherpress-stats-term-search__selected">
+					{ value.map( ( id ) => (
+						<SelectedTerm
+							key={ id }
+							taxonomy={ taxonomy }
+							id={ id }
+							onRemove={ () => toggleTerm( id, false ) }
+						/>
+					) ) }
+				</ul>
+			) }
+			<SearchControl
+				label={ __( 'Search Terms', 'gatherpress-statistics' ) }
+				value={ search }
+				onChange={ setSearch }
+			/>
+			{ ! results && <Spinner /> }
+			{ results && 0 === results.terms.length && (
+				<p>{ __( 'No terms found', 'gatherpress-statistics' ) }</p>
+			) }
+			{ results && results.terms.length > 0 && (
+				<ul className="gatherpress-stats-term-search__results">
+					{ results.terms.map( ( term ) => (
+						<li
+							key={ term.id }
+							style={ {
+								'--gatherpress-stats-term-depth': isBrowsing
+									? term.depth
+									: 0,
+							} }
+						>
+							<CheckboxControl
+								label={ sprintf(
+									/* translators: 1: Term name, 2: Number of events */
+									_n(
+										'%1$s (%2$d event)',
+										'%1$s (%2$d events)',
+										term.count,
+										'gatherpress-statistics'
+									),
+									term.name,
+									term.count
+								) }
+								checked={ value.includes( term.id ) }
+								onChange={ ( isChecked ) =>
+									toggleTerm( term.id, isChecked )
+								}
+							/>
+						</li>
+					) ) }
+				</ul>
+			) }
+			{ results && results.pages > 1 && (
+				<Flex className="gatherpress-stats-term-search__pages">
+					<Button
+						variant="tertiary"
+						onClick={ () => goToPage( query.page - 1 ) }
+						disabled={ query.page <= 1 }
+					>
+						{ __( 'Previous', 'gatherpress-statistics' ) }
+					</Button>
+					<span>
+						{ sprintf(
+							/* translators: 1: Current page, 2: Number of pages */
+							__( 'Page %1$d of %2$d', 'gatherpress-statistics' ),
+							query.page,
+							results.pages
+						) }
+					</span>
+					<Button
+						variant="tertiary"
+						onClick={ () => goToPage( query.page + 1 ) }
+						disabled={ query.page >= results.pages }
+					>
+						{ __( 'Next', 'gatherpress-statistics' ) }
+					</Button>
+				</Flex>
+			) }
+		</fieldset>
+	);
+}
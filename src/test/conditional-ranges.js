@@ -0,0 +1,80 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getConditionalRange,
+	getConditionalTexts,
+	getRangesFromThreshold,
+} from '../conditional-ranges';
+
+const ranges = [
+	{ min: 0, max: 0, prefix: '', suffix: '', label: 'No events yet' },
+	{ min: 1, max: 9, prefix: '', suffix: '', label: '' },
+	{ min: 10, max: null, prefix: 'Over', suffix: '!', label: '' },
+];
+
+describe( 'getConditionalRange', () => {
+	it( 'finds the first range containing the value', () => {
+		expect( getConditionalRange( ranges, 0 ) ).toBe( ranges[ 0 ] );
+		expect( getConditionalRange( ranges, 9 ) ).toBe( ranges[ 1 ] );
+		expect( getConditionalRange( ranges, 10 ) ).toBe( ranges[ 2 ] );
+	} );
+
+	it( 'treats ranges without maximum as open-ended', () => {
+		expect(
+			getConditionalRange( [ { min: 5, max: '' } ], 1000 )
+		).not.toBeNull();
+		expect( getConditionalRange( [ { min: 5 } ], 1000 ) ).not.toBeNull();
+	} );
+
+	it( 'returns null if no range contains the value', () => {
+		expect( getConditionalRange( ranges, -1 ) ).toBeNull();
+		expect( getConditionalRange( [], 5 ) ).toBeNull();
+	} );
+} );
+
+describe( 'getConditionalTexts', () => {
+	const defaults = { prefix: 'About', suffix: '', label: 'events' };
+
+	it( 'replaces the defaults with the fields of the range', () => {
+		expect( getConditionalTexts( ranges, 12, defaults ) ).toEqual( {
+			prefix: 'Over',
+			suffix: '!',
+			label: 'events',
+		} );
+		expect( getConditionalTexts( ranges, 0, defaults ) ).toEqual( {
+			prefix: 'About',
+			suffix: '',
+			label: 'No events yet',
+		} );
+	} );
+
+	it( 'keeps the defaults outside of all ranges', () => {
+		expect( getConditionalTexts( [], 5, defaults ) ).toEqual( defaults );
+	} );
+} );
+
+describe( 'getRangesFromThreshold', () => {
+	it( 'converts the threshold to an open-ended range above it', () => {
+		expect(
+			getRangesFromThreshold( {
+				conditionalThreshold: 5,
+				prefixConditional: 'Over',
+			} )
+		).toEqual( [
+			{ min: 6, max: null, prefix: 'Over', suffix: '', label: '' },
+		] );
+	} );
+
+	it( 'uses the default threshold', () => {
+		expect(
+			getRangesFromThreshold( { suffixConditional: '+' } )[ 0 ].min
+		).toBe( 11 );
+	} );
+
+	it( 'returns no range without conditional prefix or suffix', () => {
+		expect( getRangesFromThreshold( { conditionalThreshold: 5 } ) ).toEqual(
+			[]
+		);
+	} );
+} );
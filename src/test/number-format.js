@@ -0,0 +1,39 @@
+/**
+ * Internal dependencies
+ */
+import { formatNumber, toLanguageTag } from '../number-format';
+
+/**
+ * Cases shared with the tests of `Number_Formatter`, so the editor and the
+ * server format numbers the same way.
+ */
+import cases from '../../tests/fixtures/number-formats.json';
+
+describe( 'formatNumber', () => {
+	it.each( cases )(
+		'formats $value as $format with $decimals decimals',
+		( { value, format, decimals, expected } ) => {
+			expect(
+				formatNumber( value, { format, decimals, locale: 'en-US' } )
+			).toBe( expected );
+		}
+	);
+
+	it( 'uses the given unit patterns', () => {
+		expect(
+			formatNumber( 12345, {
+				format: 'compact',
+				decimals: 1,
+				locale: 'de-DE',
+				units: { 1000: '%s Tsd.' },
+			} )
+		).toBe( '12,3 Tsd.' );
+	} );
+} );
+
+describe( 'toLanguageTag', () => {
+	it( 'converts WordPress locales', () => {
+		expect( toLanguageTag( 'de_DE' ) ).toBe( 'de-DE' );
+		expect( toLanguageTag( '' ) ).toBeUndefined();
+	} );
+} );
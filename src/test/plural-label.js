@@ -0,0 +1,108 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getLabelParts,
+	getLabelText,
+	getPluralCategories,
+	getPluralCategory,
+	getPluralExamples,
+	getPluralLabel,
+	hasLabelTemplate,
+} from '../plural-label';
+
+describe( 'getPluralCategory', () => {
+	it( 'selects the categories of Polish', () => {
+		expect( getPluralCategory( 1, { locale: 'pl' } ) ).toBe( 'one' );
+		expect( getPluralCategory( 3, { locale: 'pl' } ) ).toBe( 'few' );
+		expect( getPluralCategory( 5, { locale: 'pl' } ) ).toBe( 'many' );
+		expect( getPluralCategory( 12, { locale: 'pl' } ) ).toBe( 'many' );
+		expect( getPluralCategory( 22, { locale: 'pl' } ) ).toBe( 'few' );
+	} );
+
+	it( 'respects the displayed decimals', () => {
+		expect( getPluralCategory( 1, { locale: 'en', decimals: 1 } ) ).toBe(
+			'other'
+		);
+		expect( getPluralCategory( 1.5, { locale: 'pl', decimals: 1 } ) ).toBe(
+			'other'
+		);
+	} );
+
+	it( 'falls back to the language without region or variant', () => {
+		expect( getPluralCategory( 1, { locale: 'de-DE-formal' } ) ).toBe(
+			'one'
+		);
+	} );
+} );
+
+describe( 'getPluralCategories', () => {
+	it( 'lists the categories of a language in the editor order', () => {
+		expect( getPluralCategories( 'en' ) ).toEqual( [ 'one', 'other' ] );
+		expect( getPluralCategories( 'ar' ) ).toEqual( [
+			'zero',
+			'one',
+			'two',
+			'few',
+			'many',
+			'other',
+		] );
+		expect( getPluralCategories( 'ja' ) ).toEqual( [ 'other' ] );
+	} );
+} );
+
+describe( 'getPluralExamples', () => {
+	it( 'lists numbers of a category', () => {
+		expect( getPluralExamples( 'few', 'pl' ) ).toEqual( [ '2', '3', '4' ] );
+	} );
+
+	it( 'limits the number of examples', () => {
+		expect( getPluralExamples( 'other', 'en', 2 ) ).toEqual( [ '0', '2' ] );
+	} );
+} );
+
+describe( 'getPluralLabel', () => {
+	const forms = {
+		one: 'event',
+		few: 'events (few)',
+		other: 'events',
+	};
+
+	it( 'picks the form of the plural category', () => {
+		expect( getPluralLabel( forms, 3, { locale: 'pl' } ) ).toBe(
+			'events (few)'
+		);
+		expect( getPluralLabel( forms, 1, { locale: 'pl' } ) ).toBe( 'event' );
+	} );
+
+	it( 'falls back to the other form', () => {
+		expect( getPluralLabel( forms, 5, { locale: 'pl' } ) ).toBe( 'events' );
+		expect( getPluralLabel( {}, 5, { locale: 'pl' } ) ).toBe( '' );
+	} );
+} );
+
+describe( 'label templates', () => {
+	it( 'detects the number placeholder in any form', () => {
+		expect( hasLabelTemplate( { one: 'event', other: '%s events' } ) ).toBe(
+			true
+		);
+		expect( hasLabelTemplate( [ 'event', 'events', '' ] ) ).toBe( false );
+	} );
+
+	it( 'splits templates at the number placeholder', () => {
+		expect( getLabelParts( 'Organised %s events' ) ).toEqual( [
+			'Organised ',
+			' events',
+		] );
+		expect( getLabelParts( 'events' ) ).toEqual( [ '', ' events' ] );
+	} );
+
+	it( 'removes the number placeholder', () => {
+		expect( getLabelText( '%s events organised' ) ).toBe(
+			'events organised'
+		);
+		expect( getLabelText( 'Organised %s events' ) ).toBe(
+			'Organised events'
+		);
+	} );
+} );
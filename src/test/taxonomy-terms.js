@@ -0,0 +1,138 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getTaxonomyRelation,
+	getTaxonomySelection,
+	getTaxonomySelections,
+	setTaxonomyRelation,
+	setTaxonomySelection,
+} from '../taxonomy-terms';
+
+describe( 'getTaxonomySelection', () => {
+	it( 'reads plain term IDs as matching any term with children', () => {
+		expect(
+			getTaxonomySelection(
+				{ gatherpress_topic: [ 12 ] },
+				'gatherpress_topic'
+			)
+		).toEqual( { terms: [ 12 ], operator: 'IN', includeChildren: true } );
+	} );
+
+	it( 'applies the defaults to selections', () => {
+		expect(
+			getTaxonomySelection(
+				{ _gatherpress_venue: { terms: [ 7 ], operator: 'NOT IN' } },
+				'_gatherpress_venue'
+			)
+		).toEqual( {
+			terms: [ 7 ],
+			operator: 'NOT IN',
+			includeChildren: true,
+		} );
+		expect(
+			getTaxonomySelection(
+				{ _gatherpress_venue: { operator: 'LIKE' } },
+				'_gatherpress_venue'
+			)
+		).toEqual( { terms: [], operator: 'IN', includeChildren: true } );
+	} );
+
+	it( 'returns an empty selection for unselected taxonomies', () => {
+		expect(
+			getTaxonomySelection( undefined, 'gatherpress_topic' )
+		).toEqual( { terms: [], operator: 'IN', includeChildren: true } );
+	} );
+} );
+
+describe( 'getTaxonomySelections', () => {
+	it( 'lists the selections without the relation', () => {
+		expect(
+			getTaxonomySelections( {
+				gatherpress_topic: [ 12 ],
+				relation: 'OR',
+			} )
+		).toEqual( [
+			[
+				'gatherpress_topic',
+				{ terms: [ 12 ], operator: 'IN', includeChildren: true },
+			],
+		] );
+		expect( getTaxonomySelections( undefined ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'setTaxonomySelection', () => {
+	it( 'stores the default selection as plain term IDs', () => {
+		expect(
+			setTaxonomySelection(
+				{ gatherpress_topic: [ 12 ] },
+				'gatherpress_topic',
+				{ terms: [ 12, 14 ] }
+			)
+		).toEqual( { gatherpress_topic: [ 12, 14 ] } );
+	} );
+
+	it( 'stores other operators and child term handling as object', () => {
+		expect(
+			setTaxonomySelection(
+				{ gatherpress_topic: [ 12 ] },
+				'gatherpress_topic',
+				{ operator: 'AND' }
+			)
+		).toEqual( {
+			gatherpress_topic: {
+				terms: [ 12 ],
+				operator: 'AND',
+				includeChildren: true,
+			},
+		} );
+		expect(
+			setTaxonomySelection(
+				{ gatherpress_topic: [ 12 ] },
+				'gatherpress_topic',
+				{ includeChildren: false }
+			)
+		).toEqual( {
+			gatherpress_topic: {
+				terms: [ 12 ],
+				operator: 'IN',
+				includeChildren: false,
+			},
+		} );
+	} );
+
+	it( 'keeps the other taxonomies and the relation', () => {
+		expect(
+			setTaxonomySelection(
+				{ gatherpress_topic: [ 12 ], relation: 'OR' },
+				'_gatherpress_venue',
+				{ terms: [ 7 ] }
+			)
+		).toEqual( {
+			gatherpress_topic: [ 12 ],
+			_gatherpress_venue: [ 7 ],
+			relation: 'OR',
+		} );
+	} );
+} );
+
+describe( 'taxonomy relation', () => {
+	it( 'defaults to AND', () => {
+		expect( getTaxonomyRelation( undefined ) ).toBe( 'AND' );
+		expect( getTaxonomyRelation( { relation: 'XOR' } ) ).toBe( 'AND' );
+		expect( getTaxonomyRelation( { relation: 'OR' } ) ).toBe( 'OR' );
+	} );
+
+	it( 'only stores the OR relation', () => {
+		expect(
+			setTaxonomyRelation( { gatherpress_topic: [ 12 ] }, 'OR' )
+		).toEqual( { gatherpress_topic: [ 12 ], relation: 'OR' } );
+		expect(
+			setTaxonomyRelation(
+				{ gatherpress_topic: [ 12 ], relation: 'OR' },
+				'AND'
+			)
+		).toEqual( { gatherpress_topic: [ 12 ] } );
+	} );
+} );
@@ -0,0 +1,37 @@
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+
+/**
+ * Internal dependencies
+ */
+import { store } from './store';
+
+/**
+ * Stable fallback while the taxonomies are loading.
+ *
+ * @type {Array}
+ */
+const NO_TAXONOMIES = [];
+
+/**
+ * Loads the taxonomies of GatherPress events.
+ *
+ * Taxonomies come from the plugin's REST API, which already excludes
+ * the ones filtered out with `gatherpress_statistics_excluded_taxonomies`. They are
+ * shared by all blocks through the plugin's data store; terms are searched
+ * page by page with its `getTermSearch()` selector once they are shown.
+ *
+ * @return {{taxonomies: Object[], isLoading: boolean}} Taxonomies and the request state.
+ */
+export default function useEventTaxonomies() {
+	return useSelect( ( select ) => {
+		const { getTaxonomies, hasFinishedResolution } = select( store );
+
+		return {
+			taxonomies: getTaxonomies() || NO_TAXONOMIES,
+			isLoading: ! hasFinishedResolution( 'getTaxonomies' ),
+		};
+	}, [] );
+}
@@ -0,0 +1,112 @@
+/**
+ * WordPress dependencies
+ */
+import { useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { store } from './store';
+
+/**
+ * Attributes that influence the calculated value.
+ *
+ * Changes to any other attribute (labels, prefixes, …) never trigger a request.
+ *
+ * @type {string[]}
+ */
+export const FILTER_ATTRIBUTES = [
+	'statisticType',
+	'eventQuery',
+	'dateRange',
+	'dateRangeMonths',
+	'dateFrom',
+	'dateTo',
+	'selectedTaxonomy',
+	'selectedTerm',
+	'termSource',
+	'currentPostId',
+	'countTaxonomy',
+	'filterTaxonomy',
+	'selectedTaxonomyTerms',
+	'groupTaxonomyTerms',
+	'metaConditions',
+	'eventAuthor',
+	'scope',
+	'networkSites',
+	'aggregation',
+	'customFilters',
+	'comparison',
+	'comparisonMonths',
+	'comparisonDate',
+	'displayMode',
+	'seriesInterval',
+	'seriesLength',
+	'leaderboardMetric',
+	'leaderboardLength',
+];
+
+/**
+ * Delay in milliseconds before a changed configuration is requested.
+ *
+ * @type {number}
+ */
+const DEBOUNCE_DELAY = 500;
+
+/**
+ * Fetches the real, cached statistic value for the given block attributes.
+ *
+ * Requests are debounced, so typing into a control or clicking through
+ * several terms results in a single request once the configuration settles.
+ * Values are kept in the plugin's data store, so blocks with the same
+ * configuration share a single request. When the block compares periods,
+ * displays a chart or is a leaderboard, the comparison value, the time series
+ * or the top terms are fetched along.
+ *
+ * @param {Object} attributes Block attributes.
+ * @return {{value: ?number, comparison: ?number, series: Array, leaderboard: Array, isLoading: boolean, hasError: boolean}} Current value, comparison value, time series, top terms and request state.
+ */
+export default function useStatisticValue( attributes ) {
+	const query = {};
+	FILTER_ATTRIBUTES.forEach( ( name ) => {
+		query[ name ] = attributes[ name ];
+	} );
+	const queryKey = JSON.stringify( query );
+	const [ requestedKey, setRequestedKey ] = useState( queryKey );
+
+	useEffect( () => {
+		const timeout = setTimeout(
+			() => setRequestedKey( queryKey ),
+			DEBOUNCE_DELAY
+		);
+
+		return () => clearTimeout( timeout );
+	}, [ queryKey ] );
+
+	const response = useSelect(
+		( select ) =>
+			select( store ).getStatisticValue( JSON.parse( requestedKey ) ),
+		[ requestedKey ]
+	);
+
+	// Keep showing the last value while a changed configuration is loading
+	// or failed to load
+	const [ lastResponse, setLastResponse ] = useState( {} );
+	useEffect( () => {
+		if ( response && ! response.error ) {
+			setLastResponse( response );
+		}
+	}, [ response ] );
+
+	const shown = response && ! response.error ? response : lastResponse;
+
+	return {
+		value: undefined !== shown.value ? shown.value : null,
+		comparison: undefined !== shown.comparison ? shown.comparison : null,
+		series: shown.series || [],
+		leaderboard: shown.leaderboard || [],
+		isLoading: queryKey !== requestedKey || ! response,
+		hasError: !! ( response && response.error ),
+	};
+}
@@ -0,0 +1,147 @@
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Filters every variation resets, so switching between statistic types
+ * never carries over a configuration that has no meaning for the new type.
+ *
+ * @type {Object}
+ */
+const RESET_FILTERS = {
+	selectedTaxonomyTerms: {},
+	selectedTerm: 0,
+	selectedTaxonomy: '',
+	countTaxonomy: '',
+	filterTaxonomy: '',
+};
+
+/**
+ * One block variation per statistic type.
+ *
+ * Variations show up as separate blocks in the inserter and as transforms
+ * in the block toolbar. A block matches a variation by its statistic type.
+ *
+ * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-variations/
+ *
+ * @type {Object[]}
+ */
+const variations = [
+	{
+		name: 'total_events',
+		title: __( 'Total Events', 'gatherpress-statistics' ),
+		description: __(
+			'Display the number of events.',
+			'gatherpress-statistics'
+		),
+		icon: 'calendar-alt',
+		isDefault: true,
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'total_events',
+			labelSingular: __( 'Event', 'gatherpress-statistics' ),
+			labelPlural: __( 'Events', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'total_attendees',
+		title: __( 'Total Attendees', 'gatherpress-statistics' ),
+		description: __(
+			'Display the number of attendees of all past events.',
+			'gatherpress-statistics'
+		),
+		icon: 'groups',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'total_attendees',
+			eventQuery: 'past',
+			labelSingular: __( 'Attendee', 'gatherpress-statistics' ),
+			labelPlural: __( 'Attendees', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'events_per_taxonomy',
+		title: __( 'Events per Taxonomy Term', 'gatherpress-statistics' ),
+		description: __(
+			'Display the number of events with a specific term, e.g. a topic or venue.',
+			'gatherpress-statistics'
+		),
+		icon: 'tag',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'events_per_taxonomy',
+			labelSingular: __( 'Event', 'gatherpress-statistics' ),
+			labelPlural: __( 'Events', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'events_multi_taxonomy',
+		title: __( 'Events (Multiple Taxonomies)', 'gatherpress-statistics' ),
+		description: __(
+			'Display the number of events matching terms of several taxonomies at once.',
+			'gatherpress-statistics'
+		),
+		icon: 'tagcloud',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'events_multi_taxonomy',
+			labelSingular: __( 'Event', 'gatherpress-statistics' ),
+			labelPlural: __( 'Events', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'total_taxonomy_terms',
+		title: __( 'Total Taxonomy Terms', 'gatherpress-statistics' ),
+		description: __(
+			'Display the number of terms in a taxonomy, e.g. all venues.',
+			'gatherpress-statistics'
+		),
+		icon: 'category',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'total_taxonomy_terms',
+			labelSingular: __( 'Term', 'gatherpress-statistics' ),
+			labelPlural: __( 'Terms', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'taxonomy_terms_by_taxonomy',
+		title: __(
+			'Taxonomy Terms by Another Taxonomy',
+			'gatherpress-statistics'
+		),
+		description: __(
+			'Display the number of terms used by events with a specific term of another taxonomy, e.g. the venues of a topic.',
+			'gatherpress-statistics'
+		),
+		icon: 'networking',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'taxonomy_terms_by_taxonomy',
+			labelSingular: __( 'Term', 'gatherpress-statistics' ),
+			labelPlural: __( 'Terms', 'gatherpress-statistics' ),
+		},
+	},
+	{
+		name: 'top_terms',
+		title: __( 'Top Terms (Leaderboard)', 'gatherpress-statistics' ),
+		description: __(
+			'Display the terms with the most events or attendees as a ranked list, e.g. the top 5 venues.',
+			'gatherpress-statistics'
+		),
+		icon: 'awards',
+		attributes: {
+			...RESET_FILTERS,
+			statisticType: 'top_terms',
+			labelSingular: __( 'Top Term', 'gatherpress-statistics' ),
+			labelPlural: __( 'Top Terms', 'gatherpress-statistics' ),
+		},
+	},
+].map( ( variation ) => ( {
+	...variation,
+	isActive: [ 'statisticType' ],
+	scope: [ 'inserter', 'transform' ],
+} ) );
+
+export default variations;
@@ -1,10 +1,15 @@
 /**
  * Frontend JavaScript for GatherPress Statistics block.
  * 
- * This file adds confetti animation to the confetti style variation
- * and other interactive enhancements.
+ * This file adds confetti animation to the confetti style variation,
+ * the optional count-up animation and other interactive enhancements.
  */
 
+/**
+ * Internal dependencies
+ */
+import { formatNumber as formatInNotation } from './number-format';
+
 document.addEventListener( 'DOMContentLoaded', function() {
 	const statBlocks = document.querySelectorAll( '.wp-block-gatherpress-statistics' );
 
@@ -18,6 +23,11 @@ document.addEventListener( 'DOMContentLoaded', function() {
 				numberElement.style.transition = 'opacity 0.5s ease-in-out';
 				numberElement.style.opacity = '1';
 			}, 100 );
+
+			// Count up to the final value, once the block becomes visible
+			if ( block.dataset.countUp ) {
+				addCountUpAnimation( block, numberElement );
+			}
 		}
 
 		// Add confetti functionality for confetti style
@@ -26,18 +36,164 @@ document.addEventListener( 'DOMContentLoaded', function() {
 		}
 	} );
 
+	/**
+	 * Apply an easing function for the count-up animation
+	 * @param {string} easing - Name of the easing: 'linear', 'easeOut' or 'easeInOut'
+	 * @param {number} t      - Elapsed time, between 0 and 1
+	 * @return {number} Animation progress, between 0 and 1
+	 */
+	function ease( easing, t ) {
+		switch ( easing ) {
+			case 'linear':
+				return t;
+			case 'easeInOut':
+				return t < 0.5
+					? 4 * t * t * t
+					: 1 - Math.pow( -2 * t + 2, 3 ) / 2;
+			default:
+				return 1 - Math.pow( 1 - t, 3 );
+		}
+	}
+
+	/**
+	 * Format an integer like number_format_i18n() does
+	 * @param {number} number       - The number to format
+	 * @param {string} thousandsSep - The thousands separator of the site locale
+	 * @return {string} The formatted number
+	 */
+	function formatNumber( number, thousandsSep ) {
+		return String( number ).replace(
+			/\B(?=(\d{3})+(?!\d))/g,
+			thousandsSep
+		);
+	}
+
+	/**
+	 * Add count-up animation to a block
+	 * @param {HTMLElement} block         - The block element to animate
+	 * @param {HTMLElement} numberElement - The element holding the formatted number
+	 */
+	function addCountUpAnimation( block, numberElement ) {
+		const valueElement = block.querySelector(
+			'data.gatherpress-stats-value'
+		);
+		const prefersReducedMotion = window.matchMedia(
+			'(prefers-reduced-motion: reduce)'
+		).matches;
+
+		if (
+			! valueElement ||
+			prefersReducedMotion ||
+			! ( 'IntersectionObserver' in window )
+		) {
+			return;
+		}
+
+		const end = parseInt( valueElement.value, 10 );
+		const start = parseInt( block.dataset.countUpStart, 10 ) || 0;
+		const duration = parseInt( block.dataset.countUpDuration, 10 ) || 2000;
+		const easing = block.dataset.countUpEasing;
+		const thousandsSep =
+			undefined !== block.dataset.thousandsSep
+				? block.dataset.thousandsSep
+				: ',';
+		const numberFormat = block.dataset.numberFormat;
+		let numberUnits;
+		try {
+			numberUnits = JSON.parse( block.dataset.numberUnits );
+		} catch ( error ) {}
+		const format = function ( number ) {
+			// Compact and abbreviated numbers count up in their own notation, e.g. 1.1K, 1.2K
+			if ( numberFormat ) {
+				return formatInNotation( number, {
+					format: numberFormat,
+					decimals: parseInt( block.dataset.decimals, 10 ) || 0,
+					locale: block.dataset.locale,
+					units: numberUnits,
+				} );
+			}
+			return formatNumber( number, thousandsSep );
+		};
+
+		// Keep the server-side formatted value for the last frame
+		const finalText = numberElement.textContent;
+
+		if ( isNaN( end ) || end <= start ) {
+			return;
+		}
+
+		numberElement.textContent = format( start );
+
+		const observer = new window.IntersectionObserver(
+			function ( entries ) {
+				entries.forEach( function ( entry ) {
+					if ( entry.isIntersecting ) {
+						observer.disconnect();
+						runCountUp();
+					}
+				} );
+			},
+			{ threshold: 0.5 }
+		);
+
+		observer.observe( block );
+
+		/**
+		 * Run the animation frame by frame
+		 */
+		function runCountUp() {
+			let startTime = null;
+
+			function step( timestamp ) {
+				if ( null === startTime ) {
+					startTime = timestamp;
+				}
+
+				const progress = Math.min(
+					( timestamp - startTime ) / duration,
+					1
+				);
+
+				if ( progress < 1 ) {
+					const current = Math.floor(
+						start + ( end - start ) * ease( easing, progress )
+					);
+					numberElement.textContent = format( current );
+					window.requestAnimationFrame( step );
+				} else {
+					numberElement.textContent = finalText;
+				}
+			}
+
+			window.requestAnimationFrame( step );
+		}
+	}
+
 	/**
 	 * Add confetti animation to a block
 	 * @param {HTMLElement} block - The block element to add confetti to
 	 */
 	function addConfettiAnimation( block ) {
+		// Visitors who prefer reduced motion never see confetti
+		if ( window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches ) {
+			return;
+		}
+
 		// Create confetti container
 		const confettiContainer = document.createElement( 'div' );
 		confettiContainer.className = 'gatherpress-confetti';
+		confettiContainer.setAttribute( 'aria-hidden', 'true' );
 		block.appendChild( confettiContainer );
 
-		// Confetti colors
-		const colors = [ '#ff6b6b', '#4ecdc4', '#45b7d1', '#f9ca24', '#f0932b', '#eb4d4b', '#6c5ce7', '#a29bfe' ];
+		// Confetti settings, see render.php
+		const colors = getConfettiColors( block );
+		const pieces = parseInt( block.dataset.confettiPieces, 10 ) || 30;
+		const triggers = (
+			undefined !== block.dataset.confettiTriggers
+				? block.dataset.confettiTriggers
+				: 'hover'
+		).split( ' ' );
+		let lastBurst = 0;
 
 		/**
 		 * Create a single confetti piece
@@ -75,31 +231,189 @@ document.addEventListener( 'DOMContentLoaded', function() {
 		 * Trigger confetti burst
 		 */
 		function triggerConfetti() {
-			// Create 30 confetti pieces with staggered delays
-			for ( let i = 0; i < 30; i++ ) {
-				setTimeout( function() {
-					createConfetti( i * 0.05 );
-				}, i * 10 );
+			// Don't pile up bursts, e.g. when tapping repeatedly
+			const now = Date.now();
+			if ( now - lastBurst < 1000 ) {
+				return;
+			}
+			lastBurst = now;
+
+			// Create the confetti pieces with staggered delays, spread over the same time for any burst size
+			const stagger = 1.5 / pieces;
+			for ( let i = 0; i < pieces; i++ ) {
+				setTimeout(
+					function () {
+						createConfetti( i * stagger );
+					},
+					( i * 300 ) / pieces
+				);
+			}
+		}
+
+		/**
+		 * Get the highest milestone a value has reached
+		 * @param {number} value - The value of the statistic
+		 * @return {number} The milestone, 0 if none was reached
+		 */
+		function getMilestone( value ) {
+			const every = parseInt( block.dataset.confettiEvery, 10 ) || 0;
+			const milestones = ( block.dataset.confettiMilestones || '' )
+				.split( ',' )
+				.map( Number )
+				.filter( function ( milestone ) {
+					return milestone > 0 && milestone <= value;
+				} );
+
+			if ( every > 0 ) {
+				milestones.push( Math.floor( value / every ) * every );
+			}
+
+			return Math.max( 0, ...milestones );
+		}
+
+		/**
+		 * Burst confetti once per visitor for every milestone the value reaches
+		 * @param {number} value - The value of the statistic
+		 */
+		function celebrateMilestone( value ) {
+			const milestone = getMilestone( value );
+			const storageKey =
+				'gatherpress-statistics-confetti-' + block.dataset.confettiId;
+			let celebrated = 0;
+
+			// Storage may be unavailable, e.g. in private windows of some browsers
+			try {
+				celebrated =
+					parseInt( window.localStorage.getItem( storageKey ), 10 ) ||
+					0;
+			} catch ( error ) {}
+
+			if ( milestone <= celebrated ) {
+				return;
 			}
+
+			try {
+				window.localStorage.setItem( storageKey, String( milestone ) );
+			} catch ( error ) {}
+
+			triggerConfetti();
+		}
+
+		// Celebrate milestones once the block is visible, after the count-up animation
+		const valueElement = block.querySelector(
+			'data.gatherpress-stats-value'
+		);
+		if (
+			valueElement &&
+			block.dataset.confettiId &&
+			'IntersectionObserver' in window
+		) {
+			const delay = block.dataset.countUp
+				? parseInt( block.dataset.countUpDuration, 10 ) || 2000
+				: 0;
+			const observer = new window.IntersectionObserver(
+				function ( entries ) {
+					entries.forEach( function ( entry ) {
+						if ( entry.isIntersecting ) {
+							observer.disconnect();
+							setTimeout( function () {
+								celebrateMilestone(
+									parseFloat( valueElement.value ) || 0
+								);
+							}, delay );
+						}
+					} );
+				},
+				{ threshold: 0.5 }
+			);
+
+			observer.observe( block );
 		}
 
+		// New values of live mode, see live.js
+		block.addEventListener(
+			'gatherpress-statistics-change',
+			function ( event ) {
+				celebrateMilestone( event.detail.value );
+			}
+		);
+
 		// Trigger confetti on hover
-		let isHovering = false;
-		let hoverTimeout;
-
-		block.addEventListener( 'mouseenter', function() {
-			isHovering = true;
-			// Delay slightly to avoid triggering on quick mouse movements
-			hoverTimeout = setTimeout( function() {
-				if ( isHovering ) {
+		if ( triggers.includes( 'hover' ) ) {
+			let isHovering = false;
+			let hoverTimeout;
+
+			block.addEventListener( 'mouseenter', function () {
+				isHovering = true;
+				// Delay slightly to avoid triggering on quick mouse movements
+				hoverTimeout = setTimeout( function () {
+					if ( isHovering ) {
+						triggerConfetti();
+					}
+				}, 100 );
+			} );
+
+			block.addEventListener( 'mouseleave', function () {
+				isHovering = false;
+				clearTimeout( hoverTimeout );
+			} );
+		}
+
+		// Trigger confetti when reaching the block with the keyboard, render.php makes it focusable
+		if ( triggers.includes( 'focus' ) ) {
+			block.addEventListener( 'focus', triggerConfetti );
+		}
+
+		// Trigger confetti on tap, mice use hover
+		if ( triggers.includes( 'tap' ) ) {
+			block.addEventListener( 'pointerup', function ( event ) {
+				if ( 'mouse' !== event.pointerType ) {
 					triggerConfetti();
 				}
-			}, 100 );
-		} );
+			} );
+		}
+	}
+
+	/**
+	 * Get the confetti colors of a block
+	 * @param {HTMLElement} block - The block element to add confetti to
+	 * @return {string[]} The colors, from the theme's palette or the block's own colors
+	 */
+	function getConfettiColors( block ) {
+		let colors = [];
+
+		if ( block.dataset.confettiColors ) {
+			try {
+				colors = JSON.parse( block.dataset.confettiColors );
+			} catch ( error ) {}
+		} else {
+			// The block's text colors, as set in the block's color settings
+			[
+				block,
+				block.querySelector( '.gatherpress-stats-value' ),
+				block.querySelector( '.gatherpress-stats-label' ),
+			].forEach( function ( element ) {
+				const color = element
+					? window.getComputedStyle( element ).color
+					: '';
+				if ( color && ! colors.includes( color ) ) {
+					colors.push( color );
+				}
+			} );
+		}
 
-		block.addEventListener( 'mouseleave', function() {
-			isHovering = false;
-			clearTimeout( hoverTimeout );
-		} );
+		// Colors of themes without a palette
+		return colors.length
+			? colors
+			: [
+					'#ff6b6b',
+					'#4ecdc4',
+					'#45b7d1',
+					'#f9ca24',
+					'#f0932b',
+					'#eb4d4b',
+					'#6c5ce7',
+					'#a29bfe',
+			  ];
 	}
 } );
\ No newline at end of file
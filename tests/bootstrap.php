@@ -0,0 +1,52 @@
+<?php
+/**
+ * PHPUnit bootstrap file.
+ *
+ * Loads GatherPress and this plugin into the WordPress test suite. The path
+ * to GatherPress can be set with the GATHERPRESS_DIR environment variable.
+ *
+ * @package GatherPress_Statistics
+ */
+
+$_tests_dir = getenv( 'WP_TESTS_DIR' );
+
+// The test library installed by bin/install-wp-tests.sh
+if ( ! $_tests_dir ) {
+	$_tests_dir = rtrim( sys_get_temp_dir(), '/\\' ) . '/wordpress-tests-lib';
+}
+
+// Forward custom PHPUnit Polyfills configuration to PHPUnit bootstrap file, defaulting to the Composer package.
+$_phpunit_polyfills_path = getenv( 'WP_TESTS_PHPUNIT_POLYFILLS_PATH' );
+if ( false === $_phpunit_polyfills_path ) {
+	$_phpunit_polyfills_path = dirname( __DIR__ ) . '/vendor/yoast/phpunit-polyfills';
+}
+define( 'WP_TESTS_PHPUNIT_POLYFILLS_PATH', $_phpunit_polyfills_path );
+
+if ( ! file_exists( "{$_tests_dir}/includes/functions.php" ) ) {
+	echo "Could not find {$_tests_dir}/includes/functions.php, have you run bin/install-wp-tests.sh ?" . PHP_EOL; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	exit( 1 );
+}
+
+// Give access to tests_add_filter() function.
+require_once "{$_tests_dir}/includes/functions.php";
+
+/**
+ * Manually load GatherPress and the plugin being tested.
+ *
+ * @return void
+ */
+function _manually_load_plugin() {
+	$gatherpress_dir = getenv( 'GATHERPRESS_DIR' );
+
+	if ( ! $gatherpress_dir ) {
+		$gatherpress_dir = WP_PLUGIN_DIR . '/gatherpress';
+	}
+
+	require rtrim( $gatherpress_dir, '/\\' ) . '/gatherpress.php';
+	require dirname( __DIR__ ) . '/plugin.php';
+}
+
+tests_add_filter( 'muplugins_loaded', '_manually_load_plugin' );
+
+// Start up the WP testing environment.
+require "{$_tests_dir}/includes/bootstrap.php";
@@ -0,0 +1,151 @@
+<?php
+/**
+ * Tests for the Conditional_Ranges class.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics\Tests;
+
+use GatherPress_Statistics\Conditional_Ranges;
+use WP_UnitTestCase;
+
+/**
+ * Class Test_Conditional_Ranges.
+ *
+ * @coversDefaultClass \GatherPress_Statistics\Conditional_Ranges
+ */
+class Test_Conditional_Ranges extends WP_UnitTestCase {
+	/**
+	 * Sanitizes the ranges of a block.
+	 *
+	 * @covers ::get_ranges
+	 * @return void
+	 */
+	public function test_get_ranges(): void {
+		$ranges = Conditional_Ranges::get_instance()->get_ranges(
+			array(
+				'conditionalRanges' => array(
+					array(
+						'min'   => '1',
+						'max'   => '9',
+						'label' => 'events',
+					),
+					array(
+						'min'    => 10,
+						'max'    => '',
+						'prefix' => 'Over',
+						'suffix' => 5,
+					),
+					'invalid',
+				),
+			)
+		);
+
+		$this->assertSame(
+			array(
+				array(
+					'min'    => 1.0,
+					'max'    => 9.0,
+					'prefix' => '',
+					'suffix' => '',
+					'label'  => 'events',
+				),
+				array(
+					'min'    => 10.0,
+					'max'    => null,
+					'prefix' => 'Over',
+					'suffix' => '5',
+					'label'  => '',
+				),
+			),
+			$ranges
+		);
+	}
+
+	/**
+	 * Converts the threshold of blocks that were not migrated yet.
+	 *
+	 * @covers ::get_ranges
+	 * @covers ::get_ranges_from_threshold
+	 * @return void
+	 */
+	public function test_get_ranges_from_threshold(): void {
+		$instance = Conditional_Ranges::get_instance();
+
+		$this->assertSame(
+			array(
+				array(
+					'min'    => 21.0,
+					'max'    => null,
+					'prefix' => 'Over',
+					'suffix' => '',
+					'label'  => '',
+				),
+			),
+			$instance->get_ranges(
+				array(
+					'conditionalThreshold' => 20,
+					'prefixConditional'    => 'Over',
+				)
+			)
+		);
+
+		$ranges = $instance->get_ranges( array( 'suffixConditional' => '+' ) );
+		$this->assertSame( 11.0, $ranges[0]['min'], 'The default threshold is 10.' );
+
+		$this->assertSame( array(), $instance->get_ranges( array( 'conditionalThreshold' => 20 ) ) );
+		$this->assertSame( array(), $instance->get_ranges( array() ) );
+	}
+
+	/**
+	 * Ranges take precedence over a threshold that was left behind.
+	 *
+	 * @covers ::get_ranges
+	 * @return void
+	 */
+	public function test_get_ranges_prefers_ranges(): void {
+		$ranges = Conditional_Ranges::get_instance()->get_ranges(
+			array(
+				'conditionalRanges' => array( array( 'min' => 5 ) ),
+				'prefixConditional' => 'Over',
+			)
+		);
+
+		$this->assertCount( 1, $ranges );
+		$this->assertSame( 5.0, $ranges[0]['min'] );
+	}
+
+	/**
+	 * Finds the first range containing a value.
+	 *
+	 * @covers ::get_range
+	 * @return void
+	 */
+	public function test_get_range(): void {
+		$instance = Conditional_Ranges::get_instance();
+		$ranges   = $instance->get_ranges(
+			array(
+				'conditionalRanges' => array(
+					array(
+						'min' => 0,
+						'max' => 0,
+					),
+					array(
+						'min' => 1,
+						'max' => 9,
+					),
+					array(
+						'min'    => 5,
+						'prefix' => 'Over',
+					),
+				),
+			)
+		);
+
+		$this->assertSame( $ranges[0], $instance->get_range( $ranges, 0 ) );
+		$this->assertSame( $ranges[1], $instance->get_range( $ranges, 5 ) );
+		$this->assertSame( $ranges[2], $instance->get_range( $ranges, 1000 ) );
+		$this->assertNull( $instance->get_range( $ranges, -1 ) );
+	}
+}
@@ -0,0 +1,145 @@
+<?php
+/**
+ * Tests for the Embed class.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics\Tests;
+
+use GatherPress_Statistics\Embed;
+use WP_UnitTestCase;
+
+/**
+ * Class Test_Embed.
+ *
+ * @coversDefaultClass \GatherPress_Statistics\Embed
+ */
+class Test_Embed extends WP_UnitTestCase {
+	/**
+	 * Request the embed code of block attributes as an editor.
+	 *
+	 * Form parameters arrive as strings, like the query string the editor
+	 * used to send.
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return \WP_REST_Response Response of the embed endpoint.
+	 */
+	protected function request_embed( array $attributes ): \WP_REST_Response {
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+
+		$request = new \WP_REST_Request( 'POST', '/gatherpress-statistics/v1/embed' );
+		$request->set_body_params( array( 'attributes' => $attributes ) );
+
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * Request the oEmbed response of an embed URL.
+	 *
+	 * @param string $url Embed URL.
+	 * @return \WP_REST_Response Response of the oEmbed endpoint.
+	 */
+	protected function request_oembed( string $url ): \WP_REST_Response {
+		$request = new \WP_REST_Request( 'GET', '/gatherpress-statistics/v1/oembed' );
+		$request->set_query_params( array( 'url' => $url ) );
+
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * Decode the block attributes of an embed URL, without checking its signature.
+	 *
+	 * @param string $url Embed URL.
+	 * @return array<string, mixed> Signed block attributes.
+	 */
+	protected function decode_url( string $url ): array {
+		wp_parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+
+		$json = base64_decode( strtr( $query[ Embed::QUERY_VAR ], '-_', '+/' ), true ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode -- Not obfuscation, but URL encoding.
+
+		return json_decode( $json, true );
+	}
+
+	/**
+	 * Booleans and numbers sent as strings are signed with their types, so
+	 * "false" doesn't render as true.
+	 *
+	 * @covers ::get_embed_endpoint
+	 * @covers ::cast_attributes
+	 * @return void
+	 */
+	public function test_get_embed_endpoint_casts_attributes(): void {
+		$response = $this->request_embed(
+			array(
+				'statisticType'         => 'total_events',
+				'showLabel'             => 'false',
+				'countUp'               => 'true',
+				'leaderboardLinks'      => '0',
+				'leaderboardCounts'     => 'false',
+				'decimals'              => '2',
+				'selectedTaxonomyTerms' => array(
+					'gatherpress_topic' => array(
+						'terms'           => array( '12' ),
+						'includeChildren' => 'false',
+					),
+				),
+			)
+		);
+
+		$this->assertSame( 200, $response->get_status() );
+
+		$attributes = $this->decode_url( $response->get_data()['url'] );
+
+		$this->assertFalse( $attributes['showLabel'] );
+		$this->assertTrue( $attributes['countUp'] );
+		$this->assertFalse( $attributes['leaderboardLinks'] );
+		$this->assertFalse( $attributes['leaderboardCounts'] );
+		$this->assertSame( 2, $attributes['decimals'] );
+		$this->assertFalse( $attributes['selectedTaxonomyTerms']['gatherpress_topic']['includeChildren'] );
+	}
+
+	/**
+	 * Signed embed URLs of this site are answered.
+	 *
+	 * @covers ::get_oembed_endpoint
+	 * @return void
+	 */
+	public function test_get_oembed_endpoint_signed(): void {
+		$url = Embed::get_instance()->get_embed_url( array( 'statisticType' => 'total_events' ) );
+
+		$response = $this->request_oembed( $url );
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( 'rich', $response->get_data()['type'] );
+	}
+
+	/**
+	 * Unsigned, tampered and foreign embed URLs are rejected.
+	 *
+	 * @covers ::get_oembed_endpoint
+	 * @return void
+	 */
+	public function test_get_oembed_endpoint_rejects_unsigned(): void {
+		$url      = Embed::get_instance()->get_embed_url( array( 'statisticType' => 'total_events' ) );
+		$tampered = Embed::get_instance()->get_embed_url( array( 'statisticType' => 'total_attendees' ) );
+
+		wp_parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+		wp_parse_str( (string) wp_parse_url( $tampered, PHP_URL_QUERY ), $other );
+
+		$urls = array(
+			'unsigned'      => remove_query_arg( Embed::SIGNATURE_VAR, $url ),
+			'empty'         => add_query_arg( Embed::SIGNATURE_VAR, '', $url ),
+			'other content' => add_query_arg( Embed::QUERY_VAR, $other[ Embed::QUERY_VAR ], $url ),
+			'other host'    => str_replace( (string) wp_parse_url( home_url(), PHP_URL_HOST ), 'example.com', $url ),
+			'made up'       => add_query_arg( Embed::SIGNATURE_VAR, md5( $query[ Embed::QUERY_VAR ] ), $url ),
+		);
+
+		foreach ( $urls as $case => $rejected ) {
+			$response = $this->request_oembed( $rejected );
+
+			$this->assertSame( 404, $response->get_status(), $case );
+			$this->assertSame( 'gatherpress_statistics_embed_unavailable', $response->as_error()->get_error_code(), $case );
+		}
+	}
+}
@@ -0,0 +1,71 @@
+<?php
+/**
+ * Tests for the Number_Formatter class.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics\Tests;
+
+use GatherPress_Statistics\Number_Formatter;
+use WP_UnitTestCase;
+
+/**
+ * Class Test_Number_Formatter.
+ *
+ * The cases are shared with the tests of `src/number-format.js`, so the
+ * editor and the server format numbers the same way.
+ *
+ * @coversDefaultClass \GatherPress_Statistics\Number_Formatter
+ */
+class Test_Number_Formatter extends WP_UnitTestCase {
+	/**
+	 * Values, their format and decimals, and the expected text.
+	 *
+	 * @return array<string, array{0: int|float, 1: string, 2: int, 3: string}>
+	 */
+	public function data_formats(): array {
+		$cases = json_decode( file_get_contents( __DIR__ . '/fixtures/number-formats.json' ), true ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents -- Local fixture.
+		$data  = array();
+
+		foreach ( $cases as $case ) {
+			$name          = sprintf( '%s as %s with %d decimals', $case['value'], $case['format'], $case['decimals'] );
+			$data[ $name ] = array( $case['value'], $case['format'], $case['decimals'], $case['expected'] );
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Values are formatted like in the browser.
+	 *
+	 * @dataProvider data_formats
+	 * @covers ::format
+	 *
+	 * @param int|float $value    Value to format.
+	 * @param string    $format   Number format.
+	 * @param int       $decimals Number of decimals.
+	 * @param string    $expected Expected text.
+	 * @return void
+	 */
+	public function test_format( $value, string $format, int $decimals, string $expected ): void {
+		$this->assertSame( $expected, Number_Formatter::get_instance()->format( $value, $format, $decimals ) );
+	}
+
+	/**
+	 * The units passed to the browser match the ones of the server.
+	 *
+	 * @covers ::get_unit_patterns
+	 * @return void
+	 */
+	public function test_get_unit_patterns(): void {
+		$this->assertSame(
+			array(
+				1000000000 => '%sB',
+				1000000    => '%sM',
+				1000       => '%sK',
+			),
+			Number_Formatter::get_instance()->get_unit_patterns()
+		);
+	}
+}
@@ -0,0 +1,105 @@
+<?php
+/**
+ * Tests for the Plural_Rules class.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics\Tests;
+
+use GatherPress_Statistics\Plural_Rules;
+use WP_UnitTestCase;
+
+/**
+ * Class Test_Plural_Rules.
+ *
+ * The categories are compared with `Intl.PluralRules`, which the editor and
+ * live mode use for the same labels.
+ *
+ * @coversDefaultClass \GatherPress_Statistics\Plural_Rules
+ */
+class Test_Plural_Rules extends WP_UnitTestCase {
+	/**
+	 * Numbers and their plural categories per locale.
+	 *
+	 * @return array<string, array{0: int|float, 1: int, 2: string, 3: string}>
+	 */
+	public function data_categories(): array {
+		return array(
+			'pl: 1'               => array( 1, 0, 'pl_PL', 'one' ),
+			'pl: 3'               => array( 3, 0, 'pl_PL', 'few' ),
+			'pl: 5'               => array( 5, 0, 'pl_PL', 'many' ),
+			'pl: 12'              => array( 12, 0, 'pl_PL', 'many' ),
+			'pl: 22'              => array( 22, 0, 'pl_PL', 'few' ),
+			'pl: 1.5'             => array( 1.5, 1, 'pl_PL', 'other' ),
+			'en: 1'               => array( 1, 0, 'en_US', 'one' ),
+			'en: 1.0'             => array( 1, 1, 'en_US', 'other' ),
+			'en: 2'               => array( 2, 0, 'en_US', 'other' ),
+			'fr: 0'               => array( 0, 0, 'fr_FR', 'one' ),
+			'fr: 1'               => array( 1, 0, 'fr_FR', 'one' ),
+			'fr: 1000000'         => array( 1000000, 0, 'fr_FR', 'many' ),
+			'ar: 0'               => array( 0, 0, 'ar', 'zero' ),
+			'ar: 2'               => array( 2, 0, 'ar', 'two' ),
+			'ar: 3'               => array( 3, 0, 'ar', 'few' ),
+			'ar: 11'              => array( 11, 0, 'ar', 'many' ),
+			'ar: 100'             => array( 100, 0, 'ar', 'other' ),
+			'ru: 21'              => array( 21, 0, 'ru_RU', 'one' ),
+			'ru: 11'              => array( 11, 0, 'ru_RU', 'many' ),
+			'cs: 1.5'             => array( 1.5, 1, 'cs_CZ', 'many' ),
+			'pt_BR: 0'            => array( 0, 0, 'pt_BR', 'one' ),
+			'pt_PT: 0'            => array( 0, 0, 'pt_PT', 'other' ),
+			'de_DE_formal: 1'     => array( 1, 0, 'de_DE_formal', 'one' ),
+			'ja: 1'               => array( 1, 0, 'ja', 'other' ),
+			'unknown language: 1' => array( 1, 0, 'xx_XX', 'other' ),
+		);
+	}
+
+	/**
+	 * Selects the plural category of a number in a locale.
+	 *
+	 * @covers ::get_category
+	 * @covers ::select
+	 * @dataProvider data_categories
+	 *
+	 * @param int|float $number   Number.
+	 * @param int       $decimals Number of displayed decimals.
+	 * @param string    $locale   Locale.
+	 * @param string    $expected Expected plural category.
+	 * @return void
+	 */
+	public function test_get_category( $number, int $decimals, string $locale, string $expected ): void {
+		$this->assertSame( $expected, Plural_Rules::get_instance()->get_category( $number, $decimals, $locale ) );
+	}
+
+	/**
+	 * Picks the label of the category and falls back to the plural label.
+	 *
+	 * @covers ::get_label
+	 * @return void
+	 */
+	public function test_get_label(): void {
+		$forms = array(
+			'one'   => 'wydarzenie',
+			'few'   => 'wydarzenia',
+			'other' => 'wydarzeń',
+		);
+
+		add_filter( 'locale', array( $this, 'get_polish_locale' ) );
+
+		$this->assertSame( 'wydarzenie', Plural_Rules::get_instance()->get_label( $forms, 1 ) );
+		$this->assertSame( 'wydarzenia', Plural_Rules::get_instance()->get_label( $forms, 3 ) );
+		$this->assertSame( 'wydarzeń', Plural_Rules::get_instance()->get_label( $forms, 5 ) );
+		$this->assertSame( '', Plural_Rules::get_instance()->get_label( array(), 5 ) );
+
+		remove_filter( 'locale', array( $this, 'get_polish_locale' ) );
+	}
+
+	/**
+	 * Switch the site to Polish.
+	 *
+	 * @return string Locale.
+	 */
+	public function get_polish_locale(): string {
+		return 'pl_PL';
+	}
+}
@@ -0,0 +1,660 @@
+<?php
+/**
+ * Tests for the Setup class.
+ *
+ * @package GatherPress_Statistics
+ */
+
+namespace GatherPress_Statistics\Tests;
+
+use GatherPress_Statistics\Setup;
+use WP_UnitTestCase;
+
+/**
+ * Class Test_Setup.
+ *
+ * @coversDefaultClass \GatherPress_Statistics\Setup
+ */
+class Test_Setup extends WP_UnitTestCase {
+	/**
+	 * Get the cache key of a block configuration.
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return string Cache key.
+	 */
+	protected function get_cache_key( array $attributes ): string {
+		$setup = Setup::get_instance();
+
+		return $setup->get_cache_key(
+			isset( $attributes['statisticType'] ) ? $attributes['statisticType'] : 'total_events',
+			$setup->get_filters_from_attributes( $attributes )
+		);
+	}
+
+	/**
+	 * Operators, child term handling and the relation of the terms each get
+	 * their own cache key, while the defaults keep the key of plain term IDs.
+	 *
+	 * @covers ::get_cache_key
+	 * @covers ::get_filters_from_attributes
+	 * @return void
+	 */
+	public function test_get_cache_key_taxonomy_operators(): void {
+		$attributes = array( 'statisticType' => 'events_multi_taxonomy' );
+		$selections = array(
+			'plain'       => array( 'gatherpress_topic' => array( 12 ) ),
+			'not in'      => array(
+				'gatherpress_topic' => array(
+					'terms'    => array( 12 ),
+					'operator' => 'NOT IN',
+				),
+			),
+			'and'         => array(
+				'gatherpress_topic' => array(
+					'terms'    => array( 12 ),
+					'operator' => 'AND',
+				),
+			),
+			'no children' => array(
+				'gatherpress_topic' => array(
+					'terms'           => array( 12 ),
+					'includeChildren' => false,
+				),
+			),
+			'or'          => array(
+				'gatherpress_topic' => array( 12 ),
+				'relation'          => 'OR',
+			),
+		);
+
+		$keys = array();
+		foreach ( $selections as $name => $selection ) {
+			$keys[ $name ] = $this->get_cache_key( array_merge( $attributes, array( 'selectedTaxonomyTerms' => $selection ) ) );
+		}
+
+		$this->assertSame( $keys, array_unique( $keys ), 'Each selection has its own cache key.' );
+
+		$defaults = array(
+			'gatherpress_topic' => array(
+				'terms'           => array( 12 ),
+				'operator'        => 'IN',
+				'includeChildren' => true,
+			),
+			'relation'          => 'AND',
+		);
+
+		$this->assertSame(
+			$keys['plain'],
+			$this->get_cache_key( array_merge( $attributes, array( 'selectedTaxonomyTerms' => $defaults ) ) ),
+			'The default selection keeps the key of plain term IDs.'
+		);
+	}
+
+	/**
+	 * Query strings of the editor deliver `includeChildren` as a string, which
+	 * must not read as true for "false".
+	 *
+	 * @covers ::get_cache_key
+	 * @covers ::get_filters_from_attributes
+	 * @return void
+	 */
+	public function test_get_cache_key_include_children_string(): void {
+		$attributes = array( 'statisticType' => 'events_multi_taxonomy' );
+		$keys       = array();
+
+		foreach ( array( false, 'false', '0', true, 'true', '1' ) as $include_children ) {
+			$keys[] = $this->get_cache_key(
+				array_merge(
+					$attributes,
+					array(
+						'selectedTaxonomyTerms' => array(
+							'gatherpress_topic' => array(
+								'terms'           => array( '12' ),
+								'includeChildren' => $include_children,
+							),
+						),
+					)
+				)
+			);
+		}
+
+		list( $excluded, $excluded_string, $excluded_number, $included, $included_string, $included_number ) = $keys;
+
+		$this->assertSame( $excluded, $excluded_string );
+		$this->assertSame( $excluded, $excluded_number );
+		$this->assertSame( $included, $included_string );
+		$this->assertSame( $included, $included_number );
+		$this->assertNotSame( $excluded, $included );
+	}
+
+	/**
+	 * The operators of statistics group terms get their own cache key.
+	 *
+	 * @covers ::get_cache_key
+	 * @covers ::get_filters_from_attributes
+	 * @return void
+	 */
+	public function test_get_cache_key_group_taxonomy_operators(): void {
+		$in = $this->get_cache_key(
+			array( 'groupTaxonomyTerms' => array( 'gatherpress_topic' => array( 12 ) ) )
+		);
+
+		$not_in = $this->get_cache_key(
+			array(
+				'groupTaxonomyTerms' => array(
+					'gatherpress_topic' => array(
+						'terms'    => array( 12 ),
+						'operator' => 'NOT IN',
+					),
+				),
+			)
+		);
+
+		$or = $this->get_cache_key(
+			array(
+				'groupTaxonomyTerms' => array(
+					'gatherpress_topic' => array( 12 ),
+					'relation'          => 'OR',
+				),
+			)
+		);
+
+		$this->assertNotSame( $in, $not_in );
+		$this->assertNotSame( $in, $or );
+		$this->assertNotSame( $this->get_cache_key( array() ), $in );
+	}
+
+	/**
+	 * Meta conditions get their own cache key, conditions that are not
+	 * allowed are dropped and keep the key without conditions.
+	 *
+	 * @covers ::get_cache_key
+	 * @covers ::get_filters_from_attributes
+	 * @return void
+	 */
+	public function test_get_cache_key_meta_conditions(): void {
+		$none = $this->get_cache_key( array() );
+
+		$exists = $this->get_cache_key(
+			array(
+				'metaConditions' => array(
+					array(
+						'key'     => 'gatherpress_online_event_link',
+						'compare' => 'EXISTS',
+					),
+				),
+			)
+		);
+
+		$not_exists = $this->get_cache_key(
+			array(
+				'metaConditions' => array(
+					array(
+						'key'     => 'gatherpress_online_event_link',
+						'compare' => 'NOT EXISTS',
+					),
+				),
+			)
+		);
+
+		$this->assertStringContainsString( '_meta_', $exists );
+		$this->assertNotSame( $none, $exists );
+		$this->assertNotSame( $exists, $not_exists );
+
+		// The online event link may only be checked for existence
+		$value = $this->get_cache_key(
+			array(
+				'metaConditions' => array(
+					array(
+						'key'     => 'gatherpress_online_event_link',
+						'compare' => '=',
+						'value'   => 'https://example.org',
+					),
+				),
+			)
+		);
+
+		$unknown_key = $this->get_cache_key(
+			array(
+				'metaConditions' => array(
+					array(
+						'key'     => '_edit_lock',
+						'compare' => 'EXISTS',
+					),
+				),
+			)
+		);
+
+		$this->assertSame( $none, $value );
+		$this->assertSame( $none, $unknown_key );
+	}
+
+	/**
+	 * Statistics across the network get their own cache key per selection of
+	 * sites.
+	 *
+	 * @covers ::get_cache_key
+	 * @return void
+	 */
+	public function test_get_cache_key_network(): void {
+		$setup   = Setup::get_instance();
+		$site    = $setup->get_cache_key( 'total_events', array( 'event_query' => 'past' ) );
+		$network = $setup->get_cache_key(
+			'total_events',
+			array(
+				'event_query' => 'past',
+				'network'     => 1,
+			)
+		);
+		$sites   = $setup->get_cache_key(
+			'total_events',
+			array(
+				'event_query'   => 'past',
+				'network'       => 1,
+				'network_sites' => array( 1, 2 ),
+			)
+		);
+
+		$this->assertStringContainsString( '_network_', $network );
+		$this->assertNotSame( $site, $network );
+		$this->assertNotSame( $network, $sites );
+	}
+
+	/**
+	 * The network scope of a block only applies on multisite installs.
+	 *
+	 * @covers ::get_filters_from_attributes
+	 * @return void
+	 */
+	public function test_get_filters_from_attributes_network(): void {
+		$filters = Setup::get_instance()->get_filters_from_attributes(
+			array(
+				'scope'        => 'network',
+				'networkSites' => array( 3, '2', 3 ),
+			)
+		);
+
+		if ( ! is_multisite() ) {
+			$this->assertArrayNotHasKey( 'network', $filters );
+			return;
+		}
+
+		$this->assertSame( get_current_blog_id(), $filters['network'] );
+		$this->assertSame( array( 2, 3 ), $filters['network_sites'] );
+	}
+
+	/**
+	 * Request a statistic from the REST API.
+	 *
+	 * @param array<string, mixed>  $params  Query parameters.
+	 * @param array<string, string> $headers Request headers.
+	 * @return \WP_REST_Response Response.
+	 */
+	protected function request_statistic( array $params, array $headers = array() ): \WP_REST_Response {
+		$request = new \WP_REST_Request( 'GET', '/gatherpress-statistics/v1/statistics' );
+		$request->set_query_params( $params );
+		$request->set_headers( $headers );
+
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * Conditional requests are answered without a body, if the statistic
+	 * didn't change.
+	 *
+	 * @covers ::get_statistics_endpoint
+	 * @return void
+	 */
+	public function test_get_statistics_endpoint_etag(): void {
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+
+		$params   = array( 'type' => 'total_events' );
+		$response = $this->request_statistic( $params );
+		$headers  = $response->get_headers();
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertArrayHasKey( 'ETag', $headers );
+
+		$etag = $headers['ETag'];
+
+		$not_modified = $this->request_statistic( $params, array( 'If-None-Match' => $etag ) );
+		$this->assertSame( 304, $not_modified->get_status() );
+		$this->assertNull( $not_modified->get_data() );
+		$this->assertSame( $etag, $not_modified->get_headers()['ETag'] );
+
+		$this->assertSame( 304, $this->request_statistic( $params, array( 'If-None-Match' => '"other", W/' . $etag ) )->get_status() );
+		$this->assertSame( 304, $this->request_statistic( $params, array( 'If-None-Match' => '*' ) )->get_status() );
+		$this->assertSame( 200, $this->request_statistic( $params, array( 'If-None-Match' => '"other"' ) )->get_status() );
+
+		// Another configuration has another ETag
+		$upcoming = $this->request_statistic(
+			array(
+				'type'        => 'total_events',
+				'event_query' => 'upcoming',
+			),
+			array( 'If-None-Match' => $etag )
+		);
+		$this->assertSame( 200, $upcoming->get_status() );
+		$this->assertNotSame( $etag, $upcoming->get_headers()['ETag'] );
+	}
+
+	/**
+	 * Without an ETag, the modification date of pre-generated statistics
+	 * answers conditional requests. Other statistics have no known date.
+	 *
+	 * @covers ::get_statistics_endpoint
+	 * @return void
+	 */
+	public function test_get_statistics_endpoint_last_modified(): void {
+		wp_set_current_user( self::factory()->user->create( array( 'role' => 'editor' ) ) );
+
+		$params   = array( 'type' => 'total_events' );
+		$response = $this->request_statistic( $params );
+		$future   = gmdate( 'D, d M Y H:i:s', time() + HOUR_IN_SECONDS ) . ' GMT';
+
+		$this->assertArrayNotHasKey( 'Last-Modified', $response->get_headers() );
+		$this->assertSame( 200, $this->request_statistic( $params, array( 'If-Modified-Since' => $future ) )->get_status() );
+
+		Setup::get_instance()->pregenerate_config(
+			array(
+				'type'    => 'total_events',
+				'filters' => $response->get_data()['filters'],
+			)
+		);
+
+		$this->assertArrayHasKey( 'Last-Modified', $this->request_statistic( $params )->get_headers() );
+		$this->assertSame( 304, $this->request_statistic( $params, array( 'If-Modified-Since' => $future ) )->get_status() );
+		$this->assertSame( 200, $this->request_statistic( $params, array( 'If-Modified-Since' => 'Mon, 01 Jan 2001 00:00:00 GMT' ) )->get_status() );
+	}
+
+	/**
+	 * Visitors only get statistics that are cached already.
+	 *
+	 * @covers ::get_statistics_endpoint
+	 * @return void
+	 */
+	public function test_get_statistics_endpoint_not_cached(): void {
+		$editor = self::factory()->user->create( array( 'role' => 'editor' ) );
+		$params = array(
+			'type'   => 'total_events',
+			'author' => $editor,
+		);
+
+		wp_set_current_user( 0 );
+		$response = $this->request_statistic( $params );
+		$this->assertSame( 404, $response->get_status() );
+		$this->assertSame( 'gatherpress_statistics_not_cached', $response->get_data()['code'] );
+
+		// Editors calculate and cache the statistic, visitors get it from the cache
+		wp_set_current_user( $editor );
+		$this->assertSame( 200, $this->request_statistic( $params )->get_status() );
+
+		wp_set_current_user( 0 );
+		$this->assertSame( 200, $this->request_statistic( $params )->get_status() );
+	}
+
+	/**
+	 * Pre-generated configurations are recognised by their cache key.
+	 *
+	 * @covers ::is_common_cache_key
+	 * @return void
+	 */
+	public function test_is_common_cache_key(): void {
+		$setup   = Setup::get_instance();
+		$configs = $setup->get_common_configs();
+
+		$this->assertNotEmpty( $configs );
+		$this->assertTrue( $setup->is_common_cache_key( $setup->get_config_cache_key( $configs[0] ) ) );
+		$this->assertFalse( $setup->is_common_cache_key( 'gatherpress_stats_unknown' ) );
+	}
+
+	/**
+	 * Network-wide statistics are deleted when a site opts in or out of
+	 * sharing its statistics.
+	 *
+	 * @covers ::clear_network_cache
+	 * @return void
+	 */
+	public function test_clear_network_cache_on_sharing_change(): void {
+		if ( ! is_multisite() ) {
+			$this->markTestSkipped( 'Network-wide statistics need a multisite install.' );
+		}
+
+		$cache_key = Setup::get_instance()->get_cache_key(
+			'total_events',
+			array(
+				'event_query' => 'past',
+				'network'     => 1,
+			)
+		);
+
+		set_site_transient( $cache_key, 12 );
+		update_option( 'gatherpress_statistics_sharing', array( 'network' => false ) );
+
+		$this->assertFalse( get_site_transient( $cache_key ) );
+	}
+
+	/**
+	 * Comparisons shift the date range back, by month so month ends don't
+	 * overflow into the next month.
+	 *
+	 * @covers ::get_comparison_filters
+	 * @return void
+	 */
+	public function test_get_comparison_filters_shift(): void {
+		$setup   = Setup::get_instance();
+		$filters = array(
+			'event_query' => 'past',
+			'date_from'   => '2024-03-31',
+			'date_to'     => '2025-03-31',
+		);
+
+		$this->assertSame(
+			array(
+				'event_query' => 'past',
+				'date_from'   => '2023-03-31',
+				'date_to'     => '2024-03-31',
+			),
+			$setup->get_comparison_filters( $filters, array( 'comparison' => 'previous_year' ) )
+		);
+
+		$this->assertSame(
+			array(
+				'event_query' => 'past',
+				'date_from'   => '2024-02-29',
+				'date_to'     => '2025-02-28',
+			),
+			$setup->get_comparison_filters(
+				$filters,
+				array(
+					'comparison'       => 'previous_months',
+					'comparisonMonths' => 1,
+				)
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'event_query' => 'past',
+				'date_from'   => '2024-03-31',
+				'date_to'     => '2024-12-31',
+			),
+			$setup->get_comparison_filters(
+				$filters,
+				array(
+					'comparison'     => 'reference_date',
+					'comparisonDate' => '2024-12-31',
+				)
+			)
+		);
+	}
+
+	/**
+	 * Open-ended ranges are compared with their value as of the shifted date.
+	 *
+	 * @covers ::get_comparison_filters
+	 * @return void
+	 */
+	public function test_get_comparison_filters_open_ended(): void {
+		$today    = current_datetime();
+		$expected = $today->modify( 'first day of this month' )->modify( '-1 year' );
+		$expected = $expected->setDate( (int) $expected->format( 'Y' ), (int) $expected->format( 'n' ), min( (int) $today->format( 'j' ), (int) $expected->format( 't' ) ) );
+
+		$this->assertSame(
+			array(
+				'event_query' => 'past',
+				'date_to'     => $expected->format( 'Y-m-d' ),
+			),
+			Setup::get_instance()->get_comparison_filters( array( 'event_query' => 'past' ), array( 'comparison' => 'previous_year' ) )
+		);
+	}
+
+	/**
+	 * Nothing is compared without a comparison, an invalid reference date,
+	 * for upcoming events, which no earlier period has, and for term counts.
+	 *
+	 * @covers ::get_comparison_filters
+	 * @return void
+	 */
+	public function test_get_comparison_filters_nothing_to_compare(): void {
+		$setup = Setup::get_instance();
+		$past  = array( 'event_query' => 'past' );
+
+		$this->assertSame( array(), $setup->get_comparison_filters( $past, array() ) );
+		$this->assertSame(
+			array(),
+			$setup->get_comparison_filters(
+				$past,
+				array(
+					'comparison'     => 'reference_date',
+					'comparisonDate' => '2024-02-30',
+				)
+			)
+		);
+		$this->assertSame(
+			array(),
+			$setup->get_comparison_filters(
+				array(
+					'event_query' => 'upcoming',
+					'date_to'     => '2099-12-31',
+				),
+				array( 'comparison' => 'previous_year' )
+			)
+		);
+		$this->assertSame(
+			array(),
+			$setup->get_comparison_filters(
+				array( 'event_query' => 'upcoming' ),
+				array(
+					'comparison'     => 'reference_date',
+					'comparisonDate' => '2024-12-31',
+				)
+			)
+		);
+		$this->assertSame(
+			array(),
+			$setup->get_comparison_filters(
+				$past,
+				array(
+					'statisticType' => 'total_taxonomy_terms',
+					'comparison'    => 'previous_year',
+				)
+			)
+		);
+	}
+
+	/**
+	 * Create published events of a term.
+	 *
+	 * @param int             $term_id   Term of the events.
+	 * @param array<int, int> $attendees Number of attendees of each event.
+	 * @return void
+	 */
+	protected function create_term_events( int $term_id, array $attendees ): void {
+		foreach ( $attendees as $count ) {
+			$post_id = self::factory()->post->create( array( 'post_type' => 'gatherpress_event' ) );
+
+			wp_set_object_terms( $post_id, $term_id, 'gatherpress_topic' );
+			update_post_meta( $post_id, 'gatherpress_attendees_count', $count );
+		}
+	}
+
+	/**
+	 * Enable the 'top_terms' statistic, which is off by default.
+	 *
+	 * @return void
+	 */
+	protected function enable_top_terms(): void {
+		add_post_type_support( 'gatherpress_event', 'gatherpress_statistics', array( 'top_terms' => true ) );
+	}
+
+	/**
+	 * Restore the default statistics support after each test.
+	 *
+	 * @return void
+	 */
+	public function tear_down(): void {
+		Setup::get_instance()->register_post_type_support();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Leaderboards rank terms by their events, highest first and ties in the
+	 * order the terms were created, and are cut to their length.
+	 *
+	 * @covers ::get_cached_leaderboard
+	 * @covers ::calculate_leaderboard
+	 * @covers ::rank_terms
+	 * @return void
+	 */
+	public function test_get_cached_leaderboard_by_events(): void {
+		$setup   = Setup::get_instance();
+		$filters = array( 'count_taxonomy' => 'gatherpress_topic' );
+		$terms   = self::factory()->term->create_many( 4, array( 'taxonomy' => 'gatherpress_topic' ) );
+
+		$this->create_term_events( $terms[0], array( 1 ) );
+		$this->create_term_events( $terms[1], array( 1, 1, 1 ) );
+		$this->create_term_events( $terms[2], array( 1, 1 ) );
+		$this->create_term_events( $terms[3], array( 1, 1 ) );
+
+		$this->assertSame( array(), $setup->get_cached_leaderboard( $filters ), 'Leaderboards are off by default.' );
+
+		$this->enable_top_terms();
+		$leaderboard = $setup->get_cached_leaderboard( $filters, 3 );
+
+		$this->assertSame( array( $terms[1], $terms[2], $terms[3] ), wp_list_pluck( $leaderboard, 'id' ) );
+		$this->assertSame( array( 3, 2, 2 ), wp_list_pluck( $leaderboard, 'value' ) );
+		$this->assertSame( get_term( $terms[1] )->name, $leaderboard[0]['name'] );
+
+		// At least one term is listed
+		$this->assertSame( array( $terms[1] ), wp_list_pluck( $setup->get_cached_leaderboard( $filters, 0 ), 'id' ) );
+	}
+
+	/**
+	 * Leaderboards ranked by attendees add up the attendees of the events
+	 * and leave out terms without any.
+	 *
+	 * @covers ::get_cached_leaderboard
+	 * @covers ::rank_terms
+	 * @return void
+	 */
+	public function test_get_cached_leaderboard_by_attendees(): void {
+		$terms = self::factory()->term->create_many( 3, array( 'taxonomy' => 'gatherpress_topic' ) );
+
+		$this->create_term_events( $terms[0], array( 4 ) );
+		$this->create_term_events( $terms[1], array( 6, 0, 5 ) );
+		$this->create_term_events( $terms[2], array( 0, 0, 0 ) );
+
+		$this->enable_top_terms();
+		$leaderboard = Setup::get_instance()->get_cached_leaderboard(
+			array(
+				'count_taxonomy'     => 'gatherpress_topic',
+				'leaderboard_metric' => 'attendees',
+			)
+		);
+
+		$this->assertSame( array( $terms[1], $terms[0] ), wp_list_pluck( $leaderboard, 'id' ) );
+		$this->assertSame( array( 11, 4 ), wp_list_pluck( $leaderboard, 'value' ) );
+	}
+}
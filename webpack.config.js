@@ -0,0 +1,28 @@
+/**
+ * Extends the webpack configuration of @wordpress/scripts with the script of
+ * the Statistics admin page, which isn't part of any block.
+ */
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+/**
+ * Add the admin page to the entry points of a script configuration.
+ *
+ * @param {Object} config Webpack configuration for scripts.
+ * @return {Object} Webpack configuration.
+ */
+function withAdminEntry( config ) {
+	return {
+		...config,
+		entry: () => ( {
+			...( 'function' === typeof config.entry
+				? config.entry()
+				: config.entry ),
+			admin: './src/admin/index.js',
+		} ),
+	};
+}
+
+// With --experimental-modules, a second configuration builds the script modules
+module.exports = Array.isArray( defaultConfig )
+	? [ withAdminEntry( defaultConfig[ 0 ] ), ...defaultConfig.slice( 1 ) ]
+	: withAdminEntry( defaultConfig );